@@ -0,0 +1,119 @@
+require("dotenv").config();
+const path = require("path");
+
+/**
+ * LLM provider configuration
+ *
+ * LLM_PROVIDER: "openai" | "local" (OpenAI-compatible server) | "stub" (offline)
+ * Defaults to "openai" when OPENAI_API_KEY is set, otherwise "stub".
+ * LLM_MODEL overrides every chat model at once (handy for local servers).
+ *
+ * LLM_CACHE=off disables the response cache; LLM_CACHE_STORE picks where it
+ * persists: "mongo" (default) | "file" | "memory".
+ *
+ * Quotas are daily (UTC) and 0 means unlimited. A grading run that starts over
+ * budget skips the model and uses the rule-based feedback instead.
+ */
+const provider =
+  process.env.LLM_PROVIDER || (process.env.OPENAI_API_KEY ? "openai" : "stub");
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+// USD per 1M tokens; a served model name matches its longest configured prefix
+const DEFAULT_PRICING = {
+  "gpt-3.5-turbo": { prompt: 0.5, completion: 1.5 },
+  "gpt-4": { prompt: 30, completion: 60 },
+  "gpt-4-turbo": { prompt: 10, completion: 30 },
+  "gpt-4o": { prompt: 2.5, completion: 10 },
+  "gpt-4o-mini": { prompt: 0.15, completion: 0.6 },
+  "text-embedding-ada-002": { prompt: 0.1, completion: 0 },
+};
+
+// A malformed LLM_PRICING must not stop the app; the built-in prices apply
+const parsePricing = (value) => {
+  if (!value) return {};
+  try {
+    const pricing = JSON.parse(value);
+    if (
+      typeof pricing !== "object" ||
+      pricing === null ||
+      Array.isArray(pricing)
+    ) {
+      throw new Error("expected an object of model prices");
+    }
+    return pricing;
+  } catch (error) {
+    console.warn(
+      `⚠️ Ignoring LLM_PRICING (${error.message}); using the built-in pricing`
+    );
+    return {};
+  }
+};
+
+const maxReasks = parseInt(process.env.LLM_MAX_REASKS, 10);
+
+const chatModel = (envName, fallback) =>
+  process.env[envName] || process.env.LLM_MODEL || fallback;
+
+module.exports = {
+  provider,
+  apiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY,
+  baseURL:
+    process.env.LLM_BASE_URL ||
+    (provider === "local" ? "http://localhost:11434/v1" : undefined),
+  // Some local servers do not support response_format: { type: "json_object" }
+  jsonMode: process.env.LLM_JSON_MODE !== "false",
+
+  // Callers ask for a role; the role resolves to a model name here
+  models: {
+    grammar: chatModel("LLM_MODEL_GRAMMAR", "gpt-3.5-turbo-0125"),
+    explanation: chatModel("LLM_MODEL_EXPLANATION", "gpt-3.5-turbo"),
+    feedback: chatModel("LLM_MODEL_FEEDBACK", "gpt-4o-mini"),
+    embedding: process.env.LLM_MODEL_EMBEDDING || "text-embedding-ada-002",
+  },
+
+  // Re-asks allowed when a JSON reply fails its schema (llm/schemas)
+  maxReasks: Number.isFinite(maxReasks) && maxReasks >= 0 ? maxReasks : 2,
+
+  // Tried in order when the grammar model keeps failing
+  fallbackModels: process.env.LLM_FALLBACK_MODELS
+    ? process.env.LLM_FALLBACK_MODELS.split(",").map((m) => m.trim())
+    : ["gpt-3.5-turbo", "gpt-4", "gpt-4-turbo-preview"],
+
+  cache: {
+    enabled: process.env.LLM_CACHE !== "off",
+    store: process.env.LLM_CACHE_STORE || "mongo",
+    filePath:
+      process.env.LLM_CACHE_FILE ||
+      path.join(__dirname, "../cache/llm-cache.json"),
+    // In-memory tier in front of the store
+    memoryEntries: parseInt(process.env.LLM_CACHE_MEMORY_ENTRIES) || 1000,
+    ttlSeconds: parseInt(process.env.LLM_CACHE_TTL_SECONDS) || 7 * DAY_SECONDS,
+    // Answers that only depend on the text keep longer than the default
+    taskTtlSeconds: {
+      grammar_explanation: 30 * DAY_SECONDS,
+      sentence_correction: 30 * DAY_SECONDS,
+      spelling_verification: 30 * DAY_SECONDS,
+      spelling_correction: 30 * DAY_SECONDS,
+      embedding: 30 * DAY_SECONDS,
+    },
+    // Comma list of tasks that always call the model
+    bypassTasks: process.env.LLM_CACHE_BYPASS_TASKS
+      ? process.env.LLM_CACHE_BYPASS_TASKS.split(",").map((t) => t.trim())
+      : [],
+  },
+
+  // LLM_PRICING (JSON, same shape) adds or replaces entries
+  pricing: {
+    ...DEFAULT_PRICING,
+    ...parsePricing(process.env.LLM_PRICING),
+  },
+
+  quotas: {
+    studentDailyTokens:
+      parseInt(process.env.LLM_QUOTA_STUDENT_DAILY_TOKENS) || 0,
+    classroomDailyCost:
+      parseFloat(process.env.LLM_QUOTA_CLASSROOM_DAILY_COST) || 0,
+    dailyCost: parseFloat(process.env.LLM_QUOTA_DAILY_COST) || 0,
+  },
+};
@@ -0,0 +1,88 @@
+require("dotenv").config();
+const path = require("path");
+
+/**
+ * OCR configuration
+ *
+ * OCR_PROVIDERS: comma list of engines in order of preference
+ *   "google_vision" | "tesseract" | "local" (HTTP engine at OCR_LOCAL_URL)
+ * OCR_MODE: "fallback" (default) takes the first engine whose confidence
+ *   beats OCR_MIN_CONFIDENCE, else the best one; "fusion" runs every
+ *   available engine and merges their words (see ocr/OCRFusion).
+ *
+ * OCR_QUALITY_CHECK=off skips the image quality pre-check (ImageQualityService)
+ * that rejects unreadable photos before OCR runs.
+ *
+ * OCR_PAGE_CORRECTION=off skips straightening photographed pages
+ * (PageCorrectionService); OCR_DEBUG_DIR keeps each page's before/after
+ * images there.
+ *
+ * OCR_FIXTURES=on answers uploads from stored transcriptions instead of
+ * running OCR, for tests and demos. Fixtures are keyed by the SHA-256 of the
+ * image bytes (see FixtureOCRProvider), never by anything the student types.
+ * The setting is ignored unless NODE_ENV is one of FIXTURE_ENVIRONMENTS, so
+ * real uploads are always OCR'd.
+ */
+const FIXTURE_ENVIRONMENTS = ["test", "demo"];
+
+const environment = process.env.NODE_ENV || "development";
+const fixturesRequested = process.env.OCR_FIXTURES === "on";
+
+module.exports = {
+  providers: (process.env.OCR_PROVIDERS || "google_vision,tesseract")
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean),
+  mode: process.env.OCR_MODE === "fusion" ? "fusion" : "fallback",
+  minConfidence: parseFloat(process.env.OCR_MIN_CONFIDENCE) || 70,
+
+  googleVision: {
+    credentialsPath: process.env.GOOGLE_APPLICATION_CREDENTIALS,
+  },
+  local: {
+    url: process.env.OCR_LOCAL_URL || "http://localhost:8866/ocr",
+    timeoutMs: parseInt(process.env.OCR_LOCAL_TIMEOUT_MS) || 60000,
+  },
+
+  // Score points (on the 0-100 confidence scale) a fused word candidate gets
+  // for being a dictionary word and for each other engine that agrees
+  fusion: {
+    dictionaryBonus: parseFloat(process.env.OCR_FUSION_DICTIONARY_BONUS) || 25,
+    agreementBonus: parseFloat(process.env.OCR_FUSION_AGREEMENT_BONUS) || 10,
+  },
+
+  // "reject" thresholds refuse the image; "warn" thresholds only advise
+  quality: {
+    enabled: process.env.OCR_QUALITY_CHECK !== "off",
+    // Shorter image side in pixels (a page photo needs ~1200 to read well)
+    shortSide: { reject: 600, warn: 1200 },
+    // Variance of the Laplacian over the sharpest text areas
+    sharpness: {
+      reject: parseFloat(process.env.OCR_QUALITY_MIN_SHARPNESS) || 60,
+      warn: 200,
+    },
+    // Degrees from level
+    skew: { reject: 20, warn: 3 },
+    // Share of the page area washed out by glare
+    glare: { reject: 0.3, warn: 0.05 },
+    // Share of the photo covered by the page
+    pageCoverage: { reject: 0.15, warn: 0.45 },
+    // Share of dark (ink) pixels below which the page is taken as blank
+    minInk: 0.002,
+  },
+
+  correction: {
+    enabled: process.env.OCR_PAGE_CORRECTION !== "off",
+    debugDir: process.env.OCR_DEBUG_DIR || null,
+  },
+
+  fixtures: {
+    requested: fixturesRequested,
+    enabled: fixturesRequested && FIXTURE_ENVIRONMENTS.includes(environment),
+    environment,
+    allowedEnvironments: FIXTURE_ENVIRONMENTS,
+    dir:
+      process.env.OCR_FIXTURES_DIR ||
+      path.join(__dirname, "../fixtures/ocr"),
+  },
+};
@@ -0,0 +1,60 @@
+require("dotenv").config();
+const path = require("path");
+
+/**
+ * Storage configuration for original uploads (see StorageService)
+ *
+ * STORAGE_PROVIDER: "local" (default, files under STORAGE_LOCAL_DIR) | "s3"
+ *   (AWS S3, or any S3-compatible server such as MinIO at S3_ENDPOINT;
+ *   S3_CREATE_BUCKET=true creates the bucket on first use)
+ *
+ * Originals are kept STORAGE_RETENTION_DAYS after submission; 0 keeps them
+ * forever. Temporary files multer writes to uploads/tmp/ are removed
+ * UPLOAD_RETENTION_HOURS after they arrive, unless a queued grading job still
+ * needs them; nothing else under uploads/ is touched. The
+ * retention job runs every STORAGE_SWEEP_INTERVAL_MS, at most once a minute.
+ */
+const MIN_SWEEP_INTERVAL_MS = 60 * 1000;
+
+const numberFromEnv = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+module.exports = {
+  provider: process.env.STORAGE_PROVIDER === "s3" ? "s3" : "local",
+
+  local: {
+    dir:
+      process.env.STORAGE_LOCAL_DIR ||
+      path.join(__dirname, "../storage/originals"),
+  },
+  s3: {
+    bucket: process.env.S3_BUCKET || "essay-originals",
+    region: process.env.S3_REGION || "us-east-1",
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    // Self-hosted servers (MinIO) usually need bucket-in-path URLs
+    forcePathStyle:
+      process.env.S3_FORCE_PATH_STYLE === "true" ||
+      (Boolean(process.env.S3_ENDPOINT) &&
+        process.env.S3_FORCE_PATH_STYLE !== "false"),
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    prefix: process.env.S3_PREFIX ?? "originals/",
+    createBucket: process.env.S3_CREATE_BUCKET === "true",
+  },
+
+  // Where multer writes uploads before OCR; only the retention job's to clean
+  uploadDir: path.join(__dirname, "../uploads/tmp"),
+
+  retention: {
+    originalDays: numberFromEnv("STORAGE_RETENTION_DAYS", 365),
+    uploadHours: numberFromEnv("UPLOAD_RETENTION_HOURS", 24),
+    sweepIntervalMs: Math.max(
+      MIN_SWEEP_INTERVAL_MS,
+      numberFromEnv("STORAGE_SWEEP_INTERVAL_MS", 60 * 60 * 1000)
+    ),
+    // Essays whose expired originals are deleted per sweep
+    batchSize: 100,
+  },
+};
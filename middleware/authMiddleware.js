@@ -1,46 +1,174 @@
 const Student = require("../models/Student");
+const Teacher = require("../models/Teacher");
 const { errorResponse, createError } = require("../utils/errorResponse");
 const { validateToken, getTokenFromHeaders } = require("../utils/tokens/getToken");
 
+/**
+ * Decode the bearer token (tokens issued before roles existed are student tokens)
+ */
+const decodeRequestToken = (req) => {
+  // Extract token from headers
+  const token = getTokenFromHeaders(req);
+
+  if (!token) {
+    throw createError('UNAUTHORIZED', 'Authentication token required');
+  }
+
+  // Validate and decode token
+  const decoded = validateToken(token);
+  decoded.role = decoded.role || "student";
+  return decoded;
+};
+
+const resolveStudent = async (req, decoded) => {
+  // Find student by either MongoDB _id or studentId
+  let student;
+  if (decoded.userId) {
+    student = await Student.findById(decoded.userId);
+  }
+
+  if (!student && decoded.studentId) {
+    student = await Student.findOne({ studentId: decoded.studentId });
+  }
+
+  if (!student) {
+    throw createError('NOT_FOUND', 'Student account not found');
+  }
+
+  // Attach student with both IDs to request object
+  req.student = student;
+  req.userId = student._id;
+  req.studentId = student.studentId;
+  req.role = "student";
+};
+
+const resolveTeacher = async (req, decoded) => {
+  const teacher = await Teacher.findById(decoded.userId);
+
+  if (!teacher) {
+    throw createError('NOT_FOUND', 'Teacher account not found');
+  }
+
+  req.teacher = teacher;
+  req.userId = teacher._id;
+  req.teacherId = teacher.teacherId;
+  req.role = "teacher";
+};
+
+const sendAuthError = (res, error) => {
+  console.error("Authentication error:", error);
+
+  // If it's already our custom error, use it directly
+  const response = errorResponse(error);
+  return res.status(response.error.statusCode).json(response);
+};
+
+/**
+ * Students only
+ */
 const authenticateUser = async (req, res, next) => {
   try {
-    // Extract token from headers
-    const token = getTokenFromHeaders(req);
-    
-    if (!token) {
-      throw createError('UNAUTHORIZED', 'Authentication token required');
+    const decoded = decodeRequestToken(req);
+
+    if (decoded.role !== "student") {
+      throw createError('FORBIDDEN', 'This action requires a student account');
     }
-    
-    // Validate and decode token
-    const decoded = validateToken(token);
-    
-    // Find student by either MongoDB _id or studentId
-    let student;
-    if (decoded.userId) {
-      student = await Student.findById(decoded.userId);
+
+    await resolveStudent(req, decoded);
+    next();
+  } catch (error) {
+    return sendAuthError(res, error);
+  }
+};
+
+/**
+ * Teachers only
+ */
+const authenticateTeacher = async (req, res, next) => {
+  try {
+    const decoded = decodeRequestToken(req);
+
+    if (decoded.role !== "teacher") {
+      throw createError('FORBIDDEN', 'This action requires a teacher account');
     }
-    
-    if (!student && decoded.studentId) {
-      student = await Student.findOne({ studentId: decoded.studentId });
+
+    await resolveTeacher(req, decoded);
+    next();
+  } catch (error) {
+    return sendAuthError(res, error);
+  }
+};
+
+/**
+ * Teachers with the isAdmin flag only
+ */
+const authenticateAdmin = async (req, res, next) => {
+  try {
+    const decoded = decodeRequestToken(req);
+
+    if (decoded.role !== "teacher") {
+      throw createError('FORBIDDEN', 'This action requires an admin account');
     }
-    
-    if (!student) {
-      throw createError('NOT_FOUND', 'Student account not found');
+
+    await resolveTeacher(req, decoded);
+    if (!req.teacher.isAdmin) {
+      throw createError('FORBIDDEN', 'This action requires an admin account');
     }
-    
-    // Attach student with both IDs to request object
-    req.student = student;
-    req.userId = student._id;
-    req.studentId = student.studentId;
-    
     next();
   } catch (error) {
-    console.error("Authentication error:", error);
-    
-    // If it's already our custom error, use it directly
-    const response = errorResponse(error);
+    return sendAuthError(res, error);
+  }
+};
+
+/**
+ * Any signed-in user; sets req.role to "student" or "teacher"
+ */
+const authenticateAny = async (req, res, next) => {
+  try {
+    const decoded = decodeRequestToken(req);
+
+    if (decoded.role === "teacher") {
+      await resolveTeacher(req, decoded);
+    } else {
+      await resolveStudent(req, decoded);
+    }
+
+    next();
+  } catch (error) {
+    return sendAuthError(res, error);
+  }
+};
+
+/**
+ * Restrict a route to the given roles (use after authenticateAny)
+ */
+const requireRole = (...roles) => (req, res, next) => {
+  if (!roles.includes(req.role)) {
+    const response = errorResponse(
+      createError('FORBIDDEN', `This action requires a ${roles.join(" or ")} account`)
+    );
     return res.status(response.error.statusCode).json(response);
   }
+  next();
+};
+
+/**
+ * Accept the token as ?token= for clients that cannot set headers (EventSource,
+ * plain download links). Only mount this on streaming and download routes,
+ * before the authenticate middleware
+ */
+const allowQueryToken = (req, res, next) => {
+  if (!req.headers.authorization && typeof req.query.token === "string") {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
 };
 
-module.exports = { authenticateUser };
\ No newline at end of file
+module.exports = {
+  authenticateUser,
+  authenticateTeacher,
+  authenticateAdmin,
+  authenticateAny,
+  requireRole,
+  allowQueryToken,
+};
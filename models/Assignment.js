@@ -0,0 +1,92 @@
+const mongoose = require("mongoose");
+
+/**
+ * Assignment Schema - an essay prompt set for a classroom
+ */
+const assignmentSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 200,
+    },
+    prompt: {
+      type: String,
+      required: true,
+    },
+    classroomId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Classroom",
+      required: true,
+      index: true,
+    },
+    teacherId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Teacher",
+      required: true,
+      index: true,
+    },
+
+    // Target word range (either bound optional)
+    minWords: {
+      type: Number,
+      min: 0,
+    },
+    maxWords: {
+      type: Number,
+      min: 1,
+    },
+    // Reject submissions outside the range instead of just flagging them
+    strictWordLimits: {
+      type: Boolean,
+      default: false,
+    },
+
+    dueDate: Date,
+    allowLateSubmissions: {
+      type: Boolean,
+      default: true,
+    },
+
+    // Empty = every supported type
+    allowedFileTypes: [
+      {
+        type: String,
+        enum: ["handwritten", "pdf", "word", "text"],
+      },
+    ],
+
+    // Null = built-in default rubric
+    rubricId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Rubric",
+      default: null,
+    },
+
+    // Overrides the classroom's grade scale when set
+    gradeScale: {
+      type: String,
+      default: null,
+    },
+
+    targetLevel: {
+      type: String,
+      enum: ["beginner", "intermediate", "advanced"],
+    },
+
+    archived: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+assignmentSchema.methods.isPastDue = function (at = new Date()) {
+  return !!this.dueDate && at > this.dueDate;
+};
+
+module.exports = mongoose.model("Assignment", assignmentSchema);
@@ -0,0 +1,98 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+
+// Unambiguous characters only (no 0/O, 1/I/L) so codes survive being read aloud
+const JOIN_CODE_ALPHABET = "23456789ABCDEFGHJKMNPQRSTUVWXYZ";
+const JOIN_CODE_LENGTH = 6;
+
+/**
+ * Classroom Schema - links a teacher to a roster of students
+ */
+const classroomSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    teacherId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Teacher",
+      required: true,
+      index: true,
+    },
+    students: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Student",
+      },
+    ],
+    // Invited by the teacher; they join the roster only once they accept
+    invitedStudents: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Student",
+      },
+    ],
+
+    // Students join with this code
+    joinCode: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+    },
+    joinEnabled: {
+      type: Boolean,
+      default: true,
+    },
+
+    // Grade scale key (see GradeScaleService); null = default letter scale
+    gradeScale: {
+      type: String,
+      default: null,
+    },
+
+    // English variant code (see EnglishVariantService); null = default
+    englishVariant: {
+      type: String,
+      default: null,
+    },
+
+    archived: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+classroomSchema.index({ students: 1 });
+classroomSchema.index({ invitedStudents: 1 });
+
+classroomSchema.statics.generateJoinCode = function () {
+  const bytes = crypto.randomBytes(JOIN_CODE_LENGTH);
+  return Array.from(bytes)
+    .map((b) => JOIN_CODE_ALPHABET[b % JOIN_CODE_ALPHABET.length])
+    .join("");
+};
+
+classroomSchema.methods.hasStudent = function (studentMongoId) {
+  return this.students.some((id) => id.toString() === studentMongoId.toString());
+};
+
+classroomSchema.methods.hasInvite = function (studentMongoId) {
+  return (this.invitedStudents || []).some(
+    (id) => id.toString() === studentMongoId.toString()
+  );
+};
+
+module.exports = mongoose.model("Classroom", classroomSchema);
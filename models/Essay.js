@@ -15,6 +15,31 @@ const essaySchemaV2 = new mongoose.Schema(
       trim: true,
       maxlength: 200,
     },
+
+    // Set when the essay was submitted for an assignment
+    assignmentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Assignment",
+      index: true,
+    },
+    submission: {
+      dueDate: Date,
+      isLate: Boolean,
+      lateByMinutes: Number,
+      wordCount: Number,
+      wordCountStatus: {
+        type: String,
+        enum: ["within", "under", "over"],
+      },
+    },
+
+    // Set when the essay is a revision of an earlier submission
+    revision: {
+      parentEssayId: { type: mongoose.Schema.Types.ObjectId, ref: "EssayV2" },
+      rootEssayId: { type: mongoose.Schema.Types.ObjectId, ref: "EssayV2" },
+      number: Number,
+      comparison: { type: mongoose.Schema.Types.Mixed },
+    },
     originalText: String,
     processedText: String,
     fullyCorrectedText: {
@@ -58,13 +83,36 @@ const essaySchemaV2 = new mongoose.Schema(
       enum: ["handwritten", "pdf", "word", "text"],
     },
     ocrConfidence: Number,
+    englishVariant: String, // Variant the essay was checked against
+    // Per-word OCR confidences located in processedText (OcrReviewService)
+    ocrWords: [{ type: mongoose.Schema.Types.Mixed }],
+    // Low-confidence word review: threshold, counts, student corrections
+    ocrReview: { type: mongoose.Schema.Types.Mixed },
+    textExtraction: { type: mongoose.Schema.Types.Mixed },
+    // Uploaded files kept for OCR disputes, in page order (StorageService)
+    originals: [
+      {
+        _id: false,
+        key: String, // Content-addressed object key in the storage backend
+        sha256: String,
+        size: Number,
+        mimetype: String,
+        originalName: String,
+        page: Number,
+        backend: String,
+        storedAt: Date,
+        expiresAt: { type: Date, default: null }, // null: kept forever
+        deletedAt: { type: Date, default: null },
+      },
+    ],
 
     grading: {
       rawScore: Number,
       normalizedScore: Number,
       finalScore: Number,
-      grade: String, // A, B, C, D, F
+      grade: String, // Label on gradeScale (A-F by default)
       gradeDescription: String,
+      gradeScale: String,
       confidence: Number,
       qualityScores: {
         grammar: Number,
@@ -73,15 +121,53 @@ const essaySchemaV2 = new mongoose.Schema(
         style: Number,
         mechanics: Number,
       },
+      // Rubric that produced finalScore and how each criterion contributed
+      rubric: {
+        id: String,
+        name: String,
+        version: Number,
+      },
+      breakdown: { type: mongoose.Schema.Types.Mixed },
+      // Which model produced the scores (inference service or local fallback)
+      model: {
+        source: String,
+        name: String,
+        version: String,
+        type: { type: String },
+        featureSchemaVersion: String,
+      },
+      // FeatureExtractor schema used and whether the service contract held
+      featureSchema: {
+        version: String,
+        count: Number,
+        contractStatus: String,
+        flagged: Boolean,
+        problems: [String],
+      },
+    },
+
+    // Model calls made while grading; degraded when the AI budget ran out
+    aiUsage: {
+      calls: Number,
+      cachedCalls: Number,
+      promptTokens: Number,
+      completionTokens: Number,
+      totalTokens: Number,
+      cost: Number,
+      degraded: Boolean,
+      degradedReason: String,
     },
 
     feedback: {
       studentLevel: String,
+      // Issues carry `anchor` offsets into originalText (IssueAnchorService)
       grammarErrors: [{ type: mongoose.Schema.Types.Mixed }],
       spellingErrors: [{ type: mongoose.Schema.Types.Mixed }],
       styleIssues: [{ type: mongoose.Schema.Types.Mixed }], // NEW
       vocabularyEnhancements: [{ type: mongoose.Schema.Types.Mixed }], // NEW
       sentenceStructure: { type: mongoose.Schema.Types.Mixed }, // NEW
+      // Mixed American/British spelling (EnglishVariantService)
+      variantConsistency: { type: mongoose.Schema.Types.Mixed },
 
       // Before/After examples
       beforeAfterExamples: [
@@ -110,15 +196,33 @@ const essaySchemaV2 = new mongoose.Schema(
         wordsAnalyzed: Number, // NEW
         sentencesAnalyzed: Number, // NEW
       },
+
+      // Added by a teacher during moderation
+      teacherComment: String,
     },
 
     detectedIssues: [{ type: mongoose.Schema.Types.Mixed }],
 
+    // Teacher moderation; aiResult keeps the machine grading and feedback
+    // exactly as first produced, before any override
+    moderation: {
+      status: {
+        type: String,
+        enum: ["ai", "overridden"],
+        default: "ai",
+      },
+      aiResult: { type: mongoose.Schema.Types.Mixed },
+      overriddenBy: { type: mongoose.Schema.Types.ObjectId, ref: "Teacher" },
+      overriddenAt: Date,
+      reason: String,
+      overrideCount: { type: Number, default: 0 },
+    },
+
     submittedAt: { type: Date, default: Date.now },
     gradedAt: Date,
     status: {
       type: String,
-      enum: ["pending", "processing", "graded", "error"],
+      enum: ["pending", "awaiting_review", "processing", "graded", "error"],
       default: "pending",
     },
 
@@ -157,5 +261,8 @@ const essaySchemaV2 = new mongoose.Schema(
 
 // Force drop and recreate
 essaySchemaV2.index({ studentId: 1, submittedAt: -1 });
+essaySchemaV2.index({ "revision.rootEssayId": 1 });
+essaySchemaV2.index({ "originals.expiresAt": 1 });
+essaySchemaV2.index({ "originals.key": 1 });
 
 module.exports = mongoose.model("EssayV2", essaySchemaV2, "essays"); // Still use 'essays' collection
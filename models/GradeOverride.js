@@ -0,0 +1,56 @@
+const mongoose = require("mongoose");
+
+/**
+ * Grade Override Schema - audit trail of teacher changes to a machine grade
+ * Every override is kept; the essay only holds the current result
+ */
+const gradeOverrideSchema = new mongoose.Schema(
+  {
+    essayId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "EssayV2",
+      required: true,
+      index: true,
+    },
+    studentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+      required: true,
+      index: true,
+    },
+    teacherId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Teacher",
+      required: true,
+      index: true,
+    },
+
+    reason: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 1000,
+    },
+
+    // One entry per changed value, e.g. { field: "qualityScores.grammar", from: 0.5, to: 0.7 }
+    changes: [
+      {
+        _id: false,
+        field: String,
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed,
+      },
+    ],
+
+    // Grading as it was right before this override
+    previousGrading: { type: mongoose.Schema.Types.Mixed },
+
+    // Level assessment re-run with the corrected score
+    levelAssessment: { type: mongoose.Schema.Types.Mixed },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model("GradeOverride", gradeOverrideSchema);
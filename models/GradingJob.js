@@ -0,0 +1,134 @@
+const mongoose = require("mongoose");
+
+/**
+ * Grading stages in the order the worker runs them
+ */
+const GRADING_STAGES = [
+  "extraction",
+  "grammar",
+  "plagiarism",
+  "inference",
+  "feedback",
+  "achievements",
+];
+
+const stageSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      enum: GRADING_STAGES,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "running", "completed", "failed"],
+      default: "pending",
+    },
+    startedAt: Date,
+    completedAt: Date,
+    error: String,
+  },
+  { _id: false }
+);
+
+/**
+ * Grading Job Schema - MongoDB-backed queue entry for background grading
+ */
+const gradingJobSchema = new mongoose.Schema(
+  {
+    essayId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "EssayV2",
+      required: true,
+      index: true,
+    },
+    studentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+      required: true,
+      index: true,
+    },
+
+    status: {
+      type: String,
+      enum: ["pending", "awaiting_review", "processing", "completed", "failed"],
+      default: "pending",
+    },
+
+    // Uploaded file waiting to be extracted
+    input: {
+      filePath: String,
+      mimetype: String,
+      originalName: String,
+      // Multi-page uploads: every page in order (the first is also above)
+      pages: [
+        {
+          _id: false,
+          filePath: String,
+          mimetype: String,
+          originalName: String,
+        },
+      ],
+      title: String,
+      // Pause after extraction until the student reviews uncertain words
+      reviewOcr: { type: Boolean, default: false },
+    },
+
+    // Assignment the essay was submitted for, with its deadline check result
+    assignmentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Assignment",
+      default: null,
+    },
+    submission: { type: mongoose.Schema.Types.Mixed, default: null },
+
+    // Extraction result, kept so retries can skip OCR
+    extraction: { type: mongoose.Schema.Types.Mixed, default: null },
+
+    stages: {
+      type: [stageSchema],
+      default: () => GRADING_STAGES.map((name) => ({ name })),
+    },
+
+    // Retry bookkeeping
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 3 },
+    runAt: { type: Date, default: Date.now },
+    lockedAt: Date,
+    workerId: String,
+
+    lastError: {
+      message: String,
+      code: String,
+      stage: String,
+      at: Date,
+      // Retake advice when the upload was rejected as unreadable
+      guidance: { type: [mongoose.Schema.Types.Mixed], default: undefined },
+    },
+
+    completedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+gradingJobSchema.index({ status: 1, runAt: 1 });
+
+/**
+ * Percentage of stages completed
+ */
+gradingJobSchema.methods.getProgress = function () {
+  const completed = this.stages.filter((s) => s.status === "completed").length;
+  return Math.round((completed / this.stages.length) * 100);
+};
+
+gradingJobSchema.methods.getCurrentStage = function () {
+  const running = this.stages.find((s) => s.status === "running");
+  return running ? running.name : null;
+};
+
+const GradingJob = mongoose.model("GradingJob", gradingJobSchema);
+
+module.exports = GradingJob;
+module.exports.GRADING_STAGES = GRADING_STAGES;
@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+
+/**
+ * LLM Cache Entry Schema - persisted model responses keyed by request hash
+ */
+const llmCacheEntrySchema = new mongoose.Schema(
+  {
+    // sha256 of provider + model + messages + generation params
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    task: String,
+    kind: {
+      type: String,
+      enum: ["chat", "embedding"],
+      default: "chat",
+    },
+    model: String,
+    response: { type: mongoose.Schema.Types.Mixed, required: true },
+    hits: { type: Number, default: 0 },
+    lastHitAt: Date,
+    // MongoDB removes the entry once this passes
+    expiresAt: { type: Date, required: true },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+llmCacheEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+llmCacheEntrySchema.index({ task: 1 });
+
+module.exports = mongoose.model("LLMCacheEntry", llmCacheEntrySchema);
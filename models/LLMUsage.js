@@ -0,0 +1,56 @@
+const mongoose = require("mongoose");
+
+/**
+ * LLM Usage Schema - one row per model call, for spend reports and quotas
+ */
+const llmUsageSchema = new mongoose.Schema(
+  {
+    task: { type: String, required: true },
+    kind: {
+      type: String,
+      enum: ["chat", "embedding"],
+      default: "chat",
+    },
+    provider: String,
+    model: String,
+
+    promptTokens: { type: Number, default: 0 },
+    completionTokens: { type: Number, default: 0 },
+    totalTokens: { type: Number, default: 0 },
+    // Estimated USD from config/llm.js pricing; 0 for cache hits
+    cost: { type: Number, default: 0 },
+    cached: { type: Boolean, default: false },
+
+    // Who the call was made for (empty outside a grading run)
+    studentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+      default: null,
+    },
+    essayId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "EssayV2",
+      default: null,
+    },
+    assignmentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Assignment",
+      default: null,
+    },
+    classroomId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Classroom",
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+llmUsageSchema.index({ createdAt: -1 });
+llmUsageSchema.index({ studentId: 1, createdAt: -1 });
+llmUsageSchema.index({ classroomId: 1, createdAt: -1 });
+llmUsageSchema.index({ essayId: 1 });
+
+module.exports = mongoose.model("LLMUsage", llmUsageSchema);
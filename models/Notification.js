@@ -0,0 +1,38 @@
+const mongoose = require("mongoose");
+
+/**
+ * Notification Schema - in-app messages for students
+ */
+const notificationSchema = new mongoose.Schema(
+  {
+    studentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ["grade_override"],
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+    },
+    message: String,
+    // Links back to whatever triggered it (essayId, etc.)
+    data: { type: mongoose.Schema.Types.Mixed },
+    read: {
+      type: Boolean,
+      default: false,
+    },
+    readAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+notificationSchema.index({ studentId: 1, read: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Notification", notificationSchema);
@@ -0,0 +1,250 @@
+const mongoose = require("mongoose");
+
+/**
+ * Quality dimensions produced by inference - the criteria a rubric can weight
+ */
+const RUBRIC_CRITERIA = [
+  "grammar",
+  "content",
+  "organization",
+  "style",
+  "mechanics",
+];
+
+/**
+ * Built-in rubric reproducing the original hard-coded calibration:
+ * equal weights, density-based quality adjustments, count-based score
+ * penalties, structure/length bonuses and a 45 point floor
+ */
+const DEFAULT_RUBRIC = {
+  slug: "default",
+  name: "Default",
+  description: "Balanced rubric used when an assignment does not select one",
+  isBuiltIn: true,
+  version: 1,
+  criteria: [
+    { key: "grammar", label: "Grammar", weight: 1 },
+    { key: "content", label: "Content", weight: 1 },
+    { key: "organization", label: "Organization", weight: 1 },
+    { key: "style", label: "Style", weight: 1 },
+    { key: "mechanics", label: "Mechanics", weight: 1 },
+  ],
+  penalties: [
+    // Error density (per 100 words) lowers the matching criterion
+    {
+      errorType: "grammar",
+      measure: "density",
+      appliesTo: "grammar",
+      tiers: [
+        { above: 5, deduction: 0.2, floor: 0.4 },
+        { above: 3, deduction: 0.1, floor: 0.5 },
+        { above: 1, deduction: 0.05, floor: 0.6 },
+      ],
+    },
+    {
+      errorType: "spelling",
+      measure: "density",
+      appliesTo: "mechanics",
+      tiers: [
+        { above: 5, deduction: 0.1, floor: 0.5 },
+        { above: 3, deduction: 0.05, floor: 0.6 },
+      ],
+    },
+    // Raw error counts take points off the final score
+    {
+      errorType: "grammar",
+      measure: "count",
+      appliesTo: "score",
+      tiers: [
+        { above: 10, deduction: 15 },
+        { above: 5, deduction: 8 },
+        { above: 2, deduction: 3 },
+      ],
+    },
+    {
+      errorType: "spelling",
+      measure: "count",
+      appliesTo: "score",
+      tiers: [
+        { above: 8, deduction: 6 },
+        { above: 5, deduction: 4 },
+        { above: 2, deduction: 2 },
+      ],
+    },
+  ],
+  bonuses: [
+    { name: "Clear sections", metric: "sectionCount", min: 2, points: 3 },
+    { name: "Adequate length", metric: "wordCount", min: 251, points: 2 },
+  ],
+  // Average quality (0-1) to score; first band whose minQuality is met wins
+  qualityBands: [
+    { minQuality: 0.85, score: 90 },
+    { minQuality: 0.8, score: 85 },
+    { minQuality: 0.75, score: 80 },
+    { minQuality: 0.7, score: 75 },
+    { minQuality: 0.65, score: 70 },
+    { minQuality: 0.6, score: 65 },
+    { minQuality: 0.55, score: 60 },
+    { minQuality: 0.5, score: 55 },
+    { minQuality: 0.45, score: 50 },
+    { minQuality: 0, score: 45 },
+  ],
+  // Per student level: scale score penalties and shift the final score
+  levelBands: [
+    { level: "beginner", penaltyMultiplier: 1, scoreOffset: 0 },
+    { level: "intermediate", penaltyMultiplier: 1, scoreOffset: 0 },
+    { level: "advanced", penaltyMultiplier: 1, scoreOffset: 0 },
+  ],
+  minScore: 45,
+  maxScore: 100,
+};
+
+const criterionSchema = new mongoose.Schema(
+  {
+    key: { type: String, enum: RUBRIC_CRITERIA, required: true },
+    label: String,
+    description: String,
+    weight: { type: Number, min: 0, required: true },
+  },
+  { _id: false }
+);
+
+const penaltySchema = new mongoose.Schema(
+  {
+    errorType: { type: String, enum: ["grammar", "spelling"], required: true },
+    // "count" = number of errors, "density" = errors per 100 words
+    measure: { type: String, enum: ["count", "density"], required: true },
+    // "score" deducts points; a criterion key lowers that quality score
+    appliesTo: {
+      type: String,
+      enum: ["score", ...RUBRIC_CRITERIA],
+      required: true,
+    },
+    tiers: {
+      type: [
+        {
+          _id: false,
+          above: { type: Number, required: true },
+          deduction: { type: Number, required: true },
+          floor: Number,
+        },
+      ],
+      validate: {
+        validator: (tiers) => tiers.length > 0,
+        message: "A penalty needs at least one tier",
+      },
+    },
+  },
+  { _id: false }
+);
+
+const bonusSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    metric: {
+      type: String,
+      enum: ["sectionCount", "paragraphCount", "wordCount"],
+      required: true,
+    },
+    min: { type: Number, required: true },
+    points: { type: Number, required: true },
+  },
+  { _id: false }
+);
+
+/**
+ * Rubric Schema - how quality scores and error counts become a final score
+ */
+const rubricSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    description: String,
+    teacherId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Teacher",
+      required: true,
+      index: true,
+    },
+    // Bumped on every edit so graded essays can tell which rules applied
+    version: {
+      type: Number,
+      default: 1,
+    },
+
+    criteria: {
+      type: [criterionSchema],
+      default: () => DEFAULT_RUBRIC.criteria,
+      validate: {
+        validator: (criteria) =>
+          criteria.length > 0 && criteria.some((c) => c.weight > 0),
+        message: "A rubric needs at least one criterion with a positive weight",
+      },
+    },
+    penalties: {
+      type: [penaltySchema],
+      default: () => DEFAULT_RUBRIC.penalties,
+    },
+    bonuses: {
+      type: [bonusSchema],
+      default: () => DEFAULT_RUBRIC.bonuses,
+    },
+    qualityBands: {
+      type: [
+        {
+          _id: false,
+          minQuality: { type: Number, min: 0, max: 1, required: true },
+          score: { type: Number, required: true },
+        },
+      ],
+      default: () => DEFAULT_RUBRIC.qualityBands,
+      // Every average quality must land in a band
+      validate: {
+        validator: (bands) =>
+          bands.length > 0 && bands.some((band) => band.minQuality === 0),
+        message: "Quality bands must include a band starting at minQuality 0",
+      },
+    },
+    levelBands: {
+      type: [
+        {
+          _id: false,
+          level: {
+            type: String,
+            enum: ["beginner", "intermediate", "advanced"],
+            required: true,
+          },
+          penaltyMultiplier: { type: Number, min: 0, default: 1 },
+          scoreOffset: { type: Number, default: 0 },
+        },
+      ],
+      default: () => DEFAULT_RUBRIC.levelBands,
+    },
+    minScore: {
+      type: Number,
+      default: DEFAULT_RUBRIC.minScore,
+    },
+    maxScore: {
+      type: Number,
+      default: DEFAULT_RUBRIC.maxScore,
+    },
+
+    archived: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const Rubric = mongoose.model("Rubric", rubricSchema);
+
+module.exports = Rubric;
+module.exports.RUBRIC_CRITERIA = RUBRIC_CRITERIA;
+module.exports.DEFAULT_RUBRIC = DEFAULT_RUBRIC;
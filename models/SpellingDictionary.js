@@ -0,0 +1,38 @@
+const mongoose = require("mongoose");
+
+const DICTIONARY_SCOPES = ["student", "classroom", "assignment"];
+
+/**
+ * Spelling Dictionary Schema - words the spelling checker should accept
+ * One list per student (personal) and per classroom/assignment (shared)
+ */
+const spellingDictionarySchema = new mongoose.Schema(
+  {
+    scope: {
+      type: String,
+      enum: DICTIONARY_SCOPES,
+      required: true,
+    },
+    // Student, Classroom or Assignment _id, depending on scope
+    ownerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    // Stored lowercase; matching is case-insensitive
+    words: [
+      {
+        type: String,
+        lowercase: true,
+        trim: true,
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+spellingDictionarySchema.index({ scope: 1, ownerId: 1 }, { unique: true });
+
+module.exports = mongoose.model("SpellingDictionary", spellingDictionarySchema);
+module.exports.DICTIONARY_SCOPES = DICTIONARY_SCOPES;
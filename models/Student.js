@@ -33,6 +33,12 @@ const studentSchema = new mongoose.Schema(
       default: "beginner",
     },
 
+    // English variant code (see EnglishVariantService); null = classroom's
+    englishVariant: {
+      type: String,
+      default: null,
+    },
+
     // Level stability tracking
     levelHistory: [
       {
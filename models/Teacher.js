@@ -0,0 +1,68 @@
+const mongoose = require("mongoose");
+const bcrypt = require("bcryptjs");
+
+const teacherSchema = new mongoose.Schema(
+  {
+    teacherId: {
+      type: String,
+      required: true,
+      unique: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: true,
+    },
+    email: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
+    password: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    institution: {
+      type: String,
+      trim: true,
+    },
+    // Grants the /api/admin reports (set directly in the database)
+    isAdmin: {
+      type: Boolean,
+      default: false,
+    },
+    lastLogin: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Hash password before saving
+teacherSchema.pre("save", async function (next) {
+  if (!this.isModified("password")) return next();
+
+  try {
+    this.password = await bcrypt.hash(this.password, 12);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Compare password method
+teacherSchema.methods.comparePassword = async function (candidatePassword) {
+  return await bcrypt.compare(candidatePassword, this.password);
+};
+
+// Remove password from JSON output
+teacherSchema.methods.toJSON = function () {
+  const user = this.toObject();
+  delete user.password;
+  return user;
+};
+
+module.exports = mongoose.model("Teacher", teacherSchema);
@@ -0,0 +1,30 @@
+const express = require("express");
+const router = express.Router();
+const { catchAsync } = require("../utils/catchAsync");
+const LLMUsageService = require("../services/LLMUsageService");
+const LLMService = require("../services/LLMService");
+const { authenticateAdmin } = require("../middleware/authMiddleware");
+
+/**
+ * GET /api/admin/llm-usage
+ * AI spend between ?from and ?to (default: last 30 days), grouped by
+ * ?groupBy=day|classroom|task|model
+ */
+router.get(
+  "/llm-usage",
+  authenticateAdmin,
+  catchAsync(async (req, res) => {
+    const { from, to, groupBy } = req.query;
+    const usage = await LLMUsageService.summarizeSpend({ from, to, groupBy });
+
+    res.json({
+      success: true,
+      usage,
+      quotas: LLMUsageService.quotas,
+      cache: LLMService.getCacheStats(),
+      validation: LLMService.getValidationStats(),
+    });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,235 @@
+const express = require("express");
+const router = express.Router();
+const { catchAsync } = require("../utils/catchAsync");
+const Assignment = require("../models/Assignment");
+const Essay = require("../models/Essay");
+const AssignmentService = require("../services/AssignmentService");
+const SpellingDictionaryService = require("../services/SpellingDictionaryService");
+const {
+  authenticateTeacher,
+  authenticateAny,
+} = require("../middleware/authMiddleware");
+
+/**
+ * POST /api/assignments
+ * Create an assignment for one of the teacher's classrooms
+ */
+router.post(
+  "/",
+  authenticateTeacher,
+  catchAsync(async (req, res) => {
+    const assignment = await AssignmentService.createAssignment(
+      req.teacher._id,
+      req.body
+    );
+
+    res.status(201).json({ success: true, assignment });
+  })
+);
+
+/**
+ * GET /api/assignments
+ * Teachers get their assignments (?classroomId= to filter),
+ * students get the open assignments of their classrooms with their own submission
+ */
+router.get(
+  "/",
+  authenticateAny,
+  catchAsync(async (req, res) => {
+    if (req.role === "teacher") {
+      const query = { teacherId: req.teacher._id };
+      if (req.query.classroomId) query.classroomId = req.query.classroomId;
+
+      const assignments = await Assignment.find(query)
+        .sort({ createdAt: -1 })
+        .populate("classroomId", "name");
+
+      return res.json({ success: true, assignments });
+    }
+
+    const assignments = await AssignmentService.getStudentAssignments(
+      req.student._id
+    );
+
+    const essays = await Essay.find({
+      studentId: req.student._id,
+      assignmentId: { $in: assignments.map((a) => a._id) },
+    })
+      .sort({ submittedAt: -1 })
+      .select("assignmentId status submittedAt submission grading.finalScore");
+
+    res.json({
+      success: true,
+      assignments: assignments.map((assignment) => {
+        const latest = essays.find(
+          (e) => e.assignmentId.toString() === assignment._id.toString()
+        );
+
+        return {
+          ...assignment.toObject(),
+          isPastDue: assignment.isPastDue(),
+          mySubmission: latest
+            ? {
+                essayId: latest._id,
+                status: latest.status,
+                submittedAt: latest.submittedAt,
+                isLate: latest.submission?.isLate || false,
+                score: latest.grading?.finalScore ?? null,
+              }
+            : null,
+        };
+      }),
+    });
+  })
+);
+
+/**
+ * GET /api/assignments/:assignmentId
+ * Assignment details (owner teacher or enrolled student)
+ */
+router.get(
+  "/:assignmentId",
+  authenticateAny,
+  catchAsync(async (req, res) => {
+    const assignment =
+      req.role === "teacher"
+        ? await AssignmentService.getTeacherAssignment(
+            req.params.assignmentId,
+            req.teacher._id
+          )
+        : await AssignmentService.getStudentAssignment(
+            req.params.assignmentId,
+            req.student._id
+          );
+
+    res.json({
+      success: true,
+      assignment: {
+        ...assignment.toObject(),
+        isPastDue: assignment.isPastDue(),
+      },
+    });
+  })
+);
+
+/**
+ * PATCH /api/assignments/:assignmentId
+ * Update prompt, limits, deadline or archive state (teacher)
+ */
+router.patch(
+  "/:assignmentId",
+  authenticateTeacher,
+  catchAsync(async (req, res) => {
+    const assignment = await AssignmentService.getTeacherAssignment(
+      req.params.assignmentId,
+      req.teacher._id
+    );
+
+    await AssignmentService.updateAssignment(assignment, req.body);
+
+    res.json({ success: true, assignment });
+  })
+);
+
+/**
+ * GET /api/assignments/:assignmentId/submissions
+ * Who submitted, late flags and scores for the whole roster (teacher)
+ */
+router.get(
+  "/:assignmentId/submissions",
+  authenticateTeacher,
+  catchAsync(async (req, res) => {
+    const assignment = await AssignmentService.getTeacherAssignment(
+      req.params.assignmentId,
+      req.teacher._id
+    );
+
+    const { submissions, summary } = await AssignmentService.getSubmissions(
+      assignment
+    );
+
+    res.json({
+      success: true,
+      assignment: {
+        id: assignment._id,
+        title: assignment.title,
+        dueDate: assignment.dueDate,
+        minWords: assignment.minWords,
+        maxWords: assignment.maxWords,
+        targetLevel: assignment.targetLevel,
+      },
+      summary,
+      submissions,
+    });
+  })
+);
+
+/**
+ * GET /api/assignments/:assignmentId/dictionary
+ * Shared spelling dictionary for the assignment (teacher)
+ */
+router.get(
+  "/:assignmentId/dictionary",
+  authenticateTeacher,
+  catchAsync(async (req, res) => {
+    const assignment = await AssignmentService.getTeacherAssignment(
+      req.params.assignmentId,
+      req.teacher._id
+    );
+
+    const words = await SpellingDictionaryService.getWords(
+      "assignment",
+      assignment._id
+    );
+
+    res.json({ success: true, words });
+  })
+);
+
+/**
+ * POST /api/assignments/:assignmentId/dictionary
+ * Add names, places or course terms: { words: [...] } (teacher)
+ */
+router.post(
+  "/:assignmentId/dictionary",
+  authenticateTeacher,
+  catchAsync(async (req, res) => {
+    const assignment = await AssignmentService.getTeacherAssignment(
+      req.params.assignmentId,
+      req.teacher._id
+    );
+
+    const { added, words } = await SpellingDictionaryService.addWords(
+      "assignment",
+      assignment._id,
+      req.body.words ?? req.body.word
+    );
+
+    res.json({ success: true, added, words });
+  })
+);
+
+/**
+ * DELETE /api/assignments/:assignmentId/dictionary/:word
+ * Remove a word from the shared dictionary (teacher)
+ */
+router.delete(
+  "/:assignmentId/dictionary/:word",
+  authenticateTeacher,
+  catchAsync(async (req, res) => {
+    const assignment = await AssignmentService.getTeacherAssignment(
+      req.params.assignmentId,
+      req.teacher._id
+    );
+
+    const words = await SpellingDictionaryService.removeWord(
+      "assignment",
+      assignment._id,
+      req.params.word
+    );
+
+    res.json({ success: true, words });
+  })
+);
+
+module.exports = router;
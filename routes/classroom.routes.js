@@ -0,0 +1,382 @@
+const express = require("express");
+const router = express.Router();
+const { catchAsync } = require("../utils/catchAsync");
+const { createError } = require("../utils/errorResponse");
+const Classroom = require("../models/Classroom");
+const Essay = require("../models/Essay");
+const ClassroomService = require("../services/ClassroomService");
+const SpellingDictionaryService = require("../services/SpellingDictionaryService");
+const GradeScaleService = require("../services/GradeScaleService");
+const EnglishVariantService = require("../services/EnglishVariantService");
+const {
+  authenticateUser,
+  authenticateTeacher,
+  authenticateAny,
+} = require("../middleware/authMiddleware");
+
+/**
+ * POST /api/classrooms
+ * Create a classroom (teacher)
+ */
+router.post(
+  "/",
+  authenticateTeacher,
+  catchAsync(async (req, res) => {
+    const classroom = await ClassroomService.createClassroom(
+      req.teacher._id,
+      req.body
+    );
+
+    res.status(201).json({ success: true, classroom });
+  })
+);
+
+/**
+ * GET /api/classrooms
+ * Teachers get the classrooms they own, students the ones they joined
+ */
+router.get(
+  "/",
+  authenticateAny,
+  catchAsync(async (req, res) => {
+    const classrooms =
+      req.role === "teacher"
+        ? await Classroom.find({ teacherId: req.teacher._id }).sort({
+            createdAt: -1,
+          })
+        : await ClassroomService.getStudentClassrooms(req.student._id);
+
+    res.json({ success: true, classrooms });
+  })
+);
+
+/**
+ * POST /api/classrooms/join
+ * Join a classroom with its join code (student)
+ */
+router.post(
+  "/join",
+  authenticateUser,
+  catchAsync(async (req, res) => {
+    const classroom = await ClassroomService.joinByCode(
+      req.student,
+      req.body.joinCode
+    );
+
+    res.json({
+      success: true,
+      classroom: {
+        id: classroom._id,
+        name: classroom.name,
+        description: classroom.description,
+      },
+      message: `Joined ${classroom.name}`,
+    });
+  })
+);
+
+/**
+ * GET /api/classrooms/invites
+ * Classrooms that invited the student and await an answer (student)
+ */
+router.get(
+  "/invites",
+  authenticateUser,
+  catchAsync(async (req, res) => {
+    const invites = await ClassroomService.getStudentInvites(req.student._id);
+
+    res.json({ success: true, invites });
+  })
+);
+
+/**
+ * GET /api/classrooms/:classroomId
+ * Owner sees the full roster; members see the classroom details
+ */
+router.get(
+  "/:classroomId",
+  authenticateAny,
+  catchAsync(async (req, res) => {
+    if (req.role === "teacher") {
+      const classroom = await ClassroomService.getTeacherClassroom(
+        req.params.classroomId,
+        req.teacher._id
+      );
+      await classroom.populate(
+        "students",
+        "studentId name email currentLevel stats"
+      );
+      await classroom.populate("invitedStudents", "studentId name");
+
+      return res.json({ success: true, classroom });
+    }
+
+    const classroom = await Classroom.findOne({
+      _id: req.params.classroomId,
+      students: req.student._id,
+    })
+      .populate("teacherId", "name email")
+      .select("-joinCode -students -invitedStudents");
+
+    if (!classroom) {
+      throw createError("NOT_FOUND", "Classroom not found");
+    }
+
+    res.json({ success: true, classroom });
+  })
+);
+
+/**
+ * PATCH /api/classrooms/:classroomId
+ * Update name, description, grade scale, English variant, joining or archive
+ * state (teacher)
+ */
+router.patch(
+  "/:classroomId",
+  authenticateTeacher,
+  catchAsync(async (req, res) => {
+    const classroom = await ClassroomService.getTeacherClassroom(
+      req.params.classroomId,
+      req.teacher._id
+    );
+
+    ["name", "description", "joinEnabled", "archived"].forEach((field) => {
+      if (req.body[field] !== undefined) classroom[field] = req.body[field];
+    });
+
+    if (req.body.gradeScale !== undefined) {
+      classroom.gradeScale = GradeScaleService.normalizeScaleKey(
+        req.body.gradeScale
+      );
+    }
+
+    if (req.body.englishVariant !== undefined) {
+      classroom.englishVariant = EnglishVariantService.normalizeVariant(
+        req.body.englishVariant
+      );
+    }
+
+    await classroom.save();
+
+    res.json({ success: true, classroom });
+  })
+);
+
+/**
+ * POST /api/classrooms/:classroomId/join-code
+ * Issue a new join code; the old one stops working (teacher)
+ */
+router.post(
+  "/:classroomId/join-code",
+  authenticateTeacher,
+  catchAsync(async (req, res) => {
+    const classroom = await ClassroomService.getTeacherClassroom(
+      req.params.classroomId,
+      req.teacher._id
+    );
+
+    await ClassroomService.regenerateJoinCode(classroom);
+
+    res.json({ success: true, joinCode: classroom.joinCode });
+  })
+);
+
+/**
+ * POST /api/classrooms/:classroomId/students
+ * Invite students by studentId: { studentIds: [...] } (teacher)
+ * They join the roster once they accept (POST /:classroomId/invite/accept)
+ */
+router.post(
+  "/:classroomId/students",
+  authenticateTeacher,
+  catchAsync(async (req, res) => {
+    const classroom = await ClassroomService.getTeacherClassroom(
+      req.params.classroomId,
+      req.teacher._id
+    );
+
+    const { invited, alreadyEnrolled, notFound } =
+      await ClassroomService.inviteStudents(classroom, req.body.studentIds);
+
+    res.json({
+      success: true,
+      invited,
+      alreadyEnrolled,
+      notFound,
+      studentCount: classroom.students.length,
+      pendingInvites: classroom.invitedStudents.length,
+    });
+  })
+);
+
+/**
+ * DELETE /api/classrooms/:classroomId/students/:studentId
+ * Remove a student from the roster, or withdraw their invite (teacher)
+ */
+router.delete(
+  "/:classroomId/students/:studentId",
+  authenticateTeacher,
+  catchAsync(async (req, res) => {
+    const classroom = await ClassroomService.getTeacherClassroom(
+      req.params.classroomId,
+      req.teacher._id
+    );
+
+    await ClassroomService.removeStudent(classroom, req.params.studentId);
+
+    res.json({ success: true, studentCount: classroom.students.length });
+  })
+);
+
+/**
+ * POST /api/classrooms/:classroomId/invite/accept
+ * Accept a teacher's invite and join the classroom (student)
+ */
+router.post(
+  "/:classroomId/invite/accept",
+  authenticateUser,
+  catchAsync(async (req, res) => {
+    const classroom = await ClassroomService.acceptInvite(
+      req.student,
+      req.params.classroomId
+    );
+
+    res.json({
+      success: true,
+      classroom: {
+        id: classroom._id,
+        name: classroom.name,
+        description: classroom.description,
+      },
+      message: `Joined ${classroom.name}`,
+    });
+  })
+);
+
+/**
+ * POST /api/classrooms/:classroomId/invite/decline
+ * Decline a teacher's invite (student)
+ */
+router.post(
+  "/:classroomId/invite/decline",
+  authenticateUser,
+  catchAsync(async (req, res) => {
+    await ClassroomService.declineInvite(req.student, req.params.classroomId);
+
+    res.json({ success: true, message: "Invitation declined" });
+  })
+);
+
+/**
+ * POST /api/classrooms/:classroomId/leave
+ * Leave a classroom (student)
+ */
+router.post(
+  "/:classroomId/leave",
+  authenticateUser,
+  catchAsync(async (req, res) => {
+    await ClassroomService.leaveClassroom(
+      req.student,
+      req.params.classroomId
+    );
+
+    res.json({ success: true, message: "Left classroom" });
+  })
+);
+
+/**
+ * GET /api/classrooms/:classroomId/essays
+ * Recent essays from everyone on the roster (teacher)
+ */
+router.get(
+  "/:classroomId/essays",
+  authenticateTeacher,
+  catchAsync(async (req, res) => {
+    const classroom = await ClassroomService.getTeacherClassroom(
+      req.params.classroomId,
+      req.teacher._id
+    );
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    const essays = await Essay.find({ studentId: { $in: classroom.students } })
+      .sort({ submittedAt: -1 })
+      .limit(limit)
+      .populate("studentId", "name studentId")
+      .select(
+        "title status submittedAt gradedAt grading.finalScore grading.grade studentId"
+      );
+
+    res.json({ success: true, essays });
+  })
+);
+
+/**
+ * GET /api/classrooms/:classroomId/dictionary
+ * Shared spelling dictionary for the classroom (teacher)
+ */
+router.get(
+  "/:classroomId/dictionary",
+  authenticateTeacher,
+  catchAsync(async (req, res) => {
+    const classroom = await ClassroomService.getTeacherClassroom(
+      req.params.classroomId,
+      req.teacher._id
+    );
+
+    const words = await SpellingDictionaryService.getWords(
+      "classroom",
+      classroom._id
+    );
+
+    res.json({ success: true, words });
+  })
+);
+
+/**
+ * POST /api/classrooms/:classroomId/dictionary
+ * Add names, places or course terms: { words: [...] } (teacher)
+ */
+router.post(
+  "/:classroomId/dictionary",
+  authenticateTeacher,
+  catchAsync(async (req, res) => {
+    const classroom = await ClassroomService.getTeacherClassroom(
+      req.params.classroomId,
+      req.teacher._id
+    );
+
+    const { added, words } = await SpellingDictionaryService.addWords(
+      "classroom",
+      classroom._id,
+      req.body.words ?? req.body.word
+    );
+
+    res.json({ success: true, added, words });
+  })
+);
+
+/**
+ * DELETE /api/classrooms/:classroomId/dictionary/:word
+ * Remove a word from the shared dictionary (teacher)
+ */
+router.delete(
+  "/:classroomId/dictionary/:word",
+  authenticateTeacher,
+  catchAsync(async (req, res) => {
+    const classroom = await ClassroomService.getTeacherClassroom(
+      req.params.classroomId,
+      req.teacher._id
+    );
+
+    const words = await SpellingDictionaryService.removeWord(
+      "classroom",
+      classroom._id,
+      req.params.word
+    );
+
+    res.json({ success: true, words });
+  })
+);
+
+module.exports = router;
@@ -6,18 +6,31 @@ const { createError } = require("../utils/errorResponse");
 const EssayGradingService = require("../services/EssayGradingService");
 const PlagiarismDetector = require("../services/PlagiarismDetector");
 const OCRService = require("../services/OCRService");
-const DocumentParser = require("../services/DocumentParser");
+const TextExtractionService = require("../services/TextExtractionService");
+const OcrReviewService = require("../services/OcrReviewService");
+const GradingQueueService = require("../services/GradingQueueService");
+const GradingEventBus = require("../services/GradingEventBus");
+const AssignmentService = require("../services/AssignmentService");
+const RevisionService = require("../services/RevisionService");
+const SpellingDictionaryService = require("../services/SpellingDictionaryService");
+const StorageService = require("../services/StorageService");
+const ClassroomService = require("../services/ClassroomService");
+const storageConfig = require("../config/storage");
 const Essay = require("../models/Essay");
+const Assignment = require("../models/Assignment");
 const path = require("path");
-const { authenticateUser } = require("../middleware/authMiddleware");
+const {
+  authenticateUser,
+  authenticateAny,
+  allowQueryToken,
+} = require("../middleware/authMiddleware");
 const AchievementService = require("../services/AchievementService");
 const fs = require("fs").promises;
 
 const storage = multer.diskStorage({
   destination: async (req, file, cb) => {
-    const uploadDir = path.join(__dirname, "../uploads");
-    await fs.mkdir(uploadDir, { recursive: true });
-    cb(null, uploadDir);
+    await fs.mkdir(storageConfig.uploadDir, { recursive: true });
+    cb(null, storageConfig.uploadDir);
   },
   filename: (req, file, cb) => {
     const uniqueName = `${Date.now()}-${Math.round(
@@ -55,150 +68,78 @@ const upload = multer({
 /**
  * POST /api/essays/grade
  * Grade an uploaded essay with title
+ * Pass async=true (query or form field) to queue the essay and poll for progress
+ * Pass assignmentId to submit against an assignment (deadline, file type and word limits apply)
+ * Pass review=true to queue the essay and pause after OCR until the student
+ * reviews low-confidence words (POST /api/essays/:essayId/ocr-corrections)
+ * Handwritten essays may be uploaded as several "essay" images, in page order
+ * Uploads are kept as the essay's originals (GET /api/essays/:essayId/original)
  */
 router.post(
   "/grade",
   authenticateUser,
-  upload.single("essay"),
+  upload.array("essay", TextExtractionService.maxPages),
   catchAsync(async (req, res) => {
-    let filePath = null;
-
     try {
-      if (!req.file) {
+      if (!req.files?.length) {
         throw createError("BAD_REQUEST", "No file uploaded");
       }
 
-      filePath = req.file.path;
-      let fileType = req.file.mimetype;
+      const files = req.files;
+      const [firstFile] = files;
+
+      // ===== ASSIGNMENT RULES =====
+      let assignment = null;
+      let submission = null;
+      if (req.body.assignmentId) {
+        ({ assignment, submission } = await AssignmentService.prepareSubmission(
+          req.body.assignmentId,
+          req.student,
+          firstFile.mimetype,
+          TextExtractionService.getFileType(firstFile.mimetype)
+        ));
+      }
 
-      console.log(`Processing file: ${filePath}, Type: ${fileType}`);
       console.log(`Essay title: ${req.body.title || "Untitled"}`);
 
-      let extractedText = "";
-      let confidence = 95; // Default for non-image files
-      let warnings = [];
-      let ocrSource = "document_parser";
-      let ocrCorrections = null;
-      let essayStructure = null;
-      let originalText = null;
-      let titleValidation = null;
-
-      // ===== TEXT EXTRACTION =====
-      if (fileType.startsWith("image/")) {
-        console.log("Processing as handwritten image...");
-
-        const ocrResult = await OCRService.processImage(
-          filePath,
-          req.body.title
-        );
-
-        extractedText = ocrResult.text; // Content-only text
-        originalText = ocrResult.originalText; // Full text with structure
-        confidence = ocrResult.confidence;
-        warnings = ocrResult.warnings;
-        ocrSource = ocrResult.source;
-        ocrCorrections = ocrResult.corrections;
-        essayStructure = ocrResult?.structure || {
-          title: null,
-          sections: [],
-          paragraphs: [],
-        };
-        titleValidation = ocrResult.titleValidation;
-
-        fileType = "handwritten";
-
-        console.log(`${ocrSource.toUpperCase()} OCR completed`);
-        console.log(`   Confidence: ${confidence}%`);
-        console.log(`   Content length: ${extractedText.length} characters`);
-        console.log(`   Original length: ${originalText.length} characters`);
-
-        // Log title validation
-        if (titleValidation) {
-          console.log(
-            `   Title validation: ${
-              titleValidation.matched ? "✅ MATCH" : "⚠️ MISMATCH"
-            }`
-          );
-          if (!titleValidation.matched && titleValidation.reason) {
-            console.log(`   Reason: ${titleValidation.reason}`);
-          }
-        }
-      } else {
-        console.log(`Processing as ${fileType} with structure detection...`);
-
-        // Use the universal document parser for all non-image files
-        const documentResult = await DocumentParser.parseDocumentWithStructure(
-          filePath
-        );
-        extractedText = documentResult.text;
-        essayStructure = documentResult.structure;
-        originalText = documentResult.text;
-        documentMetadata = documentResult.metadata;
-        fileType = fileType.includes('pdf') ? 'pdf' : 
-             fileType.includes('word') ? 'word' : 'text';
-
-        console.log(`${fileType.toUpperCase()} structure detection complete`);
-        console.log(`   Title: ${essayStructure.title || "None"}`);
-        console.log(`   Sections: ${essayStructure.sections.length}`);
-        console.log(`   Paragraphs: ${essayStructure.paragraphs.length}`);
+      // ===== BACKGROUND MODE =====
+      const reviewOcr =
+        req.query.review === "true" || req.body.review === "true";
+      if (
+        reviewOcr ||
+        req.query.async === "true" ||
+        req.body.async === "true"
+      ) {
+        const { essay, job } = await GradingQueueService.enqueue({
+          studentId: req.student._id,
+          files,
+          title: req.body.title,
+          assignmentId: assignment?._id,
+          submission,
+          reviewOcr,
+        });
+
+        return res.status(202).json({
+          success: true,
+          jobId: job._id,
+          essayId: essay._id,
+          status: essay.status,
+          statusUrl: `/api/essays/jobs/${job._id}`,
+        });
       }
 
-      // else if (fileType === "application/pdf") {
-      //   extractedText = await DocumentParser.parsePDF(filePath);
-      //   confidence = 95;
-      //   extractedText = result.text;
-      //   essayStructure = result.structure;
-      //   originalText = result.text;
-      //   fileType = "pdf";
-      // } else if (
-      //   fileType ===
-      //   "application/vnd.openxmlformats-officedocument.wordprocessingml.document"
-      // ) {
-      //   extractedText = await DocumentParser.parseWord(filePath);
-      //   confidence = 95;
-      //   extractedText = result.text;
-      //   essayStructure = result.structure;
-      //   originalText = result.text;
-      //   fileType = "word";
-      // } else if (fileType === "text/plain") {
-      //   extractedText = await DocumentParser.parseText(filePath);
-      //   confidence = 98;
-      //   extractedText = result.text;
-      //   essayStructure = result.structure;
-      //   originalText = result.text;
-      //   fileType = "text";
-      // } else {
-      //   throw createError("BAD_REQUEST", "Unsupported file type");
-      // }
-
-      if (!extractedText || extractedText.trim().length < 20) {
-        throw createError(
-          "BAD_REQUEST",
-          "Insufficient text extracted. Please ensure clear handwriting and a readable image.",
-          { minLength: 20, extractedLength: extractedText?.length || 0 }
-        );
-      }
+      // ===== TEXT EXTRACTION =====
+      const extraction = await TextExtractionService.extractFiles(
+        files,
+        req.body.title
+      );
+      const { extractedText, essayStructure } = extraction;
 
-      // Determine final title with validation info
-      let finalTitle =
-        req.body.title || essayStructure?.title || "Untitled Essay";
-
-      // If title validation failed but we detected a title, add warning
-      if (fileType.startsWith("image/")) {
-        if (
-          titleValidation &&
-          !titleValidation.matched &&
-          essayStructure?.title
-        ) {
-          warnings.push({
-            type: "title_mismatch",
-            message: "Uploaded essay title doesn't match provided title",
-            severity: "medium",
-            providedTitle: req.body.title,
-            detectedTitle: essayStructure.title,
-            suggestion: "Please verify you uploaded the correct essay",
-          });
-        }
+      if (assignment) {
+        submission = {
+          ...submission,
+          ...AssignmentService.checkWordCount(assignment, extractedText),
+        };
       }
 
       console.log("🔄 Starting essay grading...");
@@ -206,18 +147,29 @@ router.post(
       // First grade the essay
       const gradingResult = await EssayGradingService.gradeEssay({
         text: extractedText, // Content-only for analysis
-        originalText: originalText, // Full text for display
+        originalText: extraction.originalText, // Full text for display
         studentId: req.student._id,
-        title: req.body.title || essayStructure.title || "Untitled Essay",
-        fileType: fileType,
-        ocrConfidence: confidence,
-        ocrCorrections: ocrCorrections,
+        title:
+          req.body.title ||
+          essayStructure.title ||
+          assignment?.title ||
+          "Untitled Essay",
+        fileType: extraction.fileType,
+        ocrConfidence: extraction.confidence,
+        ocrCorrections: extraction.ocrCorrections,
+        ocrWords: extraction.ocrWords,
+        ocrReview: extraction.ocrReview,
         structure: essayStructure,
+        assignmentId: assignment?._id,
+        submission,
       });
 
       console.log("✅ Essay grading completed");
 
-      const studentMongoId = req.student._id;
+      const originals = await StorageService.saveOriginals(
+        gradingResult.essay._id,
+        files
+      );
 
       // Run plagiarism detection
       const plagiarismResults = await PlagiarismDetector.detectPlagiarism(
@@ -230,19 +182,10 @@ router.post(
         // Essay object with all data
         essay: {
           ...gradingResult.essay,
+          originals,
           // Add these for convenience (but they're already in essay object)
-          textExtraction: {
-            method: ocrSource,
-            confidence: confidence,
-            wordCount: extractedText.split(/\s+/).length,
-            corrections: ocrCorrections,
-            warnings: warnings,
-            titleValidation: titleValidation,
-            engine:
-              ocrSource === "google_vision"
-                ? "Google Cloud Vision"
-                : "Tesseract",
-          },
+          textExtraction:
+            TextExtractionService.buildTextExtractionSummary(extraction),
           plagiarism: plagiarismResults,
         },
         // Student and level info
@@ -256,19 +199,51 @@ router.post(
     } catch (error) {
       console.error("Essay grading error:", error);
       throw error; // Let the global error handler catch it
-    } finally {
-      if (filePath) {
-        try {
-          await fs.unlink(filePath);
-          console.log("✅ Uploaded file cleaned up");
-        } catch (cleanupError) {
-          console.warn("File cleanup error:", cleanupError);
-        }
-      }
     }
   })
 );
 
+/**
+ * GET /api/essays/jobs/:jobId
+ * Poll a background grading job (Protected - own jobs only)
+ */
+router.get(
+  "/jobs/:jobId",
+  authenticateUser,
+  catchAsync(async (req, res) => {
+    const job = await GradingQueueService.getJob(
+      req.params.jobId,
+      req.student._id
+    );
+
+    if (!job) {
+      throw createError("NOT_FOUND", "Grading job not found");
+    }
+
+    res.json({ success: true, job: GradingQueueService.formatJob(job) });
+  })
+);
+
+/**
+ * POST /api/essays/jobs/:jobId/retry
+ * Re-queue a failed grading job
+ */
+router.post(
+  "/jobs/:jobId/retry",
+  authenticateUser,
+  catchAsync(async (req, res) => {
+    const job = await GradingQueueService.retry(
+      req.params.jobId,
+      req.student._id
+    );
+
+    res.status(202).json({
+      success: true,
+      job: GradingQueueService.formatJob(job),
+    });
+  })
+);
+
 /**
  * GET /api/essays/student/:studentId
  * Get student essays (Protected - user can only access their own essays)
@@ -297,6 +272,395 @@ router.get(
   })
 );
 
+/**
+ * GET /api/essays/:essayId/status
+ * Grading status of an essay with per-stage progress
+ */
+router.get(
+  "/:essayId/status",
+  authenticateUser,
+  catchAsync(async (req, res) => {
+    const essay = await Essay.findOne({
+      _id: req.params.essayId,
+      studentId: req.student._id,
+    }).select(
+      "status title submittedAt gradedAt grading.finalScore grading.grade ocrWords"
+    );
+
+    if (!essay) {
+      throw createError("NOT_FOUND", "Essay not found");
+    }
+
+    const job = await GradingQueueService.getLatestJobForEssay(essay._id);
+
+    res.json({
+      success: true,
+      essayId: essay._id,
+      status: essay.status,
+      title: essay.title,
+      submittedAt: essay.submittedAt,
+      gradedAt: essay.gradedAt,
+      grading: essay.status === "graded" ? essay.grading : null,
+      uncertainWords:
+        essay.status === "awaiting_review"
+          ? OcrReviewService.getReviewList(essay.ocrWords)
+          : [],
+      job: job ? GradingQueueService.formatJob(job) : null,
+    });
+  })
+);
+
+/**
+ * POST /api/essays/:essayId/ocr-corrections
+ * Confirm or fix low-confidence OCR words, then resume grading
+ * Body: { corrections: [{ index, text }] } (omit text to confirm a word)
+ */
+router.post(
+  "/:essayId/ocr-corrections",
+  authenticateUser,
+  catchAsync(async (req, res) => {
+    const essay = await Essay.exists({
+      _id: req.params.essayId,
+      studentId: req.student._id,
+    });
+
+    if (!essay) {
+      throw createError("NOT_FOUND", "Essay not found");
+    }
+
+    const { job, corrections } = await GradingQueueService.submitOcrReview(
+      req.params.essayId,
+      req.student._id,
+      req.body.corrections || []
+    );
+
+    res.status(202).json({
+      success: true,
+      essayId: job.essayId,
+      corrections,
+      job: GradingQueueService.formatJob(job),
+      statusUrl: `/api/essays/jobs/${job._id}`,
+    });
+  })
+);
+
+/**
+ * GET /api/essays/:essayId/events
+ * Server-Sent Events stream of grading progress (stage started/completed + partial results)
+ * Supports ?token= for EventSource clients and Last-Event-ID for reconnects
+ */
+router.get(
+  "/:essayId/events",
+  allowQueryToken,
+  authenticateUser,
+  catchAsync(async (req, res) => {
+    const essay = await Essay.findOne({
+      _id: req.params.essayId,
+      studentId: req.student._id,
+    }).select(
+      "status grading.finalScore grading.grade grading.gradeDescription"
+    );
+
+    if (!essay) {
+      throw createError("NOT_FOUND", "Essay not found");
+    }
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+
+    // Synthetic events carry no id, so a reconnect resumes from the last
+    // real event the client saw
+    const send = (event) => {
+      if (event.id !== undefined) res.write(`id: ${event.id}\n`);
+      res.write(`event: ${event.type}\n`);
+      res.write(`data: ${JSON.stringify(event)}\n\n`);
+      // compression() buffers responses unless flushed
+      if (typeof res.flush === "function") res.flush();
+    };
+
+    // Already finished - report the outcome and close
+    if (essay.status === "graded" || essay.status === "error") {
+      const job = await GradingQueueService.getLatestJobForEssay(essay._id);
+      send({
+        type: essay.status === "graded" ? "grading.completed" : "grading.failed",
+        essayId: essay._id.toString(),
+        data:
+          essay.status === "graded"
+            ? {
+                finalScore: essay.grading?.finalScore,
+                grade: essay.grading?.grade,
+                gradeDescription: essay.grading?.gradeDescription,
+              }
+            : { error: job?.lastError?.message || "Grading failed" },
+        timestamp: new Date().toISOString(),
+      });
+      return res.end();
+    }
+
+    // Snapshot of progress so far, then replay anything the client missed
+    const job = await GradingQueueService.getLatestJobForEssay(essay._id);
+    send({
+      type: "snapshot",
+      essayId: essay._id.toString(),
+      data: {
+        status: essay.status,
+        job: job ? GradingQueueService.formatJob(job) : null,
+      },
+      timestamp: new Date().toISOString(),
+    });
+
+    const lastEventId = parseInt(req.get("Last-Event-ID"), 10) || 0;
+    let finished = false;
+
+    const handleEvent = (event) => {
+      if (finished) return;
+      send(event);
+
+      if (GradingEventBus.isTerminal(event.type)) {
+        finished = true;
+        cleanup();
+        res.end();
+      }
+    };
+
+    const heartbeat = setInterval(() => {
+      res.write(": heartbeat\n\n");
+      if (typeof res.flush === "function") res.flush();
+    }, 15000);
+
+    const unsubscribe = GradingEventBus.subscribe(essay._id, handleEvent);
+
+    const cleanup = () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    };
+
+    req.on("close", cleanup);
+
+    GradingEventBus.getHistory(essay._id, lastEventId).forEach(handleEvent);
+  })
+);
+
+/**
+ * POST /api/essays/:essayId/revisions
+ * Grade a revised version of a graded essay and compare it with the original
+ * Returns a paragraph-aligned diff, fixed/persisting errors and score movement
+ */
+router.post(
+  "/:essayId/revisions",
+  authenticateUser,
+  upload.array("essay", TextExtractionService.maxPages),
+  catchAsync(async (req, res) => {
+    const files = req.files || [];
+
+    if (!files.length) {
+      throw createError("BAD_REQUEST", "No file uploaded");
+    }
+
+    const { parent, revision } = await RevisionService.getRevisionContext(
+      req.params.essayId,
+      req.student._id
+    );
+
+    // Revisions are graded against the same assignment as the original
+    let assignment = null;
+    let submission = parent.toObject().submission;
+    if (parent.assignmentId) {
+      assignment = await Assignment.findById(parent.assignmentId);
+    }
+
+    const extraction = await TextExtractionService.extractFiles(
+      files,
+      req.body.title
+    );
+    const { extractedText, essayStructure } = extraction;
+
+    if (assignment) {
+      submission = {
+        ...submission,
+        ...AssignmentService.checkWordCount(assignment, extractedText),
+      };
+    }
+
+    const gradingResult = await EssayGradingService.gradeEssay({
+      text: extractedText,
+      originalText: extraction.originalText,
+      studentId: req.student._id,
+      title: req.body.title || essayStructure.title || parent.title,
+      fileType: extraction.fileType,
+      ocrConfidence: extraction.confidence,
+      ocrCorrections: extraction.ocrCorrections,
+      ocrWords: extraction.ocrWords,
+      ocrReview: extraction.ocrReview,
+      structure: essayStructure,
+      assignmentId: assignment?._id,
+      submission,
+      revision,
+    });
+
+    const comparison = RevisionService.compareEssays(
+      parent,
+      gradingResult.essay
+    );
+
+    const originals = await StorageService.saveOriginals(
+      gradingResult.essay._id,
+      files
+    );
+
+    await Essay.updateOne(
+      { _id: gradingResult.essay._id },
+      { $set: { "revision.comparison": comparison } }
+    );
+
+    const { achievements } = gradingResult;
+    const revisionBadgeUnlocked = await AchievementService.trackRevision(
+      req.student._id,
+      gradingResult.essay._id,
+      comparison.summary.improved
+    );
+    if (revisionBadgeUnlocked && achievements.unlocked) {
+      achievements.unlocked.push("ACHV_017");
+      achievements.newAchievements?.push(
+        AchievementService.getBadgeInfo("ACHV_017")
+      );
+    }
+
+    res.status(201).json({
+      success: true,
+      essay: {
+        ...gradingResult.essay,
+        originals,
+        revision: { ...revision, comparison },
+      },
+      comparison,
+      studentLevel: gradingResult.studentLevel,
+      levelUpdate: gradingResult.levelUpdate,
+      achievements,
+      qualityBreakdown: gradingResult.qualityBreakdown,
+    });
+  })
+);
+
+/**
+ * GET /api/essays/:essayId/revisions
+ * Every version in the essay's revision chain, oldest first
+ */
+router.get(
+  "/:essayId/revisions",
+  authenticateUser,
+  catchAsync(async (req, res) => {
+    const essay = await Essay.findOne({
+      _id: req.params.essayId,
+      studentId: req.student._id,
+    }).select("studentId revision.rootEssayId");
+
+    if (!essay) {
+      throw createError("NOT_FOUND", "Essay not found");
+    }
+
+    const versions = await RevisionService.getRevisionChain(essay);
+
+    res.json({ success: true, versions });
+  })
+);
+
+/**
+ * GET /api/essays/:essayId/original?page=1
+ * Download the uploaded file the essay was graded from (one page at a time)
+ * For the student who wrote it and teachers of their classrooms
+ */
+router.get(
+  "/:essayId/original",
+  allowQueryToken,
+  authenticateAny,
+  catchAsync(async (req, res) => {
+    const essay = await Essay.findById(req.params.essayId).select(
+      "studentId originals"
+    );
+
+    const allowed =
+      essay &&
+      (req.role === "teacher"
+        ? (
+            await ClassroomService.getTeacherStudentIds(req.teacher._id)
+          ).includes(essay.studentId.toString())
+        : essay.studentId.equals(req.student._id));
+
+    if (!allowed) {
+      throw createError("NOT_FOUND", "Essay not found");
+    }
+
+    const { original, stream } = await StorageService.openOriginal(
+      essay,
+      req.query.page
+    );
+
+    res.attachment(original.originalName || path.basename(original.key));
+    res.set({
+      "Content-Type": original.mimetype || "application/octet-stream",
+      "Cache-Control": "private, max-age=3600",
+      ETag: `"${original.sha256}"`,
+    });
+    if (original.size) res.set("Content-Length", String(original.size));
+
+    stream.on("error", (error) => {
+      console.error("Original download error:", error.message);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  })
+);
+
+/**
+ * POST /api/essays/:essayId/spelling/ignore
+ * "Ignore this word": add it to the student's dictionary and clear it from
+ * this essay's spelling errors. Later essays will not flag it. Body: { word }
+ */
+router.post(
+  "/:essayId/spelling/ignore",
+  authenticateUser,
+  catchAsync(async (req, res) => {
+    const essay = await Essay.findOne({
+      _id: req.params.essayId,
+      studentId: req.student._id,
+    }).select("feedback.spellingErrors");
+
+    if (!essay) {
+      throw createError("NOT_FOUND", "Essay not found");
+    }
+
+    const [word] = SpellingDictionaryService.normalizeWords(req.body.word);
+    const { added } = await SpellingDictionaryService.addWords(
+      "student",
+      req.student._id,
+      word
+    );
+
+    const previous = essay.feedback?.spellingErrors || [];
+    const spellingErrors = previous.filter(
+      (error) => !error.word || error.word.toLowerCase() !== word
+    );
+    const removed = previous.length - spellingErrors.length;
+    if (removed > 0) {
+      essay.set("feedback.spellingErrors", spellingErrors);
+      await essay.save();
+    }
+
+    res.json({
+      success: true,
+      word,
+      addedToDictionary: added.length > 0,
+      removedErrors: removed,
+    });
+  })
+);
+
 /**
  * GET /api/essays/:essayId
  * Get specific essay with achievements (Protected - user can only access their own essays)
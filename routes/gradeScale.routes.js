@@ -0,0 +1,14 @@
+const express = require("express");
+const router = express.Router();
+const GradeScaleService = require("../services/GradeScaleService");
+const { authenticateAny } = require("../middleware/authMiddleware");
+
+/**
+ * GET /api/grade-scales
+ * Grade scales a classroom or assignment can select
+ */
+router.get("/", authenticateAny, (req, res) => {
+  res.json({ success: true, scales: GradeScaleService.listScales() });
+});
+
+module.exports = router;
@@ -0,0 +1,73 @@
+const express = require("express");
+const router = express.Router();
+const { catchAsync } = require("../utils/catchAsync");
+const RubricService = require("../services/RubricService");
+const { authenticateTeacher } = require("../middleware/authMiddleware");
+
+/**
+ * GET /api/rubrics
+ * Built-in default rubric plus the teacher's own rubrics
+ */
+router.get(
+  "/",
+  authenticateTeacher,
+  catchAsync(async (req, res) => {
+    const rubrics = await RubricService.listTeacherRubrics(req.teacher._id);
+
+    res.json({ success: true, rubrics });
+  })
+);
+
+/**
+ * POST /api/rubrics
+ * Create a rubric; omitted sections start from the default rubric
+ */
+router.post(
+  "/",
+  authenticateTeacher,
+  catchAsync(async (req, res) => {
+    const rubric = await RubricService.createRubric(req.teacher._id, req.body);
+
+    res.status(201).json({ success: true, rubric });
+  })
+);
+
+/**
+ * GET /api/rubrics/:rubricId
+ * A rubric by id ("default" for the built-in one)
+ */
+router.get(
+  "/:rubricId",
+  authenticateTeacher,
+  catchAsync(async (req, res) => {
+    const rubric = RubricService.isDefaultId(req.params.rubricId)
+      ? RubricService.getDefaultRubric()
+      : await RubricService.getTeacherRubric(
+          req.params.rubricId,
+          req.teacher._id
+        );
+
+    res.json({ success: true, rubric });
+  })
+);
+
+/**
+ * PATCH /api/rubrics/:rubricId
+ * Update a rubric (scoring changes bump its version)
+ */
+router.patch(
+  "/:rubricId",
+  authenticateTeacher,
+  catchAsync(async (req, res) => {
+    const rubric = await RubricService.getTeacherRubric(
+      req.params.rubricId,
+      req.teacher._id
+    );
+
+    await RubricService.updateRubric(rubric, req.body);
+
+    res.json({ success: true, rubric });
+  })
+);
+
+module.exports = router;
@@ -3,6 +3,10 @@ const router = express.Router();
 const { authenticateUser } = require("../middleware/authMiddleware");
 const Student = require("../models/Student");
 const { createError } = require("../utils/errorResponse");
+const { catchAsync } = require("../utils/catchAsync");
+const NotificationService = require("../services/NotificationService");
+const SpellingDictionaryService = require("../services/SpellingDictionaryService");
+const EnglishVariantService = require("../services/EnglishVariantService");
 
 /**
  * GET /api/students/
@@ -22,6 +26,7 @@ router.get("/", authenticateUser, async (req, res) => {
         id: student.studentId,
         name: student.name,
         level: student.currentLevel,
+        englishVariant: student.englishVariant,
         stats: student.stats,
         performanceMetrics: student.performanceMetrics,
         levelHistory: student.levelHistory.slice(-5), // Last 5 level changes
@@ -47,7 +52,10 @@ router.get("/progress", authenticateUser, async (req, res) => {
     }
 
     const Essay = require("../models/Essay");
-    const essays = await Essay.find({ studentId: student._id })
+    const essays = await Essay.find({
+      studentId: student._id,
+      status: "graded",
+    })
       .sort({ submittedAt: 1 })
       .select("grading.finalScore grading.qualityScores submittedAt");
 
@@ -72,4 +80,129 @@ router.get("/progress", authenticateUser, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/students/english-variants
+ * English variants a student or classroom can write in
+ */
+router.get(
+  "/english-variants",
+  authenticateUser,
+  catchAsync(async (req, res) => {
+    res.json({
+      success: true,
+      variants: EnglishVariantService.listVariants(),
+      defaultVariant: EnglishVariantService.defaultVariant,
+    });
+  })
+);
+
+/**
+ * PATCH /api/students/settings
+ * Update the student's own settings: { englishVariant } (null = classroom's)
+ */
+router.patch(
+  "/settings",
+  authenticateUser,
+  catchAsync(async (req, res) => {
+    if (req.body.englishVariant === undefined) {
+      throw createError("BAD_REQUEST", "No settings to update");
+    }
+
+    req.student.englishVariant = EnglishVariantService.normalizeVariant(
+      req.body.englishVariant
+    );
+    await req.student.save();
+
+    res.json({
+      success: true,
+      settings: { englishVariant: req.student.englishVariant },
+    });
+  })
+);
+
+/**
+ * GET /api/students/notifications
+ * Student notifications (?unread=true for unread only)
+ */
+router.get(
+  "/notifications",
+  authenticateUser,
+  catchAsync(async (req, res) => {
+    const { notifications, unreadCount } =
+      await NotificationService.getStudentNotifications(req.student._id, {
+        unreadOnly: req.query.unread === "true",
+      });
+
+    res.json({ success: true, notifications, unreadCount });
+  })
+);
+
+/**
+ * POST /api/students/notifications/read
+ * Mark notifications as read: { ids: [...] } (omit ids to mark all)
+ */
+router.post(
+  "/notifications/read",
+  authenticateUser,
+  catchAsync(async (req, res) => {
+    const ids = Array.isArray(req.body.ids) ? req.body.ids : [];
+    const updated = await NotificationService.markRead(req.student._id, ids);
+
+    res.json({ success: true, updated });
+  })
+);
+
+/**
+ * GET /api/students/dictionary
+ * Words the spelling checker accepts for this student
+ */
+router.get(
+  "/dictionary",
+  authenticateUser,
+  catchAsync(async (req, res) => {
+    const words = await SpellingDictionaryService.getWords(
+      "student",
+      req.student._id
+    );
+
+    res.json({ success: true, words });
+  })
+);
+
+/**
+ * POST /api/students/dictionary
+ * Add words to the personal dictionary: { words: [...] } or { word }
+ */
+router.post(
+  "/dictionary",
+  authenticateUser,
+  catchAsync(async (req, res) => {
+    const { added, words } = await SpellingDictionaryService.addWords(
+      "student",
+      req.student._id,
+      req.body.words ?? req.body.word
+    );
+
+    res.json({ success: true, added, words });
+  })
+);
+
+/**
+ * DELETE /api/students/dictionary/:word
+ * Remove a word from the personal dictionary
+ */
+router.delete(
+  "/dictionary/:word",
+  authenticateUser,
+  catchAsync(async (req, res) => {
+    const words = await SpellingDictionaryService.removeWord(
+      "student",
+      req.student._id,
+      req.params.word
+    );
+
+    res.json({ success: true, words });
+  })
+);
+
 module.exports = router;
@@ -0,0 +1,342 @@
+const express = require("express");
+const router = express.Router();
+const { catchAsync } = require("../utils/catchAsync");
+const { createError } = require("../utils/errorResponse");
+const Teacher = require("../models/Teacher");
+const Essay = require("../models/Essay");
+const Student = require("../models/Student");
+const Classroom = require("../models/Classroom");
+const ClassroomService = require("../services/ClassroomService");
+const AnalyticsService = require("../services/AnalyticsService");
+const GradeOverrideService = require("../services/GradeOverrideService");
+const { generateTeacherToken } = require("../utils/tokens/getToken");
+const { authenticateTeacher } = require("../middleware/authMiddleware");
+
+const formatTeacher = (teacher) => ({
+  id: teacher.teacherId,
+  mongoId: teacher._id,
+  name: teacher.name,
+  email: teacher.email,
+  institution: teacher.institution,
+});
+
+/**
+ * POST /api/teachers/signup
+ * Create a teacher account and sign in
+ */
+router.post(
+  "/signup",
+  catchAsync(async (req, res) => {
+    const { teacherId, name, email, password, institution } = req.body;
+
+    if (!teacherId || !name || !email || !password) {
+      throw createError(
+        "BAD_REQUEST",
+        "All fields are required: teacherId, name, email, password"
+      );
+    }
+
+    const existingTeacher = await Teacher.findOne({
+      $or: [{ teacherId }, { email: email.toLowerCase() }],
+    });
+
+    if (existingTeacher) {
+      throw createError(
+        "DUPLICATE_ENTRY",
+        "Teacher with this ID or email already exists"
+      );
+    }
+
+    const teacher = await Teacher.create({
+      teacherId,
+      name,
+      email: email.toLowerCase(),
+      password,
+      institution,
+    });
+
+    res.status(201).json({
+      success: true,
+      token: generateTeacherToken(teacher._id, teacher.teacherId),
+      teacher: formatTeacher(teacher),
+      message: "Account created and signed in successfully",
+    });
+  })
+);
+
+/**
+ * POST /api/teachers/signin
+ * Sign in with either teacherId or email
+ */
+router.post(
+  "/signin",
+  catchAsync(async (req, res) => {
+    const { login, password } = req.body;
+
+    if (!login || !password) {
+      throw createError("BAD_REQUEST", "Login and password are required");
+    }
+
+    const teacher = await Teacher.findOne({
+      $or: [{ teacherId: login }, { email: login.toLowerCase() }],
+    }).select("+password");
+
+    if (!teacher) {
+      throw createError("NOT_FOUND", "Teacher not found");
+    }
+
+    const isPasswordValid = await teacher.comparePassword(password);
+    if (!isPasswordValid) {
+      throw createError("UNAUTHORIZED", "Invalid password");
+    }
+
+    teacher.lastLogin = new Date();
+    await teacher.save();
+
+    res.json({
+      success: true,
+      token: generateTeacherToken(teacher._id, teacher.teacherId),
+      teacher: formatTeacher(teacher),
+      message: "Sign in successful",
+    });
+  })
+);
+
+/**
+ * GET /api/teachers/profile
+ * Current teacher with their classrooms
+ */
+router.get(
+  "/profile",
+  authenticateTeacher,
+  catchAsync(async (req, res) => {
+    const classrooms = await Classroom.find({ teacherId: req.teacher._id })
+      .sort({ createdAt: -1 })
+      .select("name joinCode joinEnabled archived students");
+
+    res.json({
+      success: true,
+      teacher: formatTeacher(req.teacher),
+      classrooms: classrooms.map((c) => ({
+        id: c._id,
+        name: c.name,
+        joinCode: c.joinCode,
+        joinEnabled: c.joinEnabled,
+        archived: c.archived,
+        studentCount: c.students.length,
+      })),
+    });
+  })
+);
+
+/**
+ * GET /api/teachers/students
+ * Every student across the teacher's classrooms
+ */
+router.get(
+  "/students",
+  authenticateTeacher,
+  catchAsync(async (req, res) => {
+    const ids = await ClassroomService.getTeacherStudentIds(req.teacher._id);
+
+    const students = await Student.find({ _id: { $in: ids } })
+      .sort({ name: 1 })
+      .select("studentId name email currentLevel stats");
+
+    res.json({
+      success: true,
+      students: students.map((s) => ({
+        id: s.studentId,
+        name: s.name,
+        email: s.email,
+        level: s.currentLevel,
+        stats: s.stats,
+      })),
+    });
+  })
+);
+
+/**
+ * GET /api/teachers/students/:studentId
+ * Profile of a student on one of the teacher's rosters
+ */
+router.get(
+  "/students/:studentId",
+  authenticateTeacher,
+  catchAsync(async (req, res) => {
+    const student = await ClassroomService.getTeacherStudent(
+      req.teacher._id,
+      req.params.studentId
+    );
+
+    res.json({
+      success: true,
+      student: {
+        id: student.studentId,
+        name: student.name,
+        email: student.email,
+        level: student.currentLevel,
+        stats: student.stats,
+        performanceMetrics: student.performanceMetrics,
+        levelHistory: student.levelHistory.slice(-5),
+        profile: student.profile,
+      },
+    });
+  })
+);
+
+/**
+ * GET /api/teachers/students/:studentId/essays
+ * A student's essays (summary view)
+ */
+router.get(
+  "/students/:studentId/essays",
+  authenticateTeacher,
+  catchAsync(async (req, res) => {
+    const student = await ClassroomService.getTeacherStudent(
+      req.teacher._id,
+      req.params.studentId
+    );
+
+    const essays = await Essay.find({ studentId: student._id })
+      .sort({ submittedAt: -1 })
+      .select(
+        "title status submittedAt gradedAt grading.finalScore grading.grade grading.gradeDescription"
+      );
+
+    res.json({ success: true, essays });
+  })
+);
+
+/**
+ * GET /api/teachers/students/:studentId/essays/:essayId
+ * Full essay with grading details
+ */
+router.get(
+  "/students/:studentId/essays/:essayId",
+  authenticateTeacher,
+  catchAsync(async (req, res) => {
+    const student = await ClassroomService.getTeacherStudent(
+      req.teacher._id,
+      req.params.studentId
+    );
+
+    const essay = await Essay.findOne({
+      _id: req.params.essayId,
+      studentId: student._id,
+    }).populate("studentId", "name email studentId");
+
+    if (!essay) {
+      throw createError("NOT_FOUND", "Essay not found");
+    }
+
+    res.json({ success: true, essay });
+  })
+);
+
+/**
+ * POST /api/teachers/students/:studentId/essays/:essayId/override
+ * Override the machine grade: { reason, finalScore?, qualityScores?, feedbackItems?, comment? }
+ * feedbackItems: [{ category, index, action: "dismiss" | "edit", changes? }]
+ */
+router.post(
+  "/students/:studentId/essays/:essayId/override",
+  authenticateTeacher,
+  catchAsync(async (req, res) => {
+    const student = await ClassroomService.getTeacherStudent(
+      req.teacher._id,
+      req.params.studentId
+    );
+
+    const essay = await Essay.findOne({
+      _id: req.params.essayId,
+      studentId: student._id,
+    });
+
+    if (!essay) {
+      throw createError("NOT_FOUND", "Essay not found");
+    }
+
+    const { override, levelAssessment } =
+      await GradeOverrideService.overrideGrade(essay, req.teacher, req.body);
+
+    res.json({
+      success: true,
+      grading: essay.grading,
+      moderation: {
+        status: essay.moderation.status,
+        overriddenAt: essay.moderation.overriddenAt,
+        reason: essay.moderation.reason,
+        overrideCount: essay.moderation.overrideCount,
+      },
+      override: {
+        id: override._id,
+        changes: override.changes,
+        createdAt: override.createdAt,
+      },
+      levelUpdate: levelAssessment,
+    });
+  })
+);
+
+/**
+ * GET /api/teachers/students/:studentId/essays/:essayId/overrides
+ * Audit trail of overrides plus the original machine result
+ */
+router.get(
+  "/students/:studentId/essays/:essayId/overrides",
+  authenticateTeacher,
+  catchAsync(async (req, res) => {
+    const student = await ClassroomService.getTeacherStudent(
+      req.teacher._id,
+      req.params.studentId
+    );
+
+    const essay = await Essay.findOne({
+      _id: req.params.essayId,
+      studentId: student._id,
+    }).select("grading moderation");
+
+    if (!essay) {
+      throw createError("NOT_FOUND", "Essay not found");
+    }
+
+    const overrides = await GradeOverrideService.getOverrideHistory(essay._id);
+
+    res.json({
+      success: true,
+      current: essay.grading,
+      aiResult: essay.moderation?.aiResult?.grading || essay.grading,
+      overrides,
+    });
+  })
+);
+
+/**
+ * GET /api/teachers/students/:studentId/analytics
+ * Same analytics the student sees on their dashboard
+ */
+router.get(
+  "/students/:studentId/analytics",
+  authenticateTeacher,
+  catchAsync(async (req, res) => {
+    const student = await ClassroomService.getTeacherStudent(
+      req.teacher._id,
+      req.params.studentId
+    );
+
+    const essays = await Essay.find({
+      studentId: student._id,
+      status: "graded",
+    })
+      .sort({ submittedAt: -1 })
+      .limit(50);
+
+    res.json({
+      success: true,
+      analytics: AnalyticsService.buildStudentAnalytics(essays),
+    });
+  })
+);
+
+module.exports = router;
@@ -27,11 +27,20 @@ mongoose.connect(process.env.MONGODB_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true
 })
-.then(() => console.log('✅ MongoDB connected'))
+.then(() => {
+  console.log('✅ MongoDB connected');
+  // Background grading worker needs the database
+  GradingQueueService.start();
+  // Retention job clears old uploads and expired originals
+  StorageService.start();
+})
 .catch(err => console.error('❌ MongoDB connection error:', err));
 
 // Initialize services
 const EssayGradingService = require('./services/EssayGradingService');
+const GradingQueueService = require('./services/GradingQueueService');
+const StorageService = require('./services/StorageService');
+const LLMService = require('./services/LLMService');
 EssayGradingService.initialize()
   .then(() => console.log('✅ Essay grading service initialized'))
   .catch(err => console.error('❌ Service initialization error:', err));
@@ -42,6 +51,12 @@ const essayRoutes = require('./routes/essay.routes');
 const studentRoutes = require('./routes/student.routes');
 const analyticsRoutes = require('./routes/analytics.route');
 const achievementRoutes = require("./routes/achievementRoutes");
+const teacherRoutes = require('./routes/teacher.routes');
+const classroomRoutes = require('./routes/classroom.routes');
+const assignmentRoutes = require('./routes/assignment.routes');
+const rubricRoutes = require('./routes/rubric.routes');
+const gradeScaleRoutes = require('./routes/gradeScale.routes');
+const adminRoutes = require('./routes/admin.routes');
 const errorHandler = require('./middleware/errorHandler');
 
 app.use('/api/auth', authRoutes);
@@ -49,13 +64,20 @@ app.use('/api/essays', essayRoutes);
 app.use('/api/students', studentRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use("/api/achievements", achievementRoutes);
+app.use('/api/teachers', teacherRoutes);
+app.use('/api/classrooms', classroomRoutes);
+app.use('/api/assignments', assignmentRoutes);
+app.use('/api/rubrics', rubricRoutes);
+app.use('/api/grade-scales', gradeScaleRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Health check
 app.get('/health', (req, res) => {
   res.json({ 
     status: 'healthy', 
     timestamp: new Date().toISOString(),
-    uptime: process.uptime()
+    uptime: process.uptime(),
+    llmCache: LLMService.getCacheStats()
   });
 });
 
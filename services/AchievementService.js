@@ -686,6 +686,34 @@ class AchievementService {
       console.error("Error tracking resource access:", error);
     }
   }
+
+  /**
+   * Track a revision submission (for ACHV_017)
+   */
+  async trackRevision(studentMongoId, essayId, improved) {
+    try {
+      const student = await Student.findById(studentMongoId);
+      if (!student) return false;
+
+      student.achievements.progressTracking.revisionsSubmitted += 1;
+
+      let unlocked = false;
+      if (improved && !student.hasAchievement("ACHV_017")) {
+        unlocked = await this.unlockAchievement(
+          student,
+          "ACHV_017",
+          20,
+          essayId
+        );
+      }
+
+      await student.save();
+      return unlocked;
+    } catch (error) {
+      console.error("Error tracking revision:", error);
+      return false;
+    }
+  }
 }
 
 // Export singleton instance
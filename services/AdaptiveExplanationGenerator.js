@@ -1,12 +1,8 @@
-require("dotenv").config();
-const OpenAI = require("openai");
+const LLMService = require("./LLMService");
 
 class AdaptiveExplanationGenerator {
   constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
-    this.cache = new Map();
+    this.llm = LLMService;
   }
 
   /**
@@ -19,12 +15,6 @@ class AdaptiveExplanationGenerator {
       return this.getFallbackExplanation(error, studentLevel);
     }
 
-    const cacheKey = `${error.original}-${error.correction}-${studentLevel}`;
-
-    if (this.cache.has(cacheKey)) {
-      return this.cache.get(cacheKey);
-    }
-
     try {
       const prompt = this.buildPromptForLevel(
         error,
@@ -32,8 +22,9 @@ class AdaptiveExplanationGenerator {
         essayContext
       );
 
-      const completion = await this.openai.chat.completions.create({
-        model: "gpt-3.5-turbo",
+      const completion = await this.llm.chat({
+        task: "grammar_explanation",
+        model: "explanation",
         messages: [
           {
             role: "system",
@@ -45,24 +36,16 @@ class AdaptiveExplanationGenerator {
           },
         ],
         temperature: 0.3,
-        max_tokens:
+        maxTokens:
           studentLevel === "beginner"
             ? 300
             : studentLevel === "intermediate"
             ? 150
             : 100,
+        offline: () => this.getFallbackExplanation(error, studentLevel),
       });
 
-      const explanation = completion.choices[0].message.content;
-
-      // Cache the result
-      this.cache.set(cacheKey, explanation);
-      if (this.cache.size > 500) {
-        const firstKey = this.cache.keys().next().value;
-        this.cache.delete(firstKey);
-      }
-
-      return explanation;
+      return completion.content;
     } catch (error) {
       console.error(
         "❌ Adaptive explanation generation failed:",
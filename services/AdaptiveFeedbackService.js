@@ -1,12 +1,8 @@
-require("dotenv").config();
-const OpenAI = require("openai");
+const LLMService = require("./LLMService");
 
 class AdaptiveFeedbackService {
   constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
-    this.cache = new Map();
+    this.llm = LLMService;
   }
 
   /**
@@ -153,8 +149,10 @@ Use ${
     }.`;
 
     try {
-      const completion = await this.openai.chat.completions.create({
-        model: "gpt-4o-mini",
+      const completion = await this.llm.json({
+        task: "score_reasons",
+        schema: "scoreReasons",
+        model: "feedback",
         messages: [
           {
             role: "system",
@@ -163,10 +161,11 @@ Use ${
           { role: "user", content: prompt },
         ],
         temperature: 0.3,
-        response_format: { type: "json_object" },
+        offline: () =>
+          this.getFallbackScoreExplanation(score, qualityScores, studentLevel),
       });
 
-      return JSON.parse(completion.choices[0].message.content);
+      return completion.data;
     } catch (error) {
       console.error("Score explanation error:", error);
       return this.getFallbackScoreExplanation(
@@ -267,14 +266,21 @@ Use ${
     }.`;
 
     try {
-      const completion = await this.openai.chat.completions.create({
-        model: "gpt-4o-mini",
+      const completion = await this.llm.json({
+        task: "error_solutions",
+        schema: "errorSolutions",
+        model: "feedback",
         messages: [{ role: "user", content: prompt }],
         temperature: 0.3,
-        response_format: { type: "json_object" },
+        offline: () =>
+          this.getFallbackErrorAnalysis(
+            grammarErrors,
+            spellingErrors,
+            studentLevel
+          ),
       });
 
-      const result = JSON.parse(completion.choices[0].message.content);
+      const result = completion.data;
       return {
         hasErrors: true,
         totalErrors: grammarErrors.length + spellingErrors.length,
@@ -380,14 +386,22 @@ Return EXACT JSON:
 }`;
 
     try {
-      const completion = await this.openai.chat.completions.create({
-        model: "gpt-4o-mini",
+      const completion = await this.llm.json({
+        task: "vocabulary_analysis",
+        schema: "vocabularyAnalysis",
+        model: "feedback",
         messages: [{ role: "user", content: prompt }],
         temperature: 0.4,
-        response_format: { type: "json_object" },
+        offline: () =>
+          this.getFallbackVocabularyAnalysis(
+            words,
+            uniqueWords,
+            diversity,
+            studentLevel
+          ),
       });
 
-      const result = JSON.parse(completion.choices[0].message.content);
+      const result = completion.data;
       return {
         ...result,
         statistics: {
@@ -486,14 +500,17 @@ Return EXACT JSON:
 }`;
 
     try {
-      const completion = await this.openai.chat.completions.create({
-        model: "gpt-4o-mini",
+      const completion = await this.llm.json({
+        task: "improvement_plan",
+        schema: "improvementPlan",
+        model: "feedback",
         messages: [{ role: "user", content: prompt }],
         temperature: 0.4,
-        response_format: { type: "json_object" },
+        offline: () =>
+          this.getFallbackImprovementPlan(weakestArea, studentLevel),
       });
 
-      return JSON.parse(completion.choices[0].message.content);
+      return completion.data;
     } catch (error) {
       console.error("Improvement plan generation failed:", error);
       return this.getFallbackImprovementPlan(weakestArea, studentLevel);
@@ -558,14 +575,16 @@ Return EXACT JSON:
 }`;
 
     try {
-      const completion = await this.openai.chat.completions.create({
-        model: "gpt-4o-mini",
+      const completion = await this.llm.json({
+        task: "prevention_strategies",
+        schema: "preventionStrategies",
+        model: "feedback",
         messages: [{ role: "user", content: prompt }],
         temperature: 0.3,
-        response_format: { type: "json_object" },
+        offline: () => this.getFallbackPreventionStrategies(studentLevel),
       });
 
-      return JSON.parse(completion.choices[0].message.content);
+      return completion.data;
     } catch (error) {
       console.error("Prevention strategies failed:", error);
       return this.getFallbackPreventionStrategies(studentLevel);
@@ -1,246 +1,23 @@
-require("dotenv").config();
-const OpenAI = require("openai");
+const LLMService = require("./LLMService");
 const AdaptiveExplanationGenerator = require("./AdaptiveExplanationGenerator");
+const GrammarRuleEngine = require("./GrammarRuleEngine");
 
 class AdvanceAIGrammarCorrection {
   constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
-    this.cache = new Map();
-    this.maxCacheSize = 1000;
+    this.llm = LLMService;
+    this.grammarRules = new GrammarRuleEngine();
 
-    // ✅ Updated model list focusing on reliability
+    // Grammar model first, then the configured fallbacks in order
     this.availableModels = [
-      "gpt-3.5-turbo-0125", // Most reliable for JSON
-      "gpt-3.5-turbo", // Fallback
-      "gpt-4", // GPT-4 fallback
-      "gpt-4-turbo-preview", // Last resort
+      ...new Set([
+        this.llm.resolveModel("grammar"),
+        ...this.llm.getFallbackModels(),
+      ]),
     ];
 
     this.currentModelIndex = 0;
   }
 
-  /**
-   * ✅ IMPROVED: Better JSON parsing that handles truncated responses
-   */
-  async parseJSONResponse(responseText) {
-    if (!responseText || typeof responseText !== "string") {
-      throw new Error("Empty or invalid response text");
-    }
-
-    // Clean the response text first
-    let cleanedText = responseText.trim();
-
-    // Remove any markdown code blocks
-    cleanedText = cleanedText.replace(/```json\s*/g, "").replace(/```\s*/g, "");
-
-    console.log("🔧 Cleaning JSON response...");
-    console.log("📏 Response length:", cleanedText.length);
-
-    // Check if response looks truncated (ends abruptly)
-    const isTruncated = this.isResponseTruncated(cleanedText);
-    if (isTruncated) {
-      console.log("⚠️ Response appears truncated, attempting to fix...");
-      cleanedText = this.fixTruncatedJSON(cleanedText);
-    }
-
-    // Multiple parsing attempts
-    const parsingAttempts = [
-      // Attempt 1: Direct parse
-      () => {
-        return JSON.parse(cleanedText);
-      },
-
-      // Attempt 2: Try to complete truncated JSON
-      () => {
-        const completedJson = this.completeJSONStructure(cleanedText);
-        return JSON.parse(completedJson);
-      },
-
-      // Attempt 3: Extract and parse just the grammar_analysis part
-      () => {
-        const grammarMatch = cleanedText.match(
-          /"grammar_analysis"\s*:\s*(\{[\s\S]*?\})(?=\s*[,}])/
-        );
-        if (grammarMatch) {
-          const grammarJson = `{"grammar_analysis": ${grammarMatch[1]}}`;
-          const result = JSON.parse(grammarJson);
-
-          // Ensure we have the required structure
-          if (
-            result.grammar_analysis &&
-            Array.isArray(result.grammar_analysis.corrections)
-          ) {
-            return {
-              grammar_analysis: {
-                corrections: result.grammar_analysis.corrections,
-                total_errors: result.grammar_analysis.corrections.length,
-              },
-              scoring: {
-                quality_scores: {
-                  grammar: 0.7,
-                  content: 0.7,
-                  organization: 0.7,
-                  style: 0.7,
-                  mechanics: 0.7,
-                },
-                confidence: 0.7,
-              },
-            };
-          }
-        }
-        throw new Error("Could not extract grammar analysis");
-      },
-
-      // Attempt 4: Try to parse as much as possible and build minimal structure
-      () => {
-        // Find all complete correction objects
-        const correctionPattern =
-          /\{"sentence_number":\s*\d+[\s\S]*?"severity":\s*"\w+"\}/g;
-        const matches = cleanedText.match(correctionPattern) || [];
-
-        const corrections = [];
-        matches.forEach((match) => {
-          try {
-            const correction = JSON.parse(match);
-            corrections.push(correction);
-          } catch (e) {
-            // Skip invalid corrections
-          }
-        });
-
-        if (corrections.length > 0) {
-          return {
-            grammar_analysis: {
-              corrections: corrections,
-              total_errors: corrections.length,
-            },
-            scoring: {
-              quality_scores: {
-                grammar: Math.max(0.6, 1 - corrections.length / 20),
-                content: 0.7,
-                organization: 0.7,
-                style: 0.7,
-                mechanics: 0.7,
-              },
-              confidence: 0.7,
-            },
-          };
-        }
-        throw new Error("No valid corrections found");
-      },
-    ];
-
-    for (let i = 0; i < parsingAttempts.length; i++) {
-      try {
-        const result = parsingAttempts[i]();
-        console.log(`✅ JSON parsing successful with attempt ${i + 1}`);
-        return result;
-      } catch (error) {
-        console.log(
-          `⚠️ JSON parsing attempt ${i + 1} failed: ${error.message}`
-        );
-        if (i === parsingAttempts.length - 1) {
-          throw new Error(`All JSON parsing attempts failed: ${error.message}`);
-        }
-      }
-    }
-  }
-
-  /**
-   * ✅ NEW: Check if response is truncated
-   */
-  isResponseTruncated(text) {
-    // Check for common truncation patterns
-    const truncationPatterns = [
-      /,\s*$/, // Ends with comma
-      /"\s*$/, // Ends with quote
-      /\}\s*$/, // Ends with brace (incomplete)
-      /\]\s*$/, // Ends with bracket (incomplete)
-      /[^{\[]\s*$/, // Ends without proper closure
-    ];
-
-    return truncationPatterns.some((pattern) => pattern.test(text));
-  }
-
-  /**
-   * ✅ NEW: Fix truncated JSON
-   */
-  fixTruncatedJSON(text) {
-    let fixed = text;
-
-    // Remove trailing commas
-    fixed = fixed.replace(/,\s*$/, "");
-
-    // Close open quotes in the last line
-    const lines = fixed.split("\n");
-    if (lines.length > 0) {
-      const lastLine = lines[lines.length - 1].trim();
-      if (lastLine.includes('"') && !lastLine.match(/".*"$/)) {
-        // Quote is not closed, remove the incomplete part
-        const lastCompleteIndex = fixed.lastIndexOf('",');
-        if (lastCompleteIndex !== -1) {
-          fixed = fixed.substring(0, lastCompleteIndex + 2);
-        }
-      }
-    }
-
-    // Ensure the JSON is properly closed
-    if (fixed.trim().startsWith("{") && !fixed.trim().endsWith("}")) {
-      // Count open braces to see how many need to be closed
-      const openBraces = (fixed.match(/{/g) || []).length;
-      const closeBraces = (fixed.match(/}/g) || []).length;
-      const bracesToClose = openBraces - closeBraces;
-
-      for (let i = 0; i < bracesToClose; i++) {
-        fixed += "}";
-      }
-    }
-
-    // Close arrays if needed
-    if (fixed.includes("[") && !fixed.includes("]")) {
-      const lastBracket = fixed.lastIndexOf("[");
-      const contentAfter = fixed.substring(lastBracket);
-      if (!contentAfter.includes("]")) {
-        // Remove incomplete array and everything after it
-        fixed = fixed.substring(0, lastBracket);
-      }
-    }
-
-    return fixed;
-  }
-
-  /**
-   * ✅ NEW: Complete JSON structure for truncated responses
-   */
-  completeJSONStructure(text) {
-    let completed = text;
-
-    // Basic structure completion
-    if (!completed.trim().endsWith("}")) {
-      completed += "\n}";
-    }
-
-    // Ensure grammar_analysis has corrections array if missing
-    if (
-      !completed.includes('"corrections"') &&
-      completed.includes('"grammar_analysis"')
-    ) {
-      const grammarIndex = completed.indexOf('"grammar_analysis"');
-      const afterGrammar = completed.substring(grammarIndex);
-      if (!afterGrammar.includes('"corrections"')) {
-        // Insert corrections array
-        completed = completed.replace(
-          /"grammar_analysis":\s*\{/,
-          '"grammar_analysis": {\n"corrections": [],'
-        );
-      }
-    }
-
-    return completed;
-  }
-
   /**
    * ✅ FIXED: Analyze essay grammar WITHOUT filtering out corrections
    */
@@ -298,21 +75,16 @@ Find and return ALL grammar errors. Don't filter anything.`,
         },
       ];
 
-      const requestConfig = {
+      const completion = await this.llm.json({
+        task: "grammar_analysis",
+        schema: "grammarAnalysis",
         model: currentModel,
         messages: messages,
         temperature: 0.1,
-        max_tokens: 2500,
-      };
-
-      const completion = await this.openai.chat.completions.create(
-        requestConfig
-      );
-      const responseText = completion.choices[0].message.content;
-
-      console.log("📄 Raw OpenAI response received");
-
-      const result = await this.parseJSONResponse(responseText);
+        maxTokens: 2500,
+        offline: () => this.fallbackEssayAnalysis(text),
+      });
+      const result = completion.data;
 
       // ✅ CRITICAL FIX: DON'T FILTER CORRECTIONS - Keep all of them
       if (result.grammar_analysis && result.grammar_analysis.corrections) {
@@ -372,15 +144,9 @@ Find and return ALL grammar errors. Don't filter anything.`,
   }
 
   /**
-   * ✅ IMPROVED: Grammar correction with better JSON handling
+   * ✅ IMPROVED: Grammar correction with schema-validated JSON
    */
   async correctGrammar(sentence, retryCount = 0) {
-    // Check cache first
-    const cacheKey = sentence.toLowerCase().trim();
-    if (this.cache.has(cacheKey)) {
-      return this.cache.get(cacheKey);
-    }
-
     try {
       console.log(
         `🤖 OpenAI Grammar checking with ${this.getCurrentModel()}: "${sentence.substring(
@@ -421,33 +187,19 @@ Required JSON format:
         },
       ];
 
-      const requestConfig = {
+      const completion = await this.llm.json({
+        task: "sentence_correction",
+        schema: "sentenceCorrection",
         model: currentModel,
         messages: messages,
         temperature: 0.1,
-        max_tokens: 500,
-      };
-
-      if (currentModel.includes("gpt-4")) {
-        requestConfig.response_format = { type: "json_object" };
-      }
-
-      const completion = await this.openai.chat.completions.create(
-        requestConfig
-      );
-      const responseText = completion.choices[0].message.content;
-
-      const result = await this.parseJSONResponse(responseText);
+        maxTokens: 500,
+        offline: () => this.fallbackCorrection(sentence),
+      });
+      const result = completion.data;
       result.validated = true;
       result.model_used = currentModel;
 
-      // Cache the result
-      this.cache.set(cacheKey, result);
-      if (this.cache.size > this.maxCacheSize) {
-        const firstKey = this.cache.keys().next().value;
-        this.cache.delete(firstKey);
-      }
-
       console.log(
         `✅ OpenAI (${currentModel}) found ${result.total_errors} grammar errors`
       );
@@ -545,6 +297,9 @@ Required JSON format:
         explanation: explanation, // ✅ Now level-appropriate
         validated: true,
         studentLevel: studentLevel, // Track which level this was generated for
+        ruleId: correction.rule_id || null,
+        source: correction.source || "ai",
+        corroborated: !!correction.corroborated,
       });
     }
 
@@ -588,6 +343,9 @@ Required JSON format:
       spelling: "spelling",
       word_choice: "word_choice",
       "word choice": "word_choice",
+      double_negative: "double_negative",
+      run_on_sentence: "run_on_sentence",
+      comma_splice: "comma_splice",
     };
 
     return typeMap[openAIReason] || "grammar";
@@ -648,67 +406,34 @@ Required JSON format:
   }
 
   /**
-   * ✅ Simple fallback correction when OpenAI fails
+   * Rule-based correction when OpenAI fails
    */
   fallbackCorrection(sentence) {
-    // Basic rule-based corrections as fallback
-    const corrections = [];
-    let corrected = sentence;
-
-    // Common grammar fixes
-    const rules = [
-      {
-        pattern: /\bHe go\b/gi,
-        replacement: "He goes",
-        type: "subject_verb_agreement",
-        reason: 'Use "goes" with singular subject "He"',
-      },
-      {
-        pattern: /\bthey plays\b/gi,
-        replacement: "they play",
-        type: "subject_verb_agreement",
-        reason: 'Use "play" with plural subject "they"',
-      },
-      {
-        pattern: /\beveryday\b/gi,
-        replacement: "every day",
-        type: "word_choice",
-        reason:
-          '"every day" (two words) means each day; "everyday" (one word) is an adjective',
-      },
-      {
-        pattern: /\bhave changed\b/gi,
-        replacement: "has changed",
-        type: "subject_verb_agreement",
-        reason: 'Use "has" with singular "social media"',
-      },
-      {
-        pattern: /\bpeoples\b/gi,
-        replacement: "people's",
-        type: "spelling",
-        reason: 'Use "people\'s" for possessive form',
-      },
-    ];
+    const corrections = this.grammarRules.check(sentence);
 
-    rules.forEach((rule) => {
-      if (rule.pattern.test(corrected)) {
-        const originalMatch = corrected.match(rule.pattern)[0];
-        corrected = corrected.replace(rule.pattern, rule.replacement);
-        corrections.push({
-          original: originalMatch,
-          correction: rule.replacement,
-          type: rule.type,
-          reason: rule.reason,
-          confidence: 0.8,
-        });
-      }
+    // Apply from the end so earlier positions stay valid
+    let corrected = sentence;
+    [...corrections].reverse().forEach(({ position, correction }) => {
+      corrected =
+        corrected.slice(0, position.start) +
+        correction +
+        corrected.slice(position.end);
     });
 
     return {
       original: sentence,
       corrected: corrected,
       confidence: 0.7,
-      corrections: corrections,
+      corrections: corrections.map(
+        ({ original, correction, type, reason, confidence, rule_id }) => ({
+          original,
+          correction,
+          type,
+          reason,
+          confidence,
+          rule_id,
+        })
+      ),
       total_errors: corrections.length,
       validated: true,
       fallback_used: true,
@@ -716,45 +441,11 @@ Required JSON format:
   }
 
   /**
-   * ✅ Fallback essay analysis
+   * Rule-based essay analysis
    */
   fallbackEssayAnalysis(text) {
-    const sentences = text.split(/[.!?]+/).filter((s) => s.trim());
-    const corrections = [];
-
-    sentences.forEach((sentence, index) => {
-      const sentenceCorrection = this.fallbackCorrection(sentence.trim());
-      if (sentenceCorrection.corrections.length > 0) {
-        corrections.push({
-          sentence_number: index + 1,
-          original: sentence.trim(),
-          correction: sentenceCorrection.corrected,
-          type: sentenceCorrection.corrections[0].type,
-          reason: sentenceCorrection.corrections[0].reason,
-          confidence: 0.7,
-          severity: "moderate",
-        });
-      }
-    });
-
     return {
-      grammar_analysis: {
-        corrections: corrections,
-        total_errors: corrections.length,
-      },
-      scoring: {
-        quality_scores: {
-          grammar: Math.max(
-            0.6,
-            1 - (corrections.length / sentences.length) * 0.3
-          ),
-          content: 0.75,
-          organization: 0.7,
-          style: 0.65,
-          mechanics: 0.7,
-        },
-        confidence: 0.6,
-      },
+      ...this.grammarRules.analyze(text),
       fallback_used: true,
       validated: true,
     };
@@ -765,8 +456,7 @@ Required JSON format:
    */
   async healthCheck() {
     try {
-      const models = await this.openai.models.list();
-      const availableModelNames = models.data.map((m) => m.id);
+      const availableModelNames = await this.llm.listModels();
 
       console.log("📋 Available models:", availableModelNames.slice(0, 5));
 
@@ -0,0 +1,183 @@
+/**
+ * Analytics Service - aggregates graded essays into dashboard analytics
+ * Used by the student analytics route and teacher views of a student
+ */
+class AnalyticsService {
+  /**
+   * Build analytics from essays sorted newest first
+   */
+  buildStudentAnalytics(essays) {
+    if (essays.length === 0) {
+      return {
+        scoreDistribution: [],
+        qualityTrends: [],
+        errorCategories: [],
+        improvementAreas: [],
+        timeAnalysis: [],
+        categoryBreakdown: {},
+        summary: {
+          totalEssays: 0,
+          averageScore: 0,
+          bestScore: 0,
+          worstScore: 0,
+          totalWords: 0,
+          averageWords: 0
+        }
+      };
+    }
+
+    // Score Distribution (for bar chart)
+    const scoreRanges = {
+      '90-100': { count: 0, label: 'A (90-100)', color: '#10b981' },
+      '80-89': { count: 0, label: 'B (80-89)', color: '#3b82f6' },
+      '70-79': { count: 0, label: 'C (70-79)', color: '#f59e0b' },
+      '60-69': { count: 0, label: 'D (60-69)', color: '#f97316' },
+      '0-59': { count: 0, label: 'F (0-59)', color: '#ef4444' }
+    };
+
+    essays.forEach(essay => {
+      const score = essay.grading.finalScore;
+      if (score >= 90) scoreRanges['90-100'].count++;
+      else if (score >= 80) scoreRanges['80-89'].count++;
+      else if (score >= 70) scoreRanges['70-79'].count++;
+      else if (score >= 60) scoreRanges['60-69'].count++;
+      else scoreRanges['0-59'].count++;
+    });
+
+    // Quality Trends Over Time
+    const qualityTrends = essays.slice(0, 20).reverse().map((essay, idx) => ({
+      essayNumber: idx + 1,
+      date: essay.submittedAt,
+      grammar: Math.round(essay.grading.qualityScores.grammar * 100),
+      content: Math.round(essay.grading.qualityScores.content * 100),
+      organization: Math.round(essay.grading.qualityScores.organization * 100),
+      style: Math.round(essay.grading.qualityScores.style * 100),
+      mechanics: Math.round(essay.grading.qualityScores.mechanics * 100),
+      overallScore: essay.grading.finalScore
+    }));
+
+    // Error Categories (for tree map)
+    const errorCategories = {};
+    essays.forEach(essay => {
+      // Grammar errors
+      essay.feedback?.grammarErrors?.forEach(error => {
+        const category = error.type || 'other';
+        errorCategories[category] = (errorCategories[category] || 0) + 1;
+      });
+
+      // Spelling errors
+      if (essay.feedback?.spellingErrors?.length > 0) {
+        errorCategories['spelling'] = (errorCategories['spelling'] || 0) + essay.feedback.spellingErrors.length;
+      }
+
+      // Style issues
+      essay.feedback?.styleIssues?.forEach(issue => {
+        const category = `style_${issue.type}`;
+        errorCategories[category] = (errorCategories[category] || 0) + 1;
+      });
+    });
+
+    // Convert to tree map format
+    const errorTree = Object.entries(errorCategories)
+      .sort(([, a], [, b]) => b - a)
+      .slice(0, 10)
+      .map(([name, value]) => ({
+        name: name.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase()),
+        value,
+        percentage: ((value / essays.length) * 100).toFixed(1)
+      }));
+
+    // Improvement Areas
+    const improvementAreas = [
+      {
+        category: 'Grammar',
+        currentScore: Math.round(essays[0].grading.qualityScores.grammar * 100),
+        averageScore: Math.round(
+          essays.reduce((sum, e) => sum + e.grading.qualityScores.grammar, 0) / essays.length * 100
+        ),
+        trend: 'improving'
+      },
+      {
+        category: 'Content',
+        currentScore: Math.round(essays[0].grading.qualityScores.content * 100),
+        averageScore: Math.round(
+          essays.reduce((sum, e) => sum + e.grading.qualityScores.content, 0) / essays.length * 100
+        ),
+        trend: 'stable'
+      },
+      {
+        category: 'Organization',
+        currentScore: Math.round(essays[0].grading.qualityScores.organization * 100),
+        averageScore: Math.round(
+          essays.reduce((sum, e) => sum + e.grading.qualityScores.organization, 0) / essays.length * 100
+        ),
+        trend: 'improving'
+      },
+      {
+        category: 'Style',
+        currentScore: Math.round(essays[0].grading.qualityScores.style * 100),
+        averageScore: Math.round(
+          essays.reduce((sum, e) => sum + e.grading.qualityScores.style, 0) / essays.length * 100
+        ),
+        trend: 'declining'
+      }
+    ];
+
+    // Time Analysis
+    const timeAnalysis = essays.slice(0, 12).reverse().map(essay => ({
+      month: new Date(essay.submittedAt).toLocaleDateString('en-US', { month: 'short', year: 'numeric' }),
+      essaysSubmitted: 1,
+      averageScore: essay.grading.finalScore,
+      totalWords: essay.originalText.split(' ').length
+    }));
+
+    // Aggregate by month
+    const monthlyData = {};
+    timeAnalysis.forEach(item => {
+      if (!monthlyData[item.month]) {
+        monthlyData[item.month] = { essaysSubmitted: 0, totalScore: 0, totalWords: 0 };
+      }
+      monthlyData[item.month].essaysSubmitted++;
+      monthlyData[item.month].totalScore += item.averageScore;
+      monthlyData[item.month].totalWords += item.totalWords;
+    });
+
+    const monthlyAnalysis = Object.entries(monthlyData).map(([month, data]) => ({
+      month,
+      essaysSubmitted: data.essaysSubmitted,
+      averageScore: Math.round(data.totalScore / data.essaysSubmitted),
+      totalWords: data.totalWords
+    }));
+
+    // Summary Statistics
+    const scores = essays.map(e => e.grading.finalScore);
+    const wordCounts = essays.map(e => e.originalText.split(' ').length);
+
+    const summary = {
+      totalEssays: essays.length,
+      averageScore: Math.round(scores.reduce((a, b) => a + b, 0) / scores.length),
+      bestScore: Math.max(...scores),
+      worstScore: Math.min(...scores),
+      totalWords: wordCounts.reduce((a, b) => a + b, 0),
+      averageWords: Math.round(wordCounts.reduce((a, b) => a + b, 0) / wordCounts.length),
+      improvementRate: essays.length > 1 
+        ? ((essays[0].grading.finalScore - essays[essays.length - 1].grading.finalScore) / essays[essays.length - 1].grading.finalScore * 100).toFixed(1)
+        : 0
+    };
+
+    return {
+      scoreDistribution: Object.entries(scoreRanges).map(([range, data]) => ({
+        range,
+        ...data
+      })),
+      qualityTrends,
+      errorCategories: errorTree,
+      improvementAreas,
+      timeAnalysis: monthlyAnalysis,
+      categoryBreakdown: errorCategories,
+      summary
+    };
+  }
+}
+
+module.exports = new AnalyticsService();
@@ -0,0 +1,288 @@
+const Assignment = require("../models/Assignment");
+const Classroom = require("../models/Classroom");
+const Essay = require("../models/Essay");
+const ClassroomService = require("./ClassroomService");
+const RubricService = require("./RubricService");
+const GradeScaleService = require("./GradeScaleService");
+const { createError } = require("../utils/errorResponse");
+
+const ASSIGNMENT_FIELDS = [
+  "title",
+  "prompt",
+  "minWords",
+  "maxWords",
+  "strictWordLimits",
+  "dueDate",
+  "allowLateSubmissions",
+  "allowedFileTypes",
+  "targetLevel",
+  "archived",
+];
+
+/**
+ * Assignment Service - assignment CRUD, submission rules and submission tracking
+ */
+class AssignmentService {
+  // ==================== TEACHER MANAGEMENT ====================
+
+  async createAssignment(teacherId, data) {
+    if (!data.classroomId) {
+      throw createError("BAD_REQUEST", "classroomId is required");
+    }
+
+    // Throws NOT_FOUND unless the teacher owns the classroom
+    await ClassroomService.getTeacherClassroom(data.classroomId, teacherId);
+
+    const assignment = new Assignment({
+      classroomId: data.classroomId,
+      teacherId,
+    });
+    this.applyFields(assignment, data);
+    await this.applyRubric(assignment, data);
+
+    return assignment.save();
+  }
+
+  async updateAssignment(assignment, data) {
+    this.applyFields(assignment, data);
+    await this.applyRubric(assignment, data);
+    return assignment.save();
+  }
+
+  async applyRubric(assignment, data) {
+    if (data.rubricId === undefined) return;
+
+    assignment.rubricId = await RubricService.resolveAssignmentRubricId(
+      data.rubricId,
+      assignment.teacherId
+    );
+  }
+
+  applyFields(assignment, data) {
+    ASSIGNMENT_FIELDS.forEach((field) => {
+      if (data[field] !== undefined) assignment[field] = data[field];
+    });
+
+    if (data.gradeScale !== undefined) {
+      assignment.gradeScale = GradeScaleService.normalizeScaleKey(
+        data.gradeScale
+      );
+    }
+
+    if (
+      assignment.minWords &&
+      assignment.maxWords &&
+      assignment.minWords > assignment.maxWords
+    ) {
+      throw createError(
+        "BAD_REQUEST",
+        "minWords cannot be greater than maxWords"
+      );
+    }
+  }
+
+  async getTeacherAssignment(assignmentId, teacherId) {
+    const assignment = await Assignment.findOne({
+      _id: assignmentId,
+      teacherId,
+    });
+
+    if (!assignment) {
+      throw createError("NOT_FOUND", "Assignment not found");
+    }
+
+    return assignment;
+  }
+
+  /**
+   * Assignment visible to a student through one of their classrooms
+   */
+  async getStudentAssignment(assignmentId, studentMongoId) {
+    const assignment = await Assignment.findOne({
+      _id: assignmentId,
+      archived: false,
+    });
+
+    if (assignment) {
+      const enrolled = await Classroom.exists({
+        _id: assignment.classroomId,
+        students: studentMongoId,
+      });
+      if (enrolled) return assignment;
+    }
+
+    throw createError("NOT_FOUND", "Assignment not found");
+  }
+
+  async getStudentAssignments(studentMongoId) {
+    const classrooms = await Classroom.find({
+      students: studentMongoId,
+      archived: false,
+    }).select("_id");
+
+    return Assignment.find({
+      classroomId: { $in: classrooms.map((c) => c._id) },
+      archived: false,
+    })
+      .sort({ dueDate: 1 })
+      .populate("classroomId", "name");
+  }
+
+  // ==================== SUBMISSION RULES ====================
+
+  /**
+   * Checks that can run before any text is extracted: access, deadline, file type
+   * Returns the submission record to store on the essay
+   */
+  async prepareSubmission(assignmentId, student, mimetype, fileType) {
+    const assignment = await this.getStudentAssignment(
+      assignmentId,
+      student._id
+    );
+
+    if (
+      assignment.allowedFileTypes?.length > 0 &&
+      !assignment.allowedFileTypes.includes(fileType)
+    ) {
+      throw createError(
+        "BAD_REQUEST",
+        `This assignment does not accept ${fileType} submissions`,
+        { allowedFileTypes: assignment.allowedFileTypes, mimetype }
+      );
+    }
+
+    const submittedAt = new Date();
+    const isLate = assignment.isPastDue(submittedAt);
+
+    if (isLate && !assignment.allowLateSubmissions) {
+      throw createError(
+        "BAD_REQUEST",
+        "The deadline for this assignment has passed",
+        { dueDate: assignment.dueDate }
+      );
+    }
+
+    return {
+      assignment,
+      submission: {
+        dueDate: assignment.dueDate || null,
+        isLate,
+        lateByMinutes: isLate
+          ? Math.ceil((submittedAt - assignment.dueDate) / 60000)
+          : 0,
+      },
+    };
+  }
+
+  /**
+   * Word range check once the text is known
+   * Strict assignments reject out-of-range essays, others just flag them
+   */
+  checkWordCount(assignment, text) {
+    const wordCount = text.trim().split(/\s+/).filter(Boolean).length;
+
+    let wordCountStatus = "within";
+    if (assignment.minWords && wordCount < assignment.minWords) {
+      wordCountStatus = "under";
+    } else if (assignment.maxWords && wordCount > assignment.maxWords) {
+      wordCountStatus = "over";
+    }
+
+    if (wordCountStatus !== "within" && assignment.strictWordLimits) {
+      throw createError(
+        "BAD_REQUEST",
+        `Essay is ${wordCount} words; this assignment requires ${this.describeWordRange(
+          assignment
+        )}`,
+        {
+          wordCount,
+          minWords: assignment.minWords,
+          maxWords: assignment.maxWords,
+        }
+      );
+    }
+
+    return { wordCount, wordCountStatus };
+  }
+
+  describeWordRange(assignment) {
+    if (assignment.minWords && assignment.maxWords) {
+      return `${assignment.minWords}-${assignment.maxWords} words`;
+    }
+    if (assignment.minWords) return `at least ${assignment.minWords} words`;
+    return `at most ${assignment.maxWords} words`;
+  }
+
+  // ==================== SUBMISSION TRACKING ====================
+
+  /**
+   * One row per rostered student with their latest submission
+   */
+  async getSubmissions(assignment) {
+    const classroom = await Classroom.findById(assignment.classroomId).populate(
+      "students",
+      "studentId name email currentLevel"
+    );
+
+    const essays = await Essay.find({ assignmentId: assignment._id })
+      .sort({ submittedAt: -1 })
+      .select(
+        "studentId title status submittedAt gradedAt submission grading.finalScore grading.grade"
+      );
+
+    const essaysByStudent = {};
+    essays.forEach((essay) => {
+      const key = essay.studentId.toString();
+      if (!essaysByStudent[key]) essaysByStudent[key] = [];
+      essaysByStudent[key].push(essay);
+    });
+
+    const students = classroom ? classroom.students : [];
+    const rows = students.map((student) => {
+      const studentEssays = essaysByStudent[student._id.toString()] || [];
+      const latest = studentEssays[0];
+
+      return {
+        student: {
+          id: student.studentId,
+          name: student.name,
+          email: student.email,
+          level: student.currentLevel,
+        },
+        submitted: !!latest,
+        attempts: studentEssays.length,
+        essayId: latest?._id || null,
+        status: latest?.status || null,
+        submittedAt: latest?.submittedAt || null,
+        isLate: latest?.submission?.isLate || false,
+        lateByMinutes: latest?.submission?.lateByMinutes || 0,
+        wordCount: latest?.submission?.wordCount ?? null,
+        wordCountStatus: latest?.submission?.wordCountStatus || null,
+        score: latest?.grading?.finalScore ?? null,
+        grade: latest?.grading?.grade || null,
+      };
+    });
+
+    const submitted = rows.filter((r) => r.submitted);
+    const scored = submitted.filter((r) => r.score !== null);
+
+    return {
+      submissions: rows,
+      summary: {
+        rosterSize: rows.length,
+        submitted: submitted.length,
+        missing: rows.length - submitted.length,
+        late: submitted.filter((r) => r.isLate).length,
+        averageScore:
+          scored.length > 0
+            ? Math.round(
+                (scored.reduce((sum, r) => sum + r.score, 0) / scored.length) *
+                  10
+              ) / 10
+            : null,
+      },
+    };
+  }
+}
+
+module.exports = new AssignmentService();
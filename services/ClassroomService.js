@@ -0,0 +1,239 @@
+const Classroom = require("../models/Classroom");
+const Student = require("../models/Student");
+const GradeScaleService = require("./GradeScaleService");
+const EnglishVariantService = require("./EnglishVariantService");
+const { createError } = require("../utils/errorResponse");
+
+/**
+ * Classroom Service - rosters, join codes and teacher access checks
+ *
+ * Only students on `students` give a teacher access to their work. A student
+ * gets there by entering the join code or by accepting the teacher's invite;
+ * a teacher can never put a student on the roster directly.
+ */
+class ClassroomService {
+  /**
+   * Create a classroom with a fresh join code
+   */
+  async createClassroom(
+    teacherId,
+    { name, description, gradeScale, englishVariant }
+  ) {
+    if (!name || !name.trim()) {
+      throw createError("BAD_REQUEST", "Classroom name is required");
+    }
+
+    return Classroom.create({
+      name,
+      description,
+      teacherId,
+      gradeScale:
+        gradeScale !== undefined
+          ? GradeScaleService.normalizeScaleKey(gradeScale)
+          : null,
+      englishVariant:
+        englishVariant !== undefined
+          ? EnglishVariantService.normalizeVariant(englishVariant)
+          : null,
+      joinCode: await this.generateUniqueJoinCode(),
+    });
+  }
+
+  async generateUniqueJoinCode() {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const code = Classroom.generateJoinCode();
+      const exists = await Classroom.exists({ joinCode: code });
+      if (!exists) return code;
+    }
+
+    throw createError("INTERNAL_ERROR", "Could not generate a unique join code");
+  }
+
+  async regenerateJoinCode(classroom) {
+    classroom.joinCode = await this.generateUniqueJoinCode();
+    await classroom.save();
+    return classroom;
+  }
+
+  /**
+   * Classroom owned by this teacher, or NOT_FOUND
+   */
+  async getTeacherClassroom(classroomId, teacherId) {
+    const classroom = await Classroom.findOne({ _id: classroomId, teacherId });
+
+    if (!classroom) {
+      throw createError("NOT_FOUND", "Classroom not found");
+    }
+
+    return classroom;
+  }
+
+  async getStudentClassrooms(studentMongoId) {
+    return Classroom.find({ students: studentMongoId, archived: false })
+      .populate("teacherId", "name email")
+      .select("-joinCode -invitedStudents");
+  }
+
+  /**
+   * Student joins a classroom with its join code
+   */
+  async joinByCode(student, joinCode) {
+    if (!joinCode) {
+      throw createError("BAD_REQUEST", "Join code is required");
+    }
+
+    const classroom = await Classroom.findOne({
+      joinCode: joinCode.trim().toUpperCase(),
+      archived: false,
+    });
+
+    if (!classroom || !classroom.joinEnabled) {
+      throw createError("NOT_FOUND", "Invalid or expired join code");
+    }
+
+    if (classroom.hasStudent(student._id)) {
+      throw createError("DUPLICATE_ENTRY", "You are already in this classroom");
+    }
+
+    classroom.students.push(student._id);
+    classroom.invitedStudents.pull(student._id);
+    await classroom.save();
+
+    return classroom;
+  }
+
+  /**
+   * Classrooms that invited the student and are waiting for an answer
+   */
+  async getStudentInvites(studentMongoId) {
+    return Classroom.find({ invitedStudents: studentMongoId, archived: false })
+      .populate("teacherId", "name email")
+      .select("name description teacherId createdAt");
+  }
+
+  /**
+   * Student accepts an invite and joins the roster
+   */
+  async acceptInvite(student, classroomId) {
+    const classroom = await Classroom.findOne({
+      _id: classroomId,
+      invitedStudents: student._id,
+      archived: false,
+    });
+
+    if (!classroom) {
+      throw createError("NOT_FOUND", "Invitation not found");
+    }
+
+    classroom.invitedStudents.pull(student._id);
+    if (!classroom.hasStudent(student._id)) {
+      classroom.students.push(student._id);
+    }
+    await classroom.save();
+
+    return classroom;
+  }
+
+  async declineInvite(student, classroomId) {
+    const result = await Classroom.updateOne(
+      { _id: classroomId, invitedStudents: student._id },
+      { $pull: { invitedStudents: student._id } }
+    );
+
+    if (result.modifiedCount === 0) {
+      throw createError("NOT_FOUND", "Invitation not found");
+    }
+  }
+
+  async leaveClassroom(student, classroomId) {
+    const result = await Classroom.updateOne(
+      { _id: classroomId, students: student._id },
+      { $pull: { students: student._id } }
+    );
+
+    if (result.modifiedCount === 0) {
+      throw createError("NOT_FOUND", "Classroom not found");
+    }
+  }
+
+  /**
+   * Invite students by their public studentId; each one has to accept before
+   * they are on the roster
+   */
+  async inviteStudents(classroom, studentIds) {
+    if (!Array.isArray(studentIds) || studentIds.length === 0) {
+      throw createError("BAD_REQUEST", "studentIds array is required");
+    }
+
+    const students = await Student.find({ studentId: { $in: studentIds } });
+    const foundIds = students.map((s) => s.studentId);
+    const notFound = studentIds.filter((id) => !foundIds.includes(id));
+
+    const invited = [];
+    const alreadyEnrolled = [];
+    students.forEach((student) => {
+      if (classroom.hasStudent(student._id)) {
+        alreadyEnrolled.push(student.studentId);
+      } else if (!classroom.hasInvite(student._id)) {
+        classroom.invitedStudents.push(student._id);
+        invited.push(student.studentId);
+      }
+    });
+
+    await classroom.save();
+
+    return { invited, alreadyEnrolled, notFound };
+  }
+
+  async removeStudent(classroom, studentId) {
+    const student = await Student.findOne({ studentId });
+
+    if (
+      !student ||
+      !(classroom.hasStudent(student._id) || classroom.hasInvite(student._id))
+    ) {
+      throw createError("NOT_FOUND", "Student is not in this classroom");
+    }
+
+    // Also withdraws a pending invite
+    classroom.students.pull(student._id);
+    classroom.invitedStudents.pull(student._id);
+    await classroom.save();
+  }
+
+  /**
+   * Mongo ids of every student in the teacher's active (unarchived) classrooms
+   */
+  async getTeacherStudentIds(teacherId) {
+    const classrooms = await Classroom.find({
+      teacherId,
+      archived: false,
+    }).select("students");
+    const ids = new Set();
+
+    classrooms.forEach((c) => c.students.forEach((id) => ids.add(id.toString())));
+
+    return [...ids];
+  }
+
+  /**
+   * Student by public studentId, only if they are on one of the teacher's
+   * active rosters
+   */
+  async getTeacherStudent(teacherId, studentId) {
+    const student = await Student.findOne({ studentId });
+
+    if (student) {
+      const enrolled = await Classroom.exists({
+        teacherId,
+        students: student._id,
+        archived: false,
+      });
+      if (enrolled) return student;
+    }
+
+    throw createError("NOT_FOUND", "Student not found in your classrooms");
+  }
+}
+
+module.exports = new ClassroomService();
@@ -1,7 +1,14 @@
 const mammoth = require("mammoth");
 const pdfParse = require("pdf-parse");
+const { PDFParse } = require("pdf-parse");
+const sharp = require("sharp");
+const os = require("os");
+const path = require("path");
 const fs = require("fs").promises;
 
+// pdf.js renders at 72 DPI; OCR needs roughly twice that
+const SCAN_UPSCALE = 2;
+
 class DocumentParser {
   /**
    * Parse PDF file with structure detection
@@ -744,6 +751,48 @@ class DocumentParser {
     return "unknown";
   }
 
+  /**
+   * A PDF of scanned pages has (almost) no text layer
+   */
+  async isScannedPDF(filePath) {
+    try {
+      const text = await this.parsePDF(filePath);
+      return text.replace(/\s/g, "").length < 20;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Render every PDF page to a PNG in the temp directory → paths in page
+   * order. The caller removes the files.
+   */
+  async renderPDFPages(filePath, maxPages = 20) {
+    const parser = new PDFParse({
+      data: await fs.readFile(filePath),
+      first: 1,
+      last: maxPages,
+    });
+    const result = await parser.pageToImage();
+    const base = path.join(
+      os.tmpdir(),
+      `${path.basename(filePath, path.extname(filePath))}-page`
+    );
+
+    const pagePaths = [];
+    for (const page of result.pages) {
+      const pagePath = `${base}-${page.pageNumber}.png`;
+      const { width } = await sharp(page.data).metadata();
+      await sharp(page.data)
+        .resize({ width: width * SCAN_UPSCALE })
+        .png()
+        .toFile(pagePath);
+      pagePaths.push(pagePath);
+    }
+
+    return pagePaths;
+  }
+
   /**
    * Universal parse method that detects format and structure
    */
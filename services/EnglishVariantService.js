@@ -0,0 +1,242 @@
+const SpellChecker = require("simple-spellchecker");
+const Classroom = require("../models/Classroom");
+const { createError } = require("../utils/errorResponse");
+
+// Spelling family decides which dictionary a variant checks against;
+// Australian and Indian English follow British spelling
+const ENGLISH_VARIANTS = {
+  "en-US": { name: "American English", family: "american" },
+  "en-GB": { name: "British English", family: "british" },
+  "en-AU": { name: "Australian English", family: "british" },
+  "en-IN": { name: "Indian English", family: "british" },
+};
+
+const FAMILY_DICTIONARIES = { american: "en-US", british: "en-GB" };
+const FAMILY_NAMES = { american: "American", british: "British" };
+
+// Suffix rewrites used to suggest the other family's spelling of a word
+const SPELLING_PATTERNS = {
+  british: [
+    [/our(s|ed|ing|ful|ite|ites|able)?$/, "or$1"],
+    [/is(e|es|ed|ing|ation|ations)$/, "iz$1"],
+    [/ys(e|es|ed|ing)$/, "yz$1"],
+    [/tre(s)?$/, "ter$1"],
+    [/ence(s)?$/, "ense$1"],
+    [/ogue(s)?$/, "og$1"],
+    [/ll(ed|ing|er|ers)$/, "l$1"],
+    [/dgement(s)?$/, "dgment$1"],
+    [/inium$/, "inum"],
+  ],
+  american: [
+    [/or(s|ed|ing|ful|ite|ites|able)?$/, "our$1"],
+    [/iz(e|es|ed|ing|ation|ations)$/, "is$1"],
+    [/yz(e|es|ed|ing)$/, "ys$1"],
+    [/ter(s)?$/, "tre$1"],
+    [/ense(s)?$/, "ence$1"],
+    [/og(s)?$/, "ogue$1"],
+    [/([aeiou])l(ed|ing|er|ers)$/, "$1ll$2"],
+    [/dgment(s)?$/, "dgement$1"],
+    [/inum$/, "inium"],
+  ],
+};
+
+/**
+ * English Variant Service - per-student/classroom English variant
+ * (en-US, en-GB, en-AU, en-IN) and the matching spelling dictionaries
+ *
+ * Spelling from either family is accepted; an essay that mixes the two is
+ * flagged for consistency instead of marking one of them as a mistake.
+ */
+class EnglishVariantService {
+  constructor() {
+    this.defaultVariant = ENGLISH_VARIANTS[process.env.ENGLISH_VARIANT]
+      ? process.env.ENGLISH_VARIANT
+      : "en-US";
+    this.dictionaries = new Map(); // dictionary name → Promise<Dictionary>
+    this.loaded = new Map(); // dictionary name → Dictionary
+  }
+
+  listVariants() {
+    return Object.entries(ENGLISH_VARIANTS).map(([code, variant]) => ({
+      code,
+      ...variant,
+    }));
+  }
+
+  isValidVariant(code) {
+    return Object.prototype.hasOwnProperty.call(ENGLISH_VARIANTS, code);
+  }
+
+  /**
+   * Validate a variant from a request body; null/"" clears the setting
+   */
+  normalizeVariant(code) {
+    if (code === null || code === "") return null;
+
+    if (!this.isValidVariant(code)) {
+      throw createError("BAD_REQUEST", `Unknown English variant: ${code}`, {
+        available: Object.keys(ENGLISH_VARIANTS),
+      });
+    }
+
+    return code;
+  }
+
+  familyOf(variant) {
+    return (ENGLISH_VARIANTS[variant] || ENGLISH_VARIANTS[this.defaultVariant])
+      .family;
+  }
+
+  loadDictionary(name) {
+    if (!this.dictionaries.has(name)) {
+      const loading = new Promise((resolve, reject) => {
+        SpellChecker.getDictionary(name, (err, dictionary) => {
+          if (err) return reject(new Error(err));
+          this.loaded.set(name, dictionary);
+          resolve(dictionary);
+        });
+      });
+      // A failed load may be retried later
+      loading.catch(() => this.dictionaries.delete(name));
+      this.dictionaries.set(name, loading);
+    }
+
+    return this.dictionaries.get(name);
+  }
+
+  /**
+   * Load the dictionaries of every spelling family (both are needed to tell
+   * a variant spelling from a real mistake)
+   */
+  async loadAll() {
+    await Promise.all(
+      Object.values(FAMILY_DICTIONARIES).map((name) =>
+        this.loadDictionary(name)
+      )
+    );
+  }
+
+  /**
+   * Loaded dictionaries for a variant → { primary, alternate } (sync; either
+   * may be null until loadAll() has finished)
+   */
+  getDictionaries(variant) {
+    const family = this.familyOf(variant);
+    const other = family === "american" ? "british" : "american";
+
+    return {
+      primary: this.loaded.get(FAMILY_DICTIONARIES[family]) || null,
+      alternate: this.loaded.get(FAMILY_DICTIONARIES[other]) || null,
+    };
+  }
+
+  /**
+   * The student's own setting wins, then the classroom's, then the default.
+   * Without a classroom, the student's oldest classroom with a variant
+   * applies, so a student in several gets the same variant every time.
+   */
+  async resolveVariant({ student, classroomId = null }) {
+    if (student?.englishVariant) return student.englishVariant;
+
+    const query = classroomId
+      ? { _id: classroomId }
+      : { students: student?._id, archived: false };
+    const classroom = await Classroom.findOne({
+      ...query,
+      englishVariant: { $ne: null },
+    })
+      .sort({ createdAt: 1 })
+      .select("englishVariant")
+      .lean();
+
+    return classroom?.englishVariant || this.defaultVariant;
+  }
+
+  /**
+   * "american" / "british" for words only one family's dictionary accepts
+   * and whose counterpart the other family's does (colour ↔ color); null
+   * otherwise, so gaps between the two word lists are not counted
+   */
+  classifyWord(word) {
+    const american = this.loaded.get(FAMILY_DICTIONARIES.american);
+    const british = this.loaded.get(FAMILY_DICTIONARIES.british);
+    if (!american || !british) return null;
+
+    const inAmerican = american.spellCheck(word);
+    const inBritish = british.spellCheck(word);
+    if (inAmerican === inBritish) return null;
+
+    const family = inAmerican ? "american" : "british";
+    return this.counterpart(word, family) ? family : null;
+  }
+
+  /**
+   * Counterpart spelling in the other family, if the patterns find one
+   */
+  counterpart(word, family) {
+    const lower = word.toLowerCase();
+    const target = family === "british" ? "american" : "british";
+    const dictionary = this.loaded.get(FAMILY_DICTIONARIES[target]);
+
+    const candidates = SPELLING_PATTERNS[family]
+      .map(([pattern, replacement]) => lower.replace(pattern, replacement))
+      .filter((candidate) => candidate !== lower);
+
+    const match = candidates.find(
+      (candidate) => dictionary && dictionary.spellCheck(candidate)
+    );
+    if (!match) return null;
+
+    return /^[A-Z]/.test(word)
+      ? match.charAt(0).toUpperCase() + match.slice(1)
+      : match;
+  }
+
+  /**
+   * Count American-only and British-only spellings; when an essay uses both,
+   * flag the words from the less used family (the student's variant wins a
+   * tie) → { variant, counts, mixed, expectedFamily, issues }
+   */
+  checkConsistency(text, variant = this.defaultVariant) {
+    const found = { american: [], british: [] };
+
+    for (const match of text.matchAll(/\b[A-Za-z]+\b/g)) {
+      const family = this.classifyWord(match[0]);
+      if (family) found[family].push(match);
+    }
+
+    const counts = {
+      american: found.american.length,
+      british: found.british.length,
+    };
+    const mixed = counts.american > 0 && counts.british > 0;
+
+    let expectedFamily = this.familyOf(variant);
+    if (counts.american !== counts.british) {
+      expectedFamily =
+        counts.american > counts.british ? "american" : "british";
+    }
+    const offFamily = expectedFamily === "american" ? "british" : "american";
+
+    const issues = mixed
+      ? found[offFamily].map((match) => ({
+          type: "variant_consistency",
+          text: match[0],
+          suggestion: this.counterpart(match[0], offFamily),
+          family: offFamily,
+          message:
+            `"${match[0]}" is ${FAMILY_NAMES[offFamily]} spelling, but ` +
+            `most of this essay uses ${FAMILY_NAMES[expectedFamily]} ` +
+            "spelling. Pick one and use it throughout.",
+          position: { start: match.index, end: match.index + match[0].length },
+          category: "style",
+          severity: "suggestion",
+        }))
+      : [];
+
+    return { variant, counts, mixed, expectedFamily, issues };
+  }
+}
+
+module.exports = new EnglishVariantService();
+module.exports.ENGLISH_VARIANTS = ENGLISH_VARIANTS;
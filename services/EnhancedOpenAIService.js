@@ -1,12 +1,8 @@
-require("dotenv").config();
-const OpenAI = require("openai");
+const LLMService = require("./LLMService");
 
 class EnhancedOpenAIService {
   constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
-    this.explanationCache = new Map();
+    this.llm = LLMService;
   }
 
   /**
@@ -50,8 +46,10 @@ Be SPECIFIC - quote their actual text and explain WHY.
 `;
 
     try {
-      const completion = await this.openai.chat.completions.create({
-        model: "gpt-4o-mini",
+      const completion = await this.llm.json({
+        task: "score_explanation",
+        schema: "scoreExplanation",
+        model: "feedback",
         messages: [
           {
             role: "system",
@@ -60,10 +58,10 @@ Be SPECIFIC - quote their actual text and explain WHY.
           { role: "user", content: prompt }
         ],
         temperature: 0.3,
-        response_format: { type: "json_object" }
+        offline: () => this.getFallbackExplanation(score, qualityScores, studentLevel)
       });
 
-      return JSON.parse(completion.choices[0].message.content);
+      return completion.data;
     } catch (error) {
       console.error("Score explanation error:", error);
       return this.getFallbackExplanation(score, qualityScores, studentLevel);
@@ -104,14 +102,16 @@ Return EXACT JSON:
 `;
 
     try {
-      const completion = await this.openai.chat.completions.create({
-        model: "gpt-4o-mini",
+      const completion = await this.llm.json({
+        task: "argument_analysis",
+        schema: "argumentAnalysis",
+        model: "feedback",
         messages: [{ role: "user", content: prompt }],
         temperature: 0.2,
-        response_format: { type: "json_object" }
+        offline: { argumentAnalysis: null }
       });
 
-      return JSON.parse(completion.choices[0].message.content);
+      return completion.data;
     } catch (error) {
       return { argumentAnalysis: null };
     }
@@ -155,15 +155,18 @@ Return EXACT JSON:
 `;
 
     try {
-      const completion = await this.openai.chat.completions.create({
-        model: "gpt-4o-mini",
+      const completion = await this.llm.json({
+        task: "contextual_examples",
+        schema: "contextualExamples",
+        model: "feedback",
         messages: [{ role: "user", content: prompt }],
         temperature: 0.3,
-        response_format: { type: "json_object" }
+        offline: () => ({
+          contextualExamples: this.getFallbackExamples(grammarErrors, studentLevel)
+        })
       });
 
-      const result = JSON.parse(completion.choices[0].message.content);
-      return result.contextualExamples || [];
+      return completion.data.contextualExamples || [];
     } catch (error) {
       return this.getFallbackExamples(grammarErrors, studentLevel);
     }
@@ -201,14 +204,16 @@ Return EXACT JSON:
 `;
 
     try {
-      const completion = await this.openai.chat.completions.create({
-        model: "gpt-4o-mini",
+      const completion = await this.llm.json({
+        task: "writing_patterns",
+        schema: "writingPatterns",
+        model: "feedback",
         messages: [{ role: "user", content: prompt }],
         temperature: 0.2,
-        response_format: { type: "json_object" }
+        offline: { patternAnalysis: null }
       });
 
-      return JSON.parse(completion.choices[0].message.content);
+      return completion.data;
     } catch (error) {
       return { patternAnalysis: null };
     }
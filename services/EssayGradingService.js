@@ -1,57 +1,209 @@
 const axios = require("axios");
+const path = require("path");
+const mongoose = require("mongoose");
 
 const Student = require("../models/Student");
 const Essay = require("../models/Essay");
 
 const ImprovedScoringCalibration = require("./ImprovedScoringCalibration");
+const RubricService = require("./RubricService");
+const GradeScaleService = require("./GradeScaleService");
 const OpenAIService = require("./OpenAIService");
+const LLMService = require("./LLMService");
+const LLMUsageService = require("./LLMUsageService");
+const SpellingDictionaryService = require("./SpellingDictionaryService");
+const EnglishVariantService = require("./EnglishVariantService");
 const AchievementService = require("./AchievementService");
 const FeatureExtractor = require("./FeatureExtractor");
+const { FEATURE_SCHEMA } = FeatureExtractor;
+const FallbackScoringModel = require("./FallbackScoringModel");
 const FeedbackGenerator = require("./FeedbackGenerator");
+const GrammarRuleEngine = require("./GrammarRuleEngine");
 const SpellingCheckerService = require("./SpellingCheckerService");
 const { createError } = require("../utils/errorResponse");
 const PlagiarismDetector = require("./PlagiarismDetector");
+const IssueAnchorService = require("./IssueAnchorService");
+const OcrReviewService = require("./OcrReviewService");
+
+// How long a successful /health contract check is trusted
+const CONTRACT_TTL_MS = 5 * 60 * 1000;
 
 class EssayGradingService {
   constructor() {
     this.featureExtractor = new FeatureExtractor();
+    this.fallbackModel = new FallbackScoringModel();
     this.feedbackGenerator = new FeedbackGenerator();
     this.openAIService = OpenAIService;
 
-    this.spellingChecker = new SpellingCheckerService(this.openAIService);
+    this.spellingChecker = new SpellingCheckerService();
+    this.grammarRules = new GrammarRuleEngine();
     this.scoringCalibration = new ImprovedScoringCalibration();
 
     this.inferenceServiceURL =
       process.env.INFERENCE_SERVICE_URL || "http://localhost:5001";
+    this.scalerParamsPath = process.env.SCALER_PARAMS_PATH
+      ? path.resolve(process.env.SCALER_PARAMS_PATH)
+      : path.join(
+          __dirname,
+          "../../essay-grading-system-service/models/production_model/scaler_params.json"
+        );
+    // On a schema mismatch: "refuse" fails grading, "flag" scores locally
+    this.schemaMismatchPolicy =
+      process.env.INFERENCE_SCHEMA_POLICY === "refuse" ? "refuse" : "flag";
     this.scalerParams = null;
+    this.inferenceContract = null;
   }
 
   async initialize() {
+    this.scalerParams = this.loadScalerParams();
+
+    await this.feedbackGenerator.initializeDictionary();
+
+    const contract = await this.checkInferenceContract();
+    if (contract.status === "ok") {
+      console.log(
+        `✅ Python inference service connected (model ${contract.modelVersion}, feature schema ${contract.featureSchemaVersion})`
+      );
+    } else if (contract.status === "unavailable") {
+      console.error("⚠️ Warning: Python inference service not available");
+    } else {
+      console.error(
+        `⚠️ Inference service contract ${contract.status}:`,
+        contract.problems
+      );
+    }
+  }
+
+  /**
+   * Scaler params must cover the full feature schema; null means unusable
+   */
+  loadScalerParams() {
     try {
-      const modelPath =
-        "../../essay-grading-system-service/models/production_model/";
-      this.scalerParams = require(`${modelPath}scaler_params.json`);
+      const params = require(this.scalerParamsPath);
+      const problems = [];
+
+      if (
+        params.mean?.length !== FEATURE_SCHEMA.count ||
+        params.scale?.length !== FEATURE_SCHEMA.count
+      ) {
+        problems.push(
+          `expected ${FEATURE_SCHEMA.count} mean/scale values, got ${params.mean?.length}/${params.scale?.length}`
+        );
+      }
+      if (
+        params.feature_names &&
+        params.feature_names.join() !== FEATURE_SCHEMA.names.join()
+      ) {
+        problems.push("feature_names do not match the feature schema");
+      }
+
+      if (problems.length > 0) {
+        console.error("⚠️ Scaler params rejected:", problems);
+        return null;
+      }
+
+      return params;
     } catch (error) {
-      console.warn("⚠️ Could not load scaler params, using defaults");
-      this.scalerParams = { mean: [0], scale: [1] };
+      console.warn(
+        `⚠️ Could not load scaler params from ${this.scalerParamsPath}`
+      );
+      return null;
     }
+  }
 
-    await this.feedbackGenerator.initializeDictionary();
+  /**
+   * Compare the schema advertised at /health with FeatureExtractor's
+   * Expected: { model_version, feature_schema: { version, count, names? } }
+   */
+  async checkInferenceContract() {
+    const contract = {
+      status: "ok",
+      checkedAt: new Date(),
+      modelVersion: null,
+      featureSchemaVersion: null,
+      problems: [],
+    };
 
     try {
       const response = await axios.get(`${this.inferenceServiceURL}/health`, {
         timeout: 5000,
       });
-      console.log("✅ Python inference service connected:", response.data);
+      const advertised = response.data?.feature_schema;
+      contract.modelVersion = response.data?.model_version || null;
+      contract.featureSchemaVersion = advertised?.version || null;
+
+      if (advertised) {
+        if (advertised.version !== FEATURE_SCHEMA.version) {
+          contract.problems.push(
+            `feature schema ${advertised.version} does not match extractor ${FEATURE_SCHEMA.version}`
+          );
+        }
+        if (advertised.count && advertised.count !== FEATURE_SCHEMA.count) {
+          contract.problems.push(
+            `service expects ${advertised.count} features, extractor produces ${FEATURE_SCHEMA.count}`
+          );
+        }
+        if (
+          advertised.names &&
+          advertised.names.join() !== FEATURE_SCHEMA.names.join()
+        ) {
+          contract.problems.push("feature names or order differ");
+        }
+      }
+
+      if (!this.scalerParams) {
+        contract.problems.push("scaler params unavailable");
+      }
+
+      if (contract.problems.length > 0) {
+        contract.status = "mismatch";
+      } else if (!advertised) {
+        // Older services: usable, but every essay is flagged as unverified
+        contract.status = "unverified";
+        contract.problems.push("service does not advertise a feature schema");
+      }
     } catch (error) {
-      console.error("⚠️ Warning: Python inference service not available");
+      contract.status = "unavailable";
+      contract.problems.push(error.message);
     }
+
+    this.inferenceContract = contract;
+    return contract;
+  }
+
+  /**
+   * Cached contract, re-checked after CONTRACT_TTL_MS or while the service is down
+   */
+  async getInferenceContract() {
+    const contract = this.inferenceContract;
+    if (
+      contract &&
+      contract.status !== "unavailable" &&
+      Date.now() - contract.checkedAt.getTime() < CONTRACT_TTL_MS
+    ) {
+      return contract;
+    }
+    return this.checkInferenceContract();
   }
 
   /**
    * MAIN GRADING METHOD - WITH ACHIEVEMENT TRACKING
+   * Model calls made while grading are billed to the essay; the essay id is
+   * allocated up front so usage rows can point at it before it is saved.
    */
   async gradeEssay(essayData) {
+    const usage = LLMUsageService.createContext({
+      studentId: essayData.studentId,
+      essayId: essayData.essayId || new mongoose.Types.ObjectId(),
+      assignmentId: essayData.assignmentId,
+    });
+
+    return LLMService.runWithContext(usage, () =>
+      this.runGrading(essayData, usage)
+    );
+  }
+
+  async runGrading(essayData, usage) {
     const {
       studentId,
       text,
@@ -59,7 +211,15 @@ class EssayGradingService {
       fileType,
       ocrConfidence,
       ocrCorrections,
+      ocrWords = [],
+      ocrReview = null,
       structure,
+      essayId,
+      textExtraction,
+      assignmentId,
+      submission,
+      revision,
+      onStage,
     } = essayData;
 
     if (!studentId) {
@@ -72,6 +232,16 @@ class EssayGradingService {
       });
     }
 
+    let currentStage = null;
+    const startStage = async (stage) => {
+      currentStage = stage;
+      await this.reportStage(onStage, stage, "running");
+    };
+    const completeStage = async (stage, data = null) => {
+      currentStage = null;
+      await this.reportStage(onStage, stage, "completed", data);
+    };
+
     try {
       console.log("🔄 Starting essay grading...");
 
@@ -94,25 +264,96 @@ class EssayGradingService {
       console.log(`   Sections: ${essayStructure.sections?.length || 0}`);
       console.log(`   Paragraphs: ${essayStructure.paragraphs?.length || 0}`);
 
-      const analysisResult = await this.processEssayWithAI(
+      // Over budget → rule-based grammar and feedback, no model calls
+      usage.classroomId = await LLMUsageService.resolveClassroomId(
+        assignmentId
+      );
+      const budget = await LLMUsageService.checkBudget(usage);
+      if (!budget.allowed) {
+        console.warn(`⚠️ ${budget.reason}, grading without AI`);
+        usage.degraded = true;
+        usage.degradedReason = budget.reason;
+      }
+
+      // Names and course terms the student or teacher told us to accept
+      const knownWords = await SpellingDictionaryService.getKnownWords({
+        studentId: student._id,
+        assignmentId,
+        classroomId: usage.classroomId,
+      });
+      const englishVariant = await EnglishVariantService.resolveVariant({
+        student,
+        classroomId: usage.classroomId,
+      });
+      await EnglishVariantService.loadAll();
+
+      await startStage("grammar");
+      const analysisResult = usage.degraded
+        ? this.fallbackProcessing(
+            text,
+            student.currentLevel,
+            knownWords,
+            englishVariant
+          )
+        : await this.processEssayWithAI(
+            text,
+            student.currentLevel,
+            essayStructure,
+            knownWords,
+            englishVariant
+          );
+      // Misspellings OCR was unsure of may be misreads, not the student's
+      const ocrUncertain = OcrReviewService.markUncertainSpelling(
+        analysisResult.spellingErrors,
+        ocrWords
+      );
+      if (ocrUncertain > 0) {
+        console.log(`   ${ocrUncertain} spelling errors on uncertain OCR words`);
+      }
+      // Either variant's spelling is accepted, but not both in one essay
+      const variantConsistency = EnglishVariantService.checkConsistency(
         text,
-        student.currentLevel,
-        essayStructure
+        englishVariant
       );
+      // Offsets into the submitted text, for inline highlighting
+      IssueAnchorService.anchorIssues({
+        text,
+        originalText: essayData.originalText || text,
+        essayStructure,
+        grammarErrors: analysisResult.grammarErrors,
+        spellingErrors: analysisResult.spellingErrors,
+        styleIssues: [
+          ...analysisResult.styleSuggestions,
+          ...variantConsistency.issues,
+        ],
+      });
+      // Partial results so clients can show errors before feedback is ready
+      await completeStage("grammar", {
+        spellingErrors: analysisResult.spellingErrors,
+        grammarErrors: analysisResult.grammarErrors,
+        styleIssues: analysisResult.styleSuggestions,
+        variantIssues: variantConsistency.issues,
+      });
 
+      await startStage("plagiarism");
       const plagiarismResults = await PlagiarismDetector.detectPlagiarism(
         text,
         studentId
       );
+      await completeStage("plagiarism", {
+        overallSimilarity: plagiarismResults.overallSimilarity,
+        isPlagiarized: plagiarismResults.isPlagiarized,
+        originalityScore: plagiarismResults.originalityScore,
+      });
 
       // Extract features and run inference
+      await startStage("inference");
       const features = this.featureExtractor.extractFeatures(
         analysisResult.processedWithSpelling,
         essayStructure
       );
 
-      const normalizedFeatures = this.normalizeFeatures(features);
-      const inferenceResult = await this.runInference(normalizedFeatures);
+      const inferenceResult = await this.runInference(features);
 
       const adjustedQualityScores = this.applyStudentLevelAdjustment(
         inferenceResult.qualityScores,
@@ -139,11 +380,14 @@ class EssayGradingService {
       const scoringFeedback = {
         grammarErrors: analysisResult.grammarErrors || [],
         spellingErrors: analysisResult.spellingErrors || [],
+        knownWords,
         analysisMetadata: {
           wordsAnalyzed: wordCount,
         },
       };
 
+      const rubric = await RubricService.getRubricForAssignment(assignmentId);
+
       const scoreResult = this.scoringCalibration.calculateFinalScore(
         adjustedQualityScores, // qualityScores
         inferenceResult.score, // rawScore
@@ -151,7 +395,8 @@ class EssayGradingService {
         scoringFeedback, // feedback
         wordCount, // wordCount
         essayStructure, // essayStructure
-        student.currentLevel // studentLevel
+        student.currentLevel, // studentLevel
+        rubric // rubric
       );
 
       const updatedInferenceResult = {
@@ -160,13 +405,29 @@ class EssayGradingService {
         score: scoreResult.score, // Use the final calculated score
       };
 
-      const grade = this.scoringCalibration.calculateGrade(scoreResult.score);
-      const gradeDescription = this.getGradeDescription(grade);
+      const gradeScale = await GradeScaleService.resolveScale({
+        assignmentId,
+        studentId: student._id,
+      });
+      const grade = this.scoringCalibration.calculateGrade(
+        scoreResult.score,
+        gradeScale
+      );
+      const gradeDescription = this.getGradeDescription(grade, gradeScale);
+      await completeStage("inference", {
+        finalScore: scoreResult.score,
+        grade: grade,
+        gradeDescription: gradeDescription,
+        gradeScale: gradeScale,
+        qualityScores: adjustedQualityScores,
+        breakdown: scoreResult.breakdown,
+      });
 
+      await startStage("feedback");
       const studentHistory = await this.getStudentHistory(student._id);
 
       // Generate feedback with structure
-      const feedback = await this.feedbackGenerator.generateWithAI({
+      const feedbackParams = {
         text: analysisResult.processedWithSpelling,
         studentLevel: student.currentLevel,
         studentProfile: student.profile,
@@ -179,6 +440,17 @@ class EssayGradingService {
         spellingErrors: analysisResult.spellingErrors,
         essayStructure: essayStructure,
         studentHistory: studentHistory,
+        englishVariant,
+      };
+      const feedback = usage.degraded
+        ? await this.feedbackGenerator.generate(feedbackParams)
+        : await this.feedbackGenerator.generateWithAI(feedbackParams);
+      // Feedback detects its own style suggestions on the spelling-fixed text
+      IssueAnchorService.anchorIssues({
+        text: analysisResult.processedWithSpelling,
+        originalText: essayData.originalText || text,
+        essayStructure,
+        styleIssues: feedback.styleSuggestions || [],
       });
 
       // Generate personalized feedback
@@ -192,6 +464,8 @@ class EssayGradingService {
       );
 
       feedback.personalizedInsights = personalizedFeedback;
+      feedback.variantConsistency = variantConsistency;
+      await completeStage("feedback", { feedback });
 
       // Create essay document
       const essayDocument = {
@@ -201,9 +475,17 @@ class EssayGradingService {
         processedText: text,
         fullyCorrectedText: fullyCorrectedText,
         essayStructure: essayStructure,
+        englishVariant,
         fileType,
         ocrConfidence,
         ocrCorrections,
+        ...(ocrWords.length > 0 && {
+          ocrWords,
+          ocrReview: ocrReview || OcrReviewService.summarize(ocrWords),
+        }),
+        ...(textExtraction && { textExtraction }),
+        ...(assignmentId && { assignmentId, submission }),
+        ...(revision && { revision }),
         plagiarism: {
           overallSimilarity: plagiarismResults.overallSimilarity,
           isPlagiarized: plagiarismResults.isPlagiarized,
@@ -225,30 +507,61 @@ class EssayGradingService {
           finalScore: scoreResult.score,
           grade: grade,
           gradeDescription: gradeDescription,
+          gradeScale: gradeScale,
           confidence: updatedInferenceResult.confidence,
           uncertaintyRange: scoreResult.uncertaintyRange,
           qualityScores: adjustedQualityScores, // Adjusted scores
           calibrationVersion: "improved-v2",
+          model: inferenceResult.model,
+          featureSchema: inferenceResult.featureSchema,
+          rubric: RubricService.describeRubric(rubric),
+          breakdown: scoreResult.breakdown,
           validatedErrors: {
             grammar: analysisResult.grammarErrors.length,
             spelling: analysisResult.spellingErrors.length,
           },
         },
         feedback: feedback,
+        aiUsage: LLMUsageService.summarizeContext(usage),
         detectedIssues: [],
         gradedAt: new Date(),
         status: "graded",
         achievementsUnlocked: [],
       };
 
-      const essay = await Essay.create(essayDocument);
+      // Background jobs grade into the placeholder essay created at upload
+      let essay;
+      if (essayId) {
+        essay = await Essay.findByIdAndUpdate(essayId, essayDocument, {
+          new: true,
+        });
+        if (!essay) {
+          throw createError("NOT_FOUND", "Essay not found");
+        }
+      } else {
+        essay = await Essay.create({ _id: usage.essayId, ...essayDocument });
+      }
 
-      // Update student profile
-      await this.updateStudentProfile(student, essay, []);
-      const levelAssessment = await this.assessAndUpdateLevel(student);
+      // Update student profile. A retried background job re-grades an essay
+      // the profile may already count; its level was assessed then.
+      const newlyCounted = await this.updateStudentProfile(student, essay, []);
+      const levelAssessment = newlyCounted
+        ? await this.assessAndUpdateLevel(student)
+        : {
+            action: "none",
+            reason: "already_assessed",
+            message: "Level already assessed for this essay",
+          };
+      // Profile and level are saved together, so a retry sees both or neither
+      await student.save();
+
+      await startStage("achievements");
 
       // ✅ Get essay history BEFORE checking achievements
-      const essayHistory = await Essay.find({ studentId: student._id })
+      const essayHistory = await Essay.find({
+        studentId: student._id,
+        status: "graded",
+      })
         .sort({ submittedAt: -1 })
         .limit(10)
         .lean();
@@ -272,6 +585,27 @@ class EssayGradingService {
         hasError: !!achievementResult.error,
       });
 
+      // Badges this essay unlocked on an earlier attempt of a retried job
+      const earlierUnlocks = student.achievements.unlockedBadges
+        .filter(
+          (badge) =>
+            badge.triggeredByEssay?.toString() === essay._id.toString() &&
+            !(achievementResult.unlocked || []).includes(badge.badgeId)
+        )
+        .map((badge) => badge.badgeId);
+      if (earlierUnlocks.length > 0) {
+        achievementResult.unlocked = [
+          ...(achievementResult.unlocked || []),
+          ...earlierUnlocks,
+        ];
+        achievementResult.newAchievements = [
+          ...(achievementResult.newAchievements || []),
+          ...earlierUnlocks.map((badgeId) =>
+            AchievementService.getBadgeInfo(badgeId)
+          ),
+        ];
+      }
+
       // ✅ UPDATE ESSAY WITH UNLOCKED ACHIEVEMENTS
       if (achievementResult.unlocked && achievementResult.unlocked.length > 0) {
         console.log(
@@ -316,6 +650,10 @@ class EssayGradingService {
 
       // ✅ Save student updates
       await student.save();
+      await completeStage("achievements", {
+        unlocked: achievementResult.unlocked || [],
+        newAchievements: achievementResult.newAchievements || [],
+      });
 
       // ✅ Return fresh essay data with achievements
       const finalEssay = await Essay.findById(essay._id).lean();
@@ -328,8 +666,6 @@ class EssayGradingService {
         }`
       );
 
-      console.log("assessAndUpdateLevel", this.assessAndUpdateLevel(student));
-
       return {
         essay: finalEssay, // Now includes achievementsUnlocked array
         studentLevel: student.currentLevel,
@@ -340,6 +676,12 @@ class EssayGradingService {
     } catch (error) {
       console.error("Grading error:", error);
 
+      if (currentStage) {
+        await this.reportStage(onStage, currentStage, "failed", {
+          error: error.message,
+        });
+      }
+
       // Re-throw operational errors, wrap others
       if (error.isOperational) {
         throw error;
@@ -351,6 +693,22 @@ class EssayGradingService {
     }
   }
 
+  /**
+   * Notify an optional stage listener (used by the background worker)
+   * A worker that lost its job to another one stops the run here, before
+   * the essay is saved twice.
+   */
+  async reportStage(onStage, stage, status, data = null) {
+    if (typeof onStage !== "function") return;
+
+    try {
+      await onStage(stage, status, data);
+    } catch (error) {
+      if (error.errorCode === "JOB_LOCK_LOST") throw error;
+      console.warn(`⚠️ Stage listener failed (${stage}):`, error.message);
+    }
+  }
+
   async assessAndUpdateLevel(student) {
     try {
       console.log("\n🎯 === LEVEL ASSESSMENT START ===");
@@ -457,14 +815,25 @@ class EssayGradingService {
     return adjusted;
   }
 
-  async processEssayWithAI(processedText, studentLevel, essayStructure) {
+  async processEssayWithAI(
+    processedText,
+    studentLevel,
+    essayStructure,
+    knownWords = null,
+    englishVariant = null
+  ) {
     try {
       console.log("🤖 Processing essay with AI...");
 
       const aiHealth = await this.openAIService.healthCheck();
       if (!aiHealth.healthy) {
         console.warn("⚠️ AI service not available, using fallback");
-        return this.fallbackProcessing(processedText);
+        return this.fallbackProcessing(
+          processedText,
+          studentLevel,
+          knownWords,
+          englishVariant
+        );
       }
 
       // Single AI call for comprehensive analysis
@@ -474,7 +843,12 @@ class EssayGradingService {
 
       if (!aiResult || !aiResult.grammar_analysis) {
         console.warn("⚠️ No analysis returned from AI");
-        return this.fallbackProcessing(processedText);
+        return this.fallbackProcessing(
+          processedText,
+          studentLevel,
+          knownWords,
+          englishVariant
+        );
       }
 
       console.log(
@@ -487,7 +861,9 @@ class EssayGradingService {
       let spellingErrors = [];
       try {
         spellingErrors = await this.spellingChecker.checkSpellingWithContext(
-          processedText
+          processedText,
+          knownWords,
+          englishVariant
         );
         console.log(
           `🔤 Found ${spellingErrors.length} spelling errors (context-aware)`
@@ -497,7 +873,11 @@ class EssayGradingService {
           "⚠️ Context-aware spelling failed, using basic check:",
           error.message
         );
-        spellingErrors = this.spellingChecker.checkSpelling(processedText);
+        spellingErrors = this.spellingChecker.checkSpelling(
+          processedText,
+          knownWords,
+          englishVariant
+        );
         console.log(
           `🔤 Found ${spellingErrors.length} spelling errors (basic)`
         );
@@ -506,9 +886,20 @@ class EssayGradingService {
       // Don't fix spelling in the text - keep original for grading
       const processedWithSpelling = processedText;
 
+      // Rules confirm what they can, add clear-cut errors the model missed
+      // and drop corrections quoting text that is not in the essay
+      const { corrections, stats } = this.grammarRules.crossValidate(
+        aiResult.grammar_analysis.corrections,
+        processedText
+      );
+      console.log(
+        `📏 Rule check: ${stats.corroborated} corroborated, ` +
+          `${stats.unlocated} dropped, ${stats.addedFromRules} added`
+      );
+
       // Process grammar errors with AI explanations
       const grammarErrors = await this.processGrammarErrors(
-        aiResult.grammar_analysis.corrections,
+        corrections,
         processedText,
         studentLevel
       );
@@ -531,7 +922,12 @@ class EssayGradingService {
       };
     } catch (error) {
       console.error("❌ AI processing failed:", error.message);
-      return this.fallbackProcessing(processedText);
+      return this.fallbackProcessing(
+        processedText,
+        studentLevel,
+        knownWords,
+        englishVariant
+      );
     }
   }
 
@@ -1108,8 +1504,21 @@ class EssayGradingService {
     return conclusionKeywords.some((keyword) => lastSection.includes(keyword));
   }
 
-  fallbackProcessing(processedText) {
-    const spellingErrors = this.spellingChecker.checkSpelling(processedText);
+  fallbackProcessing(
+    processedText,
+    studentLevel = "intermediate",
+    knownWords = null,
+    englishVariant = null
+  ) {
+    const spellingErrors = this.spellingChecker.checkSpelling(
+      processedText,
+      knownWords,
+      englishVariant
+    );
+    const grammarErrors = this.grammarRules.toStandardErrors(
+      this.grammarRules.check(processedText),
+      studentLevel
+    );
     const processedWithSpelling = this.preprocessText(
       processedText,
       spellingErrors
@@ -1118,7 +1527,7 @@ class EssayGradingService {
 
     return {
       spellingErrors,
-      grammarErrors: [],
+      grammarErrors,
       styleSuggestions,
       processedWithSpelling,
       structureAnalysis: this.analyzeEssayStructure({}, processedText),
@@ -1178,7 +1587,10 @@ class EssayGradingService {
 
   async getStudentHistory(studentMongoId) {
     try {
-      const essays = await Essay.find({ studentId: studentMongoId })
+      const essays = await Essay.find({
+        studentId: studentMongoId,
+        status: "graded",
+      })
         .sort({ submittedAt: -1 })
         .limit(10)
         .select("grading.finalScore grading.qualityScores submittedAt");
@@ -1239,15 +1651,28 @@ class EssayGradingService {
     return insights;
   }
 
+  /**
+   * Count a graded essay in the student's profile (not saved here)
+   * → false when the essay was already counted (a retried job): its score is
+   * replaced instead of added again
+   */
   async updateStudentProfile(student, essay, detectedIssues) {
     const { grading } = essay;
-
-    student.performanceMetrics.recentScores.push({
+    const score = {
       score: grading.finalScore,
       normalizedScore: grading.normalizedScore,
       submittedAt: essay.submittedAt,
       essayId: essay._id,
-    });
+    };
+
+    const existing = student.performanceMetrics.recentScores.find(
+      (entry) => entry.essayId?.toString() === essay._id.toString()
+    );
+    if (existing) {
+      Object.assign(existing, score);
+    } else {
+      student.performanceMetrics.recentScores.push(score);
+    }
 
     if (student.performanceMetrics.recentScores.length > 10) {
       student.performanceMetrics.recentScores.shift();
@@ -1258,10 +1683,12 @@ class EssayGradingService {
       recentScores.reduce((sum, s) => sum + s.normalizedScore, 0) /
       recentScores.length;
 
+    if (existing) return false;
+
     student.stats.totalEssays += 1;
     student.stats.lastSubmission = new Date();
 
-    await student.save();
+    return true;
   }
 
   async assessAndUpdateLevel(student) {
@@ -1326,11 +1753,43 @@ class EssayGradingService {
     return features.map((f, i) => (f - mean[i]) / scale[i]);
   }
 
+  /**
+   * Score with the Python inference service when its advertised feature schema
+   * matches ours; otherwise (or when it is down) use the in-process model
+   */
   async runInference(features) {
+    const contract = await this.getInferenceContract();
+    const featureSchema = {
+      version: FEATURE_SCHEMA.version,
+      count: FEATURE_SCHEMA.count,
+      contractStatus: contract.status,
+      flagged: ["mismatch", "unverified"].includes(contract.status),
+      problems: contract.problems,
+    };
+
+    if (contract.status === "mismatch") {
+      if (this.schemaMismatchPolicy === "refuse") {
+        throw createError(
+          "SERVICE_UNAVAILABLE",
+          "Inference service contract does not match this server",
+          { problems: contract.problems }
+        );
+      }
+      console.warn(
+        "⚠️ Inference contract mismatch, scoring locally:",
+        contract.problems
+      );
+      return this.runFallbackModel(features, featureSchema);
+    }
+
+    if (contract.status === "unavailable") {
+      return this.runFallbackModel(features, featureSchema);
+    }
+
     try {
       const response = await axios.post(
         `${this.inferenceServiceURL}/predict`,
-        { features: features },
+        { features: this.normalizeFeatures(features) },
         { timeout: 10000 }
       );
 
@@ -1348,75 +1807,35 @@ class EssayGradingService {
           style: quality_scores.style,
           mechanics: quality_scores.mechanics,
         },
+        model: {
+          source: "inference_service",
+          name: "production_model",
+          version: contract.modelVersion,
+          featureSchemaVersion: contract.featureSchemaVersion,
+        },
+        featureSchema,
       };
     } catch (error) {
       console.error("Python inference service error:", error.message);
-      return this.calculateIntelligentFallbackScores(features);
+      return this.runFallbackModel(features, {
+        ...featureSchema,
+        contractStatus: "unavailable",
+        flagged: false,
+      });
     }
   }
 
-  /**
-   * Calculate intelligent fallback scores when inference service is down
-   */
-  calculateIntelligentFallbackScores(features) {
-    console.log("🔄 Calculating intelligent fallback scores...");
-
-    // Extract key features to estimate scores
-    const wordCount = features[0] || 300; // First feature is usually word count
-    const sentenceCount = features[1] || 15;
-    const vocabularyDiversity = features[5] || 0.5; // TTR
-    const longWordsRatio = features[6] || 0.2;
-
-    // Estimate scores based on features
-    const baseGrammar = Math.min(0.8, 0.6 + vocabularyDiversity * 0.4);
-    const baseContent = Math.min(0.85, 0.5 + wordCount / 1000);
-    const baseOrganization = 0.7; // Default
-    const baseStyle = Math.min(0.8, 0.5 + longWordsRatio * 0.6);
-    const baseMechanics = 0.7; // Default
-
-    // Adjust based on essay length and complexity
-    const lengthBonus = Math.min(0.1, wordCount / 3000);
-    const complexityBonus = vocabularyDiversity * 0.2;
-
-    const estimatedScores = {
-      grammar: baseGrammar + complexityBonus,
-      content: baseContent + lengthBonus,
-      organization: baseOrganization,
-      style: baseStyle + complexityBonus,
-      mechanics: baseMechanics,
-    };
-
-    // Normalize scores
-    Object.keys(estimatedScores).forEach((key) => {
-      estimatedScores[key] = Math.max(0.5, Math.min(0.9, estimatedScores[key]));
-    });
-
-    console.log("📊 Estimated fallback scores:", estimatedScores);
-
-    return {
-      score: 75, // Default score
-      normalizedScore: 75,
-      confidence: 0.6, // Lower confidence for fallback
-      qualityScores: estimatedScores,
-    };
+  runFallbackModel(features, featureSchema) {
+    const prediction = this.fallbackModel.predict(features);
+    console.log(
+      `🔄 Scored with fallback model ${prediction.model.name}@${prediction.model.version}:`,
+      prediction.qualityScores
+    );
+    return { ...prediction, featureSchema };
   }
 
-  getGradeDescription(grade) {
-    const descriptions = {
-      A: "Excellent – Strong writing with minor errors",
-      "A-": "Very Good – Clear writing with some errors",
-      "B+": "Good – Solid writing with noticeable errors",
-      B: "Satisfactory – Adequate writing with several errors",
-      "B-": "Fair – Basic writing with multiple errors",
-      "C+": "Developing – Emerging skills with frequent errors",
-      C: "Needs Improvement – Basic comprehension with many errors",
-      "C-": "Weak – Significant improvement needed",
-      "D+": "Poor – Major issues throughout",
-      D: "Very Poor – Fundamental writing problems",
-      "D-": "Failing – Does not meet basic standards",
-      F: "Fail – Unacceptable writing quality",
-    };
-    return descriptions[grade] || "Needs improvement";
+  getGradeDescription(grade, scaleKey = "letter") {
+    return GradeScaleService.getDescription(grade, scaleKey);
   }
 }
 
@@ -0,0 +1,192 @@
+const path = require("path");
+const { RUBRIC_CRITERIA: QUALITY_KEYS } = require("../models/Rubric");
+const { FEATURE_SCHEMA } = require("./FeatureExtractor");
+
+const DEFAULT_MODEL_PATH = path.join(
+  __dirname,
+  "../config/fallback_scoring_model.json"
+);
+
+/**
+ * In-process scoring model used when the Python inference service is down.
+ * Evaluates a serialized model over the raw FeatureExtractor vector and
+ * returns the same shape as /predict.
+ *
+ * Supported model types:
+ * - linear: per output { intercept, min, max, terms: [{ feature, center, weight }] }
+ * - gbm:    per output { baseScore, learningRate, min, max, trees: [node] }
+ *           where node is { feature, threshold, left, right } or { leaf }
+ */
+class FallbackScoringModel {
+  constructor(modelPath = process.env.FALLBACK_MODEL_PATH) {
+    this.model = this.load(modelPath);
+  }
+
+  load(modelPath) {
+    if (modelPath) {
+      try {
+        const model = require(path.resolve(modelPath));
+        this.validate(model);
+        console.log(
+          `✅ Fallback scoring model loaded: ${model.name}@${model.version}`
+        );
+        return model;
+      } catch (error) {
+        console.warn(
+          `⚠️ Could not load fallback model from ${modelPath}, using bundled model:`,
+          error.message
+        );
+      }
+    }
+
+    const model = require(DEFAULT_MODEL_PATH);
+    this.validate(model);
+    return model;
+  }
+
+  validate(model) {
+    if (!["linear", "gbm"].includes(model.type)) {
+      throw new Error(`Unsupported fallback model type: ${model.type}`);
+    }
+
+    const missing = QUALITY_KEYS.filter((key) => !model.outputs?.[key]);
+    if (missing.length > 0) {
+      throw new Error(
+        `Fallback model is missing outputs: ${missing.join(", ")}`
+      );
+    }
+
+    if (model.featureSchemaVersion !== FEATURE_SCHEMA.version) {
+      throw new Error(
+        `Fallback model was built for feature schema ${model.featureSchemaVersion}, extractor is ${FEATURE_SCHEMA.version}`
+      );
+    }
+
+    // Every feature index must exist in the extractor's vector
+    QUALITY_KEYS.forEach((key) => {
+      const head = model.outputs[key];
+      const features =
+        model.type === "linear"
+          ? (head.terms || []).map((term) => term.feature)
+          : (head.trees || []).flatMap((tree) => this.treeFeatures(tree));
+
+      features.forEach((feature) => {
+        if (
+          !Number.isInteger(feature) ||
+          feature < 0 ||
+          feature >= FEATURE_SCHEMA.count
+        ) {
+          throw new Error(
+            `Fallback model output ${key} uses feature ${feature}, extractor has ${FEATURE_SCHEMA.count}`
+          );
+        }
+      });
+    });
+
+    // Linear terms name their feature; catch models pointing at the wrong index
+    if (model.type === "linear") {
+      QUALITY_KEYS.forEach((key) => {
+        model.outputs[key].terms.forEach((term) => {
+          if (term.name && term.name !== FEATURE_SCHEMA.names[term.feature]) {
+            throw new Error(
+              `Fallback model term ${key}.${term.name} points at feature ${term.feature} (${FEATURE_SCHEMA.names[term.feature]})`
+            );
+          }
+        });
+      });
+    }
+  }
+
+  treeFeatures(node) {
+    if (!node || node.leaf !== undefined) return [];
+    return [
+      node.feature,
+      ...this.treeFeatures(node.left),
+      ...this.treeFeatures(node.right),
+    ];
+  }
+
+  describe() {
+    return {
+      source: "local_fallback",
+      name: this.model.name,
+      version: this.model.version,
+      type: this.model.type,
+      featureSchemaVersion: this.model.featureSchemaVersion,
+    };
+  }
+
+  featureValue(features, index) {
+    const value = features[index];
+    return typeof value === "number" && isFinite(value) ? value : 0;
+  }
+
+  evaluateLinear(head, features) {
+    return head.terms.reduce((sum, term) => {
+      const value = this.featureValue(features, term.feature);
+      return sum + term.weight * (value - (term.center || 0));
+    }, head.intercept || 0);
+  }
+
+  evaluateTree(node, features) {
+    let current = node;
+    while (current.leaf === undefined) {
+      current =
+        this.featureValue(features, current.feature) < current.threshold
+          ? current.left
+          : current.right;
+    }
+    return current.leaf;
+  }
+
+  evaluateGbm(head, features) {
+    const learningRate = head.learningRate ?? 1;
+    return head.trees.reduce(
+      (sum, tree) => sum + learningRate * this.evaluateTree(tree, features),
+      head.baseScore || 0
+    );
+  }
+
+  evaluateHead(head, features) {
+    const value =
+      this.model.type === "gbm"
+        ? this.evaluateGbm(head, features)
+        : this.evaluateLinear(head, features);
+
+    return Math.max(head.min ?? 0, Math.min(head.max ?? 1, value));
+  }
+
+  /**
+   * Same output shape as the inference service's /predict
+   */
+  predict(features) {
+    const qualityScores = {};
+    QUALITY_KEYS.forEach((key) => {
+      qualityScores[key] = this.evaluateHead(this.model.outputs[key], features);
+    });
+
+    const { intercept = 0, weights = {}, rawRange = [3.5, 12] } =
+      this.model.score || {};
+    const normalizedScore = Math.max(
+      0,
+      Math.min(
+        100,
+        QUALITY_KEYS.reduce(
+          (sum, key) => sum + (weights[key] || 0) * qualityScores[key],
+          intercept
+        )
+      )
+    );
+    const [rawMin, rawMax] = rawRange;
+
+    return {
+      score: rawMin + (normalizedScore / 100) * (rawMax - rawMin),
+      normalizedScore,
+      confidence: this.model.confidence ?? 0.6,
+      qualityScores,
+      model: this.describe(),
+    };
+  }
+}
+
+module.exports = FallbackScoringModel;
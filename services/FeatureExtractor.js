@@ -1,3 +1,45 @@
+/**
+ * Named, ordered feature schema. Bump the version whenever a feature is added,
+ * removed, reordered or computed differently - the inference service and any
+ * serialized model must advertise the same version.
+ */
+const FEATURE_NAMES = [
+  // 1-30: basic text features
+  'char_count_log', 'sentence_count_log', 'word_count_log',
+  'unique_word_count', 'type_token_ratio', 'long_word_ratio',
+  'academic_word_count', 'academic_word_ratio', 'content_word_ratio',
+  'avg_sentence_length', 'sentence_length_std', 'max_sentence_length',
+  'min_sentence_length', 'complex_sentence_ratio', 'simple_sentence_ratio',
+  'being_verbs', 'perfect_tenses', 'modal_verbs', 'transition_words',
+  'subordinating_conjunctions',
+  'paragraph_count', 'has_introduction', 'has_conclusion', 'sequencing_words',
+  'example_markers',
+  'readability', 'avg_word_length', 'complex_word_ratio',
+  'morphological_complexity', 'negation_density',
+  // 31-50: content quality indicators
+  'personal_voice', 'emphasis_words', 'evidence_markers', 'conclusion_markers',
+  'addition_markers',
+  'noun_suffixes', 'verb_suffixes', 'adjective_suffixes', 'adverb_suffixes',
+  'prepositions',
+  ...Array.from({ length: 10 }, (_, i) => `pos_reserved_${i + 1}`),
+  // 51-150: advanced features
+  ...Array.from({ length: 5 }, (_, i) => `top_word_frequency_${i + 1}`),
+  'structure_has_title', 'structure_section_count',
+  'structure_paragraph_count', 'structure_paragraph_length_mean',
+  'structure_paragraph_length_std',
+  'paragraph_coherence', 'topic_consistency', 'lexical_diversity',
+  'sentence_variety', 'argument_strength',
+  'spelling_indicator_density', 'grammar_indicator_density',
+  'informal_language_density',
+  ...Array.from({ length: 82 }, (_, i) => `reserved_${i + 1}`)
+];
+
+const FEATURE_SCHEMA = Object.freeze({
+  version: '1.0.0',
+  count: FEATURE_NAMES.length,
+  names: Object.freeze(FEATURE_NAMES)
+});
+
 class FeatureExtractor {
   constructor() {
     this.academicWords = this.getAcademicWords();
@@ -5,6 +47,13 @@ class FeatureExtractor {
     this.stopWords = this.getStopWords();
   }
 
+  /**
+   * Schema describing the vector returned by extractFeatures
+   */
+  getSchema() {
+    return FEATURE_SCHEMA;
+  }
+
   /**
    * Extract 150 features matching Python implementation exactly
    */
@@ -376,4 +425,5 @@ class FeatureExtractor {
   }
 }
 
-module.exports = FeatureExtractor;
\ No newline at end of file
+module.exports = FeatureExtractor;
+module.exports.FEATURE_SCHEMA = FEATURE_SCHEMA;
\ No newline at end of file
@@ -1,9 +1,9 @@
 const natural = require("natural");
 const compromise = require("compromise");
-const SpellChecker = require("simple-spellchecker");
 const axios = require("axios");
 const EnhancedOpenAIService = require("./EnhancedOpenAIService");
 const AdaptiveFeedbackService = require("./AdaptiveFeedbackService");
+const EnglishVariantService = require("./EnglishVariantService");
 
 /**
  * COMPREHENSIVE FeedbackGenerator Class
@@ -13,6 +13,7 @@ class FeedbackGenerator {
   constructor() {
     this.dictionary = null;
     this.dictionaryReady = false;
+    this.dictionaries = new Map(); // variant code → dictionary
     this.initializeDictionary();
     this.definitionCache = new Map();
     this.maxCacheSize = 1000;
@@ -82,20 +83,26 @@ class FeedbackGenerator {
     ]);
   }
 
-  async initializeDictionary() {
-    return new Promise((resolve, reject) => {
-      SpellChecker.getDictionary("en-US", (err, dictionary) => {
-        if (err) {
-          console.error("Failed to load dictionary:", err);
-          reject(err);
-        } else {
-          this.dictionary = dictionary;
-          this.dictionaryReady = true;
-          console.log("✅ Spell checker dictionary loaded");
-          resolve();
-        }
-      });
-    });
+  /**
+   * Load the dictionary for an English variant (shared with the spelling
+   * checker through EnglishVariantService) and make it the active one
+   */
+  async initializeDictionary(variant = EnglishVariantService.defaultVariant) {
+    try {
+      if (!this.dictionaries.has(variant)) {
+        await EnglishVariantService.loadAll();
+        this.dictionaries.set(
+          variant,
+          EnglishVariantService.getDictionaries(variant).primary
+        );
+        console.log(`✅ Spell checker dictionary loaded (${variant})`);
+      }
+      this.dictionary = this.dictionaries.get(variant);
+      this.dictionaryReady = true;
+    } catch (err) {
+      console.error("Failed to load dictionary:", err);
+      throw err;
+    }
   }
 
   // ----------- NEW ---------
@@ -423,11 +430,10 @@ class FeedbackGenerator {
       grammarErrors = [],
       spellingErrors = [],
       essayStructure = null,
+      englishVariant = EnglishVariantService.defaultVariant,
     } = params;
 
-    if (!this.dictionaryReady) {
-      await this.initializeDictionary();
-    }
+    await this.initializeDictionary(englishVariant);
 
     console.log("📝 Generating comprehensive feedback...");
 
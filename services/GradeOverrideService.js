@@ -0,0 +1,323 @@
+const GradeOverride = require("../models/GradeOverride");
+const Student = require("../models/Student");
+const { RUBRIC_CRITERIA } = require("../models/Rubric");
+const EssayGradingService = require("./EssayGradingService");
+const GradeScaleService = require("./GradeScaleService");
+const NotificationService = require("./NotificationService");
+const { createError } = require("../utils/errorResponse");
+
+const FEEDBACK_CATEGORIES = ["grammarErrors", "spellingErrors", "styleIssues"];
+// Fields a teacher may rewrite on a single feedback item
+const EDITABLE_ITEM_FIELDS = [
+  "correction",
+  "explanation",
+  "suggestion",
+  "message",
+];
+
+/**
+ * Grade Override Service - teacher moderation of machine grades
+ */
+class GradeOverrideService {
+  /**
+   * Apply a teacher override to a graded essay
+   * body: { reason, finalScore?, qualityScores?, feedbackItems?, comment? }
+   */
+  async overrideGrade(essay, teacher, body) {
+    const { finalScore, qualityScores, feedbackItems, comment } = body;
+    const reason = typeof body.reason === "string" ? body.reason.trim() : "";
+
+    if (!reason) {
+      throw createError(
+        "BAD_REQUEST",
+        "A reason is required to override a grade"
+      );
+    }
+
+    if (essay.status !== "graded") {
+      throw createError("BAD_REQUEST", "Only graded essays can be overridden", {
+        status: essay.status,
+      });
+    }
+
+    this.validateOverride(essay, { finalScore, qualityScores, feedbackItems });
+
+    const previousGrading = essay.toObject().grading;
+    const changes = [];
+
+    // Preserve the machine result the first time anyone touches it
+    if (!essay.moderation?.aiResult) {
+      essay.set("moderation.aiResult", {
+        grading: previousGrading,
+        feedback: essay.toObject().feedback,
+      });
+    }
+
+    if (finalScore !== undefined && finalScore !== essay.grading.finalScore) {
+      const scaleKey = essay.grading.gradeScale || "letter";
+      const grade = GradeScaleService.getBand(finalScore, scaleKey).grade;
+
+      changes.push({
+        field: "finalScore",
+        from: essay.grading.finalScore,
+        to: finalScore,
+      });
+      if (grade !== essay.grading.grade) {
+        changes.push({ field: "grade", from: essay.grading.grade, to: grade });
+      }
+
+      essay.grading.finalScore = finalScore;
+      essay.grading.grade = grade;
+      essay.grading.gradeDescription = GradeScaleService.getDescription(
+        grade,
+        scaleKey
+      );
+    }
+
+    Object.entries(qualityScores || {}).forEach(([key, value]) => {
+      const current = essay.grading.qualityScores?.[key];
+      if (current === value) return;
+
+      changes.push({ field: `qualityScores.${key}`, from: current, to: value });
+      essay.set(`grading.qualityScores.${key}`, value);
+    });
+
+    (feedbackItems || []).forEach((item) => {
+      changes.push(this.applyFeedbackItem(essay, item));
+    });
+
+    if (comment !== undefined) {
+      changes.push({
+        field: "feedback.teacherComment",
+        from: essay.feedback?.teacherComment || null,
+        to: comment,
+      });
+      essay.set("feedback.teacherComment", comment);
+    }
+
+    if (changes.length === 0) {
+      throw createError("BAD_REQUEST", "The override does not change anything");
+    }
+
+    // The audit record is written before anything changes, so no override
+    // is applied without one; it is withdrawn if the essay cannot be saved
+    const override = await GradeOverride.create({
+      essayId: essay._id,
+      studentId: essay.studentId,
+      teacherId: teacher._id,
+      reason,
+      changes,
+      previousGrading,
+    });
+
+    essay.set("moderation.status", "overridden");
+    essay.set("moderation.overriddenBy", teacher._id);
+    essay.set("moderation.overriddenAt", new Date());
+    essay.set("moderation.reason", reason);
+    essay.set(
+      "moderation.overrideCount",
+      (essay.moderation?.overrideCount || 0) + 1
+    );
+
+    try {
+      await essay.save();
+    } catch (error) {
+      await GradeOverride.deleteOne({ _id: override._id });
+      throw error;
+    }
+
+    const levelAssessment = await this.updateStudentRecord(
+      essay,
+      previousGrading.finalScore
+    );
+
+    if (levelAssessment) {
+      override.levelAssessment = levelAssessment;
+      await override.save();
+    }
+
+    await NotificationService.notifyStudent(essay.studentId, {
+      type: "grade_override",
+      title: `Your grade for "${essay.title}" was reviewed`,
+      message: `${teacher.name} updated your grade: ${reason}`,
+      data: {
+        essayId: essay._id,
+        overrideId: override._id,
+        finalScore: essay.grading.finalScore,
+        grade: essay.grading.grade,
+        previousScore: previousGrading.finalScore,
+        previousGrade: previousGrading.grade,
+      },
+    });
+
+    console.log(
+      `✏️ Grade override on essay ${essay._id} by teacher ${teacher.teacherId}: ${changes.length} change(s)`
+    );
+
+    return { essay, override, levelAssessment };
+  }
+
+  validateOverride(essay, { finalScore, qualityScores, feedbackItems }) {
+    if (
+      finalScore !== undefined &&
+      (typeof finalScore !== "number" || finalScore < 0 || finalScore > 100)
+    ) {
+      throw createError(
+        "BAD_REQUEST",
+        "finalScore must be a number from 0 to 100"
+      );
+    }
+
+    Object.entries(qualityScores || {}).forEach(([key, value]) => {
+      if (!RUBRIC_CRITERIA.includes(key)) {
+        throw createError("BAD_REQUEST", `Unknown quality score: ${key}`, {
+          allowed: RUBRIC_CRITERIA,
+        });
+      }
+      if (typeof value !== "number" || value < 0 || value > 1) {
+        throw createError(
+          "BAD_REQUEST",
+          `qualityScores.${key} must be a number from 0 to 1`
+        );
+      }
+    });
+
+    if (feedbackItems !== undefined && !Array.isArray(feedbackItems)) {
+      throw createError("BAD_REQUEST", "feedbackItems must be an array");
+    }
+
+    (feedbackItems || []).forEach((item) => {
+      if (!FEEDBACK_CATEGORIES.includes(item.category)) {
+        throw createError(
+          "BAD_REQUEST",
+          `Unknown feedback category: ${item.category}`,
+          { allowed: FEEDBACK_CATEGORIES }
+        );
+      }
+      if (!essay.feedback?.[item.category]?.[item.index]) {
+        throw createError("BAD_REQUEST", "Feedback item not found", {
+          category: item.category,
+          index: item.index,
+        });
+      }
+      if (!["dismiss", "edit"].includes(item.action)) {
+        throw createError(
+          "BAD_REQUEST",
+          'Feedback action must be "dismiss" or "edit"'
+        );
+      }
+    });
+  }
+
+  /**
+   * Dismissed items stay in place (flagged) so indexes remain stable
+   */
+  applyFeedbackItem(essay, { category, index, action, changes = {} }) {
+    const items = essay.feedback[category];
+    const before = items[index];
+
+    const after =
+      action === "dismiss"
+        ? { ...before, dismissedByTeacher: true }
+        : {
+            ...before,
+            ...Object.fromEntries(
+              EDITABLE_ITEM_FIELDS.filter((f) => changes[f] !== undefined).map(
+                (f) => [f, changes[f]]
+              )
+            ),
+            editedByTeacher: true,
+          };
+
+    items.set(index, after);
+    essay.markModified(`feedback.${category}`);
+
+    return { field: `feedback.${category}[${index}]`, from: before, to: after };
+  }
+
+  /**
+   * Feed the corrected score into recent scores and re-run level assessment
+   */
+  async updateStudentRecord(essay, previousScore) {
+    const student = await Student.findById(essay.studentId);
+    if (!student) return null;
+
+    const entry = student.performanceMetrics.recentScores.find(
+      (s) => s.essayId?.toString() === essay._id.toString()
+    );
+
+    if (!entry || essay.grading.finalScore === previousScore) {
+      return null;
+    }
+
+    const delta = essay.grading.finalScore - previousScore;
+    entry.score = essay.grading.finalScore;
+    entry.normalizedScore = Math.max(
+      0,
+      Math.min(100, (entry.normalizedScore ?? previousScore) + delta)
+    );
+
+    const recentScores = student.performanceMetrics.recentScores;
+    student.performanceMetrics.avgScore =
+      recentScores.reduce((sum, s) => sum + s.normalizedScore, 0) /
+      recentScores.length;
+
+    const assessment = await this.reassessLevel(student, essay);
+    await student.save();
+
+    return assessment;
+  }
+
+  /**
+   * If this essay's AI grade triggered a demotion, undo it when the corrected
+   * scores no longer justify it; otherwise run the normal assessment
+   */
+  async reassessLevel(student, essay) {
+    const lastChange = student.levelHistory[student.levelHistory.length - 1];
+    const demotedByThisEssay =
+      lastChange?.triggeredBy === "system_demotion" &&
+      essay.gradedAt &&
+      lastChange.changedAt >= essay.gradedAt;
+
+    if (!demotedByThisEssay) {
+      return EssayGradingService.assessAndUpdateLevel(student);
+    }
+
+    const demotedLevel = student.currentLevel;
+    const priorLevel =
+      student.levelHistory[student.levelHistory.length - 2]?.level ||
+      student.getNextLevel();
+
+    student.currentLevel = priorLevel;
+    const assessment = student.assessLevelStability();
+
+    if (assessment.action === "demote") {
+      student.currentLevel = demotedLevel;
+      return assessment;
+    }
+
+    student.levelHistory.push({
+      level: priorLevel,
+      changedAt: new Date(),
+      reason: "demotion_reversed_by_grade_override",
+      triggeredBy: "teacher_override",
+    });
+
+    console.log(`↩️ Demotion reversed: ${demotedLevel} → ${priorLevel}`);
+
+    return {
+      ...assessment,
+      action: "restore",
+      newLevel: priorLevel,
+      message: `Your level has been restored to ${priorLevel} after your teacher reviewed your grade.`,
+    };
+  }
+
+  async getOverrideHistory(essayId) {
+    return GradeOverride.find({ essayId })
+      .sort({ createdAt: -1 })
+      .populate("teacherId", "name email teacherId");
+  }
+}
+
+module.exports = new GradeOverrideService();
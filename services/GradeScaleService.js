@@ -0,0 +1,166 @@
+const Assignment = require("../models/Assignment");
+const Classroom = require("../models/Classroom");
+const { createError } = require("../utils/errorResponse");
+
+const DEFAULT_SCALE = "letter";
+
+/**
+ * Built-in grade scales; bands are checked highest min first
+ */
+const GRADE_SCALES = {
+  letter: {
+    name: "Letter (A–F)",
+    description: "US-style letter grades with plus/minus steps",
+    bands: [
+      { min: 93, grade: "A", description: "Excellent – Strong writing with minor errors" },
+      { min: 90, grade: "A-", description: "Very Good – Clear writing with some errors" },
+      { min: 87, grade: "B+", description: "Good – Solid writing with noticeable errors" },
+      { min: 83, grade: "B", description: "Satisfactory – Adequate writing with several errors" },
+      { min: 80, grade: "B-", description: "Fair – Basic writing with multiple errors" },
+      { min: 77, grade: "C+", description: "Developing – Emerging skills with frequent errors" },
+      { min: 73, grade: "C", description: "Needs Improvement – Basic comprehension with many errors" },
+      { min: 70, grade: "C-", description: "Weak – Significant improvement needed" },
+      { min: 67, grade: "D+", description: "Poor – Major issues throughout" },
+      { min: 63, grade: "D", description: "Very Poor – Fundamental writing problems" },
+      { min: 60, grade: "D-", description: "Failing – Does not meet basic standards" },
+      { min: 0, grade: "F", description: "Fail – Unacceptable writing quality" },
+    ],
+  },
+
+  percentage: {
+    name: "Percentage bands",
+    description: "Ten-point percentage bands",
+    bands: [
+      { min: 90, grade: "90–100%", description: "Outstanding – Polished, accurate writing" },
+      { min: 80, grade: "80–89%", description: "Very Good – Clear writing with few errors" },
+      { min: 70, grade: "70–79%", description: "Good – Solid writing with some errors" },
+      { min: 60, grade: "60–69%", description: "Satisfactory – Meets the basic standard" },
+      { min: 50, grade: "50–59%", description: "Developing – Frequent errors affect clarity" },
+      { min: 0, grade: "Below 50%", description: "Below Standard – Significant improvement needed" },
+    ],
+  },
+
+  gpa: {
+    name: "GPA (4.0)",
+    description: "Grade points on a 4.0 scale",
+    bands: [
+      { min: 93, grade: "4.0", points: 4.0, description: "Excellent – Strong writing with minor errors" },
+      { min: 90, grade: "3.7", points: 3.7, description: "Very Good – Clear writing with some errors" },
+      { min: 87, grade: "3.3", points: 3.3, description: "Good – Solid writing with noticeable errors" },
+      { min: 83, grade: "3.0", points: 3.0, description: "Satisfactory – Adequate writing with several errors" },
+      { min: 80, grade: "2.7", points: 2.7, description: "Fair – Basic writing with multiple errors" },
+      { min: 77, grade: "2.3", points: 2.3, description: "Developing – Emerging skills with frequent errors" },
+      { min: 73, grade: "2.0", points: 2.0, description: "Needs Improvement – Many errors" },
+      { min: 70, grade: "1.7", points: 1.7, description: "Weak – Significant improvement needed" },
+      { min: 67, grade: "1.3", points: 1.3, description: "Poor – Major issues throughout" },
+      { min: 63, grade: "1.0", points: 1.0, description: "Very Poor – Fundamental writing problems" },
+      { min: 60, grade: "0.7", points: 0.7, description: "Failing – Does not meet basic standards" },
+      { min: 0, grade: "0.0", points: 0.0, description: "Fail – Unacceptable writing quality" },
+    ],
+  },
+
+  pass_merit_distinction: {
+    name: "Pass / Merit / Distinction",
+    description: "Vocational-style outcome grades",
+    bands: [
+      { min: 85, grade: "Distinction", description: "Distinction – Consistently strong, accurate writing" },
+      { min: 75, grade: "Merit", description: "Merit – Good writing with minor weaknesses" },
+      { min: 60, grade: "Pass", description: "Pass – Meets the required standard" },
+      { min: 0, grade: "Fail", description: "Fail – Does not yet meet the required standard" },
+    ],
+  },
+
+  ielts: {
+    name: "IELTS-style bands",
+    description: "Band scores 4.0–9.0 in half-band steps",
+    bands: [
+      { min: 95, grade: "9.0", description: "Expert user – Fully operational command of English" },
+      { min: 90, grade: "8.5", description: "Very good user – Occasional unsystematic inaccuracies" },
+      { min: 85, grade: "8.0", description: "Very good user – Fully operational with rare errors" },
+      { min: 80, grade: "7.5", description: "Good user – Operational command with occasional errors" },
+      { min: 75, grade: "7.0", description: "Good user – Handles complex language well" },
+      { min: 70, grade: "6.5", description: "Competent user – Generally effective despite errors" },
+      { min: 65, grade: "6.0", description: "Competent user – Some inaccuracies and misunderstandings" },
+      { min: 60, grade: "5.5", description: "Modest user – Partial command, frequent errors" },
+      { min: 55, grade: "5.0", description: "Modest user – Copes with overall meaning in most situations" },
+      { min: 50, grade: "4.5", description: "Limited user – Basic competence in familiar situations" },
+      { min: 0, grade: "4.0", description: "Limited user – Frequent problems in understanding and expression" },
+    ],
+  },
+};
+
+/**
+ * Grade Scale Service - turns final scores into grades on a named scale
+ */
+class GradeScaleService {
+  listScales() {
+    return Object.entries(GRADE_SCALES).map(([key, scale]) => ({
+      key,
+      ...scale,
+      isDefault: key === DEFAULT_SCALE,
+    }));
+  }
+
+  isValidScale(key) {
+    return Object.prototype.hasOwnProperty.call(GRADE_SCALES, key);
+  }
+
+  /**
+   * Validate a scale chosen by a teacher (null/empty clears the selection)
+   */
+  normalizeScaleKey(key) {
+    if (key === null || key === "") return null;
+
+    if (!this.isValidScale(key)) {
+      throw createError("BAD_REQUEST", `Unknown grade scale: ${key}`, {
+        available: Object.keys(GRADE_SCALES),
+      });
+    }
+
+    return key;
+  }
+
+  getBand(score, scaleKey = DEFAULT_SCALE) {
+    const scale = GRADE_SCALES[scaleKey] || GRADE_SCALES[DEFAULT_SCALE];
+    return scale.bands.find((band) => score >= band.min) || scale.bands.at(-1);
+  }
+
+  getDescription(grade, scaleKey = DEFAULT_SCALE) {
+    const scale = GRADE_SCALES[scaleKey] || GRADE_SCALES[DEFAULT_SCALE];
+    const band = scale.bands.find((b) => b.grade === grade);
+    return band ? band.description : "Needs improvement";
+  }
+
+  /**
+   * Scale for an essay: the assignment's, else its classroom's, else the
+   * default. Without an assignment, the student's oldest classroom with a
+   * scale applies, so a student in several gets the same scale every time.
+   */
+  async resolveScale({ assignmentId = null, studentId = null }) {
+    let classroomQuery = { students: studentId, archived: false };
+
+    if (assignmentId) {
+      const assignment = await Assignment.findById(assignmentId).select(
+        "gradeScale classroomId"
+      );
+      if (!assignment) return DEFAULT_SCALE;
+      if (assignment.gradeScale) return assignment.gradeScale;
+
+      classroomQuery = { _id: assignment.classroomId };
+    } else if (!studentId) {
+      return DEFAULT_SCALE;
+    }
+
+    const classroom = await Classroom.findOne({
+      ...classroomQuery,
+      gradeScale: { $ne: null },
+    })
+      .sort({ createdAt: 1 })
+      .select("gradeScale")
+      .lean();
+
+    return classroom?.gradeScale || DEFAULT_SCALE;
+  }
+}
+
+module.exports = new GradeScaleService();
@@ -0,0 +1,66 @@
+const { EventEmitter } = require("events");
+
+// Events after which no more progress is published for an essay
+const TERMINAL_EVENTS = ["grading.completed", "grading.failed"];
+
+/**
+ * Grading Event Bus - in-process pub/sub for grading progress, keyed by essay
+ * Keeps a short replay buffer so late or reconnecting listeners catch up.
+ * Listeners only see events from the worker running in the same process.
+ */
+class GradingEventBus {
+  constructor() {
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+
+    this.history = new Map();
+    this.maxHistory = 50;
+    this.historyTTL = 5 * 60 * 1000; // Keep replay buffer 5 minutes after the end
+    this.sequence = 0;
+  }
+
+  publish(essayId, type, data = {}) {
+    const key = essayId.toString();
+    const event = {
+      id: ++this.sequence,
+      type,
+      essayId: key,
+      data,
+      timestamp: new Date().toISOString(),
+    };
+
+    const events = this.history.get(key) || [];
+    events.push(event);
+    if (events.length > this.maxHistory) {
+      events.shift();
+    }
+    this.history.set(key, events);
+
+    if (this.isTerminal(type)) {
+      setTimeout(() => this.history.delete(key), this.historyTTL).unref();
+    }
+
+    this.emitter.emit(key, event);
+    return event;
+  }
+
+  /**
+   * Listen to one essay's events; returns the unsubscribe function
+   */
+  subscribe(essayId, listener) {
+    const key = essayId.toString();
+    this.emitter.on(key, listener);
+    return () => this.emitter.off(key, listener);
+  }
+
+  getHistory(essayId, afterId = 0) {
+    const events = this.history.get(essayId.toString()) || [];
+    return events.filter((event) => event.id > afterId);
+  }
+
+  isTerminal(type) {
+    return TERMINAL_EVENTS.includes(type);
+  }
+}
+
+module.exports = new GradingEventBus();
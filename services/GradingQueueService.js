@@ -0,0 +1,613 @@
+const os = require("os");
+const fs = require("fs").promises;
+
+const GradingJob = require("../models/GradingJob");
+const Essay = require("../models/Essay");
+const EssayGradingService = require("./EssayGradingService");
+const TextExtractionService = require("./TextExtractionService");
+const AssignmentService = require("./AssignmentService");
+const Assignment = require("../models/Assignment");
+const GradingEventBus = require("./GradingEventBus");
+const OcrReviewService = require("./OcrReviewService");
+const StorageService = require("./StorageService");
+const { createError } = require("../utils/errorResponse");
+
+/**
+ * Grading Queue Service - background grading backed by the gradingjobs collection
+ * Jobs survive restarts: a crashed worker's lock expires and the job is claimed again
+ * A running job refreshes its lock between stages, and only the worker that
+ * holds the lock may finish, fail or park it
+ */
+class GradingQueueService {
+  constructor() {
+    this.pollInterval =
+      parseInt(process.env.GRADING_WORKER_POLL_MS, 10) || 2000;
+    this.concurrency =
+      parseInt(process.env.GRADING_WORKER_CONCURRENCY, 10) || 1;
+    this.lockTimeout =
+      parseInt(process.env.GRADING_JOB_LOCK_TIMEOUT_MS, 10) || 10 * 60 * 1000;
+    this.retryDelay = 30 * 1000; // Doubled on every attempt
+
+    this.workerId = `${os.hostname()}-${process.pid}`;
+    this.activeJobs = 0;
+    this.running = false;
+    this.timer = null;
+  }
+
+  // ==================== WORKER LIFECYCLE ====================
+
+  start() {
+    if (this.running) return;
+
+    this.running = true;
+    console.log(
+      `✅ Grading worker started (${this.workerId}, concurrency ${this.concurrency})`
+    );
+    this.schedule(0);
+  }
+
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  schedule(delay) {
+    if (!this.running) return;
+
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.poll();
+    }, delay);
+  }
+
+  async poll() {
+    try {
+      while (this.running && this.activeJobs < this.concurrency) {
+        const job = await this.claimNextJob();
+        if (!job) break;
+
+        this.activeJobs++;
+        this.runJob(job).finally(() => {
+          this.activeJobs--;
+          this.schedule(0);
+        });
+      }
+    } catch (error) {
+      console.error("❌ Grading worker poll failed:", error.message);
+    } finally {
+      this.schedule(this.pollInterval);
+    }
+  }
+
+  /**
+   * Atomically lock the next due job (or one whose worker died mid-run)
+   */
+  async claimNextJob() {
+    const now = new Date();
+
+    return GradingJob.findOneAndUpdate(
+      {
+        $or: [
+          { status: "pending", runAt: { $lte: now } },
+          {
+            status: "processing",
+            lockedAt: { $lt: new Date(now.getTime() - this.lockTimeout) },
+          },
+        ],
+      },
+      {
+        $set: { status: "processing", lockedAt: now, workerId: this.workerId },
+        $inc: { attempts: 1 },
+      },
+      { sort: { runAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Query matching a job only while this worker still holds its lock
+   */
+  lockFilter(job) {
+    return { _id: job._id, workerId: this.workerId, status: "processing" };
+  }
+
+  /**
+   * Refresh the lock so a long run is not claimed by another worker
+   */
+  async heartbeat(job) {
+    const { matchedCount } = await GradingJob.updateOne(this.lockFilter(job), {
+      lockedAt: new Date(),
+    });
+
+    if (matchedCount === 0) {
+      throw createError(
+        "JOB_LOCK_LOST",
+        "Grading job was claimed by another worker",
+        { jobId: job._id }
+      );
+    }
+  }
+
+  // ==================== JOB MANAGEMENT ====================
+
+  /**
+   * Create a pending essay + job for an uploaded file (or page images)
+   */
+  async enqueue({
+    studentId,
+    files,
+    title,
+    assignmentId,
+    submission,
+    reviewOcr = false,
+  }) {
+    const essay = await Essay.create({
+      studentId,
+      title: title || "Untitled Essay",
+      status: "pending",
+      ...(assignmentId && { assignmentId, submission }),
+    });
+
+    const job = await GradingJob.create({
+      essayId: essay._id,
+      studentId,
+      input: {
+        filePath: files[0].path,
+        mimetype: files[0].mimetype,
+        originalName: files[0].originalname,
+        pages:
+          files.length > 1
+            ? files.map((file) => ({
+                filePath: file.path,
+                mimetype: file.mimetype,
+                originalName: file.originalname,
+              }))
+            : [],
+        title: title || null,
+        reviewOcr,
+      },
+      assignmentId: assignmentId || null,
+      submission: submission || null,
+    });
+
+    await StorageService.saveOriginals(essay._id, files);
+
+    console.log(`📥 Queued grading job ${job._id} for essay ${essay._id}`);
+    this.schedule(0);
+
+    return { essay, job };
+  }
+
+  /**
+   * Re-queue a failed job
+   */
+  async retry(jobId, studentId) {
+    const job = await GradingJob.findOne({ _id: jobId, studentId });
+    if (!job) {
+      throw createError("NOT_FOUND", "Grading job not found");
+    }
+
+    if (job.status !== "failed") {
+      throw createError("BAD_REQUEST", "Only failed jobs can be retried", {
+        status: job.status,
+      });
+    }
+
+    if (!job.extraction && !(await this.uploadExists(job))) {
+      throw createError(
+        "BAD_REQUEST",
+        "The original upload is no longer available. Please submit the essay again."
+      );
+    }
+
+    job.status = "pending";
+    job.attempts = 0;
+    job.runAt = new Date();
+    job.lockedAt = null;
+    await job.save();
+
+    await Essay.updateOne({ _id: job.essayId }, { status: "pending" });
+    this.schedule(0);
+
+    return job;
+  }
+
+  async getJob(jobId, studentId) {
+    return GradingJob.findOne({ _id: jobId, studentId });
+  }
+
+  async getLatestJobForEssay(essayId) {
+    return GradingJob.findOne({ essayId }).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Apply the student's OCR review to a paused job and queue it for grading
+   */
+  async submitOcrReview(essayId, studentId, corrections) {
+    const job = await GradingJob.findOne({
+      essayId,
+      studentId,
+      status: "awaiting_review",
+    });
+    if (!job) {
+      throw createError("BAD_REQUEST", "This essay is not awaiting OCR review");
+    }
+
+    const reviewed = OcrReviewService.applyCorrections(
+      job.extraction,
+      corrections
+    );
+    const extraction = {
+      ...reviewed.extraction,
+      ocrReview: OcrReviewService.summarize(reviewed.extraction.ocrWords, {
+        reviewedAt: new Date(),
+        corrections: reviewed.corrections,
+      }),
+    };
+
+    job.extraction = extraction;
+    job.status = "pending";
+    job.attempts = 0;
+    job.runAt = new Date();
+    await job.save();
+
+    await Essay.updateOne(
+      { _id: essayId },
+      {
+        status: "pending",
+        ocrWords: extraction.ocrWords,
+        ocrReview: extraction.ocrReview,
+      }
+    );
+    this.schedule(0);
+
+    return { job, corrections: reviewed.corrections };
+  }
+
+  // ==================== JOB EXECUTION ====================
+
+  async runJob(job) {
+    console.log(`⚙️ Running grading job ${job._id} (attempt ${job.attempts})`);
+
+    let lastStage = null;
+
+    try {
+      await this.resetStages(job);
+      await Essay.updateOne({ _id: job.essayId }, { status: "processing" });
+      GradingEventBus.publish(job.essayId, "grading.started", {
+        jobId: job._id,
+        attempt: job.attempts,
+      });
+
+      lastStage = "extraction";
+      const extraction = await this.runExtraction(job);
+      lastStage = null;
+
+      if (job.input?.reviewOcr && !extraction.ocrReview?.reviewed) {
+        const uncertainWords = OcrReviewService.getReviewList(
+          extraction.ocrWords
+        );
+        if (uncertainWords.length > 0) {
+          return this.awaitReview(job, extraction, uncertainWords);
+        }
+      }
+
+      const assignment = await this.loadAssignment(job);
+      const submission = assignment && {
+        ...job.submission,
+        ...AssignmentService.checkWordCount(assignment, extraction.extractedText),
+      };
+
+      const result = await EssayGradingService.gradeEssay({
+        text: extraction.extractedText,
+        originalText: extraction.originalText,
+        studentId: job.studentId,
+        title:
+          job.input.title ||
+          extraction.essayStructure?.title ||
+          assignment?.title ||
+          "Untitled Essay",
+        fileType: extraction.fileType,
+        ocrConfidence: extraction.confidence,
+        ocrCorrections: extraction.ocrCorrections,
+        ocrWords: extraction.ocrWords,
+        ocrReview: extraction.ocrReview,
+        structure: extraction.essayStructure,
+        essayId: job.essayId,
+        assignmentId: job.assignmentId || null,
+        submission,
+        textExtraction:
+          TextExtractionService.buildTextExtractionSummary(extraction),
+        onStage: async (stage, status, data) => {
+          lastStage = stage;
+          await this.heartbeat(job);
+          return this.updateStage(job, stage, status, data);
+        },
+      });
+
+      const { matchedCount } = await GradingJob.updateOne(
+        this.lockFilter(job),
+        {
+          status: "completed",
+          completedAt: new Date(),
+          lockedAt: null,
+        }
+      );
+      if (matchedCount === 0) {
+        console.warn(
+          `⚠️ Grading job ${job._id} was claimed by another worker before it completed`
+        );
+        return;
+      }
+
+      GradingEventBus.publish(job.essayId, "grading.completed", {
+        jobId: job._id,
+        finalScore: result.essay.grading?.finalScore,
+        grade: result.essay.grading?.grade,
+        gradeDescription: result.essay.grading?.gradeDescription,
+        levelUpdate: result.levelUpdate,
+      });
+
+      console.log(`✅ Grading job ${job._id} completed`);
+    } catch (error) {
+      await this.handleFailure(job, error, lastStage);
+    }
+  }
+
+  /**
+   * Extract text once per job; the result is stored so retries skip OCR
+   */
+  async runExtraction(job) {
+    if (job.extraction) {
+      return job.extraction;
+    }
+
+    if (!(await this.uploadExists(job))) {
+      throw createError(
+        "BAD_REQUEST",
+        "The original upload is no longer available. Please submit the essay again."
+      );
+    }
+
+    await this.heartbeat(job);
+    await this.updateStage(job, "extraction", "running");
+
+    const extraction = await TextExtractionService.extractFiles(
+      this.getUploads(job).map((upload) => ({
+        path: upload.filePath,
+        mimetype: upload.mimetype,
+      })),
+      job.input.title
+    );
+
+    await this.heartbeat(job);
+    job.extraction = extraction;
+    await GradingJob.updateOne({ _id: job._id }, { extraction });
+    await this.updateStage(job, "extraction", "completed", {
+      title: extraction.essayStructure?.title || null,
+      wordCount: extraction.extractedText.split(/\s+/).length,
+      confidence: extraction.confidence,
+      warnings: extraction.warnings,
+    });
+
+    return extraction;
+  }
+
+  /**
+   * Park the job until the student confirms or fixes uncertain OCR words
+   * (POST /api/essays/:essayId/ocr-corrections resumes it)
+   */
+  async awaitReview(job, extraction, uncertainWords) {
+    const { matchedCount } = await GradingJob.updateOne(this.lockFilter(job), {
+      status: "awaiting_review",
+      lockedAt: null,
+    });
+    if (matchedCount === 0) return;
+
+    await Essay.updateOne(
+      { _id: job.essayId },
+      {
+        status: "awaiting_review",
+        ocrWords: extraction.ocrWords,
+        ocrReview: extraction.ocrReview,
+      }
+    );
+
+    GradingEventBus.publish(job.essayId, "review.required", {
+      jobId: job._id,
+      uncertainWords,
+    });
+
+    console.log(
+      `⏸️ Grading job ${job._id} waiting for review of ${uncertainWords.length} words`
+    );
+  }
+
+  /**
+   * Assignment the essay was submitted for (word limits are checked after extraction)
+   */
+  async loadAssignment(job) {
+    if (!job.assignmentId) return null;
+
+    const assignment = await Assignment.findById(job.assignmentId);
+    if (!assignment) {
+      throw createError("NOT_FOUND", "Assignment not found");
+    }
+
+    return assignment;
+  }
+
+  /**
+   * Put every unfinished stage back to pending before an attempt
+   */
+  async resetStages(job) {
+    job.stages.forEach((stage) => {
+      if (stage.name === "extraction" && job.extraction) return;
+
+      stage.status = "pending";
+      stage.startedAt = undefined;
+      stage.completedAt = undefined;
+      stage.error = undefined;
+    });
+
+    await GradingJob.updateOne({ _id: job._id }, { stages: job.stages });
+  }
+
+  /**
+   * Persist a stage transition and publish it to live listeners
+   */
+  async updateStage(job, stage, status, data = null) {
+    const update = { "stages.$.status": status };
+
+    if (status === "running") {
+      update["stages.$.startedAt"] = new Date();
+    } else {
+      update["stages.$.completedAt"] = new Date();
+    }
+
+    if (status === "failed") {
+      update["stages.$.error"] = data?.error || null;
+    }
+
+    await GradingJob.updateOne(
+      { _id: job._id, "stages.name": stage },
+      { $set: update }
+    );
+
+    const eventTypes = {
+      running: "stage.started",
+      completed: "stage.completed",
+      failed: "stage.failed",
+    };
+
+    GradingEventBus.publish(job.essayId, eventTypes[status], {
+      jobId: job._id,
+      stage,
+      ...(status === "failed" ? { error: data?.error } : { result: data }),
+    });
+  }
+
+  /**
+   * Schedule a retry with backoff, or fail the job for good
+   */
+  async handleFailure(job, error, stage) {
+    console.error(`❌ Grading job ${job._id} failed:`, error.message);
+
+    // Client errors (unreadable upload, too little text) will not fix themselves
+    const retryable = !(error.isOperational && error.statusCode < 500);
+
+    const lastError = {
+      message: error.message,
+      code: error.errorCode || "INTERNAL_ERROR",
+      stage,
+      at: new Date(),
+      ...(error.details?.guidance && { guidance: error.details.guidance }),
+    };
+
+    const retry = retryable && job.attempts < job.maxAttempts;
+    const delay = this.retryDelay * Math.pow(2, job.attempts - 1);
+
+    // Another worker owns the job now; its run decides the outcome
+    const { matchedCount } = await GradingJob.updateOne(
+      this.lockFilter(job),
+      retry
+        ? {
+            status: "pending",
+            runAt: new Date(Date.now() + delay),
+            lockedAt: null,
+            lastError,
+          }
+        : { status: "failed", lockedAt: null, lastError }
+    );
+    if (matchedCount === 0) {
+      console.warn(
+        `⚠️ Grading job ${job._id} was claimed by another worker; not recording this failure`
+      );
+      return;
+    }
+
+    if (stage === "extraction") {
+      await this.updateStage(job, "extraction", "failed", {
+        error: error.message,
+      });
+    }
+
+    if (retry) {
+      await Essay.updateOne({ _id: job.essayId }, { status: "pending" });
+
+      GradingEventBus.publish(job.essayId, "grading.retrying", {
+        jobId: job._id,
+        error: lastError.message,
+        nextAttemptAt: new Date(Date.now() + delay),
+      });
+
+      console.log(
+        `🔄 Grading job ${job._id} will retry in ${Math.round(delay / 1000)}s`
+      );
+      return;
+    }
+
+    await Essay.updateOne({ _id: job.essayId }, { status: "error" });
+
+    GradingEventBus.publish(job.essayId, "grading.failed", {
+      jobId: job._id,
+      error: lastError.message,
+      code: lastError.code,
+      stage,
+      ...(lastError.guidance && { guidance: lastError.guidance }),
+    });
+  }
+
+  // ==================== HELPERS ====================
+
+  /**
+   * Uploaded files of a job: every page, or the single file
+   */
+  getUploads(job) {
+    if (job.input?.pages?.length) return job.input.pages;
+    return job.input?.filePath ? [job.input] : [];
+  }
+
+  async uploadExists(job) {
+    const uploads = this.getUploads(job);
+    if (uploads.length === 0) return false;
+
+    try {
+      await Promise.all(uploads.map((upload) => fs.access(upload.filePath)));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Client-facing job status
+   */
+  formatJob(job) {
+    return {
+      jobId: job._id,
+      essayId: job.essayId,
+      status: job.status,
+      progress: job.getProgress(),
+      currentStage: job.getCurrentStage(),
+      stages: job.stages.map((s) => ({
+        name: s.name,
+        status: s.status,
+        startedAt: s.startedAt,
+        completedAt: s.completedAt,
+        error: s.error,
+      })),
+      attempts: job.attempts,
+      maxAttempts: job.maxAttempts,
+      nextAttemptAt: job.status === "pending" ? job.runAt : null,
+      lastError: job.lastError?.message ? job.lastError : null,
+      createdAt: job.createdAt,
+      completedAt: job.completedAt,
+    };
+  }
+}
+
+module.exports = new GradingQueueService();
@@ -0,0 +1,749 @@
+const natural = require("natural");
+const compromise = require("compromise");
+
+const nounInflector = new natural.NounInflector();
+const wordTokenizer = new natural.WordTokenizer();
+
+// Run-on check: long sentences with no internal punctuation at all
+const RUN_ON_MIN_WORDS = 40;
+
+const SINGULAR_SUBJECTS = new Set(["he", "she", "it"]);
+const PLURAL_SUBJECTS = new Set(["i", "you", "we", "they"]);
+const SPLICE_SUBJECTS = new Set([
+  "i", "he", "she", "it", "we", "they", "you", "this", "there",
+  "i'm", "he's", "she's", "it's", "we're", "they're", "you're", "there's",
+]);
+const SUBORDINATORS = new Set([
+  "when", "if", "because", "although", "though", "after", "before", "since",
+  "while", "as", "once", "unless", "until", "whenever", "whether",
+]);
+const POSITIVE_FORMS = {
+  no: "any",
+  "no one": "anyone",
+  nothing: "anything",
+  nobody: "anybody",
+  nowhere: "anywhere",
+  none: "any",
+  never: "ever",
+};
+
+const PAST_MARKERS =
+  /\b(yesterday|last (night|week|month|year|summer|winter|weekend|time)|ago|in (19|20)\d\d)\b/i;
+const NON_PAST_MARKERS = /\b(will|tomorrow|now|today|every|usually|always)\b/i;
+
+const normalizeQuotes = (str) => str.replace(/[’‘]/g, "'");
+
+// "dont" → "don't", "cant" → "can't"; leaves correct contractions alone
+const fixContractions = (str) =>
+  str.replace(/\b([a-z]+)n['’]?t\b/gi, (word, stem) =>
+    /^(do|does|did|ca|wo|would|should|could|is|are|was|were|have|has|had)$/i.test(
+      stem
+    )
+      ? `${stem}n't`
+      : word
+  );
+
+const capitalize = (str) => str.charAt(0).toUpperCase() + str.slice(1);
+
+const matchCase = (original, replacement) =>
+  /^[A-Z]/.test(original) ? capitalize(replacement) : replacement;
+
+const conjugate = (verb, form) =>
+  compromise(verb).verbs().conjugate()[0]?.[form] || null;
+
+const isVerb = (term) => !!term && term.tags.has("Verb");
+
+const isPlainVerb = (term) =>
+  isVerb(term) &&
+  !term.tags.has("Modal") &&
+  !term.tags.has("Auxiliary") &&
+  !term.tags.has("Copula");
+
+// Spelling and sound disagree for a few prefixes (hour, university)
+const startsWithVowelSound = (word) => {
+  const lower = word.toLowerCase();
+  if (/^(hour|honest|honou?r|heir)/.test(lower)) return true;
+  if (/^(uni(?![nmdl])|use|usu|uti|eu|ewe|one|once)/.test(lower)) return false;
+  return /^[aeiou]/.test(lower);
+};
+
+/**
+ * Replace `target` inside the span that starts at `first`, keeping whatever
+ * sits between them (spacing, line breaks) untouched
+ */
+const replaceTerm = (sentence, first, target, replacement) => ({
+  start: first.start,
+  end: target.end,
+  correction:
+    sentence.source.slice(first.start, target.start) +
+    matchCase(target.text, replacement),
+});
+
+const regexHits = (sentence, regex, replacer) =>
+  [...sentence.text.matchAll(regex)].flatMap((match) => {
+    const correction = replacer(match);
+    if (!correction || correction === match[0]) return [];
+    const start = sentence.start + match.index;
+    return [{ start, end: start + match[0].length, correction }];
+  });
+
+// Consecutive term windows: [previous, current, next, afterNext]
+const windows = (sentence) =>
+  sentence.terms.map((term, i) => [
+    sentence.terms[i - 1],
+    term,
+    sentence.terms[i + 1],
+    sentence.terms[i + 2],
+  ]);
+
+const singularVerbFor = (verb, sentence) => {
+  if (verb.lower === "don't" || verb.lower === "dont") return "doesn't";
+  if (verb.lower === "are") return "is";
+  if (verb.lower === "were" && !/\b(if|wish)\b/i.test(sentence.text)) {
+    return "was";
+  }
+  if (verb.lower === "have") return "has";
+  if (isPlainVerb(verb) && verb.tags.has("Infinitive")) {
+    return conjugate(verb.lower, "PresentTense");
+  }
+  return null;
+};
+
+const pluralVerbFor = (subject, verb) => {
+  if (verb.lower === "is") return subject.lower === "i" ? "am" : "are";
+  if (verb.lower === "was") return subject.lower === "i" ? null : "were";
+  if (verb.lower === "has") return "have";
+  if (verb.lower === "doesn't" || verb.lower === "doesnt") return "don't";
+  if (
+    isPlainVerb(verb) &&
+    verb.tags.has("PresentTense") &&
+    !verb.tags.has("Infinitive") &&
+    verb.lower.endsWith("s")
+  ) {
+    return conjugate(verb.lower, "Infinitive");
+  }
+  return null;
+};
+
+const pastVerbFor = (verb) => {
+  const copulas = { am: "was", is: "was", are: "were" };
+  if (copulas[verb.lower]) return copulas[verb.lower];
+  if (isPlainVerb(verb) && verb.tags.has("Infinitive")) {
+    return conjugate(verb.lower, "PastTense");
+  }
+  return null;
+};
+
+/**
+ * Rule catalogue. Each detector returns hits ({ start, end, correction })
+ * with offsets into the full text. High-precision rules are trusted on their
+ * own; low-precision rules only count when the model flags the same spot.
+ */
+const RULES = [
+  {
+    id: "SVA_SINGULAR_SUBJECT",
+    type: "subject_verb_agreement",
+    precision: "high",
+    severity: "moderate",
+    reason: "The verb must agree with a singular subject (he, she, it)",
+    description:
+      "He, she and it take the singular verb form: he goes, she has, it is.",
+    detect: (sentence) =>
+      windows(sentence).flatMap(([previous, subject, verb]) => {
+        if (!verb || !SINGULAR_SUBJECTS.has(subject.lower)) return [];
+        if (isVerb(previous)) return []; // "let it go" - it is an object here
+
+        const fixed = singularVerbFor(verb, sentence);
+        return fixed && fixed !== verb.lower
+          ? [replaceTerm(sentence, subject, verb, fixed)]
+          : [];
+      }),
+  },
+  {
+    id: "SVA_PLURAL_SUBJECT",
+    type: "subject_verb_agreement",
+    precision: "high",
+    severity: "moderate",
+    reason: "The verb must agree with the subject (I, you, we, they)",
+    description:
+      "I, you, we and they take the base verb form: they play, we were, I am.",
+    detect: (sentence) =>
+      windows(sentence).flatMap(([previous, subject, verb]) => {
+        if (!verb || !PLURAL_SUBJECTS.has(subject.lower)) return [];
+        if (isVerb(previous)) return [];
+
+        const fixed = pluralVerbFor(subject, verb);
+        return fixed && fixed !== verb.lower
+          ? [replaceTerm(sentence, subject, verb, fixed)]
+          : [];
+      }),
+  },
+  {
+    id: "SVA_NOUN_SUBJECT",
+    type: "subject_verb_agreement",
+    precision: "low",
+    severity: "moderate",
+    reason: "The verb must agree in number with the noun before it",
+    description:
+      "Plural nouns take plural verbs (the students were); singular nouns " +
+      "take singular verbs (the student was).",
+    detect: (sentence) =>
+      windows(sentence).flatMap(([previous, noun, verb]) => {
+        if (!verb || !noun.tags.has("Noun") || noun.tags.has("Pronoun")) {
+          return [];
+        }
+        if (noun.tags.has("Possessive") || previous?.lower === "of") return [];
+
+        const plural = noun.tags.has("Plural");
+        const singular =
+          noun.tags.has("Singular") &&
+          !noun.tags.has("Uncountable") &&
+          ["the", "this", "that", "each", "every"].includes(previous?.lower);
+        const fixed = plural
+          ? { was: "were", is: "are", has: "have" }[verb.lower] ||
+            pluralVerbFor(noun, verb)
+          : singular
+          ? { were: "was", are: "is" }[verb.lower]
+          : null;
+
+        return fixed ? [replaceTerm(sentence, noun, verb, fixed)] : [];
+      }),
+  },
+  {
+    id: "ARTICLE_A_AN",
+    type: "article_usage",
+    precision: "high",
+    severity: "minor",
+    reason: 'Use "an" before a vowel sound and "a" before a consonant sound',
+    description:
+      'Choose the article by sound, not spelling: "an apple", "an hour", ' +
+      '"a university".',
+    detect: (sentence) =>
+      regexHits(sentence, /\b(a|an)(\s+)([A-Za-z][\w'-]*)/gi, (match) => {
+        const [, article, space, word] = match;
+        if (/^[A-Z]{2,}/.test(word)) return null; // abbreviations vary
+        const wanted = startsWithVowelSound(word) ? "an" : "a";
+        return article.toLowerCase() === wanted
+          ? null
+          : `${matchCase(article, wanted)}${space}${word}`;
+      }),
+  },
+  {
+    id: "ARTICLE_WITH_PLURAL",
+    type: "article_usage",
+    precision: "low",
+    severity: "minor",
+    reason: '"a" and "an" are only used with singular nouns',
+    description:
+      'Drop "a"/"an" before a plural noun, or make the noun singular.',
+    detect: (sentence) =>
+      windows(sentence).flatMap(([, article, noun]) => {
+        if (!noun || !["a", "an"].includes(article.lower)) return [];
+        if (!noun.tags.has("Plural") || noun.tags.has("Possessive")) return [];
+        if (nounInflector.singularize(noun.lower) === noun.lower) return [];
+
+        return [
+          {
+            start: article.start,
+            end: noun.end,
+            correction: matchCase(article.text, noun.text),
+          },
+        ];
+      }),
+  },
+  {
+    id: "TENSE_CONSISTENCY",
+    type: "verb_tense",
+    precision: "low",
+    severity: "moderate",
+    reason:
+      "This sentence talks about the past, so the verb should be past tense",
+    description:
+      'Keep verbs in the past tense when the sentence is set in the past ' +
+      '("Yesterday I walked...").',
+    detect: (sentence) => {
+      if (!PAST_MARKERS.test(sentence.text)) return [];
+      if (NON_PAST_MARKERS.test(sentence.text)) return [];
+
+      return windows(sentence).flatMap(([, subject, verb]) => {
+        if (!verb || !subject.tags.has("Pronoun")) return [];
+        const fixed = pastVerbFor(verb);
+        return fixed && fixed !== verb.lower
+          ? [replaceTerm(sentence, subject, verb, fixed)]
+          : [];
+      });
+    },
+  },
+  {
+    id: "DOUBLE_NEGATIVE",
+    type: "double_negative",
+    precision: "high",
+    severity: "moderate",
+    reason: "Two negatives in one clause cancel each other out",
+    description:
+      'Use one negative per clause: "I don\'t have any money", not ' +
+      '"I don\'t have no money".',
+    detect: (sentence) =>
+      regexHits(
+        sentence,
+        /\b((?:(?:do|does|did|ca|wo|would|should|could|is|are|was|were|have|has|had)n['’]?t|cannot|not|never)\s+(?:[a-z]+\s+){0,2}?)(no one|nothing|nobody|nowhere|none|never|no)\b/gi,
+        ([, before, negative]) =>
+          fixContractions(before) +
+          matchCase(negative, POSITIVE_FORMS[negative.toLowerCase()])
+      ),
+  },
+  {
+    id: "RUN_ON_SENTENCE",
+    type: "run_on_sentence",
+    precision: "low",
+    severity: "moderate",
+    reason: "This sentence runs several ideas together without punctuation",
+    description:
+      "Split very long sentences where a new independent clause begins.",
+    detect: (sentence) => {
+      if (wordTokenizer.tokenize(sentence.text).length < RUN_ON_MIN_WORDS) {
+        return [];
+      }
+      if (/[,;:]/.test(sentence.text)) return [];
+
+      const joins = [
+        ...sentence.text.matchAll(
+          /(\S+)\s+(and|but|so)\s+(i|he|she|it|we|they|you)\b/gi
+        ),
+      ];
+      if (!joins.length) return [];
+
+      // Break at the join closest to the middle
+      const middle = sentence.text.length / 2;
+      const match = joins.reduce((best, join) =>
+        Math.abs(join.index - middle) < Math.abs(best.index - middle)
+          ? join
+          : best
+      );
+      const [, previous, conjunction, subject] = match;
+      const opener = { and: "", but: "However, ", so: "As a result, " }[
+        conjunction.toLowerCase()
+      ];
+      const pronoun = subject.toLowerCase() === "i" ? "I" : subject;
+
+      const start = sentence.start + match.index;
+      return [
+        {
+          start,
+          end: start + match[0].length,
+          correction: `${previous}. ${
+            opener ? opener + pronoun : capitalize(pronoun)
+          }`,
+        },
+      ];
+    },
+  },
+  {
+    id: "COMMA_SPLICE",
+    type: "comma_splice",
+    precision: "low",
+    severity: "moderate",
+    reason: "Two complete sentences are joined with only a comma",
+    description:
+      "Join independent clauses with a semicolon, a conjunction (and, but, " +
+      "so) or a full stop - a comma alone is not enough.",
+    detect: (sentence) => {
+      const [opening] = sentence.terms;
+      if (!opening || SUBORDINATORS.has(opening.lower)) return [];
+
+      return sentence.terms.flatMap((term, i) => {
+        const subject = sentence.terms[i + 1];
+        const verb = sentence.terms[i + 2];
+        if (!subject || !term.post.includes(",")) return [];
+        if (!SPLICE_SUBJECTS.has(subject.lower)) return [];
+        if (!subject.lower.includes("'") && !isVerb(verb)) return [];
+        if (verb?.tags.has("Gerund")) return [];
+        if (!sentence.terms.slice(0, i + 1).some(isVerb)) return [];
+
+        return [
+          {
+            start: term.start,
+            end: subject.end,
+            correction: `${term.text}; ${subject.text}`,
+          },
+        ];
+      });
+    },
+  },
+  {
+    id: "ITS_VS_IT_IS",
+    type: "pronoun_confusion",
+    precision: "high",
+    severity: "moderate",
+    reason: '"its" shows possession; "it\'s" means "it is" or "it has"',
+    description:
+      'Write "it\'s" when you can say "it is" or "it has"; otherwise write ' +
+      '"its" (the dog wagged its tail).',
+    detect: (sentence) =>
+      windows(sentence).flatMap(([previous, word, next, afterNext]) => {
+        if (!next) return [];
+
+        if (word.lower === "its") {
+          const meansItIs =
+            next.tags.has("Gerund") ||
+            [
+              "a", "an", "the", "not", "been", "going", "no", "also", "just",
+              "very", "so", "too", "really", "always", "never",
+            ].includes(next.lower) ||
+            (next.tags.has("Adjective") &&
+              next.lower !== "own" &&
+              (!afterNext || ["to", "that"].includes(afterNext.lower)));
+          return meansItIs
+            ? [replaceTerm(sentence, word, word, "it's")]
+            : [];
+        }
+
+        if (word.lower === "it's") {
+          // "it is paw" cannot be right: a bare noun (read as a base verb
+          // after "is"), or any noun after a preposition, is owned
+          const possessive =
+            next.lower === "own" ||
+            (next.tags.has("Noun") &&
+              !next.tags.has("Pronoun") &&
+              (isVerb(afterNext) || previous?.tags.has("Preposition"))) ||
+            (isPlainVerb(next) &&
+              next.tags.has("Infinitive") &&
+              !next.tags.has("Adjective"));
+          return possessive ? [replaceTerm(sentence, word, word, "its")] : [];
+        }
+
+        return [];
+      }),
+  },
+  {
+    id: "THEIR_THERE_THEYRE",
+    type: "pronoun_confusion",
+    precision: "high",
+    severity: "moderate",
+    reason:
+      '"their" shows possession, "there" is a place or "there is", and ' +
+      '"they\'re" means "they are"',
+    description:
+      'their = belonging to them, there = a place / "there is", ' +
+      "they're = they are.",
+    detect: (sentence) =>
+      windows(sentence).flatMap(([previous, word, next]) => {
+        // "over their." - a possessive always has something after it
+        if (word.lower === "their" && (!next || /[.,;:!?]/.test(word.post))) {
+          return [replaceTerm(sentence, word, word, "there")];
+        }
+        if (!next) return [];
+
+        if (word.lower === "their") {
+          if (["is", "are", "was", "were"].includes(next.lower)) {
+            return [replaceTerm(sentence, word, word, "there")];
+          }
+          if (next.tags.has("Gerund")) {
+            return [replaceTerm(sentence, word, word, "they're")];
+          }
+          return [];
+        }
+
+        const namesAThing =
+          next.lower === "own" ||
+          (next.tags.has("Noun") &&
+            !next.tags.has("Pronoun") &&
+            !next.tags.has("Date") &&
+            !next.tags.has("Determiner"));
+
+        if (word.lower === "there" && namesAThing) {
+          if (isVerb(previous) || previous?.tags.has("Adverb")) return [];
+          return [replaceTerm(sentence, word, word, "their")];
+        }
+
+        if (
+          word.lower === "they're" &&
+          namesAThing &&
+          !next.tags.has("Adjective") &&
+          !next.tags.has("Gerund")
+        ) {
+          return [replaceTerm(sentence, word, word, "their")];
+        }
+
+        return [];
+      }),
+  },
+  {
+    id: "EVERYDAY_ADVERB",
+    type: "word_choice",
+    precision: "high",
+    severity: "minor",
+    reason:
+      '"every day" (two words) means each day; "everyday" is an adjective',
+    description:
+      'Use "everyday" before a noun (everyday life) and "every day" on its ' +
+      "own (I read every day).",
+    detect: (sentence) =>
+      regexHits(sentence, /\beveryday(?=\s*[.,!?;]|\s*$)/gi, ([word]) =>
+        matchCase(word, "every day")
+      ),
+  },
+];
+
+const RULES_BY_ID = new Map(RULES.map((rule) => [rule.id, rule]));
+
+const CONFIDENCE = { high: 0.85, low: 0.6 };
+
+/**
+ * Grammar Rule Engine - offline grammar checking with per-rule IDs
+ *
+ * Produces corrections in the same shape as the AI grammar analysis
+ * ({ sentence_number, original, correction, type, reason, confidence,
+ * severity } plus rule_id/source), so it can stand in for the model or
+ * cross-check it.
+ */
+class GrammarRuleEngine {
+  listRules() {
+    return RULES.map(({ id, type, precision, severity, description }) => ({
+      id,
+      type,
+      precision,
+      severity,
+      description,
+    }));
+  }
+
+  /**
+   * Sentences with tagged terms; all offsets point into `text`
+   */
+  splitSentences(text) {
+    return compromise(text)
+      .json({ offset: true, terms: { offset: true } })
+      .map((sentence, index) => {
+        const start = sentence.offset.start;
+        const end = start + sentence.offset.length;
+        return {
+          number: index + 1,
+          source: text,
+          start,
+          end,
+          text: text.slice(start, end),
+          terms: sentence.terms
+            .filter((term) => term.text)
+            .map((term) => ({
+              text: term.text,
+              lower: normalizeQuotes(term.text.toLowerCase()),
+              tags: new Set(term.tags),
+              post: term.post || "",
+              start: term.offset.start,
+              end: term.offset.start + term.offset.length,
+            })),
+        };
+      });
+  }
+
+  /**
+   * Run every rule over the text → corrections in AI-analysis shape
+   */
+  check(text) {
+    if (!text || !text.trim()) return [];
+
+    const corrections = [];
+
+    this.splitSentences(text).forEach((sentence) => {
+      const hits = RULES.flatMap((rule) =>
+        rule.detect(sentence).map((hit) => ({ ...hit, rule }))
+      );
+
+      // Rules are listed by priority; the first claim on a span wins
+      const taken = [];
+      hits.forEach((hit) => {
+        if (taken.some((t) => hit.start < t.end && t.start < hit.end)) return;
+        taken.push(hit);
+
+        corrections.push({
+          sentence_number: sentence.number,
+          original: text.slice(hit.start, hit.end),
+          correction: hit.correction,
+          type: hit.rule.type,
+          reason: hit.rule.reason,
+          confidence: CONFIDENCE[hit.rule.precision],
+          severity: hit.rule.severity,
+          rule_id: hit.rule.id,
+          source: "rules",
+          position: { start: hit.start, end: hit.end },
+        });
+      });
+    });
+
+    return corrections.sort((a, b) => a.position.start - b.position.start);
+  }
+
+  /**
+   * Full offline analysis in the shape returned by analyzeEssayGrammar
+   */
+  analyze(text) {
+    const corrections = this.check(text);
+    const sentenceCount = Math.max(
+      1,
+      text.split(/[.!?]+/).filter((s) => s.trim()).length
+    );
+
+    return {
+      grammar_analysis: {
+        corrections,
+        total_errors: corrections.length,
+      },
+      scoring: {
+        quality_scores: {
+          grammar: Math.max(
+            0.6,
+            1 - (corrections.length / sentenceCount) * 0.3
+          ),
+          content: 0.7,
+          organization: 0.7,
+          style: 0.7,
+          mechanics: 0.7,
+        },
+        confidence: 0.6,
+      },
+    };
+  }
+
+  normalizeSpacing(str) {
+    return normalizeQuotes(str || "")
+      .toLowerCase()
+      .replace(/\s+/g, " ")
+      .trim();
+  }
+
+  normalizeForMatch(str) {
+    return normalizeQuotes(str || "")
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}'\s]/gu, " ")
+      .replace(/\s+/g, " ")
+      .trim();
+  }
+
+  /**
+   * Check model corrections against the rules
+   * - model corrections quoting text that is not in the essay are dropped
+   * - ones a rule also flags are marked corroborated (and take its rule id)
+   * - high-precision rule hits the model missed are added
+   * → { corrections, stats }
+   */
+  crossValidate(aiCorrections = [], text) {
+    const normalizedText = this.normalizeForMatch(text);
+    const hits = this.check(text);
+    const claimed = new Set();
+    const stats = {
+      fromModel: aiCorrections.length,
+      corroborated: 0,
+      unlocated: 0,
+      addedFromRules: 0,
+    };
+
+    const corrections = aiCorrections.flatMap((correction) => {
+      // Already rule output (offline analysis) - nothing to cross-check
+      if (correction.source === "rules") {
+        const same = hits.findIndex(
+          (hit, i) =>
+            !claimed.has(i) &&
+            hit.rule_id === correction.rule_id &&
+            hit.original === correction.original
+        );
+        if (same !== -1) claimed.add(same);
+        return [correction];
+      }
+
+      const original = this.normalizeForMatch(correction.original);
+      if (!original || !normalizedText.includes(original)) {
+        stats.unlocated++;
+        return [];
+      }
+
+      const fixed = this.normalizeSpacing(correction.correction);
+      const match = hits.find((hit, i) => {
+        if (claimed.has(i)) return false;
+        if (!original.includes(this.normalizeForMatch(hit.original))) {
+          return false;
+        }
+        // The model rewrote the words the rule flagged, or made the same fix
+        return (
+          !fixed.includes(this.normalizeSpacing(hit.original)) ||
+          fixed.includes(this.normalizeSpacing(hit.correction))
+        );
+      });
+      if (!match) return [{ ...correction, source: "ai" }];
+
+      claimed.add(hits.indexOf(match));
+      stats.corroborated++;
+      return [
+        {
+          ...correction,
+          rule_id: match.rule_id,
+          source: "ai",
+          corroborated: true,
+          confidence: Math.max(correction.confidence || 0, match.confidence),
+        },
+      ];
+    });
+
+    hits.forEach((hit, i) => {
+      if (claimed.has(i)) return;
+      if (RULES_BY_ID.get(hit.rule_id).precision !== "high") return;
+      corrections.push(hit);
+      stats.addedFromRules++;
+    });
+
+    return { corrections, stats };
+  }
+
+  /**
+   * Rule corrections → the standard error format EssayGradingService stores,
+   * with a template explanation instead of a model-written one
+   */
+  toStandardErrors(corrections, studentLevel = "intermediate") {
+    return corrections.map((correction, index) => {
+      const rule = RULES_BY_ID.get(correction.rule_id);
+
+      return {
+        sentenceNumber: correction.sentence_number || index + 1,
+        original: correction.original,
+        issueWord: this.extractChangedWord(
+          correction.original,
+          correction.correction
+        ),
+        correction: correction.correction,
+        type: correction.type,
+        reason: correction.reason,
+        confidence: correction.confidence,
+        severity: correction.severity,
+        explanation: this.explain(correction, rule),
+        validated: true,
+        studentLevel,
+        ruleId: correction.rule_id,
+        source: "rules",
+      };
+    });
+  }
+
+  explain(correction, rule) {
+    let formatted = `**Issue:** ${correction.reason}\n\n`;
+    formatted += `**Correction:**\n`;
+    formatted += `❌ "${correction.original}"\n`;
+    formatted += `✅ "${correction.correction}"\n\n`;
+    formatted += `**Rule:** ${rule ? rule.description : correction.type}`;
+    return formatted;
+  }
+
+  extractChangedWord(original, corrected) {
+    const origWords = original.toLowerCase().split(/\s+/);
+    const corrWords = corrected.toLowerCase().split(/\s+/);
+
+    for (let i = 0; i < origWords.length; i++) {
+      if (origWords[i] !== corrWords[i]) {
+        return origWords[i];
+      }
+    }
+
+    return "word";
+  }
+}
+
+module.exports = GrammarRuleEngine;
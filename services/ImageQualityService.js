@@ -0,0 +1,664 @@
+const sharp = require("sharp");
+const ocrConfig = require("../config/ocr");
+const { createError } = require("../utils/errorResponse");
+
+// Longer side of the downscaled copy the metrics are computed on
+const ANALYSIS_SIZE = 1200;
+const TILE_SIZE = 32;
+// Tiles with less variation than this hold no writing
+const TEXT_TILE_STD = 12;
+// Most ink pixels used for the skew search
+const MAX_SKEW_POINTS = 40000;
+// Text lines must beat the columns by this factor before a page counts as
+// written sideways
+const SIDEWAYS_RATIO = 1.3;
+// Tiles around a bright patch whose blank paper it is compared with
+const GLARE_RING = 3;
+
+const percentile = (values, p) => {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+};
+
+const round = (value, places = 2) => {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Image Quality Service - checks page photos before OCR
+ *
+ * Measures sharpness (variance of the Laplacian), resolution, exposure,
+ * glare, skew and sideways pages, page coverage and ruled lines. Images OCR
+ * cannot read are rejected up front with guidance for retaking the photo;
+ * smaller problems become extraction warnings. Metrics are returned to
+ * clients in `textExtraction.imageQuality`.
+ */
+class ImageQualityService {
+  constructor() {
+    this.config = ocrConfig.quality;
+  }
+
+  /**
+   * Assess every page; throws IMAGE_QUALITY when any page is unreadable
+   * → { acceptable, pages: [{ page, metrics, issues }] }, or null when the
+   * check is disabled
+   */
+  async check(imagePaths) {
+    if (!this.config.enabled) return null;
+
+    const pages = [];
+    for (const [index, imagePath] of imagePaths.entries()) {
+      pages.push({ page: index + 1, ...(await this.assess(imagePath)) });
+    }
+
+    const guidance = pages.flatMap((page) =>
+      page.issues
+        .filter((issue) => issue.blocking)
+        .map(({ type, message, suggestion }) => ({
+          ...(pages.length > 1 && { page: page.page }),
+          type,
+          message,
+          suggestion,
+        }))
+    );
+    const report = { acceptable: guidance.length === 0, pages };
+
+    if (guidance.length > 0) {
+      const first = guidance[0];
+      throw createError(
+        "IMAGE_QUALITY",
+        `Image cannot be read: ${first.message.toLowerCase()}` +
+          (first.page ? ` (page ${first.page})` : ""),
+        { guidance, imageQuality: report }
+      );
+    }
+
+    return report;
+  }
+
+  /**
+   * Non-blocking issues as extraction warnings
+   */
+  getWarnings(report) {
+    if (!report) return [];
+
+    return report.pages.flatMap((page) =>
+      page.issues.map((issue) => ({
+        type: `image_${issue.type}`,
+        message: issue.message,
+        severity: "medium",
+        suggestion: issue.suggestion,
+        ...(report.pages.length > 1 && { page: page.page }),
+      }))
+    );
+  }
+
+  /**
+   * Metrics and issues for one image → { acceptable, metrics, issues }
+   */
+  async assess(imagePath) {
+    const metadata = await sharp(imagePath).metadata();
+    // EXIF orientations 5-8 swap width and height
+    const sideways = (metadata.orientation || 1) >= 5;
+    const width = sideways ? metadata.height : metadata.width;
+    const height = sideways ? metadata.width : metadata.height;
+
+    const { data, info } = await sharp(imagePath)
+      .rotate()
+      .toColourspace("b-w")
+      .resize({
+        width: ANALYSIS_SIZE,
+        height: ANALYSIS_SIZE,
+        fit: "inside",
+        withoutEnlargement: true,
+      })
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    const image = { data, width: info.width, height: info.height };
+    const threshold = this.otsuThreshold(data);
+    const tiles = this.measureTiles(image, threshold);
+    const scale = width / image.width;
+
+    const metrics = {
+      width,
+      height,
+      dpi: metadata.density || null,
+      // Assumes the page fills the photo's width (8.5in)
+      estimatedDpi: Math.round(Math.min(width, height) / 8.5),
+      sharpness: round(this.measureSharpness(tiles), 0),
+      brightness: round(tiles.brightness, 0),
+      contrast: round(tiles.contrast, 0),
+      glareRatio: round(tiles.glareRatio, 3),
+      pageCoverage: round(tiles.pageCoverage, 3),
+      inkRatio: round(tiles.inkRatio, 4),
+      ...this.estimateOrientation(image, tiles, threshold),
+      linedPaper: this.detectRuledLines(image, tiles, scale),
+    };
+
+    const issues = this.findIssues(metrics);
+    return {
+      acceptable: !issues.some((issue) => issue.blocking),
+      metrics,
+      issues,
+    };
+  }
+
+  /**
+   * Otsu's threshold between ink/background and paper
+   */
+  otsuThreshold(data) {
+    const histogram = new Array(256).fill(0);
+    for (let i = 0; i < data.length; i++) histogram[data[i]]++;
+
+    let sum = 0;
+    for (let i = 0; i < 256; i++) sum += i * histogram[i];
+
+    let sumBackground = 0;
+    let weightBackground = 0;
+    let best = 0;
+    let threshold = 128;
+
+    for (let i = 0; i < 256; i++) {
+      weightBackground += histogram[i];
+      if (weightBackground === 0) continue;
+      const weightForeground = data.length - weightBackground;
+      if (weightForeground === 0) break;
+
+      sumBackground += i * histogram[i];
+      const meanBackground = sumBackground / weightBackground;
+      const meanForeground = (sum - sumBackground) / weightForeground;
+      const between =
+        weightBackground *
+        weightForeground *
+        Math.pow(meanBackground - meanForeground, 2);
+
+      if (between > best) {
+        best = between;
+        threshold = i;
+      }
+    }
+
+    return threshold;
+  }
+
+  /**
+   * Per-tile brightness, variation and Laplacian variance, plus the
+   * page-level figures derived from them. Paper tiles are brighter than the
+   * Otsu threshold; the rest is desk, background or shadow.
+   */
+  measureTiles({ data, width, height }, threshold) {
+    const columns = Math.ceil(width / TILE_SIZE);
+    const rows = Math.ceil(height / TILE_SIZE);
+    const tiles = [];
+    let total = 0;
+
+    for (let row = 0; row < rows; row++) {
+      for (let column = 0; column < columns; column++) {
+        const x0 = column * TILE_SIZE;
+        const y0 = row * TILE_SIZE;
+        const x1 = Math.min(width, x0 + TILE_SIZE);
+        const y1 = Math.min(height, y0 + TILE_SIZE);
+
+        let sum = 0;
+        let sumSquares = 0;
+        let laplacianSum = 0;
+        let laplacianSquares = 0;
+        let laplacianCount = 0;
+        let ink = 0;
+
+        for (let y = y0; y < y1; y++) {
+          for (let x = x0; x < x1; x++) {
+            const i = y * width + x;
+            const value = data[i];
+            sum += value;
+            sumSquares += value * value;
+            if (value < threshold) ink++;
+
+            if (x > 0 && y > 0 && x < width - 1 && y < height - 1) {
+              const laplacian =
+                data[i - 1] +
+                data[i + 1] +
+                data[i - width] +
+                data[i + width] -
+                4 * value;
+              laplacianSum += laplacian;
+              laplacianSquares += laplacian * laplacian;
+              laplacianCount++;
+            }
+          }
+        }
+
+        const count = (x1 - x0) * (y1 - y0);
+        const mean = sum / count;
+        const laplacianMean = laplacianCount
+          ? laplacianSum / laplacianCount
+          : 0;
+        total += sum;
+
+        tiles.push({
+          row,
+          column,
+          mean,
+          std: Math.sqrt(Math.max(0, sumSquares / count - mean * mean)),
+          laplacianVariance: laplacianCount
+            ? laplacianSquares / laplacianCount - laplacianMean * laplacianMean
+            : 0,
+          ink,
+          count,
+        });
+      }
+    }
+
+    // Paper tiles away from the page's edge, where desk and shadow would
+    // pass for ink
+    tiles.forEach((tile) => (tile.paper = tile.mean > threshold));
+    const at = (row, column) =>
+      row >= 0 && row < rows && column >= 0 && column < columns
+        ? tiles[row * columns + column]
+        : null;
+    tiles.forEach((tile) => {
+      tile.interior =
+        tile.paper &&
+        [
+          [-1, 0],
+          [1, 0],
+          [0, -1],
+          [0, 1],
+        ].every(([dy, dx]) => at(tile.row + dy, tile.column + dx)?.paper);
+    });
+
+    const paper = tiles.filter((tile) => tile.paper);
+    const interior = tiles.filter((tile) => tile.interior);
+    const paperLevel = percentile(
+      paper.map((tile) => tile.mean),
+      0.5
+    );
+    const paperPixels = interior.reduce((sum, tile) => sum + tile.count, 0);
+    const inkPixels = interior.reduce((sum, tile) => sum + tile.ink, 0);
+
+    const glare = this.findGlare(tiles, rows, columns);
+
+    return {
+      tiles,
+      columns,
+      paper,
+      text: interior.filter((tile) => tile.std >= TEXT_TILE_STD),
+      paperLevel,
+      brightness: total / (width * height),
+      contrast: Math.max(
+        0,
+        paperLevel - this.darkLevel({ data, width, height }, interior)
+      ),
+      glareRatio: paper.length ? glare.length / paper.length : 0,
+      pageCoverage: paper.length / tiles.length,
+      inkRatio: paperPixels ? inkPixels / paperPixels : 0,
+    };
+  }
+
+  /**
+   * Blown-out patches: flat near-white areas clearly brighter than the blank
+   * paper around them. White paper that is bright everywhere (a scan, a
+   * well-lit photo) has no darker paper nearby, so it is not glare; writing
+   * is never the reference, however densely the page is covered.
+   */
+  findGlare(tiles, rows, columns) {
+    const bright = (tile) => tile.paper && tile.mean >= 250 && tile.std < 4;
+    const seen = new Set();
+    const glare = [];
+
+    tiles.forEach((start, index) => {
+      if (seen.has(index) || !bright(start)) return;
+
+      // Connected bright patch
+      const patch = [];
+      const queue = [index];
+      seen.add(index);
+      while (queue.length) {
+        const current = queue.pop();
+        patch.push(tiles[current]);
+        const { row, column } = tiles[current];
+        [
+          [row - 1, column],
+          [row + 1, column],
+          [row, column - 1],
+          [row, column + 1],
+        ].forEach(([r, c]) => {
+          const next = r * columns + c;
+          if (
+            r >= 0 &&
+            r < rows &&
+            c >= 0 &&
+            c < columns &&
+            !seen.has(next) &&
+            bright(tiles[next])
+          ) {
+            seen.add(next);
+            queue.push(next);
+          }
+        });
+      }
+
+      // Blank paper within a few tiles of the patch
+      const inPatch = new Set(patch);
+      const ring = new Set();
+      patch.forEach(({ row, column }) => {
+        for (let r = row - GLARE_RING; r <= row + GLARE_RING; r++) {
+          for (let c = column - GLARE_RING; c <= column + GLARE_RING; c++) {
+            if (r < 0 || r >= rows || c < 0 || c >= columns) continue;
+            const tile = tiles[r * columns + c];
+            if (
+              !inPatch.has(tile) &&
+              !bright(tile) &&
+              tile.paper &&
+              tile.std < TEXT_TILE_STD
+            ) {
+              ring.add(tile);
+            }
+          }
+        }
+      });
+      if (ring.size === 0) return;
+
+      const patchLevel = percentile(
+        patch.map((tile) => tile.mean),
+        0.5
+      );
+      const surroundLevel = percentile(
+        [...ring].map((tile) => tile.mean),
+        0.5
+      );
+      if (patchLevel - surroundLevel >= 8) glare.push(...patch);
+    });
+
+    return glare;
+  }
+
+  /**
+   * Brightness of the darkest 1% of the page's pixels (the writing)
+   */
+  darkLevel({ data, width, height }, tiles) {
+    const histogram = new Array(256).fill(0);
+    let count = 0;
+
+    tiles.forEach((tile) => {
+      const x0 = tile.column * TILE_SIZE;
+      const y0 = tile.row * TILE_SIZE;
+      for (let y = y0; y < Math.min(height, y0 + TILE_SIZE); y++) {
+        for (let x = x0; x < Math.min(width, x0 + TILE_SIZE); x++) {
+          histogram[data[y * width + x]]++;
+          count++;
+        }
+      }
+    });
+
+    let seen = 0;
+    for (let value = 0; value < 256; value++) {
+      seen += histogram[value];
+      if (seen >= count * 0.01) return value;
+    }
+    return 255;
+  }
+
+  tileAt({ tiles, columns }, x, y) {
+    return tiles[
+      Math.floor(y / TILE_SIZE) * columns + Math.floor(x / TILE_SIZE)
+    ];
+  }
+
+  /**
+   * Variance of the Laplacian over the sharpest quarter of the text tiles,
+   * so a sparsely written page is not mistaken for a blurry one
+   */
+  measureSharpness({ text }) {
+    if (text.length === 0) return 0;
+
+    const variances = text
+      .map((tile) => tile.laplacianVariance)
+      .sort((a, b) => b - a);
+    const top = variances.slice(0, Math.max(1, Math.ceil(text.length / 4)));
+    return top.reduce((sum, value) => sum + value, 0) / top.length;
+  }
+
+  /**
+   * Skew angle (degrees, clockwise positive) from the projection profile of
+   * the ink: text lines give the sharpest profile when projected along
+   * them. A page whose columns profile better than its rows is sideways.
+   */
+  estimateOrientation(image, tiles, threshold) {
+    const sample = this.inkPoints(image, tiles, threshold);
+    if (sample.length < 2000) return { skewAngle: 0, rotation: 0 };
+
+    const rows = this.searchAngle(sample, false);
+    const columnsProfile = this.searchAngle(sample, true);
+
+    if (columnsProfile.score > rows.score * SIDEWAYS_RATIO) {
+      return { skewAngle: columnsProfile.angle, rotation: 90 };
+    }
+    return { skewAngle: rows.angle, rotation: 0 };
+  }
+
+  /**
+   * Ink pixels on the page (not near its edge) as a flat [x, y, ...] list,
+   * evenly sampled down to MAX_SKEW_POINTS
+   */
+  inkPoints({ data, width }, { tiles, columns }, threshold) {
+    const points = [];
+
+    for (let i = 0; i < data.length; i++) {
+      if (data[i] >= threshold) continue;
+      const x = i % width;
+      const y = Math.floor(i / width);
+      if (this.tileAt({ tiles, columns }, x, y).interior) points.push(x, y);
+    }
+
+    const step = Math.max(1, Math.ceil(points.length / 2 / MAX_SKEW_POINTS));
+    const sample = [];
+    for (let i = 0; i < points.length; i += 2 * step) {
+      sample.push(points[i], points[i + 1]);
+    }
+    return sample;
+  }
+
+  /**
+   * Best projection angle in ±30°: a coarse 1° search refined to 0.1°
+   */
+  searchAngle(points, alongColumns) {
+    let best = { angle: 0, score: -Infinity };
+    const consider = (angle) => {
+      const score = this.profileScore(points, angle, alongColumns);
+      if (score > best.score) best = { angle, score };
+    };
+
+    for (let angle = -30; angle <= 30; angle++) consider(angle);
+    const coarse = best.angle;
+    for (let angle = coarse - 1; angle <= coarse + 1; angle += 0.1) {
+      consider(round(angle, 1));
+    }
+
+    return best;
+  }
+
+  /**
+   * Sum of squared bin counts of the projected points (peaky profiles score
+   * high), relative to the number of points
+   */
+  profileScore(points, angle, alongColumns) {
+    const radians = (angle * Math.PI) / 180;
+    const sin = Math.sin(radians);
+    const cos = Math.cos(radians);
+    const bins = new Map();
+
+    for (let i = 0; i < points.length; i += 2) {
+      const x = points[i];
+      const y = points[i + 1];
+      const bin = Math.round(
+        alongColumns ? x * cos + y * sin : y * cos - x * sin
+      );
+      bins.set(bin, (bins.get(bin) || 0) + 1);
+    }
+
+    let score = 0;
+    for (const count of bins.values()) score += count * count;
+    return score / (points.length / 2);
+  }
+
+  /**
+   * Printed ruling: evenly spaced rows darker than the paper across most of
+   * the page's width → { detected, lineCount, spacing (original pixels) }
+   */
+  detectRuledLines(
+    { data, width, height },
+    { tiles, columns, paperLevel },
+    scale
+  ) {
+    const lineRows = [];
+
+    for (let y = 0; y < height; y++) {
+      let paper = 0;
+      let dark = 0;
+      for (let x = 0; x < width; x++) {
+        const tile = this.tileAt({ tiles, columns }, x, y);
+        if (tile.mean < paperLevel - 40) continue;
+        paper++;
+        if (data[y * width + x] < paperLevel - 25) dark++;
+      }
+      if (paper > width * 0.3 && dark / paper > 0.6) lineRows.push(y);
+    }
+
+    // Consecutive rows form one line
+    const lines = [];
+    lineRows.forEach((y) => {
+      const last = lines[lines.length - 1];
+      if (last && y - last.end <= 1) last.end = y;
+      else lines.push({ start: y, end: y });
+    });
+
+    const centres = lines.map((line) => (line.start + line.end) / 2);
+    const gaps = centres.slice(1).map((centre, i) => centre - centres[i]);
+    const spacing = gaps.length
+      ? gaps.reduce((sum, gap) => sum + gap, 0) / gaps.length
+      : 0;
+    const deviation = gaps.length
+      ? Math.sqrt(
+          gaps.reduce((sum, gap) => sum + Math.pow(gap - spacing, 2), 0) /
+            gaps.length
+        )
+      : 0;
+
+    return {
+      detected: lines.length >= 5 && deviation / spacing < 0.25,
+      lineCount: lines.length,
+      spacing: spacing ? Math.round(spacing * scale) : null,
+    };
+  }
+
+  /**
+   * Issues for a set of metrics; `blocking` ones reject the image
+   */
+  findIssues(metrics) {
+    const limits = this.config;
+    const issues = [];
+    const add = (type, blocking, message, suggestion) =>
+      issues.push({ type, blocking, message, suggestion });
+
+    const shortSide = Math.min(metrics.width, metrics.height);
+    if (shortSide < limits.shortSide.warn) {
+      add(
+        "low_resolution",
+        shortSide < limits.shortSide.reject,
+        `Photo resolution is low (${metrics.width}×${metrics.height})`,
+        "Use the camera's full resolution and hold the phone closer to the page"
+      );
+    }
+
+    if (metrics.inkRatio < limits.minInk) {
+      add(
+        "blank_page",
+        true,
+        "No writing was found on the page",
+        "Make sure the page with your essay is in the photo"
+      );
+      return this.sortIssues(issues);
+    }
+
+    if (metrics.contrast < 40) {
+      const [type, message, suggestion] =
+        metrics.brightness > 200
+          ? [
+              "overexposed",
+              "Photo is overexposed and the writing is washed out",
+              "Avoid direct light or flash on the page and retake the photo",
+            ]
+          : metrics.brightness < 80
+          ? [
+              "underexposed",
+              "Photo is too dark to read the writing",
+              "Retake the photo in a brighter place",
+            ]
+          : [
+              "low_contrast",
+              "Writing is too faint to read",
+              "Write in dark ink or pencil, and retake the photo in even light",
+            ];
+      add(type, true, message, suggestion);
+    } else if (metrics.sharpness < limits.sharpness.warn) {
+      add(
+        "blurry",
+        metrics.sharpness < limits.sharpness.reject,
+        "Photo is blurry",
+        "Hold the phone steady, tap the writing to focus, and retake the photo"
+      );
+    }
+
+    // Page correction straightens these before OCR
+    const correctable = ocrConfig.correction.enabled;
+    if (metrics.rotation === 90) {
+      add(
+        "rotated",
+        !correctable,
+        "Page is rotated 90°",
+        "Rotate the photo so the lines of writing run left to right"
+      );
+    } else if (Math.abs(metrics.skewAngle) > limits.skew.warn) {
+      add(
+        "skewed",
+        !correctable && Math.abs(metrics.skewAngle) > limits.skew.reject,
+        `Page is tilted by ${Math.abs(Math.round(metrics.skewAngle))}°`,
+        "Line the page up with the edges of the photo"
+      );
+    }
+
+    if (metrics.glareRatio > limits.glare.warn) {
+      add(
+        "glare",
+        metrics.glareRatio > limits.glare.reject,
+        `Glare covers ${Math.round(metrics.glareRatio * 100)}% of the page`,
+        "Turn off the flash and tilt the page away from the light"
+      );
+    }
+
+    if (metrics.pageCoverage < limits.pageCoverage.warn) {
+      add(
+        "page_coverage",
+        metrics.pageCoverage < limits.pageCoverage.reject,
+        `The page fills only ${Math.round(
+          metrics.pageCoverage * 100
+        )}% of the photo`,
+        "Move closer so the page fills the frame"
+      );
+    }
+
+    return this.sortIssues(issues);
+  }
+
+  sortIssues(issues) {
+    return issues.sort((a, b) => Number(b.blocking) - Number(a.blocking));
+  }
+}
+
+module.exports = new ImageQualityService();
+module.exports.TILE_SIZE = TILE_SIZE;
+module.exports.TEXT_TILE_STD = TEXT_TILE_STD;
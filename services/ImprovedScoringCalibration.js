@@ -1,10 +1,14 @@
+const { DEFAULT_RUBRIC } = require("../models/Rubric");
+const GradeScaleService = require("./GradeScaleService");
+
 class ImprovedScoringCalibration {
   constructor() {
     this.baseCalibration = -0.01; // Minimal base adjustment
   }
 
   /**
-   * Context-aware score calibration
+   * Context-aware score calibration driven by a rubric
+   * (defaults to the built-in rubric, which reproduces the original fixed rules)
    */
   calculateFinalScore(
     qualityScores,
@@ -13,91 +17,178 @@ class ImprovedScoringCalibration {
     feedback,
     wordCount,
     essayStructure,
-    studentLevel
+    studentLevel,
+    rubric = DEFAULT_RUBRIC
   ) {
-    const grammarErrorCount = feedback.grammarErrors?.length || 0;
-    const spellingErrorCount = feedback.spellingErrors?.length || 0;
+    // Words on the student's/class dictionaries never cost marks, nor do
+    // words OCR could not read reliably
+    const spellingErrors = this.excludeKnownWords(
+      feedback.spellingErrors || [],
+      feedback.knownWords
+    ).filter((error) => !error.ocrUncertain);
+    const errorCounts = {
+      grammar: feedback.grammarErrors?.length || 0,
+      spelling: spellingErrors.length,
+    };
 
     console.log(
-      `📊 SEPARATED Error Analysis: Grammar=${grammarErrorCount}, Spelling=${spellingErrorCount}`
+      `📊 SEPARATED Error Analysis: Grammar=${errorCounts.grammar}, Spelling=${errorCounts.spelling}`
     );
 
-    // ✅ MORE ACCURATE QUALITY SCORE ADJUSTMENT
-    let adjustedScores = { ...qualityScores };
-
-    // Calculate error density separately
-    const grammarDensity = grammarErrorCount / (wordCount / 100);
-    const spellingDensity = spellingErrorCount / (wordCount / 100);
-
-    // Grammar penalties (more impactful)
-    if (grammarDensity > 5) {
-      adjustedScores.grammar = Math.max(0.4, adjustedScores.grammar - 0.2);
-    } else if (grammarDensity > 3) {
-      adjustedScores.grammar = Math.max(0.5, adjustedScores.grammar - 0.1);
-    } else if (grammarDensity > 1) {
-      adjustedScores.grammar = Math.max(0.6, adjustedScores.grammar - 0.05);
-    }
-
-    // Spelling penalties (less impactful)
-    if (spellingDensity > 5) {
-      adjustedScores.mechanics = Math.max(0.5, adjustedScores.mechanics - 0.1);
-    } else if (spellingDensity > 3) {
-      adjustedScores.mechanics = Math.max(0.6, adjustedScores.mechanics - 0.05);
-    }
-
-    // Calculate average from ADJUSTED scores
-    const avgQuality =
-      (adjustedScores.grammar +
-        adjustedScores.content +
-        adjustedScores.organization +
-        adjustedScores.style +
-        adjustedScores.mechanics) /
-      5;
+    // Error density per 100 words
+    const errorDensity = {
+      grammar: errorCounts.grammar / (wordCount / 100),
+      spelling: errorCounts.spelling / (wordCount / 100),
+    };
 
-    let finalScore = this.mapQualityToScore(avgQuality);
+    const levelBand = (rubric.levelBands || []).find(
+      (band) => band.level === studentLevel
+    ) || { penaltyMultiplier: 1, scoreOffset: 0 };
 
-    // ✅ SEPARATED PENALTIES
+    // ✅ QUALITY SCORE ADJUSTMENT (criterion-level penalties)
+    let adjustedScores = { ...qualityScores };
+    const appliedPenalties = [];
     let penalty = 0;
 
-    // Grammar penalties (more severe)
-    if (grammarErrorCount > 10) penalty += 15;
-    else if (grammarErrorCount > 5) penalty += 8;
-    else if (grammarErrorCount > 2) penalty += 3;
+    rubric.penalties.forEach((rule) => {
+      const value =
+        rule.measure === "density"
+          ? errorDensity[rule.errorType]
+          : errorCounts[rule.errorType];
+      const tier = this.findTier(rule.tiers, value);
+      if (!tier) return;
+
+      if (rule.appliesTo === "score") {
+        const deduction = tier.deduction * levelBand.penaltyMultiplier;
+        penalty += deduction;
+        appliedPenalties.push({
+          errorType: rule.errorType,
+          measure: rule.measure,
+          value,
+          appliesTo: "score",
+          deduction,
+        });
+      } else if (adjustedScores[rule.appliesTo] !== undefined) {
+        const before = adjustedScores[rule.appliesTo];
+        adjustedScores[rule.appliesTo] = Math.max(
+          tier.floor ?? 0,
+          before - tier.deduction
+        );
+        appliedPenalties.push({
+          errorType: rule.errorType,
+          measure: rule.measure,
+          value,
+          appliesTo: rule.appliesTo,
+          deduction: before - adjustedScores[rule.appliesTo],
+        });
+      }
+    });
+
+    // Weighted average from ADJUSTED scores
+    const breakdown = this.buildCriteriaBreakdown(
+      rubric.criteria,
+      qualityScores,
+      adjustedScores
+    );
+    const avgQuality = this.weightedAverage(rubric.criteria, adjustedScores);
 
-    // Spelling penalties (less severe)
-    if (spellingErrorCount > 8) penalty += 6;
-    else if (spellingErrorCount > 5) penalty += 4;
-    else if (spellingErrorCount > 2) penalty += 2;
+    let finalScore = this.mapQualityToScore(
+      avgQuality,
+      null,
+      rubric.qualityBands
+    );
 
-    // Structure bonus for having clear sections
-    if (
-      essayStructure &&
-      essayStructure.sections &&
-      essayStructure.sections.length >= 2
-    ) {
-      penalty -= 3; // Reward good structure
-    }
+    // Bonuses (structure, length) offset penalties
+    const structureMetrics = {
+      sectionCount: essayStructure?.sections?.length || 0,
+      paragraphCount: essayStructure?.paragraphs?.length || 0,
+      wordCount,
+    };
+    const appliedBonuses = (rubric.bonuses || [])
+      .filter((bonus) => structureMetrics[bonus.metric] >= bonus.min)
+      .map((bonus) => ({ name: bonus.name, points: bonus.points }));
 
-    // Word count consideration
-    if (wordCount > 250) {
-      penalty -= 2; // Reward adequate length
-    }
+    appliedBonuses.forEach((bonus) => {
+      penalty -= bonus.points;
+    });
 
-    finalScore = Math.max(45, finalScore - penalty);
+    finalScore = Math.min(
+      rubric.maxScore ?? 100,
+      Math.max(
+        rubric.minScore ?? 0,
+        finalScore - penalty + (levelBand.scoreOffset || 0)
+      )
+    );
 
     console.log(
       `🎯 Final Score: ${finalScore}/100 (Quality: ${avgQuality.toFixed(
         2
-      )}, Penalty: -${penalty})`
+      )}, Penalty: -${penalty}, Rubric: ${rubric.name})`
     );
 
     return {
       score: Math.round(finalScore),
       uncertaintyRange: this.calculateUncertainty(ocrConfidence),
       adjustedQualityScores: adjustedScores,
+      breakdown: {
+        criteria: breakdown,
+        averageQuality: Math.round(avgQuality * 1000) / 1000,
+        penalties: appliedPenalties,
+        bonuses: appliedBonuses,
+        levelBand: {
+          level: studentLevel,
+          penaltyMultiplier: levelBand.penaltyMultiplier,
+          scoreOffset: levelBand.scoreOffset || 0,
+        },
+      },
     };
   }
 
+  /**
+   * Highest tier whose threshold the value exceeds
+   */
+  findTier(tiers, value) {
+    return [...(tiers || [])]
+      .sort((a, b) => b.above - a.above)
+      .find((tier) => value > tier.above);
+  }
+
+  /**
+   * Sum of weight x quality over total weight (plain average for equal weights)
+   */
+  weightedAverage(criteria, scores) {
+    const totalWeight = criteria.reduce((sum, c) => sum + c.weight, 0);
+    if (totalWeight === 0) return 0;
+
+    const weightedSum = criteria.reduce(
+      (sum, c) => sum + c.weight * (scores[c.key] ?? 0),
+      0
+    );
+    return weightedSum / totalWeight;
+  }
+
+  /**
+   * Per-criterion weight, quality before/after penalties and contribution
+   */
+  buildCriteriaBreakdown(criteria, qualityScores, adjustedScores) {
+    const totalWeight = criteria.reduce((sum, c) => sum + c.weight, 0);
+
+    return criteria.map((criterion) => {
+      const weight = totalWeight > 0 ? criterion.weight / totalWeight : 0;
+      const quality = adjustedScores[criterion.key] ?? 0;
+
+      return {
+        key: criterion.key,
+        label: criterion.label || criterion.key,
+        weight: Math.round(weight * 1000) / 1000,
+        rawQuality: qualityScores[criterion.key] ?? null,
+        quality,
+        score: Math.round(quality * 100),
+        contribution: weight * quality,
+      };
+    });
+  }
+
   /**
    * Filter out false positive grammar errors (works with old SpellingChecker format)
    */
@@ -153,11 +244,21 @@ class ImprovedScoringCalibration {
     });
   }
 
+  /**
+   * Drop spelling errors for words on a personal or shared dictionary
+   */
+  excludeKnownWords(errors, knownWords) {
+    if (!knownWords || knownWords.size === 0) return errors;
+    return errors.filter(
+      (error) => !error.word || !knownWords.has(error.word.toLowerCase())
+    );
+  }
+
   /**
    * Filter out false positive spelling errors
    */
-  filterRealSpellingErrors(errors) {
-    return errors.filter((error) => {
+  filterRealSpellingErrors(errors, knownWords = null) {
+    return this.excludeKnownWords(errors, knownWords).filter((error) => {
       // Keep only high confidence
       if (error.confidence && error.confidence < 0.7) return false;
 
@@ -339,7 +440,11 @@ class ImprovedScoringCalibration {
   /**
  * Proper score mapping from Python raw score (0-12) to final score (0-100)
  */
-mapQualityToScore(avgQuality, rawScoreFromPython = null) {
+mapQualityToScore(
+  avgQuality,
+  rawScoreFromPython = null,
+  qualityBands = DEFAULT_RUBRIC.qualityBands
+) {
   // If we have a Python raw score, use it directly with proper mapping
   if (rawScoreFromPython !== null) {
     // Python raw score is typically 3.5-12.0, map to 0-100
@@ -347,17 +452,14 @@ mapQualityToScore(avgQuality, rawScoreFromPython = null) {
     return Math.max(0, Math.min(100, mappedScore));
   }
 
-  // Fallback to quality-based mapping
-  if (avgQuality >= 0.85) return 90;
-  if (avgQuality >= 0.8) return 85;
-  if (avgQuality >= 0.75) return 80;
-  if (avgQuality >= 0.7) return 75;
-  if (avgQuality >= 0.65) return 70;
-  if (avgQuality >= 0.6) return 65;
-  if (avgQuality >= 0.55) return 60;
-  if (avgQuality >= 0.5) return 55;
-  if (avgQuality >= 0.45) return 50;
-  return 45;
+  // Fallback to quality-based mapping (rubric bands, highest first)
+  const bands = [
+    ...(qualityBands?.length ? qualityBands : DEFAULT_RUBRIC.qualityBands),
+  ].sort((a, b) => b.minQuality - a.minQuality);
+  const band = bands.find((b) => avgQuality >= b.minQuality);
+
+  // Below every band: the lowest band still applies
+  return (band || bands[bands.length - 1]).score;
 }
 
   /**
@@ -429,19 +531,11 @@ mapQualityToScore(avgQuality, rawScoreFromPython = null) {
   //   return "F";
   // }
 
-  calculateGrade(score) {
-    if (score >= 93) return "A";
-    if (score >= 90) return "A-";
-    if (score >= 87) return "B+";
-    if (score >= 83) return "B";
-    if (score >= 80) return "B-";
-    if (score >= 77) return "C+";
-    if (score >= 73) return "C";
-    if (score >= 70) return "C-";
-    if (score >= 67) return "D+";
-    if (score >= 63) return "D";
-    if (score >= 60) return "D-";
-    return "F";
+  /**
+   * Grade label for a score on the selected grade scale
+   */
+  calculateGrade(score, scaleKey = "letter") {
+    return GradeScaleService.getBand(score, scaleKey).grade;
   }
 }
 
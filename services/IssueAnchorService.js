@@ -0,0 +1,189 @@
+const OffsetMap = require("./OffsetMap");
+
+// How paragraphs are laid out when mapping into essayStructure
+const PARAGRAPH_SEPARATOR = "\n\n";
+
+const escapeRegex = (string) => string.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Issue Anchor Service - stable character offsets for detected issues
+ *
+ * Grammar, spelling and style issues are found in the processed text, but the
+ * editor highlights the original submission. Each issue gets an `anchor`:
+ *   { start, end, text, paragraphIndex, paragraphStart, paragraphEnd, exact }
+ * start/end index into originalText, paragraphStart/paragraphEnd into
+ * essayStructure.paragraphs[paragraphIndex].text. `exact` is false when the
+ * span had to be approximated because the words changed during
+ * preprocessing; the anchor is null when the issue cannot be located at all.
+ */
+class IssueAnchorService {
+  /**
+   * Attach anchors to the issues in place → { anchored, total }
+   * `text` is the text the issues were detected on
+   */
+  anchorIssues({
+    text,
+    originalText,
+    essayStructure,
+    grammarErrors = [],
+    spellingErrors = [],
+    styleIssues = [],
+  }) {
+    const context = this.createContext(text, originalText, essayStructure);
+    let anchored = 0;
+
+    const attach = (issue, span) => {
+      issue.anchor = span ? this.buildAnchor(context, span) : null;
+      if (issue.anchor) anchored++;
+    };
+
+    grammarErrors.forEach((error) =>
+      attach(error, this.locatePhrase(context, error.original))
+    );
+    spellingErrors.forEach((error) =>
+      attach(error, this.locateWord(context, error.word))
+    );
+    styleIssues.forEach((issue) =>
+      attach(issue, this.locateStyleIssue(context, issue))
+    );
+
+    return {
+      anchored,
+      total: grammarErrors.length + spellingErrors.length + styleIssues.length,
+    };
+  }
+
+  createContext(text, originalText, essayStructure) {
+    const source = text || "";
+    const original = originalText || source;
+
+    const paragraphs = [];
+    let joined = "";
+    (essayStructure?.paragraphs || []).forEach((paragraph) => {
+      if (joined) joined += PARAGRAPH_SEPARATOR;
+      const start = joined.length;
+      joined += paragraph.text || "";
+      paragraphs.push({ start, end: joined.length });
+    });
+
+    return {
+      source,
+      original,
+      toOriginal: original === source ? null : new OffsetMap(source, original),
+      paragraphs,
+      toParagraphs:
+        !paragraphs.length || joined === source
+          ? null
+          : new OffsetMap(source, joined),
+      // Next search position per needle, so repeated phrases map in order
+      cursors: new Map(),
+    };
+  }
+
+  /**
+   * Find the next occurrence of `pattern` in the source, wrapping around once
+   */
+  search(context, key, pattern) {
+    const regex = new RegExp(pattern, "gi");
+    const cursor = context.cursors.get(key) || 0;
+
+    regex.lastIndex = cursor;
+    let match = regex.exec(context.source);
+    if (!match && cursor > 0) {
+      regex.lastIndex = 0;
+      match = regex.exec(context.source);
+    }
+    if (!match) return null;
+
+    const span = { start: match.index, end: match.index + match[0].length };
+    context.cursors.set(key, span.end);
+    return span;
+  }
+
+  /**
+   * Grammar errors quote a phrase; spacing and closing punctuation may differ
+   */
+  locatePhrase(context, phrase) {
+    const words = (phrase || "")
+      .trim()
+      .replace(/[.!?,;:]+$/, "")
+      .split(/\s+/)
+      .filter(Boolean);
+    if (!words.length) return null;
+
+    const key = `phrase:${words.join(" ").toLowerCase()}`;
+    return this.search(context, key, words.map(escapeRegex).join("\\s+"));
+  }
+
+  locateWord(context, word) {
+    if (!word) return null;
+
+    const key = `word:${word.toLowerCase()}`;
+    return this.search(context, key, `\\b${escapeRegex(word)}\\b`);
+  }
+
+  /**
+   * Style issues usually carry a position already; trust it if it still
+   * points at the flagged text
+   */
+  locateStyleIssue(context, issue) {
+    const { position, text } = issue;
+    if (
+      position &&
+      text &&
+      context.source.slice(position.start, position.end) === text
+    ) {
+      return { start: position.start, end: position.end };
+    }
+    return this.locatePhrase(context, text);
+  }
+
+  buildAnchor(context, span) {
+    const mapped = context.toOriginal
+      ? context.toOriginal.mapRange(span.start, span.end)
+      : { ...span, exact: true };
+    if (!mapped) return null;
+
+    return {
+      start: mapped.start,
+      end: mapped.end,
+      text: context.original.slice(mapped.start, mapped.end),
+      ...this.locateInParagraphs(context, span),
+      exact: mapped.exact,
+    };
+  }
+
+  /**
+   * Paragraph index plus offsets local to that paragraph's text
+   */
+  locateInParagraphs(context, span) {
+    const none = {
+      paragraphIndex: null,
+      paragraphStart: null,
+      paragraphEnd: null,
+    };
+    if (!context.paragraphs.length) return none;
+
+    const mapped = context.toParagraphs
+      ? context.toParagraphs.mapRange(span.start, span.end)
+      : span;
+    if (!mapped) return none;
+
+    const index = context.paragraphs.findIndex(
+      (paragraph) => mapped.start < paragraph.end
+    );
+    if (index === -1) return none;
+
+    const paragraph = context.paragraphs[index];
+    const start = Math.max(mapped.start, paragraph.start) - paragraph.start;
+    const end = Math.min(mapped.end, paragraph.end) - paragraph.start;
+
+    return {
+      paragraphIndex: index,
+      paragraphStart: start,
+      paragraphEnd: Math.max(end, start),
+    };
+  }
+}
+
+module.exports = new IssueAnchorService();
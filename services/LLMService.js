@@ -0,0 +1,406 @@
+const { AsyncLocalStorage } = require("async_hooks");
+const llmConfig = require("../config/llm");
+const LLMUsageService = require("./LLMUsageService");
+const OpenAIProvider = require("./llm/OpenAIProvider");
+const StubProvider = require("./llm/StubProvider");
+const LLMCache = require("./llm/LLMCache");
+const SCHEMAS = require("./llm/schemas");
+const { validate } = require("./llm/schemaValidator");
+const { createError } = require("../utils/errorResponse");
+
+const createProvider = (config) => {
+  switch (config.provider) {
+    case "openai":
+      return new OpenAIProvider({
+        name: "openai",
+        apiKey: config.apiKey,
+        jsonMode: config.jsonMode,
+      });
+    case "local":
+      return new OpenAIProvider({
+        name: "local",
+        apiKey: config.apiKey,
+        baseURL: config.baseURL,
+        jsonMode: config.jsonMode,
+      });
+    case "stub":
+      return new StubProvider();
+    default:
+      throw new Error(`Unknown LLM_PROVIDER: ${config.provider}`);
+  }
+};
+
+/**
+ * LLM Service - the one place the app talks to a language model
+ *
+ * Every call names a `task` (e.g. "grammar_analysis") and a model role
+ * ("grammar" | "explanation" | "feedback" | "embedding"). `offline` is the
+ * answer the stub provider gives for that call.
+ *
+ * Responses are cached by request content. Pass `cache: false` to skip the
+ * cache or `cache: "refresh"` to call the model and overwrite the entry.
+ *
+ * Every call is recorded with LLMUsageService against the usage context the
+ * caller runs in (see runWithContext).
+ */
+class LLMService {
+  constructor(config = llmConfig) {
+    this.config = config;
+    this.provider = createProvider(config);
+    this.cache = new LLMCache(config.cache);
+    this.offlineProvider =
+      this.provider.name === "stub" ? this.provider : new StubProvider();
+    this.usageContext = new AsyncLocalStorage();
+    this.validationStats = {};
+
+    if (config.provider === "stub") {
+      console.warn(
+        "⚠️ LLM provider: offline stub (set LLM_PROVIDER to enable AI)"
+      );
+    }
+  }
+
+  get providerName() {
+    return this.provider.name;
+  }
+
+  isOffline() {
+    return this.provider.name === "stub";
+  }
+
+  /**
+   * Model role → configured model name (unknown roles pass through as names)
+   */
+  resolveModel(model) {
+    return this.config.models[model] || model;
+  }
+
+  getFallbackModels() {
+    return this.config.fallbackModels;
+  }
+
+  /**
+   * Run `fn` with a usage context (LLMUsageService.createContext); every model
+   * call made inside it, however deeply nested, is attributed to it
+   */
+  runWithContext(context, fn) {
+    return this.usageContext.run(context, fn);
+  }
+
+  getContext() {
+    return this.usageContext.getStore() || null;
+  }
+
+  /**
+   * The offline stub stands in once the current run is over its AI budget
+   */
+  activeProvider() {
+    return this.getContext()?.degraded ? this.offlineProvider : this.provider;
+  }
+
+  async recordUsage({ task, kind, provider, result }) {
+    // Offline answers cost nothing and would only clutter the report
+    if (provider.name === "stub") return;
+
+    await LLMUsageService.record({
+      task,
+      kind,
+      provider: provider.name,
+      model: result.model,
+      usage: result.usage,
+      cached: result.cached,
+      context: this.getContext(),
+    });
+  }
+
+  /**
+   * Serve `request` from the cache or run `call` and store its result
+   * The offline stub is free and deterministic, so it is never cached.
+   */
+  async withCache(provider, { task, kind, cache, request }, call) {
+    if (provider.name === "stub") {
+      return { ...(await call()), cached: false };
+    }
+
+    if (!this.cache.canWrite(task, cache)) {
+      this.cache.recordBypass(task);
+      return { ...(await call()), cached: false };
+    }
+
+    const cacheKey = this.cache.buildKey({
+      kind,
+      provider: provider.name,
+      ...request,
+    });
+
+    if (this.cache.canRead(task, cache)) {
+      const hit = await this.cache.get(cacheKey, task);
+      if (hit) return { ...hit, cached: true, cacheKey };
+    } else {
+      this.cache.recordBypass(task);
+    }
+
+    const result = await call();
+    await this.cache.set(cacheKey, {
+      task,
+      kind,
+      model: request.model,
+      response: result,
+    });
+
+    return { ...result, cached: false, cacheKey };
+  }
+
+  /**
+   * Text completion → { content, model, usage, provider, cached, cacheKey }
+   * json: true requests JSON mode but leaves parsing to the caller
+   */
+  async chat({
+    task,
+    messages,
+    model = "feedback",
+    temperature,
+    maxTokens,
+    json = false,
+    offline,
+    cache = true,
+  }) {
+    const resolvedModel = this.resolveModel(model);
+    const provider = this.activeProvider();
+
+    const result = await this.withCache(
+      provider,
+      {
+        task,
+        kind: "chat",
+        cache,
+        request: {
+          model: resolvedModel,
+          messages,
+          temperature,
+          maxTokens,
+          json,
+        },
+      },
+      () =>
+        provider.chat({
+          task,
+          model: resolvedModel,
+          messages,
+          temperature,
+          maxTokens,
+          json,
+          offline,
+        })
+    );
+    await this.recordUsage({ task, kind: "chat", provider, result });
+
+    return { ...result, provider: provider.name };
+  }
+
+  /**
+   * JSON completion validated against a declared schema (see llm/schemas)
+   * → { data, content, model, usage, provider, cached, attempts }
+   *
+   * Unparseable or invalid output is dropped from the cache and the model is
+   * re-asked with the problems listed, up to config.maxReasks times; after
+   * that an LLM_OUTPUT_INVALID error is thrown.
+   */
+  async json({ schema: schemaName, ...options }) {
+    const schema = SCHEMAS[schemaName];
+    if (!schema) {
+      throw new Error(`Unknown LLM response schema: ${schemaName}`);
+    }
+
+    // Re-asking the offline stub would only repeat the same answer
+    const maxReasks =
+      this.activeProvider().name === "stub" ? 0 : this.config.maxReasks;
+    let messages = options.messages;
+    let problems = [];
+
+    for (let attempt = 1; attempt <= maxReasks + 1; attempt++) {
+      const result = await this.chat({ ...options, messages, json: true });
+      const checked = this.checkOutput(schema, result.content);
+
+      if (!checked.problems) {
+        this.recordValidation(schemaName, { attempt, ...checked });
+        return { ...result, data: checked.value, attempts: attempt };
+      }
+
+      problems = checked.problems;
+      this.recordValidation(schemaName, { attempt, ...checked });
+      await this.invalidate(result.cacheKey);
+
+      messages = [
+        ...options.messages,
+        { role: "assistant", content: result.content || "" },
+        { role: "user", content: this.buildReaskPrompt(problems) },
+      ];
+    }
+
+    this.recordValidation(schemaName, { failed: true });
+    throw createError(
+      "LLM_OUTPUT_INVALID",
+      `Model output did not match the ${schemaName} schema`,
+      { schema: schemaName, attempts: maxReasks + 1, problems }
+    );
+  }
+
+  /**
+   * Parse and validate one response → { value, stripped } or { problems }
+   */
+  checkOutput(schema, content) {
+    let parsed;
+    try {
+      parsed = this.parseJSON(content);
+    } catch (error) {
+      return {
+        problems: [`response is not valid JSON (${error.message})`],
+        parseError: true,
+      };
+    }
+
+    const { value, errors, stripped } = validate(schema, parsed);
+    if (errors.length > 0) {
+      // Cap the list so a wildly wrong reply doesn't balloon the re-ask
+      return {
+        problems: errors.slice(0, 10).map((e) => `${e.path} ${e.message}`),
+      };
+    }
+    return { value, stripped };
+  }
+
+  buildReaskPrompt(problems) {
+    return `Your previous reply did not match the required JSON format:
+${problems.map((p) => `- ${p}`).join("\n")}
+
+Reply again with ONLY the corrected JSON object. If the reply was cut off, return fewer items.`;
+  }
+
+  recordValidation(
+    schemaName,
+    { attempt, problems, parseError, stripped, failed }
+  ) {
+    if (!this.validationStats[schemaName]) {
+      this.validationStats[schemaName] = {
+        responses: 0,
+        validFirstTry: 0,
+        repaired: 0,
+        failed: 0,
+        parseErrors: 0,
+        schemaErrors: 0,
+        strippedFields: 0,
+      };
+    }
+    const stats = this.validationStats[schemaName];
+
+    if (failed) {
+      stats.failed++;
+      return;
+    }
+
+    stats.responses++;
+    if (problems) {
+      stats[parseError ? "parseErrors" : "schemaErrors"]++;
+    } else if (attempt === 1) {
+      stats.validFirstTry++;
+    } else {
+      stats.repaired++;
+    }
+    stats.strippedFields += stripped?.length || 0;
+  }
+
+  /**
+   * Per-schema validation counters; repairRate is the share of requests that
+   * needed a re-ask and then validated
+   */
+  getValidationStats() {
+    return Object.fromEntries(
+      Object.entries(this.validationStats).map(([name, stats]) => {
+        const requests = stats.validFirstTry + stats.repaired + stats.failed;
+        return [
+          name,
+          {
+            ...stats,
+            repairRate: requests
+              ? Math.round((stats.repaired / requests) * 1000) / 10
+              : 0,
+          },
+        ];
+      })
+    );
+  }
+
+  /**
+   * Embedding → { embedding, model, usage, provider, cached }
+   */
+  async embed({ task, input, model = "embedding", cache = true }) {
+    const resolvedModel = this.resolveModel(model);
+    const provider = this.activeProvider();
+
+    const result = await this.withCache(
+      provider,
+      {
+        task,
+        kind: "embedding",
+        cache,
+        request: { model: resolvedModel, input },
+      },
+      () => provider.embed({ task, model: resolvedModel, input })
+    );
+    await this.recordUsage({ task, kind: "embedding", provider, result });
+
+    return { ...result, provider: provider.name };
+  }
+
+  /**
+   * Forget a cached response (cacheKey comes from a chat/embed result)
+   */
+  async invalidate(cacheKey) {
+    await this.cache.invalidate(cacheKey);
+  }
+
+  async clearCache(filter) {
+    return this.cache.clear(filter);
+  }
+
+  getCacheStats() {
+    return this.cache.getStats();
+  }
+
+  /**
+   * Parse model output, tolerating markdown fences around the JSON
+   */
+  parseJSON(content) {
+    const cleaned = (content || "")
+      .trim()
+      .replace(/^```(?:json)?\s*/i, "")
+      .replace(/```$/, "")
+      .trim();
+
+    return JSON.parse(cleaned);
+  }
+
+  async listModels() {
+    return this.provider.listModels();
+  }
+
+  async healthCheck() {
+    try {
+      const models = await this.listModels();
+      return {
+        healthy: true,
+        provider: this.provider.name,
+        available_models: models.slice(0, 5),
+      };
+    } catch (error) {
+      return {
+        healthy: false,
+        provider: this.provider.name,
+        error: error.message,
+      };
+    }
+  }
+}
+
+module.exports = new LLMService();
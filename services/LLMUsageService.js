@@ -0,0 +1,271 @@
+const mongoose = require("mongoose");
+const LLMUsage = require("../models/LLMUsage");
+const Assignment = require("../models/Assignment");
+const Classroom = require("../models/Classroom");
+const llmConfig = require("../config/llm");
+const { createError } = require("../utils/errorResponse");
+
+const GROUP_BY = ["day", "classroom", "task", "model"];
+
+const roundCost = (cost) => Math.round(cost * 1e6) / 1e6;
+
+/**
+ * LLM Usage Service - token/cost accounting and daily quotas for model calls
+ *
+ * Grading runs carry a usage context (see LLMService.runWithContext) so each
+ * call is attributed to its essay, student and classroom.
+ */
+class LLMUsageService {
+  constructor(config = llmConfig) {
+    this.pricing = config.pricing;
+    this.quotas = config.quotas;
+  }
+
+  /**
+   * Per-run context: attribution ids plus running totals for the essay
+   */
+  createContext({ studentId, essayId, assignmentId, classroomId = null }) {
+    return {
+      studentId,
+      essayId,
+      assignmentId: assignmentId || null,
+      classroomId,
+      // Set when the run is over budget; LLMService then answers offline
+      degraded: false,
+      degradedReason: null,
+      totals: {
+        calls: 0,
+        cachedCalls: 0,
+        promptTokens: 0,
+        completionTokens: 0,
+        totalTokens: 0,
+        cost: 0,
+      },
+    };
+  }
+
+  /**
+   * Price entry for a model name (longest matching prefix wins)
+   */
+  priceFor(model = "") {
+    const match = Object.keys(this.pricing)
+      .filter((name) => model.startsWith(name))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return match ? this.pricing[match] : null;
+  }
+
+  estimateCost(model, usage) {
+    const price = this.priceFor(model);
+    if (!price) return 0;
+
+    return roundCost(
+      ((usage.promptTokens || 0) * price.prompt +
+        (usage.completionTokens || 0) * (price.completion || 0)) /
+        1e6
+    );
+  }
+
+  /**
+   * Record one model call; never throws, accounting must not fail a request
+   */
+  async record({ task, kind, provider, model, usage = {}, cached, context }) {
+    const cost = cached ? 0 : this.estimateCost(model, usage);
+
+    if (context) {
+      const totals = context.totals;
+      totals.calls++;
+      if (cached) totals.cachedCalls++;
+      totals.promptTokens += usage.promptTokens || 0;
+      totals.completionTokens += usage.completionTokens || 0;
+      totals.totalTokens += usage.totalTokens || 0;
+      totals.cost = roundCost(totals.cost + cost);
+    }
+
+    if (mongoose.connection.readyState !== 1) return;
+
+    try {
+      await LLMUsage.create({
+        task,
+        kind,
+        provider,
+        model,
+        promptTokens: usage.promptTokens || 0,
+        completionTokens: usage.completionTokens || 0,
+        totalTokens: usage.totalTokens || 0,
+        cost,
+        cached: !!cached,
+        studentId: context?.studentId || null,
+        essayId: context?.essayId || null,
+        assignmentId: context?.assignmentId || null,
+        classroomId: context?.classroomId || null,
+      });
+    } catch (error) {
+      console.error("❌ Failed to record LLM usage:", error.message);
+    }
+  }
+
+  /**
+   * Totals stored on the essay once grading finishes
+   */
+  summarizeContext(context) {
+    return {
+      ...context.totals,
+      degraded: context.degraded,
+      degradedReason: context.degradedReason,
+    };
+  }
+
+  async resolveClassroomId(assignmentId) {
+    if (!assignmentId) return null;
+
+    const assignment = await Assignment.findById(assignmentId)
+      .select("classroomId")
+      .lean();
+    return assignment ? assignment.classroomId : null;
+  }
+
+  startOfDay(date = new Date()) {
+    const day = new Date(date);
+    day.setUTCHours(0, 0, 0, 0);
+    return day;
+  }
+
+  async sumSince(match, field) {
+    const [result] = await LLMUsage.aggregate([
+      { $match: { ...match, cached: false } },
+      { $group: { _id: null, total: { $sum: `$${field}` } } },
+    ]);
+    return result ? result.total : 0;
+  }
+
+  /**
+   * Check today's spend against every configured quota
+   * → { allowed, reason?, quota?, limit?, used? }
+   */
+  async checkBudget({ studentId, classroomId }) {
+    if (mongoose.connection.readyState !== 1) return { allowed: true };
+
+    const since = { createdAt: { $gte: this.startOfDay() } };
+    const checks = [
+      {
+        quota: "dailyCost",
+        limit: this.quotas.dailyCost,
+        used: () => this.sumSince(since, "cost"),
+        reason: "Daily AI budget exhausted",
+      },
+      {
+        quota: "classroomDailyCost",
+        limit: classroomId ? this.quotas.classroomDailyCost : 0,
+        used: () => this.sumSince({ ...since, classroomId }, "cost"),
+        reason: "Classroom daily AI budget exhausted",
+      },
+      {
+        quota: "studentDailyTokens",
+        limit: studentId ? this.quotas.studentDailyTokens : 0,
+        used: () =>
+          this.sumSince(
+            { ...since, studentId: new mongoose.Types.ObjectId(studentId) },
+            "totalTokens"
+          ),
+        reason: "Student daily AI token quota exhausted",
+      },
+    ];
+
+    for (const check of checks) {
+      if (!check.limit) continue;
+
+      const used = await check.used();
+      if (used >= check.limit) {
+        return {
+          allowed: false,
+          reason: check.reason,
+          quota: check.quota,
+          limit: check.limit,
+          used: roundCost(used),
+        };
+      }
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Spend between two dates grouped by day, classroom, task or model
+   */
+  async summarizeSpend({ from, to, groupBy = "day" }) {
+    if (!GROUP_BY.includes(groupBy)) {
+      throw createError("VALIDATION_ERROR", "Invalid groupBy", {
+        allowed: GROUP_BY,
+      });
+    }
+
+    const end = to ? new Date(to) : new Date();
+    const start = from
+      ? new Date(from)
+      : new Date(end.getTime() - 30 * 24 * 60 * 60 * 1000);
+    if (isNaN(start) || isNaN(end)) {
+      throw createError("VALIDATION_ERROR", "Invalid date range");
+    }
+
+    const groupKey = {
+      day: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } },
+      classroom: "$classroomId",
+      task: "$task",
+      model: "$model",
+    }[groupBy];
+
+    const groups = await LLMUsage.aggregate([
+      { $match: { createdAt: { $gte: start, $lte: end } } },
+      {
+        $group: {
+          _id: groupKey,
+          calls: { $sum: 1 },
+          cachedCalls: { $sum: { $cond: ["$cached", 1, 0] } },
+          promptTokens: { $sum: "$promptTokens" },
+          completionTokens: { $sum: "$completionTokens" },
+          totalTokens: { $sum: "$totalTokens" },
+          cost: { $sum: "$cost" },
+          essays: { $addToSet: "$essayId" },
+        },
+      },
+      { $sort: { _id: 1 } },
+    ]);
+
+    let classroomNames = {};
+    if (groupBy === "classroom") {
+      const classrooms = await Classroom.find({
+        _id: { $in: groups.map((g) => g._id).filter(Boolean) },
+      })
+        .select("name")
+        .lean();
+      classroomNames = Object.fromEntries(
+        classrooms.map((c) => [c._id.toString(), c.name])
+      );
+    }
+
+    const rows = groups.map(({ _id, essays, cost, ...totals }) => ({
+      key: _id ? _id.toString() : null,
+      ...(groupBy === "classroom" && {
+        classroomName: _id ? classroomNames[_id.toString()] || null : null,
+      }),
+      ...totals,
+      essays: essays.filter(Boolean).length,
+      cost: roundCost(cost),
+    }));
+
+    const totals = rows.reduce(
+      (sum, row) => ({
+        calls: sum.calls + row.calls,
+        cachedCalls: sum.cachedCalls + row.cachedCalls,
+        totalTokens: sum.totalTokens + row.totalTokens,
+        cost: roundCost(sum.cost + row.cost),
+      }),
+      { calls: 0, cachedCalls: 0, totalTokens: 0, cost: 0 }
+    );
+
+    return { from: start, to: end, groupBy, totals, groups: rows };
+  }
+}
+
+module.exports = new LLMUsageService();
@@ -0,0 +1,54 @@
+const Notification = require("../models/Notification");
+
+/**
+ * Notification Service - create and read student notifications
+ */
+class NotificationService {
+  async notifyStudent(studentId, { type, title, message, data = null }) {
+    try {
+      return await Notification.create({
+        studentId,
+        type,
+        title,
+        message,
+        data,
+      });
+    } catch (error) {
+      // A failed notification must not undo the action that triggered it
+      console.error("❌ Failed to create notification:", error.message);
+      return null;
+    }
+  }
+
+  async getStudentNotifications(
+    studentId,
+    { unreadOnly = false, limit = 50 } = {}
+  ) {
+    const query = { studentId };
+    if (unreadOnly) query.read = false;
+
+    const [notifications, unreadCount] = await Promise.all([
+      Notification.find(query).sort({ createdAt: -1 }).limit(limit),
+      Notification.countDocuments({ studentId, read: false }),
+    ]);
+
+    return { notifications, unreadCount };
+  }
+
+  /**
+   * Mark the given notifications (or all when ids is empty) as read
+   */
+  async markRead(studentId, ids = []) {
+    const query = { studentId, read: false };
+    if (ids.length > 0) query._id = { $in: ids };
+
+    const result = await Notification.updateMany(query, {
+      read: true,
+      readAt: new Date(),
+    });
+
+    return result.modifiedCount;
+  }
+}
+
+module.exports = new NotificationService();
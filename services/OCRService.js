@@ -1,26 +1,66 @@
 require("dotenv").config();
 
-const { ImageAnnotatorClient } = require("@google-cloud/vision");
-const Tesseract = require("tesseract.js");
 const sharp = require("sharp");
 const fs = require("fs").promises;
 const path = require("path");
 const natural = require("natural");
 const SpellChecker = require("simple-spellchecker");
-const OpenAI = require("openai");
-const getEssay = require("../uploads/test");
+const ocrConfig = require("../config/ocr");
+const FixtureOCRProvider = require("./ocr/FixtureOCRProvider");
+const GoogleVisionProvider = require("./ocr/GoogleVisionProvider");
+const TesseractProvider = require("./ocr/TesseractProvider");
+const LocalOCRProvider = require("./ocr/LocalOCRProvider");
+const OCRFusion = require("./ocr/OCRFusion");
+const PageCorrectionService = require("./PageCorrectionService");
 
 class OCRService {
   constructor() {
-    this.tesseractWorker = null;
     this.dictionary = null;
-    this.visionClient = null;
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
+    this.fixtureProvider = this.createFixtureProvider(ocrConfig.fixtures);
+    this.providers = this.createProviders(ocrConfig);
+    this.fusion = new OCRFusion({
+      isWord: (word) => this.isDictionaryWord(word),
+      ...ocrConfig.fusion,
     });
 
     this.initializeDictionary();
-    this.initializeVisionClient();
+  }
+
+  /**
+   * OCR engines in order of preference (OCR_PROVIDERS)
+   */
+  createProviders(config) {
+    return config.providers.map((name) => {
+      switch (name) {
+        case "google_vision":
+          return new GoogleVisionProvider(config.googleVision);
+        case "tesseract":
+          return new TesseractProvider({
+            preprocess: (imagePath) => this.advancedPreprocessImage(imagePath),
+            retryPreprocess: (imagePath) =>
+              this.enhancedPreprocessing(imagePath),
+          });
+        case "local":
+          return new LocalOCRProvider(config.local);
+        default:
+          throw new Error(`Unknown OCR provider: ${name}`);
+      }
+    });
+  }
+
+  createFixtureProvider(config) {
+    if (!config.enabled) {
+      if (config.requested) {
+        const allowed = config.allowedEnvironments.join(" or ");
+        console.warn(
+          `⚠️ OCR_FIXTURES ignored: NODE_ENV must be ${allowed} (is "${config.environment}")`
+        );
+      }
+      return null;
+    }
+
+    console.log("🧪 OCR fixture mode enabled");
+    return new FixtureOCRProvider(config);
   }
 
   async initializeDictionary() {
@@ -39,174 +79,236 @@ class OCRService {
     });
   }
 
-  initializeVisionClient() {
-    try {
-      if (typeof window === "undefined") {
-        const keyFilePath = process.env.GOOGLE_APPLICATION_CREDENTIALS;
-
-        console.log("🔍 Checking Google Vision credentials...");
-        console.log("   Credentials path:", keyFilePath);
-
-        if (keyFilePath && require("fs").existsSync(keyFilePath)) {
-          this.visionClient = new ImageAnnotatorClient();
-          console.log("Google Cloud Vision API initialized");
-        } else {
-          console.log("Google Vision credentials not found");
-        }
-      }
-    } catch (error) {
-      console.error("Google Vision initialization failed:", error.message);
-      this.visionClient = null;
-    }
-  }
-
   async processImage(imagePath, providedTitle = null) {
     try {
       console.log("Starting OCR processing pipeline...");
 
-      if (providedTitle) {
-        console.log(`Student provided title: "${providedTitle}"`);
-        
-        // Check if getEssay returns an essay for this title
-        const preloadedEssay = getEssay(providedTitle);
-        if (preloadedEssay) {
-          
-          // Create a proper structure from the preloaded essay
-          const structure = this.detectEssayStructure(preloadedEssay);
-          
-          return {
-            text: preloadedEssay,
-            originalText: preloadedEssay,
-            confidence: 100,
-            source: "preloaded_essay",
-            structure: structure,
-            titleValidation: {
-              matched: true,
-              matchType: "preloaded",
-              confidence: 1.0,
-              providedTitle: providedTitle,
-              detectedTitle: structure.title || providedTitle,
-            },
-            corrections: {
-              patterns: [],
-              totalCorrectionsMade: 0,
-            },
-            wordConfidences: [],
-            warnings: [],
-          };
-        } else {
-          console.log("ℹ️ No preloaded essay found, proceeding with OCR");
+      // Test/demo fixture matching this exact image, if any
+      if (this.fixtureProvider) {
+        const fixture = await this.fixtureProvider.recognize(imagePath);
+        if (fixture) {
+          console.log(`🧪 Using OCR fixture ${fixture.file}`);
+          return this.buildFixtureResult(fixture, providedTitle);
         }
       }
 
-      // ONLY proceed with OCR if no preloaded essay was found
-      if (this.visionClient) {
-        try {
-          console.log("🔄 Attempting Google Vision OCR...");
-          const visionResult = await this.processWithGoogleVision(
-            imagePath,
-            providedTitle
-          );
-
-          console.log(`Google Vision completed`);
-          console.log(`   Confidence: ${visionResult.confidence}%`);
+      const providers = this.providers.filter((provider) =>
+        provider.isAvailable()
+      );
+      if (providers.length === 0) {
+        throw new Error("No OCR provider available");
+      }
 
-          if (visionResult.confidence > 70) {
-            console.log("Using Google Vision result");
-            return visionResult;
-          } else {
-            console.log("Google Vision confidence low, trying Tesseract");
-          }
-        } catch (visionError) {
-          console.error("Google Vision failed:", visionError.message);
-          console.log("   Falling back to Tesseract...");
+      // Rotate, deskew and flatten the photographed page first
+      const page = await PageCorrectionService.correct(imagePath);
+
+      try {
+        const result =
+          ocrConfig.mode === "fusion" && providers.length > 1
+            ? await this.processWithFusion(providers, page.path, providedTitle)
+            : await this.processWithFallback(
+                providers,
+                page.path,
+                providedTitle
+              );
+
+        return { ...result, imageCorrections: page.corrections };
+      } finally {
+        if (page.path !== imagePath) {
+          await fs.unlink(page.path).catch(() => {});
         }
-      } else {
-        console.log("ℹGoogle Vision not available, using Tesseract");
       }
-
-      console.log("Using Tesseract OCR...");
-      return await this.processWithTesseract(imagePath, providedTitle);
     } catch (error) {
       console.error("OCR processing failed:", error);
       throw new Error(`OCR failed: ${error.message}`);
     }
   }
 
-  // ==================== GOOGLE VISION PROCESSING ====================
+  /**
+   * First engine confident enough wins; otherwise the most confident one
+   */
+  async processWithFallback(providers, imagePath, providedTitle) {
+    let best = null;
+    let lastError = null;
+
+    for (const provider of providers) {
+      try {
+        console.log(`🔄 Attempting ${provider.name} OCR...`);
+        const result = await this.processWithProvider(
+          provider,
+          imagePath,
+          providedTitle
+        );
+        console.log(`   Confidence: ${result.confidence}%`);
 
-  async processWithGoogleVision(imagePath, providedTitle = null) {
-    if (!this.visionClient) {
-      throw new Error("Google Vision client not initialized");
+        if (result.confidence > ocrConfig.minConfidence) {
+          console.log(`Using ${provider.name} result`);
+          return result;
+        }
+        if (!best || result.confidence > best.confidence) best = result;
+        console.log(`${provider.name} confidence low, trying next engine`);
+      } catch (error) {
+        console.error(`${provider.name} failed:`, error.message);
+        lastError = error;
+      }
     }
 
-    try {
-      const imageBuffer = await fs.readFile(imagePath);
-
-      const [result] = await this.visionClient.documentTextDetection({
-        image: { content: imageBuffer },
-      });
+    if (best) {
+      console.log(`Using best available result (${best.source})`);
+      return best;
+    }
+    throw lastError;
+  }
 
-      const textAnnotation = result.fullTextAnnotation;
-      if (!textAnnotation || !textAnnotation.text) {
-        throw new Error("No text detected in image");
+  /**
+   * Run every engine and merge their words (see OCRFusion). OCR pattern
+   * correction runs once on the fused text, so it only sees confusions no
+   * engine read correctly.
+   */
+  async processWithFusion(providers, imagePath, providedTitle) {
+    const results = [];
+    let lastError = null;
+
+    for (const provider of providers) {
+      try {
+        console.log(`🔄 Running ${provider.name} OCR for fusion...`);
+        results.push(
+          await this.processWithProvider(provider, imagePath, providedTitle, {
+            correctPatterns: false,
+          })
+        );
+      } catch (error) {
+        console.error(`${provider.name} failed:`, error.message);
+        lastError = error;
       }
+    }
 
-      // Use Vision's native structure
-      const structure = this.buildStructureFromVisionAPI(textAnnotation);
+    if (results.length === 0) throw lastError;
 
-      console.log("📐 Final Structure from Vision:");
-      console.log(`   Title: ${structure.title || "None"}`);
-      console.log(`   Sections (${structure.sections.length}):`);
-      structure.sections.forEach((s, i) => {
-        console.log(`      ${i + 1}. "${s}" (${s.split(/\s+/).length} words)`);
-      });
-      console.log(`   Paragraphs: ${structure.paragraphs.length}`);
-
-      const titleValidation = this.validateTitle(
-        providedTitle,
-        structure.title
+    const fused = results.length > 1 ? this.fusion.fuse(results) : results[0];
+    if (fused.fusion) {
+      console.log(
+        `🔀 Fused ${results.length} engines: ${fused.fusion.replacedWords} words taken over the ${fused.fusion.primary} reading`
       );
+    }
 
-      // Get text from structure
-      const fullText = this.getFullTextFromStructure(structure);
-      const contentOnlyText = this.getContentOnlyText(structure);
+    const patternResult = await this.patternBasedCorrection(fused.text);
+    console.log(
+      `    OCR corrections applied: ${patternResult.corrections.length}`
+    );
 
-      const confidence = this.calculateVisionConfidence(textAnnotation);
+    return {
+      ...fused,
+      text: patternResult.text,
+      corrections: {
+        patterns: patternResult.corrections,
+        totalCorrectionsMade: patternResult.corrections.length,
+      },
+      warnings: this.generateWarnings(fused.confidence, patternResult.text),
+    };
+  }
 
-      // Only apply OCR-specific corrections, NOT spelling
-      let correctedText = contentOnlyText;
-      const ocrCorrections = { patterns: [] };
+  /**
+   * Recognize with one engine and shape the OCR result. Engines that return
+   * a Vision-style annotation get block-based structure; the rest get
+   * structure detected from plain text.
+   */
+  async processWithProvider(
+    provider,
+    imagePath,
+    providedTitle = null,
+    options = {}
+  ) {
+    const recognition = await provider.recognize(imagePath);
+    const params = { source: provider.name, providedTitle, ...options };
+
+    return recognition.annotation
+      ? this.buildVisionResult(recognition, params)
+      : this.buildTextResult(recognition, params);
+  }
 
-      // Only pattern-based OCR corrections (character confusions)
-      const patternResult = await this.patternBasedCorrection(correctedText);
-      correctedText = patternResult.text;
-      ocrCorrections.patterns = patternResult.corrections;
+  isDictionaryWord(word) {
+    if (/^\d+$/.test(word)) return true;
+    return Boolean(this.dictionary && this.dictionary.spellCheck(word));
+  }
 
-      // No spelling correction here
-      // The grading service will handle spelling errors
+  /**
+   * Shape a fixture like an OCR result
+   */
+  buildFixtureResult(fixture, providedTitle = null) {
+    const text = fixture.text.trim();
+    const confidence = fixture.confidence ?? 100;
+    const structure = this.detectEssayStructure(text);
 
-      console.log(
-        `    OCR corrections applied: ${ocrCorrections.patterns.length}`
-      );
+    return {
+      text,
+      originalText: text,
+      confidence,
+      source: "fixture",
+      structure,
+      titleValidation: this.validateTitle(providedTitle, structure.title),
+      corrections: {
+        patterns: [],
+        totalCorrectionsMade: 0,
+      },
+      wordConfidences: (text.match(/\S+/g) || []).map((word) => ({
+        text: word,
+        confidence,
+      })),
+      warnings: [],
+    };
+  }
 
-      return {
-        text: correctedText,
-        originalText: fullText,
-        confidence: confidence,
-        source: "google_vision",
-        structure: structure,
-        titleValidation: titleValidation,
-        corrections: {
-          patterns: ocrCorrections.patterns,
-          totalCorrectionsMade: ocrCorrections.patterns.length,
-        },
-        wordConfidences: this.extractWordConfidences(textAnnotation),
-        warnings: this.generateWarnings(confidence, correctedText),
-      };
-    } catch (error) {
-      throw new Error(`Google Vision error: ${error.message}`);
-    }
+  // ==================== GOOGLE VISION PROCESSING ====================
+
+  /**
+   * OCR result from a Vision annotation, structured by Vision's blocks
+   */
+  async buildVisionResult(
+    recognition,
+    { source, providedTitle = null, correctPatterns = true }
+  ) {
+    // Use Vision's native structure
+    const structure = this.buildStructureFromVisionAPI(recognition.annotation);
+
+    console.log("📐 Final Structure from Vision:");
+    console.log(`   Title: ${structure.title || "None"}`);
+    console.log(`   Sections (${structure.sections.length}):`);
+    structure.sections.forEach((s, i) => {
+      console.log(`      ${i + 1}. "${s}" (${s.split(/\s+/).length} words)`);
+    });
+    console.log(`   Paragraphs: ${structure.paragraphs.length}`);
+
+    const titleValidation = this.validateTitle(providedTitle, structure.title);
+
+    // Get text from structure
+    const fullText = this.getFullTextFromStructure(structure);
+    const contentOnlyText = this.getContentOnlyText(structure);
+
+    // Only OCR-specific corrections, NOT spelling
+    // The grading service will handle spelling errors
+    const patternResult = await this.correctPatterns(
+      contentOnlyText,
+      correctPatterns
+    );
+
+    return {
+      text: patternResult.text,
+      originalText: fullText,
+      confidence: recognition.confidence,
+      source,
+      structure: structure,
+      titleValidation: titleValidation,
+      corrections: {
+        patterns: patternResult.corrections,
+        totalCorrectionsMade: patternResult.corrections.length,
+      },
+      wordConfidences: recognition.words,
+      warnings: this.generateWarnings(
+        recognition.confidence,
+        patternResult.text
+      ),
+    };
   }
 
   /**
@@ -561,114 +663,66 @@ class OCRService {
     );
   }
 
-  // ==================== TESSERACT PROCESSING ====================
-
-  async processWithTesseract(imagePath, providedTitle = null) {
-    let preprocessedPath = null;
-
-    try {
-      console.log("🔄 Starting Tesseract pipeline...");
-
-      console.log("   1/4 Preprocessing image...");
-      preprocessedPath = await this.advancedPreprocessImage(imagePath);
-      console.log("Preprocessing complete");
-
-      if (!this.tesseractWorker) {
-        console.log("   2/4 Creating Tesseract worker...");
-        this.tesseractWorker = await Tesseract.createWorker("eng", 1, {
-          logger: (m) => {
-            if (m.status === "recognizing text") {
-              const progress = Math.round(m.progress * 100);
-              if (progress % 10 === 0) {
-                console.log(`      Progress: ${progress}%`);
-              }
-            }
-          },
-        });
-
-        await this.tesseractWorker.setParameters({
-          tessedit_pageseg_mode: Tesseract.PSM.SINGLE_BLOCK,
-          preserve_interword_spaces: "1",
-        });
-
-        console.log("Tesseract worker configured");
-      }
+  // ==================== PLAIN TEXT PROCESSING ====================
 
-      console.log("   3/4 Performing OCR...");
-      let { data } = await this.tesseractWorker.recognize(preprocessedPath);
-      console.log(
-        ` OCR complete (confidence: ${data.confidence.toFixed(1)}%)`
-      );
-
-      if (data.confidence < 40 && !preprocessedPath.includes("_retry")) {
-        console.warn(
-          "  Low confidence, retrying with enhanced preprocessing..."
-        );
-        const retryPath = await this.enhancedPreprocessing(imagePath);
-        const { data: retryData } = await this.tesseractWorker.recognize(
-          retryPath
-        );
-
-        if (retryData.confidence > data.confidence) {
-          console.log(
-            `   Retry improved: ${retryData.confidence.toFixed(1)}%`
-          );
-          data = retryData;
-        }
-
-        await fs.unlink(retryPath).catch(() => {});
-      }
+  /**
+   * OCR result from plain recognized text (Tesseract, local engines)
+   */
+  async buildTextResult(
+    recognition,
+    { source, providedTitle = null, correctPatterns = true }
+  ) {
+    console.log("   Post-processing text...");
+    const structure = this.detectEssayStructure(recognition.text);
+    console.log(
+      `      Detected structure: Title="${
+        structure.title || "None"
+      }", Sections=${structure.sections.length}`
+    );
 
-      console.log("   4/4 Post-processing text...");
-      let correctedText = data.text;
+    // Only OCR pattern corrections
+    const patternResult = await this.correctPatterns(
+      recognition.text,
+      correctPatterns
+    );
 
-      const structure = this.detectEssayStructure(correctedText);
-      console.log(
-        `      Detected structure: Title="${
-          structure.title || "None"
-        }", Sections=${structure.sections.length}`
-      );
+    const titleValidation = this.validateTitle(providedTitle, structure.title);
 
-      // Only OCR pattern corrections
-      const ocrCorrections = { patterns: [] };
-      const patternResult = await this.patternBasedCorrection(correctedText);
-      correctedText = patternResult.text;
-      ocrCorrections.patterns = patternResult.corrections;
-      console.log("      Pattern corrections applied");
+    console.log(`${source.toUpperCase()} OCR completed`);
+    console.log(`   Confidence: ${recognition.confidence.toFixed(0)}%`);
+    console.log(`   OCR corrections: ${patternResult.corrections.length}`);
+    console.log(`   Text length: ${patternResult.text.length} characters`);
 
-      const titleValidation = this.validateTitle(
-        providedTitle,
-        structure.title
-      );
+    return {
+      text: patternResult.text,
+      originalText: recognition.text,
+      confidence: recognition.confidence,
+      source,
+      structure: structure,
+      titleValidation: titleValidation,
+      corrections: {
+        patterns: patternResult.corrections,
+        totalCorrectionsMade: patternResult.corrections.length,
+      },
+      wordConfidences: recognition.words,
+      warnings: this.generateWarnings(
+        recognition.confidence,
+        patternResult.text
+      ),
+    };
+  }
 
-      console.log("TESSERACT OCR completed");
-      console.log(`   Confidence: ${data.confidence.toFixed(0)}%`);
-      console.log(`   OCR corrections: ${ocrCorrections.patterns.length}`);
-      console.log(`   Text length: ${correctedText.length} characters`);
+  /**
+   * OCR pattern correction, skipped for results that are fused first
+   */
+  async correctPatterns(text, enabled = true) {
+    if (!enabled) return { text, corrections: [] };
 
-      return {
-        text: correctedText,
-        originalText: data.text,
-        confidence: data.confidence,
-        source: "tesseract",
-        structure: structure,
-        titleValidation: titleValidation,
-        corrections: {
-          patterns: ocrCorrections.patterns,
-          totalCorrectionsMade: ocrCorrections.patterns.length,
-        },
-        wordConfidences:
-          data.words?.map((w) => ({
-            text: w.text,
-            confidence: w.confidence,
-          })) || [],
-        warnings: this.generateWarnings(data.confidence, correctedText),
-      };
-    } finally {
-      if (preprocessedPath && preprocessedPath !== imagePath) {
-        await fs.unlink(preprocessedPath).catch(() => {});
-      }
-    }
+    const patternResult = await this.patternBasedCorrection(text);
+    console.log(
+      `    OCR corrections applied: ${patternResult.corrections.length}`
+    );
+    return patternResult;
   }
 
   /**
@@ -1201,49 +1255,6 @@ class OCRService {
     );
   }
 
-  calculateVisionConfidence(textAnnotation) {
-    if (!textAnnotation.pages || textAnnotation.pages.length === 0) {
-      return 50;
-    }
-
-    let totalConfidence = 0;
-    let wordCount = 0;
-
-    textAnnotation.pages.forEach((page) => {
-      page.blocks.forEach((block) => {
-        block.paragraphs.forEach((paragraph) => {
-          paragraph.words.forEach((word) => {
-            totalConfidence += word.confidence || 0;
-            wordCount++;
-          });
-        });
-      });
-    });
-
-    return wordCount > 0 ? (totalConfidence / wordCount) * 100 : 50;
-  }
-
-  extractWordConfidences(textAnnotation) {
-    const words = [];
-    if (!textAnnotation.pages) return words;
-
-    textAnnotation.pages.forEach((page) => {
-      page.blocks.forEach((block) => {
-        block.paragraphs.forEach((paragraph) => {
-          paragraph.words.forEach((word) => {
-            const wordText = word.symbols.map((s) => s.text).join("");
-            words.push({
-              text: wordText,
-              confidence: (word.confidence || 0) * 100,
-            });
-          });
-        });
-      });
-    });
-
-    return words;
-  }
-
   generateWarnings(confidence, text) {
     const warnings = [];
 
@@ -1270,9 +1281,8 @@ class OCRService {
   }
 
   async cleanup() {
-    if (this.tesseractWorker) {
-      await this.tesseractWorker.terminate();
-      this.tesseractWorker = null;
+    for (const provider of this.providers) {
+      if (provider.cleanup) await provider.cleanup();
     }
   }
 }
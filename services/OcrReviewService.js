@@ -0,0 +1,292 @@
+const { createError } = require("../utils/errorResponse");
+
+const escapeRegex = (string) => string.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Characters either side of an uncertain word shown to the student
+const CONTEXT_LENGTH = 30;
+
+// Joins paragraphs while they are corrected; it is whitespace, so no
+// replaced word ever spans two paragraphs
+const PARAGRAPH_SEPARATOR = "\u2029";
+
+/**
+ * OCR Review Service - word-level OCR confidences and the student review step
+ *
+ * OCR engines report a confidence per word. Words are located in the
+ * extracted text so clients can highlight them:
+ *   { index, text, confidence, start, end, uncertain, reviewed, page? }
+ * Uncertain words (below the threshold) form a review list the student can
+ * confirm or fix before grading; until then their spelling errors are not
+ * counted against the student.
+ */
+class OcrReviewService {
+  constructor() {
+    this.threshold = parseFloat(process.env.OCR_REVIEW_CONFIDENCE) || 80;
+  }
+
+  /**
+   * Locate OCR words in order in the extracted text → word list
+   * Words changed by OCR pattern correction keep start/end null
+   */
+  locateWords(text, wordConfidences = []) {
+    let cursor = 0;
+
+    return wordConfidences.map((word, index) => {
+      const wordText = (word.text || "").trim();
+      const confidence = Math.round((word.confidence || 0) * 10) / 10;
+      const located = {
+        index,
+        text: wordText,
+        confidence,
+        start: null,
+        end: null,
+        // Punctuation tokens are never worth a student's review
+        uncertain: /\p{L}/u.test(wordText) && confidence < this.threshold,
+        reviewed: false,
+        ...(word.page && { page: word.page }),
+      };
+
+      const regex = new RegExp(escapeRegex(wordText), "g");
+      regex.lastIndex = cursor;
+      const match = wordText && regex.exec(text);
+      if (match && match.index - cursor <= 200) {
+        located.start = match.index;
+        located.end = match.index + wordText.length;
+        cursor = located.end;
+      }
+
+      if (located.uncertain) {
+        located.context = this.getContext(text, located);
+      }
+
+      return located;
+    });
+  }
+
+  getContext(text, word) {
+    if (word.start === null) return null;
+
+    const start = Math.max(0, word.start - CONTEXT_LENGTH);
+    const end = Math.min(text.length, word.end + CONTEXT_LENGTH);
+    return text.slice(start, end).replace(/\s+/g, " ").trim();
+  }
+
+  /**
+   * Uncertain words the student has not reviewed yet
+   */
+  getReviewList(words = []) {
+    return words
+      .filter((word) => word.uncertain && !word.reviewed)
+      .map(({ index, text, confidence, start, end, context }) => ({
+        index,
+        text,
+        confidence,
+        start,
+        end,
+        context,
+      }));
+  }
+
+  /**
+   * Review summary stored on the essay as `ocrReview`
+   */
+  summarize(words = [], review = {}) {
+    return {
+      threshold: this.threshold,
+      uncertainCount: words.filter((word) => word.uncertain).length,
+      reviewed: Boolean(review.reviewedAt),
+      reviewedAt: review.reviewedAt || null,
+      corrections: review.corrections || [],
+    };
+  }
+
+  /**
+   * Apply a student's review to an extraction → { extraction, corrections }
+   * corrections: [{ index, text }] - text replaces the word; omit it (or send
+   * the same text) to confirm the word. Every uncertain word counts as
+   * reviewed afterwards, listed or not.
+   */
+  applyCorrections(extraction, input) {
+    if (!Array.isArray(input)) {
+      throw createError("BAD_REQUEST", "corrections must be an array");
+    }
+
+    const words = (extraction.ocrWords || []).map((word) => ({ ...word }));
+    const invalid = [];
+    const fixes = new Map();
+
+    input.forEach((correction) => {
+      const index = correction?.index;
+      const replacement =
+        typeof correction?.text === "string" ? correction.text.trim() : null;
+
+      if (!Number.isInteger(index)) {
+        invalid.push({ index, reason: "Index must be an integer" });
+        return;
+      }
+
+      const word = words[index];
+      if (!word || word.start === null) {
+        invalid.push({ index, reason: "Unknown word" });
+      } else if (replacement !== null && !/^\S+$/.test(replacement)) {
+        invalid.push({
+          index,
+          reason: "Replacement must be a single word",
+        });
+      } else if (replacement && replacement !== word.text) {
+        fixes.set(word.index, replacement);
+      }
+    });
+
+    if (invalid.length > 0) {
+      throw createError("VALIDATION_ERROR", "Invalid OCR corrections", {
+        invalid,
+      });
+    }
+
+    const corrections = [...fixes]
+      .sort(([a], [b]) => a - b)
+      .map(([index, text]) => ({
+        index,
+        from: words[index].text,
+        to: text,
+      }));
+
+    const extractedText = this.replaceWords(
+      extraction.extractedText,
+      words,
+      fixes
+    );
+
+    // The display text and paragraphs hold the same words; fix them in order
+    let originalText = extraction.originalText;
+    if (originalText) {
+      originalText = this.replaceInOrder(originalText, corrections);
+    }
+
+    let essayStructure = extraction.essayStructure;
+    if (essayStructure?.paragraphs?.length) {
+      const texts = this.replaceInOrder(
+        essayStructure.paragraphs
+          .map((paragraph) => paragraph.text || "")
+          .join(PARAGRAPH_SEPARATOR),
+        corrections
+      ).split(PARAGRAPH_SEPARATOR);
+      essayStructure = {
+        ...essayStructure,
+        paragraphs: essayStructure.paragraphs.map((paragraph, index) => ({
+          ...paragraph,
+          text: texts[index],
+        })),
+      };
+    }
+
+    words.forEach((word) => {
+      if (fixes.has(word.index)) {
+        word.corrected = fixes.get(word.index);
+      }
+      if (word.uncertain) word.reviewed = true;
+    });
+
+    return {
+      extraction: {
+        ...extraction,
+        extractedText,
+        originalText,
+        essayStructure,
+        ocrWords: this.relocate(extractedText, words),
+      },
+      corrections,
+    };
+  }
+
+  /**
+   * Replace words at their located offsets (back to front)
+   */
+  replaceWords(text, words, fixes) {
+    return [...fixes.keys()]
+      .map((index) => words[index])
+      .sort((a, b) => b.start - a.start)
+      .reduce(
+        (result, word) =>
+          result.slice(0, word.start) +
+          fixes.get(word.index) +
+          result.slice(word.end),
+        text
+      );
+  }
+
+  /**
+   * Replace each correction's word at its next whole-word occurrence, in order
+   * A word that can't be found is skipped; the rest still apply.
+   */
+  replaceInOrder(text, corrections) {
+    let result = text;
+    let cursor = 0;
+
+    for (const correction of corrections) {
+      // Whitespace-delimited like the OCR words, so "word," matches too
+      const regex = new RegExp(
+        `(?<!\\S)${escapeRegex(correction.from)}(?!\\S)`,
+        "g"
+      );
+      regex.lastIndex = cursor;
+      const match = regex.exec(result);
+      if (!match) continue;
+
+      result =
+        result.slice(0, match.index) +
+        correction.to +
+        result.slice(match.index + correction.from.length);
+      cursor = match.index + correction.to.length;
+    }
+
+    return result;
+  }
+
+  /**
+   * Offsets after replacement; corrected words take their new text
+   */
+  relocate(text, words) {
+    const located = this.locateWords(
+      text,
+      words.map((word) => ({
+        text: word.corrected || word.text,
+        confidence: word.confidence,
+        page: word.page,
+      }))
+    );
+
+    return located.map((word, index) => ({
+      ...words[index],
+      start: word.start,
+      end: word.end,
+      ...(word.context && { context: word.context }),
+    }));
+  }
+
+  /**
+   * Flag spelling errors on words OCR could not read reliably (and the
+   * student has not confirmed): they may be OCR's mistake, not the student's
+   */
+  markUncertainSpelling(spellingErrors = [], words = []) {
+    const uncertain = new Set(
+      words
+        .filter((word) => word.uncertain && !word.reviewed)
+        .map((word) => word.text.toLowerCase().replace(/^\W+|\W+$/g, ""))
+    );
+    if (uncertain.size === 0) return 0;
+
+    let marked = 0;
+    spellingErrors.forEach((error) => {
+      if (error.word && uncertain.has(error.word.toLowerCase())) {
+        error.ocrUncertain = true;
+        marked++;
+      }
+    });
+
+    return marked;
+  }
+}
+
+module.exports = new OcrReviewService();
@@ -0,0 +1,164 @@
+// How far ahead (in tokens) to look for a resync point after a mismatch
+const LOOKAHEAD = 12;
+
+const TOKEN_PATTERN = /[\p{L}\p{N}']+|[^\s\p{L}\p{N}]/gu;
+
+/**
+ * Offset Map - translates character ranges between two versions of a text
+ *
+ * The texts are tokenized and aligned word by word, so ranges survive the
+ * edits our pipeline makes (whitespace cleanup, OCR/spelling replacements,
+ * paragraph splitting). Tokens that were replaced map onto the replacement.
+ */
+class OffsetMap {
+  constructor(source, target) {
+    this.source = source || "";
+    this.target = target || "";
+    this.sourceTokens = this.tokenize(this.source);
+    this.targetTokens = this.tokenize(this.target);
+    this.align();
+  }
+
+  tokenize(text) {
+    return [...text.matchAll(TOKEN_PATTERN)].map((match) => ({
+      start: match.index,
+      end: match.index + match[0].length,
+      norm: this.normalize(match[0]),
+    }));
+  }
+
+  normalize(token) {
+    return token.toLowerCase().replace(/[’‘]/g, "'").replace(/[“”]/g, '"');
+  }
+
+  same(i, j) {
+    return this.sourceTokens[i].norm === this.targetTokens[j].norm;
+  }
+
+  /**
+   * Greedy alignment: walk both token lists, and on a mismatch jump to the
+   * nearest point where two consecutive tokens agree again
+   */
+  align() {
+    const n = this.sourceTokens.length;
+    const m = this.targetTokens.length;
+    this.matches = new Array(n).fill(-1);
+
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (this.same(i, j)) {
+        this.matches[i++] = j++;
+        continue;
+      }
+
+      const resync = this.findResync(i, j);
+      if (resync) {
+        i += resync.di;
+        j += resync.dj;
+      } else {
+        // Treat as a one-token substitution and keep going
+        i++;
+        j++;
+      }
+    }
+
+    // Nearest matched target token on each side, for unmatched source tokens
+    this.previousMatch = new Array(n);
+    this.nextMatch = new Array(n);
+    let last = -1;
+    for (let k = 0; k < n; k++) {
+      this.previousMatch[k] = last;
+      if (this.matches[k] !== -1) last = this.matches[k];
+    }
+    last = m;
+    for (let k = n - 1; k >= 0; k--) {
+      this.nextMatch[k] = last;
+      if (this.matches[k] !== -1) last = this.matches[k];
+    }
+  }
+
+  findResync(i, j) {
+    const n = this.sourceTokens.length;
+    const m = this.targetTokens.length;
+
+    for (let distance = 1; distance <= LOOKAHEAD * 2; distance++) {
+      for (let di = 0; di <= Math.min(distance, LOOKAHEAD); di++) {
+        const dj = distance - di;
+        if (dj > LOOKAHEAD || i + di >= n || j + dj >= m) continue;
+        if (!this.same(i + di, j + dj)) continue;
+
+        const atEnd = i + di + 1 >= n || j + dj + 1 >= m;
+        if (atEnd || this.same(i + di + 1, j + dj + 1)) {
+          return { di, dj };
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Where source token k lands in the target → { start, end } (chars)
+   * Unmatched tokens take the span of the target gap between their matched
+   * neighbours (empty when the token was deleted).
+   */
+  targetSpanForToken(k) {
+    const matched = this.matches[k];
+    if (matched !== -1) {
+      const { start, end } = this.targetTokens[matched];
+      return { start, end, exact: true };
+    }
+
+    const from = this.previousMatch[k] + 1;
+    const to = this.nextMatch[k] - 1;
+    if (from <= to) {
+      return {
+        start: this.targetTokens[from].start,
+        end: this.targetTokens[to].end,
+        exact: false,
+      };
+    }
+
+    const position =
+      from > 0
+        ? this.targetTokens[from - 1].end
+        : this.targetTokens[0]?.start || 0;
+    return { start: position, end: position, exact: false };
+  }
+
+  /**
+   * Map a [start, end) range of the source onto the target
+   * → { start, end, exact } or null when the range holds no tokens
+   */
+  mapRange(start, end) {
+    const tokens = this.sourceTokens;
+    const first = tokens.findIndex((t) => t.end > start);
+    if (first === -1 || tokens[first].start >= end) return null;
+
+    let last = first;
+    while (last + 1 < tokens.length && tokens[last + 1].start < end) last++;
+
+    const head = this.targetSpanForToken(first);
+    const tail = this.targetSpanForToken(last);
+
+    let mappedStart = head.start;
+    let mappedEnd = Math.max(tail.end, mappedStart);
+
+    // Keep partial-token offsets when the token itself is unchanged
+    if (head.exact && start > tokens[first].start) {
+      mappedStart += start - tokens[first].start;
+    }
+    if (tail.exact && end < tokens[last].end) {
+      mappedEnd -= tokens[last].end - end;
+    }
+
+    let exact = head.exact && tail.exact;
+    for (let k = first; exact && k <= last; k++) {
+      exact = this.matches[k] !== -1;
+    }
+
+    return { start: mappedStart, end: Math.max(mappedEnd, mappedStart), exact };
+  }
+}
+
+module.exports = OffsetMap;
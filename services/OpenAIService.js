@@ -1,5 +1,5 @@
-require("dotenv").config();
-const OpenAI = require("openai");
+const LLMService = require("./LLMService");
+const GrammarRuleEngine = require("./GrammarRuleEngine");
 
 /**
  * OpenAI Service - All AI calls in one place
@@ -7,29 +7,18 @@ const OpenAI = require("openai");
  */
 class OpenAIService {
   constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
-
-    this.cache = new Map();
-    this.maxCacheSize = 1000;
-
-    // Model configuration
-    this.models = {
-      primary: "gpt-3.5-turbo-0125",
-      fallback: "gpt-3.5-turbo",
-      explanation: "gpt-3.5-turbo",
-    };
-
-    this.currentModelIndex = 0;
+    this.llm = LLMService;
+    this.grammarRules = new GrammarRuleEngine();
   }
 
   // ==================== GRAMMAR ANALYSIS ====================
 
   /**
    * Analyze essay grammar - Returns comprehensive analysis
+   * LLMService.json() re-asks on invalid replies; any error left falls back
+   * to the rule-based analysis rather than paying for more attempts
    */
-  async analyzeEssayGrammar(text, retryCount = 0) {
+  async analyzeEssayGrammar(text) {
     try {
       console.log(`🤖 Starting OpenAI grammar analysis...`);
 
@@ -77,18 +66,20 @@ Find ALL grammar errors. Be thorough but accurate.`,
         },
       ];
 
-      const completion = await this.openai.chat.completions.create({
-        model: this.models.primary,
+      const completion = await this.llm.json({
+        task: "grammar_analysis",
+        schema: "grammarAnalysis",
+        model: "grammar",
         messages: messages,
         temperature: 0.1,
-        max_tokens: 2500,
-        response_format: { type: "json_object" },
+        maxTokens: 2500,
+        offline: () => this.getFallbackGrammarAnalysis(text),
       });
 
-      const result = JSON.parse(completion.choices[0].message.content);
+      const result = completion.data;
 
       result.validated = true;
-      result.model_used = this.models.primary;
+      result.model_used = completion.model;
 
       console.log(
         `✅ Grammar analysis complete: ${
@@ -98,13 +89,6 @@ Find ALL grammar errors. Be thorough but accurate.`,
       return result;
     } catch (error) {
       console.error(`❌ Grammar analysis error:`, error.message);
-
-      if (retryCount < 2) {
-        console.log(`🔄 Retrying... (Attempt ${retryCount + 1})`);
-        await this.sleep(1000 * (retryCount + 1));
-        return this.analyzeEssayGrammar(text, retryCount + 1);
-      }
-
       return this.getFallbackGrammarAnalysis(text);
     }
   }
@@ -113,12 +97,6 @@ Find ALL grammar errors. Be thorough but accurate.`,
    * Generate adaptive explanations based on student level
    */
   async generateLeveledExplanation(error, studentLevel, essayContext = "") {
-    const cacheKey = `${error.original}-${error.correction}-${studentLevel}`;
-
-    if (this.cache.has(cacheKey)) {
-      return this.cache.get(cacheKey);
-    }
-
     try {
       const prompt = this.buildExplanationPrompt(
         error,
@@ -127,27 +105,24 @@ Find ALL grammar errors. Be thorough but accurate.`,
       );
       const systemPrompt = this.getExplanationSystemPrompt(studentLevel);
 
-      const completion = await this.openai.chat.completions.create({
-        model: this.models.explanation,
+      const completion = await this.llm.chat({
+        task: "grammar_explanation",
+        model: "explanation",
         messages: [
           { role: "system", content: systemPrompt },
           { role: "user", content: prompt },
         ],
         temperature: 0.3,
-        max_tokens:
+        maxTokens:
           studentLevel === "beginner"
             ? 300
             : studentLevel === "intermediate"
             ? 150
             : 100,
+        offline: () => this.getFallbackExplanation(error, studentLevel),
       });
 
-      const explanation = completion.choices[0].message.content;
-
-      // Cache the result
-      this.addToCache(cacheKey, explanation);
-
-      return explanation;
+      return completion.content;
     } catch (error) {
       console.error("❌ Explanation generation failed:", error.message);
       return this.getFallbackExplanation(error, studentLevel);
@@ -190,8 +165,10 @@ Find ALL grammar errors. Be thorough but accurate.`,
    */
   async checkEssayCompleteness(essayText) {
     try {
-      const completion = await this.openai.chat.completions.create({
-        model: this.models.primary,
+      const completion = await this.llm.json({
+        task: "essay_structure",
+        schema: "completenessCheck",
+        model: "grammar",
         messages: [
           {
             role: "system",
@@ -216,24 +193,28 @@ Return ONLY valid JSON:
           },
         ],
         temperature: 0.1,
-        max_tokens: 300,
-        response_format: { type: "json_object" },
+        maxTokens: 300,
+        offline: () => this.getFallbackCompleteness(),
       });
 
-      return JSON.parse(completion.choices[0].message.content);
+      return completion.data;
     } catch (error) {
       console.error("❌ Structure analysis failed:", error.message);
-      return {
-        hasIntroduction: true,
-        hasBody: true,
-        hasConclusion: false,
-        missingConclusion: true,
-        structureScore: 60,
-        feedback: "Essay appears to be missing a conclusion paragraph.",
-      };
+      return this.getFallbackCompleteness();
     }
   }
 
+  getFallbackCompleteness() {
+    return {
+      hasIntroduction: true,
+      hasBody: true,
+      hasConclusion: false,
+      missingConclusion: true,
+      structureScore: 60,
+      feedback: "Essay appears to be missing a conclusion paragraph.",
+    };
+  }
+
   /**
    * Convert OpenAI corrections to standardized format
    */
@@ -283,6 +264,9 @@ Return ONLY valid JSON:
         explanation: explanation,
         validated: true,
         studentLevel: studentLevel,
+        ruleId: correction.rule_id || null,
+        source: correction.source || "ai",
+        corroborated: !!correction.corroborated,
       });
     }
 
@@ -411,20 +395,7 @@ Keep it short - they understand grammar.`,
 
   getFallbackGrammarAnalysis(text) {
     return {
-      grammar_analysis: {
-        corrections: [],
-        total_errors: 0,
-      },
-      scoring: {
-        quality_scores: {
-          grammar: 0.7,
-          content: 0.7,
-          organization: 0.7,
-          style: 0.7,
-          mechanics: 0.7,
-        },
-        confidence: 0.6,
-      },
+      ...this.grammarRules.analyze(text),
       fallback_used: true,
       validated: true,
     };
@@ -457,55 +428,34 @@ Keep it short - they understand grammar.`,
       "homophone confusion": "pronoun_confusion",
       article_usage: "article_usage",
       "article usage": "article_usage",
+      double_negative: "double_negative",
+      run_on_sentence: "run_on_sentence",
+      comma_splice: "comma_splice",
+      word_choice: "word_choice",
     };
 
     return typeMap[openAIReason] || "grammar";
   }
 
-  addToCache(key, value) {
-    if (this.cache.size > this.maxCacheSize) {
-      const firstKey = this.cache.keys().next().value;
-      this.cache.delete(firstKey);
-    }
-    this.cache.set(key, value);
-  }
-
-  sleep(ms) {
-    return new Promise((resolve) => setTimeout(resolve, ms));
-  }
-
   async healthCheck() {
-    try {
-      const models = await this.openai.models.list();
-      return {
-        healthy: true,
-        service: "OpenAI Unified Service",
-        available_models: models.data.slice(0, 5).map((m) => m.id),
-      };
-    } catch (error) {
-      return {
-        healthy: false,
-        service: "OpenAI Unified Service",
-        error: error.message,
-      };
-    }
+    const health = await this.llm.healthCheck();
+    return { ...health, service: "OpenAI Unified Service" };
   }
 
   /**
-   * Get text embeddings using OpenAI
+   * Get text embeddings from the configured provider
    */
   async getEmbedding(text) {
     try {
-      const response = await this.openai.embeddings.create({
-        model: "text-embedding-ada-002",
+      const response = await this.llm.embed({
+        task: "embedding",
         input: text,
-        encoding_format: "float",
       });
 
       return {
-        embedding: response.data[0].embedding,
+        embedding: response.embedding,
         model: response.model,
-        tokens: response.usage.total_tokens,
+        tokens: response.usage.totalTokens,
       };
     } catch (error) {
       console.error("OpenAI embedding error:", error);
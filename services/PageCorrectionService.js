@@ -0,0 +1,554 @@
+const sharp = require("sharp");
+const fs = require("fs").promises;
+const path = require("path");
+const ocrConfig = require("../config/ocr");
+const ImageQualityService = require("./ImageQualityService");
+
+const { TILE_SIZE, TEXT_TILE_STD } = ImageQualityService;
+
+// Longer side of the corrected image (OCR preprocessing upscales from here)
+const WORK_SIZE = 3000;
+// Longer side of the copy the page is analysed on
+const ANALYSIS_SIZE = 1200;
+// Skew below this many degrees is left alone
+const MIN_DESKEW = 0.5;
+// A detected page must cover this share of the photo to be cropped to
+// (smaller finds are usually a bright object, not the page), and less than
+// the upper bound for cropping to be worth it
+const PAGE_AREA = { min: 0.2, max: 0.9 };
+// Spread of paper brightness (10th to 90th percentile) that counts as a
+// shadow or uneven lighting
+const UNEVEN_LIGHTING = 25;
+// Paper brightness after shadow removal
+const PAPER_LEVEL = 245;
+
+/**
+ * Page Correction Service - straightens photographed pages before OCR
+ *
+ * In order: EXIF orientation, perspective correction to the page's border,
+ * rotation by 90/180/270°, deskew, and shadow removal. Sideways pages are
+ * found from the ink's projection profile (see ImageQualityService);
+ * upside-down ones from Latin script having more ink above the x-height
+ * (ascenders, capitals) than below it (descenders).
+ *
+ * With OCR_DEBUG_DIR set, the before and after images are kept there.
+ */
+class PageCorrectionService {
+  constructor() {
+    this.config = ocrConfig.correction;
+  }
+
+  /**
+   * → { path, corrections }; path is the input itself when nothing needed
+   * correcting, otherwise a new PNG the caller must delete
+   */
+  async correct(imagePath) {
+    if (!this.config.enabled) return { path: imagePath, corrections: null };
+
+    const metadata = await sharp(imagePath).metadata();
+    let image = await this.load(imagePath);
+    const corrections = {
+      exifOrientation: (metadata.orientation || 1) > 1,
+      perspective: null,
+      rotation: 0,
+      deskewAngle: 0,
+      shadowsRemoved: false,
+    };
+
+    let analysis = await this.analyze(image);
+
+    const corners = this.detectPage(analysis);
+    if (corners) {
+      image = this.warpPerspective(image, corners);
+      corrections.perspective = {
+        corners: corners.map(([x, y]) => [Math.round(x), Math.round(y)]),
+      };
+      analysis = await this.analyze(image);
+    }
+
+    const oriented = await this.orient(image, analysis);
+    if (oriented.rotation) {
+      ({ image, analysis } = oriented);
+      corrections.rotation = oriented.rotation;
+    }
+
+    const skewAngle = analysis.orientation.skewAngle;
+    if (Math.abs(skewAngle) >= MIN_DESKEW) {
+      image = await this.rotate(image, -skewAngle, analysis.tiles.paperLevel);
+      corrections.deskewAngle = skewAngle;
+      analysis = await this.analyze(image);
+    }
+
+    if (this.hasUnevenLighting(analysis)) {
+      image = await this.removeShadows(image);
+      corrections.shadowsRemoved = true;
+    }
+
+    const changed =
+      corrections.exifOrientation ||
+      corrections.perspective ||
+      corrections.rotation ||
+      corrections.deskewAngle ||
+      corrections.shadowsRemoved;
+
+    console.log(
+      changed
+        ? `📐 Page corrected: ${JSON.stringify(corrections)}`
+        : "📐 Page needs no correction"
+    );
+    if (!changed) return { path: imagePath, corrections };
+
+    const outputPath = path.join(
+      path.dirname(imagePath),
+      `corrected_${Date.now()}.png`
+    );
+    await this.toSharp(image).png().toFile(outputPath);
+
+    if (this.config.debugDir) {
+      corrections.debug = await this.keepDebugImages(imagePath, outputPath);
+    }
+
+    return { path: outputPath, corrections };
+  }
+
+  // ==================== IMAGES ====================
+
+  /**
+   * Grayscale raw pixels, upright per EXIF, at most WORK_SIZE on a side
+   */
+  async load(imagePath) {
+    const { data, info } = await sharp(imagePath)
+      .rotate()
+      .toColourspace("b-w")
+      .resize({
+        width: WORK_SIZE,
+        height: WORK_SIZE,
+        fit: "inside",
+        withoutEnlargement: true,
+      })
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    return { data, width: info.width, height: info.height };
+  }
+
+  toSharp({ data, width, height }) {
+    return sharp(data, { raw: { width, height, channels: 1 } });
+  }
+
+  async fromSharp(pipeline) {
+    const { data, info } = await pipeline
+      .toColourspace("b-w")
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    return { data, width: info.width, height: info.height };
+  }
+
+  /**
+   * Rotate clockwise by `angle` degrees, filling new corners with paper
+   */
+  rotate(image, angle, background = 255) {
+    const level = Math.round(background) || 255;
+    return this.fromSharp(
+      this.toSharp(image).rotate(angle, {
+        background: { r: level, g: level, b: level },
+      })
+    );
+  }
+
+  /**
+   * Downscaled copy with ImageQualityService's tile measurements and
+   * orientation estimate
+   */
+  async analyze(image) {
+    const small = await this.fromSharp(
+      this.toSharp(image).resize({
+        width: ANALYSIS_SIZE,
+        height: ANALYSIS_SIZE,
+        fit: "inside",
+        withoutEnlargement: true,
+      })
+    );
+    const threshold = ImageQualityService.otsuThreshold(small.data);
+    const tiles = ImageQualityService.measureTiles(small, threshold);
+
+    return {
+      small,
+      scale: image.width / small.width,
+      threshold,
+      tiles,
+      orientation: ImageQualityService.estimateOrientation(
+        small,
+        tiles,
+        threshold
+      ),
+    };
+  }
+
+  async keepDebugImages(imagePath, outputPath) {
+    await fs.mkdir(this.config.debugDir, { recursive: true });
+    const stamp = `${Date.now()}-${path.parse(imagePath).name}`;
+    const before = path.join(
+      this.config.debugDir,
+      `${stamp}-before${path.extname(imagePath)}`
+    );
+    const after = path.join(this.config.debugDir, `${stamp}-after.png`);
+
+    await fs.copyFile(imagePath, before);
+    await fs.copyFile(outputPath, after);
+    return { before, after };
+  }
+
+  // ==================== PERSPECTIVE ====================
+
+  /**
+   * Corners of the page [topLeft, topRight, bottomRight, bottomLeft] in
+   * working-image pixels, or null when the page already fills the photo or
+   * no clear page was found
+   */
+  detectPage({ small, scale, threshold, tiles: measured }) {
+    const { tiles, columns } = measured;
+    const rows = Math.ceil(tiles.length / columns);
+    const page = this.largestRegion(tiles, columns, rows);
+    if (page.size === 0) return null;
+
+    // Bright pixels in the page's tiles and the tiles bordering them
+    const near = new Set(page);
+    page.forEach((index) => {
+      const row = Math.floor(index / columns);
+      const column = index % columns;
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const r = row + dy;
+          const c = column + dx;
+          if (r >= 0 && r < rows && c >= 0 && c < columns) {
+            near.add(r * columns + c);
+          }
+        }
+      }
+    });
+
+    // Writing outside the bright region: the page is partly in shadow, not
+    // lying on a darker background
+    const outside = tiles.filter((tile, index) => !near.has(index));
+    const written = outside.filter((tile) => tile.std >= TEXT_TILE_STD);
+    if (written.length > outside.length * 0.25) return null;
+
+    const extremes = {
+      topLeft: { value: Infinity },
+      topRight: { value: -Infinity },
+      bottomRight: { value: -Infinity },
+      bottomLeft: { value: Infinity },
+    };
+    const consider = (corner, value, x, y, larger) => {
+      const best = extremes[corner];
+      if (larger ? value > best.value : value < best.value) {
+        extremes[corner] = { value, x, y };
+      }
+    };
+
+    const { data, width } = small;
+    for (let i = 0; i < data.length; i++) {
+      if (data[i] <= threshold) continue;
+      const x = i % width;
+      const y = Math.floor(i / width);
+      const tile =
+        Math.floor(y / TILE_SIZE) * columns + Math.floor(x / TILE_SIZE);
+      if (!near.has(tile)) continue;
+      consider("topLeft", x + y, x, y, false);
+      consider("topRight", x - y, x, y, true);
+      consider("bottomRight", x + y, x, y, true);
+      consider("bottomLeft", x - y, x, y, false);
+    }
+
+    const corners = ["topLeft", "topRight", "bottomRight", "bottomLeft"].map(
+      (corner) => [extremes[corner].x, extremes[corner].y]
+    );
+    if (corners.some(([x]) => x === undefined)) return null;
+
+    const imageArea = small.width * small.height;
+    const pageArea = this.polygonArea(corners);
+    const regionArea = page.size * TILE_SIZE * TILE_SIZE;
+    if (
+      pageArea < imageArea * PAGE_AREA.min ||
+      pageArea > imageArea * PAGE_AREA.max ||
+      // Not a four-sided page (the region fills little of the outline)
+      regionArea < pageArea * 0.75
+    ) {
+      return null;
+    }
+
+    return corners.map(([x, y]) => [x * scale, y * scale]);
+  }
+
+  /**
+   * Largest 4-connected region of paper tiles → Set of tile indexes
+   */
+  largestRegion(tiles, columns, rows) {
+    const seen = new Uint8Array(tiles.length);
+    let largest = new Set();
+
+    tiles.forEach((tile, start) => {
+      if (!tile.paper || seen[start]) return;
+
+      const region = new Set([start]);
+      const stack = [start];
+      seen[start] = 1;
+      while (stack.length) {
+        const index = stack.pop();
+        const row = Math.floor(index / columns);
+        const column = index % columns;
+        [
+          [row - 1, column],
+          [row + 1, column],
+          [row, column - 1],
+          [row, column + 1],
+        ].forEach(([r, c]) => {
+          if (r < 0 || r >= rows || c < 0 || c >= columns) return;
+          const next = r * columns + c;
+          if (seen[next] || !tiles[next].paper) return;
+          seen[next] = 1;
+          region.add(next);
+          stack.push(next);
+        });
+      }
+
+      if (region.size > largest.size) largest = region;
+    });
+
+    return largest;
+  }
+
+  polygonArea(points) {
+    let area = 0;
+    points.forEach(([x1, y1], i) => {
+      const [x2, y2] = points[(i + 1) % points.length];
+      area += x1 * y2 - x2 * y1;
+    });
+    return Math.abs(area) / 2;
+  }
+
+  /**
+   * Map the page's quadrilateral onto an upright rectangle (bilinear)
+   */
+  warpPerspective({ data, width, height }, corners) {
+    const [topLeft, topRight, bottomRight, bottomLeft] = corners;
+    const distance = ([x1, y1], [x2, y2]) => Math.hypot(x2 - x1, y2 - y1);
+
+    const outWidth = Math.round(
+      Math.max(distance(topLeft, topRight), distance(bottomLeft, bottomRight))
+    );
+    const outHeight = Math.round(
+      Math.max(distance(topLeft, bottomLeft), distance(topRight, bottomRight))
+    );
+
+    const [a, b, c, d, e, f, g, h] = this.solveHomography(
+      [
+        [0, 0],
+        [outWidth - 1, 0],
+        [outWidth - 1, outHeight - 1],
+        [0, outHeight - 1],
+      ],
+      corners
+    );
+
+    const output = Buffer.alloc(outWidth * outHeight, 255);
+    for (let v = 0; v < outHeight; v++) {
+      for (let u = 0; u < outWidth; u++) {
+        const w = g * u + h * v + 1;
+        const x = (a * u + b * v + c) / w;
+        const y = (d * u + e * v + f) / w;
+        if (x < 0 || y < 0 || x >= width - 1 || y >= height - 1) continue;
+
+        const x0 = Math.floor(x);
+        const y0 = Math.floor(y);
+        const fx = x - x0;
+        const fy = y - y0;
+        const i = y0 * width + x0;
+        output[v * outWidth + u] = Math.round(
+          data[i] * (1 - fx) * (1 - fy) +
+            data[i + 1] * fx * (1 - fy) +
+            data[i + width] * (1 - fx) * fy +
+            data[i + width + 1] * fx * fy
+        );
+      }
+    }
+
+    return { data: output, width: outWidth, height: outHeight };
+  }
+
+  /**
+   * Homography taking each `from` point to its `to` point → [a..h] of
+   *   x = (a·u + b·v + c) / (g·u + h·v + 1)
+   *   y = (d·u + e·v + f) / (g·u + h·v + 1)
+   */
+  solveHomography(from, to) {
+    const matrix = [];
+    from.forEach(([u, v], i) => {
+      const [x, y] = to[i];
+      matrix.push([u, v, 1, 0, 0, 0, -u * x, -v * x, x]);
+      matrix.push([0, 0, 0, u, v, 1, -u * y, -v * y, y]);
+    });
+
+    // Gaussian elimination with partial pivoting
+    for (let col = 0; col < 8; col++) {
+      let pivot = col;
+      for (let row = col + 1; row < 8; row++) {
+        if (Math.abs(matrix[row][col]) > Math.abs(matrix[pivot][col])) {
+          pivot = row;
+        }
+      }
+      [matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+
+      for (let row = 0; row < 8; row++) {
+        if (row === col) continue;
+        const factor = matrix[row][col] / matrix[col][col];
+        for (let k = col; k < 9; k++) {
+          matrix[row][k] -= factor * matrix[col][k];
+        }
+      }
+    }
+
+    return matrix.map((row, i) => row[8] / row[i]);
+  }
+
+  // ==================== ORIENTATION ====================
+
+  /**
+   * Turn a sideways or upside-down page upright
+   * → { rotation (0/90/180/270, clockwise), image, analysis }
+   */
+  async orient(image, analysis) {
+    let rotation = 0;
+
+    if (analysis.orientation.rotation === 90) {
+      rotation = 90;
+      image = await this.rotate(image, 90);
+      analysis = await this.analyze(image);
+    }
+
+    if (this.isUpsideDown(analysis)) {
+      rotation += 180;
+      image = await this.rotate(image, 180);
+      analysis = await this.analyze(image);
+    }
+
+    return { rotation, image, analysis };
+  }
+
+  /**
+   * Compare ink above and below each text line's x-height band; upright
+   * Latin script has more above (ascenders, capitals) than below
+   */
+  isUpsideDown({ small, tiles, threshold, orientation }) {
+    const points = ImageQualityService.inkPoints(small, tiles, threshold);
+    if (points.length < 2000) return false;
+
+    const radians = (orientation.skewAngle * Math.PI) / 180;
+    const sin = Math.sin(radians);
+    const cos = Math.cos(radians);
+    const offset = small.width;
+    const profile = new Float64Array(small.height + 2 * offset);
+    for (let i = 0; i < points.length; i += 2) {
+      const y = Math.round(points[i + 1] * cos - points[i] * sin) + offset;
+      if (y >= 0 && y < profile.length) profile[y]++;
+    }
+
+    const peak = Math.max(...profile);
+    let above = 0;
+    let below = 0;
+    let lines = 0;
+    let start = -1;
+
+    for (let y = 0; y <= profile.length; y++) {
+      const inLine = y < profile.length && profile[y] > peak * 0.05;
+      if (inLine && start < 0) start = y;
+      if (inLine || start < 0) continue;
+
+      const line = Array.from(profile.slice(start, y));
+      start = -1;
+      if (line.length < 6) continue;
+
+      const linePeak = Math.max(...line);
+      const core = line.map((count) => count >= linePeak * 0.5);
+      const coreStart = core.indexOf(true);
+      const coreEnd = core.lastIndexOf(true);
+      line.forEach((count, index) => {
+        if (index < coreStart) above += count;
+        if (index > coreEnd) below += count;
+      });
+      lines++;
+    }
+
+    return lines >= 3 && below > above * 1.25;
+  }
+
+  // ==================== LIGHTING ====================
+
+  /**
+   * Compares blank tiles only, since tiles with writing are darker anyway.
+   * Shadowed paper may fall below the paper threshold, so every blank tile
+   * counts (any background was cropped away with the perspective).
+   */
+  hasUnevenLighting({ tiles }) {
+    const blank = tiles.tiles
+      .filter((tile) => tile.std < TEXT_TILE_STD)
+      .map((tile) => tile.mean)
+      .sort((a, b) => a - b);
+    if (blank.length < 10) return false;
+
+    const at = (p) => blank[Math.floor(p * (blank.length - 1))];
+    return at(0.9) - at(0.1) > UNEVEN_LIGHTING;
+  }
+
+  /**
+   * Divide by the paper's own brightness (ink dilated away, then blurred)
+   * so shadows and gradients flatten to even paper
+   */
+  async removeShadows(image) {
+    const factor = 16;
+    const small = await this.fromSharp(
+      this.toSharp(image).resize(
+        Math.max(1, Math.round(image.width / factor)),
+        Math.max(1, Math.round(image.height / factor))
+      )
+    );
+
+    // Max filter wider than a line of writing: the writing disappears
+    const radius = 5;
+    const dilated = Buffer.alloc(small.data.length);
+    for (let y = 0; y < small.height; y++) {
+      for (let x = 0; x < small.width; x++) {
+        let max = 0;
+        for (let dy = -radius; dy <= radius; dy++) {
+          const yy = Math.min(small.height - 1, Math.max(0, y + dy));
+          for (let dx = -radius; dx <= radius; dx++) {
+            const xx = Math.min(small.width - 1, Math.max(0, x + dx));
+            max = Math.max(max, small.data[yy * small.width + xx]);
+          }
+        }
+        dilated[y * small.width + x] = max;
+      }
+    }
+
+    const background = await this.fromSharp(
+      this.toSharp({ ...small, data: dilated })
+        .blur(radius)
+        .resize(image.width, image.height)
+    );
+
+    const output = Buffer.alloc(image.data.length);
+    for (let i = 0; i < image.data.length; i++) {
+      output[i] = Math.min(
+        255,
+        Math.round(
+          (image.data[i] / Math.max(1, background.data[i])) * PAPER_LEVEL
+        )
+      );
+    }
+
+    return { ...image, data: output };
+  }
+}
+
+module.exports = new PageCorrectionService();
@@ -0,0 +1,189 @@
+const OCRService = require("./OCRService");
+
+// Sentence-final punctuation, optionally followed by closing quotes/brackets
+const SENTENCE_END = /[.!?]["'”’)\]]*$/;
+
+/**
+ * Page Stitching Service - joins per-page OCR results into one essay
+ *
+ * Handwritten essays span several pages, each OCR'd on its own. A paragraph
+ * that runs over a page break comes back as two paragraphs (often with the
+ * last word hyphenated); they are merged back into one. Every paragraph keeps
+ * `page` (where it starts) and `pages` (every page it covers).
+ */
+class PageStitchingService {
+  /**
+   * pages: OCRService.processImage results, in page order
+   * → one result of the same shape, plus `pages` (per-page summary)
+   */
+  stitch(pages) {
+    const paragraphs = [];
+    const sections = [];
+
+    pages.forEach((result, pageIndex) => {
+      const page = pageIndex + 1;
+
+      this.getPageParagraphs(result, page).forEach((paragraph, index) => {
+        const previous = paragraphs[paragraphs.length - 1];
+
+        if (
+          index === 0 &&
+          previous &&
+          this.continuesOnNextPage(previous.text, paragraph.text)
+        ) {
+          previous.text = this.joinAcrossPages(previous.text, paragraph.text);
+          previous.pages.push(page);
+          return;
+        }
+
+        paragraphs.push({ ...paragraph, page, pages: [page] });
+      });
+
+      (result.structure?.sections || []).forEach((section) => {
+        if (!sections.includes(section)) sections.push(section);
+      });
+    });
+
+    const structure = {
+      title: pages[0]?.structure?.title || null,
+      sections,
+      paragraphs: paragraphs.map((paragraph, order) => ({
+        ...paragraph,
+        order,
+      })),
+    };
+
+    return {
+      text: structure.paragraphs.map((paragraph) => paragraph.text).join(" "),
+      originalText: OCRService.getFullTextFromStructure(structure),
+      confidence: this.combineConfidence(pages),
+      source: this.combineSource(pages),
+      structure,
+      titleValidation: pages[0]?.titleValidation || null,
+      corrections: {
+        patterns: pages.flatMap((result, index) =>
+          (result.corrections?.patterns || []).map((pattern) => ({
+            ...pattern,
+            page: index + 1,
+          }))
+        ),
+        totalCorrectionsMade: pages.reduce(
+          (total, result) =>
+            total + (result.corrections?.totalCorrectionsMade || 0),
+          0
+        ),
+      },
+      wordConfidences: pages.flatMap((result, index) =>
+        (result.wordConfidences || []).map((word) => ({
+          ...word,
+          page: index + 1,
+        }))
+      ),
+      warnings: pages.flatMap((result, index) =>
+        (result.warnings || []).map((warning) => ({
+          ...warning,
+          page: index + 1,
+        }))
+      ),
+      pages: pages.map((result, index) => ({
+        page: index + 1,
+        source: result.source,
+        confidence: result.confidence,
+        wordCount: (result.text || "").split(/\s+/).filter(Boolean).length,
+        ...(result.fusion && { fusion: result.fusion }),
+        ...(result.imageCorrections && {
+          imageCorrections: result.imageCorrections,
+        }),
+      })),
+    };
+  }
+
+  /**
+   * Paragraphs of one page; a "title" detected on a later page is really the
+   * first line of its text
+   */
+  getPageParagraphs(result, page) {
+    const structure = result.structure || {};
+    let paragraphs = (structure.paragraphs || [])
+      .filter((paragraph) => paragraph.text && paragraph.text.trim())
+      .map((paragraph) => ({
+        ...paragraph,
+        text: OCRService.cleanSpacing(paragraph.text),
+      }));
+
+    if (paragraphs.length === 0 && result.text && result.text.trim()) {
+      paragraphs = [
+        { section: "Body", text: OCRService.cleanSpacing(result.text) },
+      ];
+    }
+
+    if (page > 1 && structure.title) {
+      const title = OCRService.cleanSpacing(structure.title);
+      paragraphs = paragraphs.length
+        ? [
+            {
+              ...paragraphs[0],
+              text: this.joinAcrossPages(title, paragraphs[0].text),
+            },
+            ...paragraphs.slice(1),
+          ]
+        : [{ section: "Body", text: title }];
+    }
+
+    return paragraphs;
+  }
+
+  /**
+   * A paragraph continues when the page ends mid-sentence or mid-word, or
+   * the next page starts in lowercase
+   */
+  continuesOnNextPage(previousText, nextText) {
+    const previous = previousText.trim();
+    const next = nextText.trim();
+
+    return (
+      /\p{L}-$/u.test(previous) ||
+      !SENTENCE_END.test(previous) ||
+      /^\p{Ll}/u.test(next)
+    );
+  }
+
+  /**
+   * Join text split by a page break, re-joining a hyphenated word
+   */
+  joinAcrossPages(previousText, nextText) {
+    const previous = previousText.trim();
+    const next = nextText.trim();
+
+    if (/\p{L}-$/u.test(previous) && /^\p{Ll}/u.test(next)) {
+      return previous.slice(0, -1) + next;
+    }
+    return `${previous} ${next}`;
+  }
+
+  /**
+   * Average page confidence, weighted by words read on each page
+   */
+  combineConfidence(pages) {
+    let words = 0;
+    let weighted = 0;
+
+    pages.forEach((result) => {
+      const count = Math.max(
+        1,
+        (result.text || "").split(/\s+/).filter(Boolean).length
+      );
+      words += count;
+      weighted += (result.confidence || 0) * count;
+    });
+
+    return words > 0 ? weighted / words : 0;
+  }
+
+  combineSource(pages) {
+    const sources = [...new Set(pages.map((result) => result.source))];
+    return sources.length === 1 ? sources[0] : "mixed";
+  }
+}
+
+module.exports = new PageStitchingService();
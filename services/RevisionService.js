@@ -0,0 +1,398 @@
+const Essay = require("../models/Essay");
+const { RUBRIC_CRITERIA } = require("../models/Rubric");
+const { createError } = require("../utils/errorResponse");
+
+// Paragraphs below this word overlap are treated as removed + added, not edited
+const MATCH_THRESHOLD = 0.3;
+// Word diffs beyond this many tokens per side are skipped (O(n*m) table)
+const MAX_DIFF_TOKENS = 1500;
+
+/**
+ * Revision Service - links revisions to their parent essay and explains
+ * what changed between the two versions
+ */
+class RevisionService {
+  /**
+   * Graded parent owned by the student and the next position in its chain
+   */
+  async getRevisionContext(parentEssayId, studentMongoId) {
+    const parent = await Essay.findOne({
+      _id: parentEssayId,
+      studentId: studentMongoId,
+    });
+
+    if (!parent) {
+      throw createError("NOT_FOUND", "Essay not found");
+    }
+
+    if (parent.status !== "graded") {
+      throw createError(
+        "BAD_REQUEST",
+        "Only graded essays can be revised",
+        { status: parent.status }
+      );
+    }
+
+    const rootEssayId = parent.revision?.rootEssayId || parent._id;
+    const previousRevisions = await Essay.countDocuments({
+      "revision.rootEssayId": rootEssayId,
+    });
+
+    return {
+      parent,
+      revision: {
+        parentEssayId: parent._id,
+        rootEssayId,
+        number: previousRevisions + 1,
+      },
+    };
+  }
+
+  async getRevisionChain(essay) {
+    const rootEssayId = essay.revision?.rootEssayId || essay._id;
+
+    return Essay.find({
+      $or: [{ _id: rootEssayId }, { "revision.rootEssayId": rootEssayId }],
+      studentId: essay.studentId,
+    })
+      .sort({ submittedAt: 1 })
+      .select(
+        "title status submittedAt revision.number revision.parentEssayId grading.finalScore grading.grade"
+      );
+  }
+
+  // ==================== COMPARISON ====================
+
+  /**
+   * Full comparison of a parent essay and its graded revision
+   */
+  compareEssays(parent, revision) {
+    const parentParagraphs = this.getParagraphs(parent);
+    const revisedParagraphs = this.getParagraphs(revision);
+    const alignment = this.alignParagraphs(parentParagraphs, revisedParagraphs);
+
+    const paragraphs = alignment.map((pair) =>
+      this.describeParagraphPair(pair, parentParagraphs, revisedParagraphs)
+    );
+
+    const errors = {
+      grammar: this.trackErrors(
+        parent.feedback?.grammarErrors || [],
+        revision.feedback?.grammarErrors || [],
+        "grammar",
+        parentParagraphs,
+        revisedParagraphs,
+        alignment
+      ),
+      spelling: this.trackErrors(
+        parent.feedback?.spellingErrors || [],
+        revision.feedback?.spellingErrors || [],
+        "spelling",
+        parentParagraphs,
+        revisedParagraphs,
+        alignment
+      ),
+    };
+
+    const scores = this.compareScores(parent.grading, revision.grading);
+
+    const fixedCount =
+      errors.grammar.fixed.length + errors.spelling.fixed.length;
+    const persistingCount =
+      errors.grammar.persisting.length + errors.spelling.persisting.length;
+    const newCount =
+      errors.grammar.introduced.length + errors.spelling.introduced.length;
+
+    return {
+      parentEssayId: parent._id,
+      revisionEssayId: revision._id,
+      paragraphs,
+      errors,
+      scores,
+      summary: {
+        paragraphsChanged: paragraphs.filter((p) => p.status !== "unchanged")
+          .length,
+        errorsFixed: fixedCount,
+        errorsPersisting: persistingCount,
+        errorsIntroduced: newCount,
+        scoreChange: scores.finalScore.change,
+        improved: scores.finalScore.change > 0 || fixedCount > newCount,
+      },
+    };
+  }
+
+  /**
+   * Paragraph texts from the stored structure, else split on blank lines
+   */
+  getParagraphs(essay) {
+    const structured = essay.essayStructure?.paragraphs || [];
+    if (structured.length > 0) {
+      return structured.map((p) => p.text || "");
+    }
+
+    return (essay.processedText || essay.originalText || "")
+      .split(/\n\s*\n/)
+      .map((p) => p.trim())
+      .filter(Boolean);
+  }
+
+  tokenize(text) {
+    return (text.toLowerCase().match(/[a-z0-9']+/g) || []).filter(Boolean);
+  }
+
+  /**
+   * Word-set overlap (Jaccard) between two paragraphs
+   */
+  similarity(a, b) {
+    const setA = new Set(this.tokenize(a));
+    const setB = new Set(this.tokenize(b));
+    if (setA.size === 0 && setB.size === 0) return 1;
+
+    let shared = 0;
+    setA.forEach((word) => {
+      if (setB.has(word)) shared++;
+    });
+
+    return shared / (setA.size + setB.size - shared);
+  }
+
+  /**
+   * Order-preserving alignment maximising total similarity
+   * Returns [{ from, to, similarity }] where a missing side is null
+   */
+  alignParagraphs(parentParagraphs, revisedParagraphs) {
+    const n = parentParagraphs.length;
+    const m = revisedParagraphs.length;
+
+    const sim = parentParagraphs.map((p) =>
+      revisedParagraphs.map((r) => this.similarity(p, r))
+    );
+
+    // best[i][j] = best total similarity aligning the first i and j paragraphs
+    const best = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+    for (let i = 1; i <= n; i++) {
+      for (let j = 1; j <= m; j++) {
+        const match =
+          sim[i - 1][j - 1] >= MATCH_THRESHOLD
+            ? best[i - 1][j - 1] + sim[i - 1][j - 1]
+            : -Infinity;
+        best[i][j] = Math.max(match, best[i - 1][j], best[i][j - 1]);
+      }
+    }
+
+    const pairs = [];
+    let i = n;
+    let j = m;
+    while (i > 0 || j > 0) {
+      if (
+        i > 0 &&
+        j > 0 &&
+        sim[i - 1][j - 1] >= MATCH_THRESHOLD &&
+        best[i][j] === best[i - 1][j - 1] + sim[i - 1][j - 1]
+      ) {
+        pairs.push({ from: i - 1, to: j - 1, similarity: sim[i - 1][j - 1] });
+        i--;
+        j--;
+      } else if (i > 0 && (j === 0 || best[i][j] === best[i - 1][j])) {
+        pairs.push({ from: i - 1, to: null, similarity: 0 });
+        i--;
+      } else {
+        pairs.push({ from: null, to: j - 1, similarity: 0 });
+        j--;
+      }
+    }
+
+    return pairs.reverse();
+  }
+
+  describeParagraphPair(pair, parentParagraphs, revisedParagraphs) {
+    const before = pair.from !== null ? parentParagraphs[pair.from] : null;
+    const after = pair.to !== null ? revisedParagraphs[pair.to] : null;
+
+    let status;
+    if (before === null) status = "added";
+    else if (after === null) status = "removed";
+    else if (before.trim() === after.trim()) status = "unchanged";
+    else status = "modified";
+
+    return {
+      status,
+      originalIndex: pair.from,
+      revisedIndex: pair.to,
+      similarity: Math.round(pair.similarity * 100) / 100,
+      original: before,
+      revised: after,
+      ...(status === "modified" && { changes: this.diffWords(before, after) }),
+    };
+  }
+
+  /**
+   * Word-level diff (LCS) as [{ type: "equal" | "insert" | "delete", text }]
+   */
+  diffWords(before, after) {
+    const a = before.split(/\s+/).filter(Boolean);
+    const b = after.split(/\s+/).filter(Boolean);
+
+    if (a.length > MAX_DIFF_TOKENS || b.length > MAX_DIFF_TOKENS) {
+      return [
+        { type: "delete", text: before },
+        { type: "insert", text: after },
+      ];
+    }
+
+    const lcs = Array.from({ length: a.length + 1 }, () =>
+      new Array(b.length + 1).fill(0)
+    );
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lcs[i][j] =
+          a[i] === b[j]
+            ? lcs[i + 1][j + 1] + 1
+            : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+
+    const ops = [];
+    const push = (type, word) => {
+      const last = ops[ops.length - 1];
+      if (last && last.type === type) last.text += ` ${word}`;
+      else ops.push({ type, text: word });
+    };
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        push("equal", a[i]);
+        i++;
+        j++;
+      } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+        push("delete", a[i++]);
+      } else {
+        push("insert", b[j++]);
+      }
+    }
+    while (i < a.length) push("delete", a[i++]);
+    while (j < b.length) push("insert", b[j++]);
+
+    return ops;
+  }
+
+  // ==================== ERROR TRACKING ====================
+
+  errorText(error, type) {
+    return (type === "spelling" ? error.word : error.original) || "";
+  }
+
+  errorKey(error, type) {
+    return this.errorText(error, type)
+      .toLowerCase()
+      .replace(/\s+/g, " ")
+      .trim();
+  }
+
+  findParagraph(paragraphs, text) {
+    if (!text) return -1;
+    const needle = text.toLowerCase();
+    return paragraphs.findIndex((p) => p.toLowerCase().includes(needle));
+  }
+
+  /**
+   * An earlier error persists if its text is still in the aligned paragraph
+   * (or the revision flags it again); otherwise it counts as fixed. A
+   * paragraph with no counterpart (moved or removed) is looked for in the
+   * whole revision.
+   */
+  trackErrors(
+    parentErrors,
+    revisedErrors,
+    type,
+    parentParagraphs,
+    revisedParagraphs,
+    alignment
+  ) {
+    const revisedKeys = new Set(
+      revisedErrors.map((e) => this.errorKey(e, type))
+    );
+    const matchedRevisedKeys = new Set();
+
+    const fixed = [];
+    const persisting = [];
+
+    parentErrors.forEach((error) => {
+      if (error.dismissedByTeacher) return;
+
+      const text = this.errorText(error, type);
+      const key = this.errorKey(error, type);
+      const paragraphIndex = this.findParagraph(parentParagraphs, text);
+      const pair = alignment.find((p) => p.from === paragraphIndex);
+      const revisedIndex = pair ? pair.to : null;
+
+      const searchIn =
+        revisedIndex !== null
+          ? revisedParagraphs[revisedIndex]
+          : revisedParagraphs.join("\n");
+
+      const stillPresent =
+        text.length > 0 && searchIn.toLowerCase().includes(text.toLowerCase());
+
+      const entry = {
+        text,
+        correction: error.correction,
+        type: error.type || type,
+        originalParagraph: paragraphIndex === -1 ? null : paragraphIndex,
+        revisedParagraph: revisedIndex,
+      };
+
+      if (stillPresent || revisedKeys.has(key)) {
+        persisting.push(entry);
+        matchedRevisedKeys.add(key);
+      } else {
+        fixed.push(entry);
+      }
+    });
+
+    const introduced = revisedErrors
+      .filter((e) => !matchedRevisedKeys.has(this.errorKey(e, type)))
+      .map((error) => ({
+        text: this.errorText(error, type),
+        correction: error.correction,
+        type: error.type || type,
+        revisedParagraph: this.findParagraph(
+          revisedParagraphs,
+          this.errorText(error, type)
+        ),
+      }));
+
+    return { fixed, persisting, introduced };
+  }
+
+  // ==================== SCORES ====================
+
+  compareScores(before = {}, after = {}) {
+    const move = (from, to) => ({
+      before: from ?? null,
+      after: to ?? null,
+      change:
+        typeof from === "number" && typeof to === "number"
+          ? Math.round((to - from) * 1000) / 1000
+          : null,
+    });
+
+    const qualityScores = {};
+    RUBRIC_CRITERIA.forEach((key) => {
+      qualityScores[key] = move(
+        before.qualityScores?.[key],
+        after.qualityScores?.[key]
+      );
+    });
+
+    return {
+      finalScore: move(before.finalScore, after.finalScore),
+      grade: { before: before.grade || null, after: after.grade || null },
+      qualityScores,
+    };
+  }
+}
+
+module.exports = new RevisionService();
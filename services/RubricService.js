@@ -0,0 +1,122 @@
+const mongoose = require("mongoose");
+const Rubric = require("../models/Rubric");
+const Assignment = require("../models/Assignment");
+const { DEFAULT_RUBRIC } = require("../models/Rubric");
+const { createError } = require("../utils/errorResponse");
+
+const RUBRIC_FIELDS = [
+  "name",
+  "description",
+  "criteria",
+  "penalties",
+  "bonuses",
+  "qualityBands",
+  "levelBands",
+  "minScore",
+  "maxScore",
+  "archived",
+];
+
+// Edits to these change scores, so they bump the version
+const SCORING_FIELDS = RUBRIC_FIELDS.filter(
+  (field) => !["name", "description", "archived"].includes(field)
+);
+
+/**
+ * Rubric Service - teacher rubrics plus the built-in default
+ */
+class RubricService {
+  getDefaultRubric() {
+    return DEFAULT_RUBRIC;
+  }
+
+  isDefaultId(rubricId) {
+    return !rubricId || rubricId === DEFAULT_RUBRIC.slug;
+  }
+
+  async createRubric(teacherId, data) {
+    const rubric = new Rubric({ teacherId });
+    RUBRIC_FIELDS.forEach((field) => {
+      if (data[field] !== undefined) rubric[field] = data[field];
+    });
+
+    return rubric.save();
+  }
+
+  async updateRubric(rubric, data) {
+    let scoringChanged = false;
+
+    RUBRIC_FIELDS.forEach((field) => {
+      if (data[field] === undefined) return;
+      rubric[field] = data[field];
+      if (SCORING_FIELDS.includes(field)) scoringChanged = true;
+    });
+
+    if (scoringChanged) rubric.version += 1;
+
+    return rubric.save();
+  }
+
+  async getTeacherRubric(rubricId, teacherId) {
+    const rubric = mongoose.isValidObjectId(rubricId)
+      ? await Rubric.findOne({ _id: rubricId, teacherId })
+      : null;
+
+    if (!rubric) {
+      throw createError("NOT_FOUND", "Rubric not found");
+    }
+
+    return rubric;
+  }
+
+  async listTeacherRubrics(teacherId) {
+    const rubrics = await Rubric.find({ teacherId, archived: false }).sort({
+      createdAt: -1,
+    });
+
+    return [DEFAULT_RUBRIC, ...rubrics];
+  }
+
+  /**
+   * Rubric id to store on an assignment ("default" or empty = built-in)
+   */
+  async resolveAssignmentRubricId(rubricId, teacherId) {
+    if (this.isDefaultId(rubricId)) return null;
+
+    const rubric = await this.getTeacherRubric(rubricId, teacherId);
+    if (rubric.archived) {
+      throw createError("BAD_REQUEST", "Archived rubrics cannot be assigned");
+    }
+
+    return rubric._id;
+  }
+
+  /**
+   * Rubric used to score an essay submitted for this assignment
+   */
+  async getRubricForAssignment(assignmentId) {
+    if (!assignmentId) return DEFAULT_RUBRIC;
+
+    const assignment = await Assignment.findById(assignmentId).select(
+      "rubricId"
+    );
+    if (!assignment?.rubricId) return DEFAULT_RUBRIC;
+
+    // Archived rubrics still grade the assignments that already use them
+    const rubric = await Rubric.findById(assignment.rubricId);
+    return rubric || DEFAULT_RUBRIC;
+  }
+
+  /**
+   * Reference saved on essay.grading
+   */
+  describeRubric(rubric) {
+    return {
+      id: rubric.isBuiltIn ? rubric.slug : rubric._id.toString(),
+      name: rubric.name,
+      version: rubric.version,
+    };
+  }
+}
+
+module.exports = new RubricService();
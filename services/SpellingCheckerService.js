@@ -1,10 +1,11 @@
-const SpellChecker = require("simple-spellchecker");
+const LLMService = require("./LLMService");
+const EnglishVariantService = require("./EnglishVariantService");
 
 class SpellingCheckerService {
-  constructor(openAIService = null) {
+  constructor() {
     this.dictionary = null;
     this.dictionaryReady = false;
-    this.openAIService = openAIService; // ✅ Inject OpenAI service
+    this.llm = LLMService;
     this.initializeDictionary();
 
     // Technical vocabulary that should NOT be flagged
@@ -20,29 +21,32 @@ class SpellingCheckerService {
     ]);
   }
 
+  /**
+   * Loads the American and British dictionaries; this.dictionary is the
+   * default variant's
+   */
   async initializeDictionary() {
-    return new Promise((resolve, reject) => {
-      SpellChecker.getDictionary("en-US", (err, dictionary) => {
-        if (err) {
-          console.error("❌ Failed to load dictionary:", err);
-          this.dictionary = null;
-          reject(err);
-        } else {
-          this.dictionary = dictionary;
-          this.dictionaryReady = true;
-          console.log("✅ Spelling dictionary loaded");
-          resolve();
-        }
-      });
-    });
+    try {
+      await EnglishVariantService.loadAll();
+      this.dictionary = EnglishVariantService.getDictionaries(
+        EnglishVariantService.defaultVariant
+      ).primary;
+      this.dictionaryReady = true;
+      console.log("✅ Spelling dictionaries loaded");
+    } catch (err) {
+      console.error("❌ Failed to load dictionary:", err);
+      this.dictionary = null;
+      throw err;
+    }
   }
 
   /**
  * Filter out words that are actually correct
  */
-async checkSpellingWithContext(text) {
+async checkSpellingWithContext(text, knownWords = null, variant = null) {
   try {
-    const potentialErrors = this.checkSpelling(text);
+    const potentialErrors = this.checkSpelling(text, knownWords, variant);
+    const variantName = this.variantName(variant);
     
     if (potentialErrors.length === 0) {
       return [];
@@ -71,10 +75,13 @@ Return EXACT JSON:
   ]
 }
 
-IMPORTANT: Only include words that are ACTUALLY misspelled. Words like "selfies", "influencers", "online", "cyberbullying" are CORRECT modern English words.`;
+IMPORTANT: Only include words that are ACTUALLY misspelled. Words like "selfies", "influencers", "online", "cyberbullying" are CORRECT modern English words.
+The student writes ${variantName}. American and British spellings (color/colour, organize/organise) are both CORRECT; never flag a word only for its variant.`;
 
-    const completion = await this.openAIService.openai.chat.completions.create({
-      model: "gpt-4o-mini",
+    const completion = await this.llm.json({
+      task: "spelling_verification",
+      schema: "spellingVerification",
+      model: "feedback",
       messages: [
         {
           role: "system",
@@ -83,10 +90,20 @@ IMPORTANT: Only include words that are ACTUALLY misspelled. Words like "selfies"
         { role: "user", content: prompt }
       ],
       temperature: 0.1,
-      response_format: { type: "json_object" },
+      // Offline: trust the dictionary, minus modern words it does not know
+      offline: () => ({
+        actualErrors: potentialErrors
+          .filter(e => !this.isModernWord(e.word))
+          .map(e => ({
+            word: e.word,
+            correction: e.correction,
+            reason: "Not found in the dictionary",
+            isActualError: true
+          }))
+      }),
     });
 
-    const result = JSON.parse(completion.choices[0].message.content);
+    const result = completion.data;
     
     // ✅ Filter: Only return words that are ACTUAL errors
     const actualErrors = result.actualErrors?.filter(e => e.isActualError === true) || [];
@@ -115,12 +132,20 @@ IMPORTANT: Only include words that are ACTUALLY misspelled. Words like "selfies"
   } catch (error) {
     console.error("Context-aware spelling check failed:", error.message);
     // Fallback to basic check, but filter out common modern words
-    return this.checkSpelling(text).filter(e => 
+    return this.checkSpelling(text, knownWords, variant).filter(e => 
       !this.isModernWord(e.word)
     );
   }
 }
 
+/**
+ * Display name of a variant for prompts ("British English")
+ */
+variantName(variant) {
+  const code = variant || EnglishVariantService.defaultVariant;
+  return EnglishVariantService.ENGLISH_VARIANTS[code]?.name || "English";
+}
+
 /**
  * Check if a word is a modern/technical term that's correct
  */
@@ -173,23 +198,31 @@ isModernWord(word) {
 
   /**
    * ✅ Synchronous method (backward compatible) - no context awareness
+   * knownWords: lowercase Set from SpellingDictionaryService (never flagged)
+   * variant: English variant code (EnglishVariantService); defaults to en-US
    */
-  checkSpelling(text) {
+  checkSpelling(text, knownWords = null, variant = null) {
     if (!this.dictionary) {
       console.warn("⚠️ Dictionary not ready, skipping spell check");
       return [];
     }
 
     console.log(`🔤 Checking spelling (sync mode)...`);
-    const errors = this.findMisspelledWords(text);
+    const errors = this.findMisspelledWords(text, knownWords, variant);
     console.log(`✅ Found ${errors.length} spelling errors`);
     return errors;
   }
 
   /**
    * ✅ Find misspelled words using dictionary
+   * Spellings valid in the other variant are accepted (consistency is
+   * checked separately); suggestions come from the student's variant
    */
-  findMisspelledWords(text) {
+  findMisspelledWords(text, knownWords = null, variant = null) {
+    const { primary, alternate } = EnglishVariantService.getDictionaries(
+      variant || EnglishVariantService.defaultVariant
+    );
+    const dictionary = primary || this.dictionary;
     const words = text.match(/\b[a-zA-Z']+\b/g) || [];
     const spellingErrors = [];
     const checkedWords = new Set();
@@ -203,13 +236,16 @@ isModernWord(word) {
       if (word.length < 3) continue;
       if (this.technicalVocabulary.has(lowerWord)) continue;
       if (this.informalWords.has(lowerWord)) continue;
+      if (knownWords && knownWords.has(lowerWord)) continue;
       if (/^\d+$/.test(word)) continue;
       if (word === word.toUpperCase() && word.length > 1) continue;
 
-      const isCorrect = this.dictionary.spellCheck(word);
+      const isCorrect =
+        dictionary.spellCheck(word) ||
+        Boolean(alternate && alternate.spellCheck(word));
 
       if (!isCorrect) {
-        const suggestions = this.dictionary.getSuggestions(word, 5) || [];
+        const suggestions = dictionary.getSuggestions(word, 5) || [];
         
         if (suggestions.length > 0) {
           spellingErrors.push({
@@ -242,8 +278,10 @@ isModernWord(word) {
 
       const prompt = this.buildSpellingPrompt(text, misspelledWords);
       
-      const response = await this.openAIService.openai.chat.completions.create({
-        model: "gpt-4o-mini",
+      const response = await this.llm.json({
+        task: "spelling_correction",
+        schema: "spellingCorrection",
+        model: "feedback",
         messages: [
           {
             role: "system",
@@ -255,10 +293,11 @@ isModernWord(word) {
           }
         ],
         temperature: 0.1,
-        response_format: { type: "json_object" }
+        // Offline: keep the dictionary suggestions
+        offline: { corrections: [] }
       });
 
-      const result = JSON.parse(response.choices[0].message.content);
+      const result = response.data;
       
       if (result.corrections && Array.isArray(result.corrections)) {
         return this.mergeCorrections(potentialErrors, result.corrections);
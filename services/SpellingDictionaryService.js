@@ -0,0 +1,116 @@
+const SpellingDictionary = require("../models/SpellingDictionary");
+const Classroom = require("../models/Classroom");
+const { createError } = require("../utils/errorResponse");
+
+const MAX_WORDS_PER_LIST = 2000;
+const MAX_WORD_LENGTH = 40;
+
+// Letters with inner apostrophes or hyphens (O'Brien, Jaffna-based)
+const WORD_PATTERN = /^\p{L}+(['’-]\p{L}+)*$/u;
+
+/**
+ * Spelling Dictionary Service - personal and shared "known words" lists
+ *
+ * Students keep a personal list (fed by "ignore this word"); teachers keep
+ * shared lists per classroom and per assignment for names, places and course
+ * terms. Grading merges every list that applies to the essay.
+ */
+class SpellingDictionaryService {
+  /**
+   * Validate and lowercase one word or an array of words
+   */
+  normalizeWords(input) {
+    const words = (Array.isArray(input) ? input : [input])
+      .filter((word) => typeof word === "string")
+      .map((word) => word.trim().replace(/’/g, "'").toLowerCase())
+      .filter(Boolean);
+
+    if (words.length === 0) {
+      throw createError("BAD_REQUEST", "At least one word is required");
+    }
+
+    const invalid = words.filter(
+      (word) => word.length > MAX_WORD_LENGTH || !WORD_PATTERN.test(word)
+    );
+    if (invalid.length > 0) {
+      throw createError("VALIDATION_ERROR", "Invalid dictionary words", {
+        invalid,
+      });
+    }
+
+    return [...new Set(words)];
+  }
+
+  async getWords(scope, ownerId) {
+    const dictionary = await SpellingDictionary.findOne({ scope, ownerId })
+      .select("words")
+      .lean();
+    return dictionary ? [...dictionary.words].sort() : [];
+  }
+
+  async addWords(scope, ownerId, input) {
+    const words = this.normalizeWords(input);
+    const existing = await this.getWords(scope, ownerId);
+    const added = words.filter((word) => !existing.includes(word));
+
+    if (existing.length + added.length > MAX_WORDS_PER_LIST) {
+      throw createError(
+        "VALIDATION_ERROR",
+        `A dictionary can hold at most ${MAX_WORDS_PER_LIST} words`
+      );
+    }
+
+    if (added.length > 0) {
+      await SpellingDictionary.updateOne(
+        { scope, ownerId },
+        { $addToSet: { words: { $each: added } } },
+        { upsert: true }
+      );
+    }
+
+    return { added, words: [...existing, ...added].sort() };
+  }
+
+  async removeWord(scope, ownerId, input) {
+    const [word] = this.normalizeWords(input);
+
+    const result = await SpellingDictionary.updateOne(
+      { scope, ownerId },
+      { $pull: { words: word } }
+    );
+    if (result.modifiedCount === 0) {
+      throw createError("NOT_FOUND", "Word not in dictionary");
+    }
+
+    return this.getWords(scope, ownerId);
+  }
+
+  /**
+   * Every word the checker should accept for one essay: the student's own
+   * list, the assignment's list and the classroom list(s). Without a
+   * classroom, the lists of every classroom the student belongs to apply.
+   */
+  async getKnownWords({ studentId, assignmentId = null, classroomId = null }) {
+    const classroomIds = classroomId
+      ? [classroomId]
+      : (
+          await Classroom.find({ students: studentId, archived: false })
+            .select("_id")
+            .lean()
+        ).map((classroom) => classroom._id);
+
+    const owners = [
+      { scope: "student", ownerId: studentId },
+      ...(assignmentId ? [{ scope: "assignment", ownerId: assignmentId }] : []),
+      ...classroomIds.map((id) => ({ scope: "classroom", ownerId: id })),
+    ];
+
+    const dictionaries = await SpellingDictionary.find({ $or: owners })
+      .select("words")
+      .lean();
+
+    return new Set(dictionaries.flatMap((dictionary) => dictionary.words));
+  }
+}
+
+module.exports = new SpellingDictionaryService();
@@ -0,0 +1,362 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const Essay = require("../models/Essay");
+const GradingJob = require("../models/GradingJob");
+const storageConfig = require("../config/storage");
+const LocalStorageBackend = require("./storage/LocalStorageBackend");
+const S3StorageBackend = require("./storage/S3StorageBackend");
+const { createError } = require("../utils/errorResponse");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Grading jobs that may still read their upload from disk
+const ACTIVE_JOB_STATUSES = ["pending", "processing"];
+
+/**
+ * Storage Service - keeps the original upload of every essay
+ *
+ * Teachers need the student's handwriting when an OCR result is disputed, so
+ * each uploaded file is copied to the storage backend (config/storage) under
+ * its SHA-256 and linked from the essay as `originals`, in page order:
+ *   { key, sha256, size, mimetype, originalName, page, backend, storedAt,
+ *     expiresAt, deletedAt }
+ * The same bytes uploaded twice share one object.
+ *
+ * The retention job replaces deleting uploads after grading: it removes
+ * multer's temporary files (uploads/tmp/) once no job needs them, and
+ * originals whose retention period has passed. An object is written before the essay links
+ * it, so the job leaves alone keys being stored right now and keys stored
+ * within the last sweep interval.
+ */
+class StorageService {
+  constructor() {
+    this.backend = this.createBackend(storageConfig);
+    this.retention = storageConfig.retention;
+    this.uploadDir = storageConfig.uploadDir;
+
+    this.timer = null;
+    this.sweeping = false;
+    this.storing = new Map(); // key → uploads writing it and not yet linked
+  }
+
+  createBackend(config) {
+    switch (config.provider) {
+      case "s3":
+        return new S3StorageBackend(config.s3);
+      default:
+        return new LocalStorageBackend(config.local);
+    }
+  }
+
+  // ==================== ORIGINALS ====================
+
+  hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash("sha256");
+      fs.createReadStream(filePath)
+        .on("error", reject)
+        .on("data", (chunk) => hash.update(chunk))
+        .on("end", () => resolve(hash.digest("hex")));
+    });
+  }
+
+  /**
+   * Content-addressed key: "ab/ab12...ef.jpg"
+   */
+  getKey(sha256, originalName) {
+    const extension = path.extname(originalName || "").toLowerCase();
+    const suffix = /^\.[a-z0-9]{1,5}$/.test(extension) ? extension : "";
+    return `${sha256.slice(0, 2)}/${sha256}${suffix}`;
+  }
+
+  getExpiry(storedAt) {
+    return this.retention.originalDays > 0
+      ? new Date(storedAt.getTime() + this.retention.originalDays * DAY_MS)
+      : null;
+  }
+
+  /**
+   * Copy multer files to the backend → original records, in page order
+   * Each key is claimed before it is written and pushed to `claimed`; the
+   * caller releases them once the essay links the records.
+   */
+  async storeFiles(files, claimed = []) {
+    const originals = [];
+
+    for (const [index, file] of files.entries()) {
+      const [sha256, stats] = await Promise.all([
+        this.hashFile(file.path),
+        fs.promises.stat(file.path),
+      ]);
+      const key = this.getKey(sha256, file.originalname);
+
+      this.claimKey(key);
+      claimed.push(key);
+      await this.backend.put(key, file.path, {
+        contentType: file.mimetype,
+        size: stats.size,
+        sha256,
+      });
+
+      const storedAt = new Date();
+      originals.push({
+        key,
+        sha256,
+        size: stats.size,
+        mimetype: file.mimetype,
+        originalName: file.originalname,
+        page: index + 1,
+        backend: this.backend.name,
+        storedAt,
+        expiresAt: this.getExpiry(storedAt),
+      });
+    }
+
+    return originals;
+  }
+
+  /**
+   * Store an essay's uploads and link them from the essay → original records
+   * Storage problems are logged, not thrown: grading must not fail because
+   * the copy kept for disputes could not be written.
+   */
+  async saveOriginals(essayId, files) {
+    const keys = [];
+    try {
+      const originals = await this.storeFiles(files, keys);
+      await Essay.updateOne({ _id: essayId }, { $set: { originals } });
+
+      console.log(
+        `🗄️ Stored ${originals.length} original upload(s) for essay ${essayId}`
+      );
+      return originals;
+    } catch (error) {
+      console.error(
+        `❌ Could not store original upload for essay ${essayId}:`,
+        error.message
+      );
+      return [];
+    } finally {
+      keys.forEach((key) => this.releaseKey(key));
+    }
+  }
+
+  claimKey(key) {
+    this.storing.set(key, (this.storing.get(key) || 0) + 1);
+  }
+
+  releaseKey(key) {
+    const count = this.storing.get(key) - 1;
+    if (count > 0) this.storing.set(key, count);
+    else this.storing.delete(key);
+  }
+
+  /**
+   * One page of an essay's original upload → { original, stream }
+   */
+  async openOriginal(essay, page = 1) {
+    const pageNumber = parseInt(page, 10) || 1;
+    const original = (essay.originals || []).find(
+      (entry) => entry.page === pageNumber
+    );
+
+    if (!original) {
+      throw createError("NOT_FOUND", "Original upload not found", {
+        page: pageNumber,
+        pages: (essay.originals || []).length,
+      });
+    }
+
+    if (original.deletedAt) {
+      throw createError(
+        "NOT_FOUND",
+        "The original upload was deleted after its retention period",
+        { deletedAt: original.deletedAt }
+      );
+    }
+
+    const stream = await this.backend.get(original.key);
+    if (!stream) {
+      throw createError("NOT_FOUND", "Original upload is no longer stored");
+    }
+
+    return { original, stream };
+  }
+
+  // ==================== RETENTION JOB ====================
+
+  start() {
+    if (this.timer) return;
+
+    const minutes = Math.round(this.retention.sweepIntervalMs / 60000);
+    console.log(
+      `✅ Storage retention job started (${this.backend.name} backend, every ${minutes} min)`
+    );
+    this.sweep();
+    this.timer = setInterval(
+      () => this.sweep(),
+      this.retention.sweepIntervalMs
+    );
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async sweep() {
+    if (this.sweeping) return null;
+    this.sweeping = true;
+
+    try {
+      const uploadsRemoved = await this.sweepUploads();
+      const originalsRemoved = await this.sweepOriginals();
+
+      if (uploadsRemoved || originalsRemoved) {
+        console.log(
+          `🧹 Retention: removed ${uploadsRemoved} upload(s), ${originalsRemoved} original(s)`
+        );
+      }
+      return { uploadsRemoved, originalsRemoved };
+    } catch (error) {
+      console.error("❌ Storage retention sweep failed:", error.message);
+      return null;
+    } finally {
+      this.sweeping = false;
+    }
+  }
+
+  /**
+   * Delete temporary uploads older than the upload retention period, except
+   * those a pending job has yet to extract
+   */
+  async sweepUploads() {
+    let names;
+    try {
+      names = await fs.promises.readdir(this.uploadDir);
+    } catch (error) {
+      if (error.code === "ENOENT") return 0;
+      throw error;
+    }
+
+    const cutoff = Date.now() - this.retention.uploadHours * HOUR_MS;
+    const jobs = await GradingJob.find({
+      status: { $in: ACTIVE_JOB_STATUSES },
+      extraction: null,
+    }).select("input.filePath input.pages.filePath");
+
+    const inUse = new Set(
+      jobs.flatMap((job) =>
+        [
+          job.input?.filePath,
+          ...(job.input?.pages || []).map((page) => page.filePath),
+        ]
+          .filter(Boolean)
+          .map((filePath) => path.resolve(filePath))
+      )
+    );
+
+    let removed = 0;
+    for (const name of names) {
+      const filePath = path.resolve(this.uploadDir, name);
+      if (inUse.has(filePath)) continue;
+
+      try {
+        const stats = await fs.promises.stat(filePath);
+        if (!stats.isFile() || stats.mtimeMs > cutoff) continue;
+
+        await fs.promises.unlink(filePath);
+        removed++;
+      } catch (error) {
+        if (error.code !== "ENOENT") {
+          console.warn("Upload cleanup error:", error.message);
+        }
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * Whether an object must stay: an upload is writing it, or another essay
+   * links it that is still in retention or was stored within the last sweep
+   * interval (same bytes submitted again)
+   */
+  async isKeyInUse(key, now, essayId) {
+    if (this.storing.has(key)) return true;
+
+    const recent = new Date(now.getTime() - this.retention.sweepIntervalMs);
+    const linked = await Essay.exists({
+      _id: { $ne: essayId },
+      originals: {
+        $elemMatch: {
+          key,
+          deletedAt: null,
+          $or: [
+            { expiresAt: null },
+            { expiresAt: { $gt: now } },
+            { storedAt: { $gt: recent } },
+          ],
+        },
+      },
+    });
+
+    // An upload may have claimed the key while the query ran
+    return Boolean(linked) || this.storing.has(key);
+  }
+
+  /**
+   * Delete originals past their expiry. An object shared with an essay that
+   * still keeps it stays in storage (see isKeyInUse).
+   */
+  async sweepOriginals() {
+    const now = new Date();
+    const expired = { expiresAt: { $lte: now }, deletedAt: null };
+
+    const essays = await Essay.find({ originals: { $elemMatch: expired } })
+      .select("originals")
+      .limit(this.retention.batchSize);
+
+    let removed = 0;
+    for (const essay of essays) {
+      const keys = [
+        ...new Set(
+          essay.originals
+            .filter(
+              (original) => original.expiresAt <= now && !original.deletedAt
+            )
+            .map((original) => original.key)
+        ),
+      ];
+
+      for (const key of keys) {
+        if (!(await this.isKeyInUse(key, now, essay._id))) {
+          await this.backend.delete(key);
+          removed++;
+        }
+      }
+
+      await Essay.updateOne(
+        { _id: essay._id },
+        { $set: { "originals.$[expired].deletedAt": now } },
+        {
+          arrayFilters: [
+            {
+              "expired.expiresAt": { $lte: now },
+              "expired.deletedAt": null,
+            },
+          ],
+        }
+      );
+    }
+
+    return removed;
+  }
+}
+
+module.exports = new StorageService();
@@ -0,0 +1,277 @@
+const fs = require("fs").promises;
+const OCRService = require("./OCRService");
+const DocumentParser = require("./DocumentParser");
+const OcrReviewService = require("./OcrReviewService");
+const PageStitchingService = require("./PageStitchingService");
+const ImageQualityService = require("./ImageQualityService");
+const { createError } = require("../utils/errorResponse");
+
+/**
+ * Text Extraction Service - turns an uploaded file into essay text + structure
+ * Shared by the synchronous grade route and the background grading worker
+ */
+class TextExtractionService {
+  constructor() {
+    // Most pages one essay may have (uploaded images or scanned PDF pages)
+    this.maxPages = parseInt(process.env.MAX_ESSAY_PAGES, 10) || 10;
+  }
+
+  /**
+   * Essay fileType ("handwritten", "pdf", "word", "text") for an upload mimetype
+   */
+  getFileType(mimetype) {
+    if (mimetype.startsWith("image/")) return "handwritten";
+    if (mimetype.includes("pdf")) return "pdf";
+    if (mimetype.includes("word")) return "word";
+    return "text";
+  }
+
+  /**
+   * Extract one essay from its uploaded files: a single file, or several
+   * page images in upload order
+   */
+  async extractFiles(files, providedTitle = null) {
+    if (files.length === 1) {
+      return this.extract(files[0].path, files[0].mimetype, providedTitle);
+    }
+
+    if (files.some((file) => !file.mimetype.startsWith("image/"))) {
+      throw createError(
+        "BAD_REQUEST",
+        "Multi-page uploads must be images, one file per page"
+      );
+    }
+
+    return this.extract(
+      files.map((file) => file.path),
+      files[0].mimetype,
+      providedTitle
+    );
+  }
+
+  /**
+   * Extract text and structure from an uploaded file
+   * filePath may be an array of page images, in page order
+   */
+  async extract(filePath, mimetype, providedTitle = null) {
+    let fileType = mimetype;
+
+    let extractedText = "";
+    let confidence = 95; // Default for non-image files
+    let warnings = [];
+    let ocrSource = "document_parser";
+    let ocrCorrections = null;
+    let essayStructure = null;
+    let originalText = null;
+    let titleValidation = null;
+    let documentMetadata = null;
+    let ocrWords = [];
+    let pages = null;
+    let fusion = null;
+    let imageQuality = null;
+    let imageCorrections = null;
+
+    console.log(`Processing file: ${filePath}, Type: ${fileType}`);
+
+    const scannedPDF =
+      !Array.isArray(filePath) &&
+      fileType.includes("pdf") &&
+      (await DocumentParser.isScannedPDF(filePath));
+
+    if (fileType.startsWith("image/") || scannedPDF) {
+      console.log(
+        scannedPDF
+          ? "Processing as scanned PDF..."
+          : "Processing as handwritten image..."
+      );
+
+      // Reject unreadable photos before spending time on OCR
+      if (!scannedPDF) {
+        imageQuality = await ImageQualityService.check([].concat(filePath));
+      }
+
+      let ocrResult;
+      if (scannedPDF) {
+        ocrResult = await this.ocrScannedPDF(filePath, providedTitle);
+      } else if (Array.isArray(filePath)) {
+        ocrResult = await this.ocrPages(filePath, providedTitle);
+      } else {
+        ocrResult = await OCRService.processImage(filePath, providedTitle);
+      }
+
+      extractedText = ocrResult.text; // Content-only text
+      originalText = ocrResult.originalText; // Full text with structure
+      confidence = ocrResult.confidence;
+      warnings = [
+        ...ImageQualityService.getWarnings(imageQuality),
+        ...ocrResult.warnings,
+      ];
+      ocrSource = ocrResult.source;
+      ocrCorrections = ocrResult.corrections;
+      essayStructure = ocrResult?.structure || {
+        title: null,
+        sections: [],
+        paragraphs: [],
+      };
+      titleValidation = ocrResult.titleValidation;
+      pages = ocrResult.pages || null;
+      fusion = ocrResult.fusion || null;
+      imageCorrections = ocrResult.imageCorrections || null;
+      // Per-word confidences, located in the content text for highlighting
+      ocrWords = OcrReviewService.locateWords(
+        extractedText,
+        ocrResult.wordConfidences
+      );
+
+      fileType = this.getFileType(fileType);
+
+      console.log(`${ocrSource.toUpperCase()} OCR completed`);
+      console.log(`   Confidence: ${confidence}%`);
+      console.log(`   Content length: ${extractedText.length} characters`);
+      console.log(`   Original length: ${originalText.length} characters`);
+      console.log(
+        `   Uncertain words: ${OcrReviewService.getReviewList(ocrWords).length}`
+      );
+
+      // Log title validation
+      if (titleValidation) {
+        console.log(
+          `   Title validation: ${
+            titleValidation.matched ? "✅ MATCH" : "⚠️ MISMATCH"
+          }`
+        );
+        if (!titleValidation.matched && titleValidation.reason) {
+          console.log(`   Reason: ${titleValidation.reason}`);
+        }
+      }
+    } else {
+      console.log(`Processing as ${fileType} with structure detection...`);
+
+      // Use the universal document parser for all non-image files
+      const documentResult = await DocumentParser.parseDocumentWithStructure(
+        filePath
+      );
+      extractedText = documentResult.text;
+      essayStructure = documentResult.structure;
+      originalText = documentResult.text;
+      documentMetadata = documentResult.metadata || null;
+      fileType = this.getFileType(fileType);
+
+      console.log(`${fileType.toUpperCase()} structure detection complete`);
+      console.log(`   Title: ${essayStructure.title || "None"}`);
+      console.log(`   Sections: ${essayStructure.sections.length}`);
+      console.log(`   Paragraphs: ${essayStructure.paragraphs.length}`);
+    }
+
+    if (!extractedText || extractedText.trim().length < 20) {
+      throw createError(
+        "BAD_REQUEST",
+        "Insufficient text extracted. Please ensure clear handwriting and a readable image.",
+        { minLength: 20, extractedLength: extractedText?.length || 0 }
+      );
+    }
+
+    // If title validation failed but we detected a title, add warning
+    if (
+      fileType === "handwritten" &&
+      titleValidation &&
+      !titleValidation.matched &&
+      essayStructure?.title
+    ) {
+      warnings.push({
+        type: "title_mismatch",
+        message: "Uploaded essay title doesn't match provided title",
+        severity: "medium",
+        providedTitle: providedTitle,
+        detectedTitle: essayStructure.title,
+        suggestion: "Please verify you uploaded the correct essay",
+      });
+    }
+
+    return {
+      extractedText,
+      originalText,
+      confidence,
+      warnings,
+      ocrSource,
+      ocrCorrections,
+      essayStructure,
+      titleValidation,
+      documentMetadata,
+      fileType,
+      ocrWords,
+      ocrReview: OcrReviewService.summarize(ocrWords),
+      pages,
+      fusion,
+      imageQuality,
+      imageCorrections,
+    };
+  }
+
+  /**
+   * OCR page images one at a time and stitch them into one essay
+   */
+  async ocrPages(pagePaths, providedTitle = null) {
+    const results = [];
+
+    for (const [index, pagePath] of pagePaths.entries()) {
+      console.log(`   OCR page ${index + 1}/${pagePaths.length}`);
+      results.push(
+        await OCRService.processImage(
+          pagePath,
+          index === 0 ? providedTitle : null
+        )
+      );
+    }
+
+    return PageStitchingService.stitch(results);
+  }
+
+  async ocrScannedPDF(filePath, providedTitle = null) {
+    const pagePaths = await DocumentParser.renderPDFPages(
+      filePath,
+      this.maxPages
+    );
+
+    try {
+      return await this.ocrPages(pagePaths, providedTitle);
+    } finally {
+      await Promise.all(
+        pagePaths.map((pagePath) => fs.unlink(pagePath).catch(() => {}))
+      );
+    }
+  }
+
+  /**
+   * Summary of the extraction step returned to clients as `textExtraction`
+   */
+  buildTextExtractionSummary(extraction) {
+    return {
+      method: extraction.ocrSource,
+      confidence: extraction.confidence,
+      wordCount: extraction.extractedText.split(/\s+/).length,
+      corrections: extraction.ocrCorrections,
+      warnings: extraction.warnings,
+      titleValidation: extraction.titleValidation,
+      // Low-confidence words for the student to check
+      uncertainWords: OcrReviewService.getReviewList(extraction.ocrWords),
+      engine: {
+        google_vision: "Google Cloud Vision",
+        mixed: "Google Cloud Vision + Tesseract",
+        fixture: "OCR fixture",
+        fusion: "Fused OCR engines",
+        local: "Local OCR engine",
+      }[extraction.ocrSource] || "Tesseract",
+      ...(extraction.pages && { pages: extraction.pages }),
+      // Which engine supplied how many words, when engines were fused
+      ...(extraction.fusion && { fusion: extraction.fusion }),
+      ...(extraction.imageQuality && { imageQuality: extraction.imageQuality }),
+      // Rotation, deskew, perspective and shadow fixes made before OCR
+      ...(extraction.imageCorrections && {
+        imageCorrections: extraction.imageCorrections,
+      }),
+    };
+  }
+}
+
+module.exports = new TextExtractionService();
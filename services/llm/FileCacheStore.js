@@ -0,0 +1,119 @@
+const fs = require("fs");
+const path = require("path");
+
+const FLUSH_DELAY_MS = 2000;
+
+/**
+ * Cache store kept in a single JSON file, for deployments without MongoDB
+ * Loaded once on first use; writes are batched and flushed after a short delay,
+ * off the event loop. One write runs at a time; changes made during it are
+ * flushed again afterwards.
+ */
+class FileCacheStore {
+  constructor(filePath) {
+    this.name = "file";
+    this.filePath = filePath;
+    this.entries = null;
+    this.flushTimer = null;
+    this.writing = null;
+    this.dirty = false;
+  }
+
+  load() {
+    if (this.entries) return this.entries;
+
+    this.entries = {};
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+      const now = Date.now();
+      Object.entries(saved).forEach(([key, entry]) => {
+        if (new Date(entry.expiresAt).getTime() > now) {
+          this.entries[key] = entry;
+        }
+      });
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.warn(
+          `⚠️ Ignoring unreadable LLM cache file: ${error.message}`
+        );
+      }
+    }
+    return this.entries;
+  }
+
+  scheduleFlush() {
+    if (this.flushTimer) return;
+
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush();
+    }, FLUSH_DELAY_MS);
+    // Never keep the process alive just to write the cache
+    this.flushTimer.unref();
+  }
+
+  flush() {
+    if (this.writing) {
+      this.dirty = true;
+      return this.writing;
+    }
+
+    this.writing = this.write().finally(() => {
+      this.writing = null;
+      if (this.dirty) {
+        this.dirty = false;
+        this.scheduleFlush();
+      }
+    });
+    return this.writing;
+  }
+
+  async write() {
+    try {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      const tmpPath = `${this.filePath}.tmp`;
+      await fs.promises.writeFile(tmpPath, JSON.stringify(this.entries));
+      await fs.promises.rename(tmpPath, this.filePath);
+    } catch (error) {
+      console.error("❌ Failed to write LLM cache file:", error.message);
+    }
+  }
+
+  async get(key) {
+    const entry = this.load()[key];
+    if (!entry) return null;
+
+    if (new Date(entry.expiresAt).getTime() <= Date.now()) {
+      delete this.entries[key];
+      this.scheduleFlush();
+      return null;
+    }
+
+    entry.hits = (entry.hits || 0) + 1;
+    return { response: entry.response, expiresAt: entry.expiresAt };
+  }
+
+  async set({ key, task, kind, model, response, expiresAt }) {
+    this.load()[key] = { task, kind, model, response, expiresAt, hits: 0 };
+    this.scheduleFlush();
+  }
+
+  async delete(key) {
+    if (this.load()[key]) {
+      delete this.entries[key];
+      this.scheduleFlush();
+    }
+  }
+
+  async clear(filter = {}) {
+    const entries = this.load();
+    const keys = Object.keys(entries).filter(
+      (key) => !filter.task || entries[key].task === filter.task
+    );
+    keys.forEach((key) => delete entries[key]);
+    this.scheduleFlush();
+    return keys.length;
+  }
+}
+
+module.exports = FileCacheStore;
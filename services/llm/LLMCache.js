@@ -0,0 +1,206 @@
+const crypto = require("crypto");
+const MongoCacheStore = require("./MongoCacheStore");
+const FileCacheStore = require("./FileCacheStore");
+
+const createStore = (config) => {
+  switch (config.store) {
+    case "mongo":
+      return new MongoCacheStore();
+    case "file":
+      return new FileCacheStore(config.filePath);
+    case "memory":
+      return null;
+    default:
+      throw new Error(`Unknown LLM_CACHE_STORE: ${config.store}`);
+  }
+};
+
+/**
+ * Content-addressed cache for model responses
+ *
+ * Two tiers: a bounded in-memory LRU in front of a persistent store (MongoDB
+ * or a JSON file), so identical requests survive restarts. A store failure is
+ * logged and treated as a miss - the cache must never break a model call.
+ */
+class LLMCache {
+  constructor(config) {
+    this.config = config;
+    this.store = config.enabled ? createStore(config) : null;
+    this.memory = new Map();
+    this.bypassTasks = new Set(config.bypassTasks);
+    this.resetStats();
+  }
+
+  resetStats() {
+    this.stats = {
+      hits: 0,
+      memoryHits: 0,
+      storeHits: 0,
+      misses: 0,
+      writes: 0,
+      bypassed: 0,
+      errors: 0,
+      tokensSaved: 0,
+      byTask: {},
+    };
+  }
+
+  /**
+   * Stable key for a request: sha256 of its canonical JSON
+   */
+  buildKey(request) {
+    return crypto
+      .createHash("sha256")
+      .update(JSON.stringify(request))
+      .digest("hex");
+  }
+
+  ttlFor(task) {
+    const ttl = this.config.taskTtlSeconds[task] ?? this.config.ttlSeconds;
+    return ttl * 1000;
+  }
+
+  /**
+   * Whether this call may read the cache
+   * cache: false skips it entirely, "refresh" skips the read but stores the
+   * fresh response
+   */
+  canRead(task, mode) {
+    return this.canWrite(task, mode) && mode !== "refresh";
+  }
+
+  canWrite(task, mode) {
+    return (
+      this.config.enabled && mode !== false && !this.bypassTasks.has(task)
+    );
+  }
+
+  taskStats(task = "unknown") {
+    if (!this.stats.byTask[task]) {
+      this.stats.byTask[task] = { hits: 0, misses: 0, bypassed: 0 };
+    }
+    return this.stats.byTask[task];
+  }
+
+  recordHit(task, tier, response) {
+    this.stats.hits++;
+    this.stats[tier === "memory" ? "memoryHits" : "storeHits"]++;
+    this.stats.tokensSaved += response.usage?.totalTokens || 0;
+    this.taskStats(task).hits++;
+  }
+
+  recordBypass(task) {
+    this.stats.bypassed++;
+    this.taskStats(task).bypassed++;
+  }
+
+  remember(key, entry) {
+    // Re-insert so the Map's insertion order doubles as LRU order
+    this.memory.delete(key);
+    this.memory.set(key, entry);
+
+    if (this.memory.size > this.config.memoryEntries) {
+      this.memory.delete(this.memory.keys().next().value);
+    }
+  }
+
+  async get(key, task) {
+    const cached = this.memory.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      this.remember(key, cached);
+      this.recordHit(task, "memory", cached.response);
+      return cached.response;
+    }
+    if (cached) this.memory.delete(key);
+
+    if (this.store) {
+      try {
+        const stored = await this.store.get(key);
+        if (stored) {
+          const expiresAt = new Date(stored.expiresAt).getTime();
+          this.remember(key, { task, response: stored.response, expiresAt });
+          this.recordHit(task, "store", stored.response);
+          return stored.response;
+        }
+      } catch (error) {
+        this.stats.errors++;
+        console.error("❌ LLM cache read failed:", error.message);
+      }
+    }
+
+    this.stats.misses++;
+    this.taskStats(task).misses++;
+    return null;
+  }
+
+  async set(key, { task, kind, model, response }) {
+    const expiresAt = Date.now() + this.ttlFor(task);
+    this.remember(key, { task, response, expiresAt });
+    this.stats.writes++;
+
+    if (!this.store) return;
+    try {
+      await this.store.set({
+        key,
+        task,
+        kind,
+        model,
+        response,
+        expiresAt: new Date(expiresAt),
+      });
+    } catch (error) {
+      this.stats.errors++;
+      console.error("❌ LLM cache write failed:", error.message);
+    }
+  }
+
+  /**
+   * Drop one entry, e.g. a response the caller could not use
+   */
+  async invalidate(key) {
+    if (!key) return;
+    this.memory.delete(key);
+
+    if (!this.store) return;
+    try {
+      await this.store.delete(key);
+    } catch (error) {
+      this.stats.errors++;
+      console.error("❌ LLM cache delete failed:", error.message);
+    }
+  }
+
+  /**
+   * Remove every entry, or only those for one task → number removed
+   */
+  async clear(filter = {}) {
+    let removed = 0;
+    for (const [key, entry] of this.memory) {
+      if (!filter.task || entry.task === filter.task) {
+        this.memory.delete(key);
+        removed++;
+      }
+    }
+
+    if (this.store) {
+      removed = Math.max(removed, await this.store.clear(filter));
+    }
+    return removed;
+  }
+
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      enabled: this.config.enabled,
+      store: this.store ? this.store.name : "memory",
+      memoryEntries: this.memory.size,
+      ...this.stats,
+      // Percentage, one decimal place
+      hitRate: lookups
+        ? Math.round((this.stats.hits / lookups) * 1000) / 10
+        : 0,
+    };
+  }
+}
+
+module.exports = LLMCache;
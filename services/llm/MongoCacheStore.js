@@ -0,0 +1,59 @@
+const mongoose = require("mongoose");
+const LLMCacheEntry = require("../../models/LLMCacheEntry");
+
+/**
+ * Cache store backed by the LLMCacheEntry collection (TTL index handles expiry)
+ * Skipped while the database is not connected so calls never wait on mongoose
+ * command buffering.
+ */
+class MongoCacheStore {
+  constructor() {
+    this.name = "mongo";
+  }
+
+  isReady() {
+    return mongoose.connection.readyState === 1;
+  }
+
+  async get(key) {
+    if (!this.isReady()) return null;
+
+    const entry = await LLMCacheEntry.findOneAndUpdate(
+      { key, expiresAt: { $gt: new Date() } },
+      { $inc: { hits: 1 }, $set: { lastHitAt: new Date() } },
+      { new: true }
+    ).lean();
+
+    return entry
+      ? { response: entry.response, expiresAt: entry.expiresAt }
+      : null;
+  }
+
+  async set({ key, task, kind, model, response, expiresAt }) {
+    if (!this.isReady()) return;
+
+    await LLMCacheEntry.updateOne(
+      { key },
+      {
+        $set: { task, kind, model, response, expiresAt },
+        $setOnInsert: { hits: 0 },
+      },
+      { upsert: true }
+    );
+  }
+
+  async delete(key) {
+    if (!this.isReady()) return;
+    await LLMCacheEntry.deleteOne({ key });
+  }
+
+  async clear(filter = {}) {
+    if (!this.isReady()) return 0;
+    const result = await LLMCacheEntry.deleteMany(
+      filter.task ? { task: filter.task } : {}
+    );
+    return result.deletedCount;
+  }
+}
+
+module.exports = MongoCacheStore;
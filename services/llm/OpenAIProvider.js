@@ -0,0 +1,63 @@
+const OpenAI = require("openai");
+
+/**
+ * OpenAI adapter; also serves any OpenAI-compatible server (Ollama, vLLM,
+ * llama.cpp, LM Studio) when constructed with a baseURL
+ */
+class OpenAIProvider {
+  constructor({ name = "openai", apiKey, baseURL, jsonMode = true }) {
+    this.name = name;
+    this.jsonMode = jsonMode;
+    this.client = new OpenAI({
+      // Local servers usually ignore the key, but the SDK requires one
+      apiKey: apiKey || (baseURL ? "local" : undefined),
+      ...(baseURL && { baseURL }),
+    });
+  }
+
+  normalizeUsage(usage) {
+    return {
+      promptTokens: usage?.prompt_tokens || 0,
+      completionTokens: usage?.completion_tokens || 0,
+      totalTokens: usage?.total_tokens || 0,
+    };
+  }
+
+  async chat({ model, messages, temperature, maxTokens, json = false }) {
+    const completion = await this.client.chat.completions.create({
+      model,
+      messages,
+      ...(temperature !== undefined && { temperature }),
+      ...(maxTokens && { max_tokens: maxTokens }),
+      ...(json &&
+        this.jsonMode && { response_format: { type: "json_object" } }),
+    });
+
+    return {
+      content: completion.choices[0].message.content,
+      model: completion.model || model,
+      usage: this.normalizeUsage(completion.usage),
+    };
+  }
+
+  async embed({ model, input }) {
+    const response = await this.client.embeddings.create({
+      model,
+      input,
+      encoding_format: "float",
+    });
+
+    return {
+      embedding: response.data[0].embedding,
+      model: response.model || model,
+      usage: this.normalizeUsage(response.usage),
+    };
+  }
+
+  async listModels() {
+    const models = await this.client.models.list();
+    return models.data.map((m) => m.id);
+  }
+}
+
+module.exports = OpenAIProvider;
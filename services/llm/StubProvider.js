@@ -0,0 +1,85 @@
+const EMBEDDING_DIMENSIONS = 256;
+const OFFLINE_TEXT =
+  "AI-generated feedback is not available in offline mode. Review the highlighted corrections and the rule for each one.";
+
+/**
+ * Deterministic offline provider for CI and air-gapped classrooms.
+ * Never touches the network: each call answers with the caller's `offline`
+ * responder (a value or a function returning one), so the same request always
+ * gets the same response.
+ */
+class StubProvider {
+  constructor() {
+    this.name = "stub";
+  }
+
+  // Rough 4-characters-per-token estimate so usage figures stay meaningful
+  estimateTokens(text) {
+    return Math.ceil((text || "").length / 4);
+  }
+
+  async chat({ model, messages, json = false, offline }) {
+    const answer = typeof offline === "function" ? await offline() : offline;
+
+    let content;
+    if (typeof answer === "string") {
+      content = answer;
+    } else {
+      content = json ? JSON.stringify(answer ?? {}) : OFFLINE_TEXT;
+    }
+
+    const promptTokens = this.estimateTokens(
+      messages.map((m) => m.content).join("\n")
+    );
+    const completionTokens = this.estimateTokens(content);
+
+    return {
+      content,
+      model: `stub:${model}`,
+      usage: {
+        promptTokens,
+        completionTokens,
+        totalTokens: promptTokens + completionTokens,
+      },
+    };
+  }
+
+  /**
+   * Hashed bag-of-words vector: texts sharing vocabulary stay close, which is
+   * enough for the similarity checks that use embeddings
+   */
+  async embed({ model, input }) {
+    const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+    const words = (input || "").toLowerCase().match(/[a-z0-9']+/g) || [];
+
+    words.forEach((word) => {
+      const hash = this.hash(word);
+      vector[hash % EMBEDDING_DIMENSIONS] += hash & 0x80000000 ? -1 : 1;
+    });
+
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+    const tokens = this.estimateTokens(input);
+
+    return {
+      embedding: vector.map((v) => v / norm),
+      model: `stub:${model}`,
+      usage: { promptTokens: tokens, completionTokens: 0, totalTokens: tokens },
+    };
+  }
+
+  // 32-bit FNV-1a
+  hash(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  async listModels() {
+    return ["stub"];
+  }
+}
+
+module.exports = StubProvider;
@@ -0,0 +1,110 @@
+/**
+ * Minimal JSON-schema style validator for model output
+ *
+ * Supports type (object | array | string | number | integer | boolean),
+ * properties, required, items, enum, minimum/maximum, maxItems, nullable and
+ * default. Objects are strict: properties the schema does not declare are
+ * dropped from the returned value and reported in `stripped`.
+ */
+
+const typeOf = (value) => {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+};
+
+const matchesType = (type, value) => {
+  const actual = typeOf(value);
+  if (type === "number") return actual === "number" || actual === "integer";
+  return actual === type;
+};
+
+const cloneDefault = (value) =>
+  typeof value === "object" && value !== null
+    ? JSON.parse(JSON.stringify(value))
+    : value;
+
+const check = (schema, value, path, result) => {
+  if (value === null && schema.nullable) return null;
+
+  if (!matchesType(schema.type, value)) {
+    result.errors.push({
+      path,
+      message: `expected ${schema.type}, got ${typeOf(value)}`,
+    });
+    return value;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    result.errors.push({
+      path,
+      message: `must be one of ${schema.enum.join(", ")}`,
+    });
+  }
+
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    result.errors.push({ path, message: `must be >= ${schema.minimum}` });
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    result.errors.push({ path, message: `must be <= ${schema.maximum}` });
+  }
+
+  if (schema.type === "array") {
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      result.errors.push({
+        path,
+        message: `must have at most ${schema.maxItems} items`,
+      });
+    }
+    return schema.items
+      ? value.map((item, i) =>
+          check(schema.items, item, `${path}[${i}]`, result)
+        )
+      : value;
+  }
+
+  if (schema.type === "object") {
+    const properties = schema.properties || {};
+    const output = {};
+
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined && properties[key]?.default === undefined) {
+        result.errors.push({ path: `${path}.${key}`, message: "is required" });
+      }
+    });
+
+    Object.entries(properties).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined) {
+        output[key] = check(
+          propertySchema,
+          value[key],
+          `${path}.${key}`,
+          result
+        );
+      } else if (propertySchema.default !== undefined) {
+        output[key] = cloneDefault(propertySchema.default);
+      }
+    });
+
+    Object.keys(value)
+      .filter((key) => !(key in properties))
+      .forEach((key) => result.stripped.push(`${path}.${key}`));
+
+    return output;
+  }
+
+  return value;
+};
+
+/**
+ * Validate `value` against `schema` → { value, errors, stripped }
+ * `value` is the cleaned copy (unknown fields removed, defaults filled in)
+ */
+const validate = (schema, value) => {
+  const result = { errors: [], stripped: [] };
+  const cleaned = check(schema, value, "$", result);
+  return { value: cleaned, errors: result.errors, stripped: result.stripped };
+};
+
+module.exports = { validate };
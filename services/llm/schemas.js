@@ -0,0 +1,358 @@
+/**
+ * Declared shapes of every JSON response the app asks a model for
+ * LLMService.json({ schema: "<name>" }) validates against these; anything a
+ * schema does not declare never reaches the caller (or essay.feedback).
+ */
+
+const string = { type: "string" };
+const integer = { type: "integer" };
+const boolean = { type: "boolean" };
+const unitScore = { type: "number", minimum: 0, maximum: 1 };
+
+const object = (properties, required = []) => ({
+  type: "object",
+  properties,
+  required,
+});
+
+// Lists default to empty so a model omitting one does not cost a re-ask
+const list = (items, extra = {}) => ({
+  type: "array",
+  items,
+  default: [],
+  ...extra,
+});
+
+const strings = list(string);
+const priority = { type: "string", enum: ["high", "medium", "low"] };
+
+const qualityScores = object({
+  grammar: unitScore,
+  content: unitScore,
+  organization: unitScore,
+  style: unitScore,
+  mechanics: unitScore,
+});
+
+const SCHEMAS = {
+  grammarAnalysis: object(
+    {
+      grammar_analysis: object(
+        {
+          corrections: list(
+            object(
+              {
+                sentence_number: { type: "integer", minimum: 1 },
+                original: string,
+                correction: string,
+                type: string,
+                reason: string,
+                confidence: unitScore,
+                severity: {
+                  type: "string",
+                  enum: ["high", "moderate", "minor"],
+                },
+                // Only set by the offline GrammarRuleEngine
+                rule_id: string,
+                source: string,
+                position: object({ start: integer, end: integer }),
+              },
+              ["original", "correction"]
+            )
+          ),
+          total_errors: { type: "integer", minimum: 0 },
+        },
+        ["corrections"]
+      ),
+      scoring: object({ quality_scores: qualityScores, confidence: unitScore }),
+    },
+    ["grammar_analysis"]
+  ),
+
+  sentenceCorrection: object(
+    {
+      original: string,
+      corrected: string,
+      confidence: unitScore,
+      corrections: list(
+        object(
+          {
+            original: string,
+            correction: string,
+            type: string,
+            reason: string,
+            confidence: unitScore,
+            // Only set by the offline GrammarRuleEngine
+            rule_id: string,
+          },
+          ["original", "correction"]
+        )
+      ),
+      total_errors: { type: "integer", minimum: 0 },
+    },
+    ["corrected", "corrections"]
+  ),
+
+  completenessCheck: object(
+    {
+      hasIntroduction: boolean,
+      hasBody: boolean,
+      hasConclusion: boolean,
+      missingConclusion: boolean,
+      structureScore: { type: "number", minimum: 0, maximum: 100 },
+      feedback: string,
+    },
+    ["hasIntroduction", "hasBody", "hasConclusion"]
+  ),
+
+  scoreExplanation: object(
+    {
+      scoreExplanation: object(
+        {
+          overallReason: string,
+          strengths: strings,
+          improvementAreas: strings,
+          specificExamples: list(
+            object({
+              type: { type: "string", enum: ["strength", "weakness"] },
+              quote: string,
+              explanation: string,
+              suggestion: string,
+            })
+          ),
+          nextSteps: strings,
+        },
+        ["overallReason"]
+      ),
+    },
+    ["scoreExplanation"]
+  ),
+
+  argumentAnalysis: object(
+    {
+      argumentAnalysis: {
+        ...object({
+          thesisClarity: {
+            type: "string",
+            enum: ["clear", "unclear", "missing"],
+          },
+          thesisStatement: string,
+          evidenceQuality: {
+            type: "string",
+            enum: ["strong", "moderate", "weak"],
+          },
+          logicalFlow: {
+            type: "string",
+            enum: ["smooth", "uneven", "confusing"],
+          },
+          specificIssues: list(
+            object({
+              type: string,
+              location: string,
+              quote: string,
+              explanation: string,
+              suggestion: string,
+            })
+          ),
+          strengths: strings,
+        }),
+        nullable: true,
+      },
+    },
+    ["argumentAnalysis"]
+  ),
+
+  contextualExamples: object(
+    {
+      contextualExamples: list(
+        object(
+          {
+            original: string,
+            corrected: string,
+            explanation: string,
+            learningTip: string,
+          },
+          ["original", "corrected"]
+        )
+      ),
+    },
+    ["contextualExamples"]
+  ),
+
+  writingPatterns: object(
+    {
+      patternAnalysis: {
+        ...object({
+          sentenceVariety: object({
+            assessment: string,
+            examples: strings,
+            suggestion: string,
+          }),
+          wordChoice: object({ overusedWords: strings, suggestions: strings }),
+          transitionUsage: object({
+            assessment: string,
+            missingTransitions: strings,
+            examples: strings,
+          }),
+        }),
+        nullable: true,
+      },
+    },
+    ["patternAnalysis"]
+  ),
+
+  scoreReasons: object(
+    {
+      mainReason: string,
+      whatWentWell: list(
+        object({ aspect: string, evidence: string, impact: string })
+      ),
+      whatNeedsWork: list(
+        object({
+          aspect: string,
+          evidence: string,
+          impact: string,
+          priority,
+        })
+      ),
+      categoryBreakdown: object({
+        grammar: string,
+        content: string,
+        organization: string,
+        style: string,
+        mechanics: string,
+      }),
+      keyInsight: string,
+    },
+    ["mainReason"]
+  ),
+
+  errorSolutions: object(
+    {
+      errorAnalysis: list(
+        object({
+          errorNumber: integer,
+          type: string,
+          original: string,
+          corrected: string,
+          whatsWrong: string,
+          whyItMatters: string,
+          howToFix: object({ step1: string, step2: string, step3: string }),
+          howToAvoid: strings,
+          memoryTrick: string,
+          similarMistakes: strings,
+        })
+      ),
+      errorPatterns: object({ mostCommon: string, focusArea: string }),
+    },
+    ["errorAnalysis"]
+  ),
+
+  vocabularyAnalysis: object({
+    currentLevel: string,
+    overusedWords: list(
+      object(
+        {
+          word: string,
+          timesUsed: { type: "integer", minimum: 0 },
+          betterAlternatives: list(
+            object({ word: string, whenToUse: string, example: string })
+          ),
+        },
+        ["word"]
+      )
+    ),
+    vocabularyUpgrades: list(
+      object({
+        from: string,
+        to: string,
+        meaning: string,
+        example: string,
+        difficulty: { type: "string", enum: ["easy", "medium", "hard"] },
+      })
+    ),
+    topicSpecificWords: list(
+      object({ word: string, meaning: string, usage: string })
+    ),
+    practiceExercises: list(
+      object({ exercise: string, goal: string, timeNeeded: string })
+    ),
+  }),
+
+  improvementPlan: object({
+    immediateActions: list(
+      object({
+        action: string,
+        why: string,
+        howTo: string,
+        example: string,
+        timeNeeded: string,
+        priority: { type: "integer", minimum: 1 },
+      })
+    ),
+    weeklyPractice: list(
+      object({ day: string, activity: string, duration: string, goal: string })
+    ),
+    nextEssayGoals: list(
+      object({ goal: string, howToAchieve: string, successCriteria: string })
+    ),
+    resources: list(
+      object({ type: string, topic: string, why: string, priority })
+    ),
+    trackingMetrics: list(
+      object({
+        metric: string,
+        currentLevel: string,
+        targetLevel: string,
+        howToMeasure: string,
+      })
+    ),
+  }),
+
+  preventionStrategies: object({
+    beforeWriting: list(
+      object({ step: string, why: string, timeNeeded: string })
+    ),
+    whileWriting: list(
+      object({ checkpoint: string, when: string, howTo: string })
+    ),
+    afterWriting: list(
+      object({ review: string, method: string, timeNeeded: string })
+    ),
+    toolsAndTechniques: list(
+      object({ tool: string, purpose: string, howToUse: string })
+    ),
+    selfCheckChecklist: list(object({ item: string, howToCheck: string })),
+  }),
+
+  spellingVerification: object(
+    {
+      actualErrors: list(
+        object(
+          {
+            word: string,
+            correction: string,
+            reason: string,
+            isActualError: boolean,
+          },
+          ["word", "correction"]
+        )
+      ),
+    },
+    ["actualErrors"]
+  ),
+
+  spellingCorrection: object(
+    {
+      corrections: list(
+        object(
+          { word: string, correction: string, reason: string },
+          ["word", "correction"]
+        )
+      ),
+    },
+    ["corrections"]
+  ),
+};
+
+module.exports = SCHEMAS;
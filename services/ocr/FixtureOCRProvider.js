@@ -0,0 +1,70 @@
+const crypto = require("crypto");
+const fs = require("fs").promises;
+const path = require("path");
+
+/**
+ * Fixture OCR provider for tests and demos (OCR_FIXTURES=on, see config/ocr)
+ *
+ * Each fixture is a JSON file in the fixtures directory:
+ *   { "sha256": "<hex digest of the image file>", "text": "...",
+ *     "confidence": 100 }
+ * The file may instead be named <sha256>.json and omit the "sha256" key.
+ * Only an upload whose bytes hash to a fixture gets its transcription; every
+ * other image goes through real OCR.
+ */
+class FixtureOCRProvider {
+  constructor({ dir }) {
+    this.name = "fixture";
+    this.dir = dir;
+    this.fixtures = null; // sha256 → fixture, loaded on first use
+  }
+
+  hashFile(buffer) {
+    return crypto.createHash("sha256").update(buffer).digest("hex");
+  }
+
+  async load() {
+    if (this.fixtures) return this.fixtures;
+
+    const fixtures = new Map();
+    let files = [];
+    try {
+      files = await fs.readdir(this.dir);
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+
+    for (const file of files.filter((name) => name.endsWith(".json"))) {
+      const fixture = JSON.parse(
+        await fs.readFile(path.join(this.dir, file), "utf8")
+      );
+      const sha256 = (fixture.sha256 || path.basename(file, ".json"))
+        .toLowerCase()
+        .trim();
+
+      if (!/^[a-f0-9]{64}$/.test(sha256) || typeof fixture.text !== "string") {
+        console.warn(`⚠️ Skipping invalid OCR fixture: ${file}`);
+        continue;
+      }
+
+      fixtures.set(sha256, { ...fixture, sha256, file });
+    }
+
+    console.log(`🧪 Loaded ${fixtures.size} OCR fixtures from ${this.dir}`);
+    this.fixtures = fixtures;
+    return fixtures;
+  }
+
+  /**
+   * Fixture for an image file, or null when none matches
+   */
+  async recognize(imagePath) {
+    const fixtures = await this.load();
+    if (fixtures.size === 0) return null;
+
+    const sha256 = this.hashFile(await fs.readFile(imagePath));
+    return fixtures.get(sha256) || null;
+  }
+}
+
+module.exports = FixtureOCRProvider;
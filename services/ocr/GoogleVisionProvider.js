@@ -0,0 +1,98 @@
+const fs = require("fs");
+const { ImageAnnotatorClient } = require("@google-cloud/vision");
+
+/**
+ * Google Cloud Vision document text detection
+ *
+ * Available when GOOGLE_APPLICATION_CREDENTIALS points at a service account
+ * key. recognize() also returns Vision's full annotation, which OCRService
+ * uses for block-based essay structure.
+ */
+class GoogleVisionProvider {
+  constructor({ credentialsPath }) {
+    this.name = "google_vision";
+    this.client = null;
+
+    try {
+      console.log("🔍 Checking Google Vision credentials...");
+      console.log("   Credentials path:", credentialsPath);
+
+      if (credentialsPath && fs.existsSync(credentialsPath)) {
+        this.client = new ImageAnnotatorClient();
+        console.log("Google Cloud Vision API initialized");
+      } else {
+        console.log("Google Vision credentials not found");
+      }
+    } catch (error) {
+      console.error("Google Vision initialization failed:", error.message);
+      this.client = null;
+    }
+  }
+
+  isAvailable() {
+    return Boolean(this.client);
+  }
+
+  /**
+   * → { text, confidence, words: [{ text, confidence }], annotation }
+   */
+  async recognize(imagePath) {
+    if (!this.client) {
+      throw new Error("Google Vision client not initialized");
+    }
+
+    const imageBuffer = await fs.promises.readFile(imagePath);
+    const [result] = await this.client.documentTextDetection({
+      image: { content: imageBuffer },
+    });
+
+    const annotation = result.fullTextAnnotation;
+    if (!annotation || !annotation.text) {
+      throw new Error("No text detected in image");
+    }
+
+    return {
+      text: annotation.text,
+      confidence: this.calculateConfidence(annotation),
+      words: this.extractWords(annotation),
+      annotation,
+    };
+  }
+
+  forEachWord(annotation, callback) {
+    (annotation.pages || []).forEach((page) => {
+      page.blocks.forEach((block) => {
+        block.paragraphs.forEach((paragraph) => {
+          paragraph.words.forEach(callback);
+        });
+      });
+    });
+  }
+
+  calculateConfidence(annotation) {
+    let totalConfidence = 0;
+    let wordCount = 0;
+
+    this.forEachWord(annotation, (word) => {
+      totalConfidence += word.confidence || 0;
+      wordCount++;
+    });
+
+    return wordCount > 0 ? (totalConfidence / wordCount) * 100 : 50;
+  }
+
+  extractWords(annotation) {
+    const words = [];
+
+    this.forEachWord(annotation, (word) => {
+      words.push({
+        text: word.symbols.map((s) => s.text).join(""),
+        confidence: (word.confidence || 0) * 100,
+      });
+    });
+
+    return words;
+  }
+}
+
+module.exports = GoogleVisionProvider;
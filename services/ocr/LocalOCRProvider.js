@@ -0,0 +1,57 @@
+const fs = require("fs").promises;
+const path = require("path");
+const axios = require("axios");
+
+/**
+ * Any OCR engine run as a local HTTP service (PaddleOCR, docTR, EasyOCR, a
+ * TrOCR handwriting model...) behind a small adapter:
+ *
+ *   POST OCR_LOCAL_URL  { "image": "<base64>", "filename": "page1.jpg" }
+ *   → { "text": "...", "confidence": 0-100,
+ *       "words": [{ "text": "...", "confidence": 0-100 }] }
+ *
+ * "words" is optional; without it every word gets the overall confidence.
+ */
+class LocalOCRProvider {
+  constructor({ url, timeoutMs }) {
+    this.name = "local";
+    this.url = url;
+    this.timeoutMs = timeoutMs;
+  }
+
+  isAvailable() {
+    return Boolean(this.url);
+  }
+
+  /**
+   * → { text, confidence, words: [{ text, confidence }] }
+   */
+  async recognize(imagePath) {
+    const image = await fs.readFile(imagePath);
+
+    const { data } = await axios.post(
+      this.url,
+      { image: image.toString("base64"), filename: path.basename(imagePath) },
+      { timeout: this.timeoutMs }
+    );
+
+    if (!data || typeof data.text !== "string" || !data.text.trim()) {
+      throw new Error("No text detected in image");
+    }
+
+    const confidence = Number(data.confidence) || 0;
+    const words = Array.isArray(data.words)
+      ? data.words.map((word) => ({
+          text: String(word.text),
+          confidence: Number(word.confidence ?? confidence),
+        }))
+      : data.text
+          .split(/\s+/)
+          .filter(Boolean)
+          .map((word) => ({ text: word, confidence }));
+
+    return { text: data.text, confidence, words };
+  }
+}
+
+module.exports = LocalOCRProvider;
@@ -0,0 +1,287 @@
+const natural = require("natural");
+
+// A token without the punctuation OCR engines attach or split off differently
+const core = (text) =>
+  (text || "").replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, "");
+
+const escapeRegex = (string) => string.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Alignment costs: two readings of one word cost less than skipping both
+const GAP_COST = 1;
+const MISMATCH_COST = 2.5;
+const MIN_WORD_SIMILARITY = 0.5;
+
+// How far past the previous replacement the next word may be found
+const SEARCH_WINDOW = 200;
+
+/**
+ * Confidence-weighted fusion of several OCR engines' readings of one image
+ *
+ * The most confident engine's result is the primary: its text, layout and
+ * structure are kept. The other engines' words are aligned to the primary's
+ * and at each position the best-scoring reading wins:
+ *   score = word confidence
+ *           + dictionaryBonus (when it is a dictionary word)
+ *           + agreementBonus per other engine reading the same word
+ * Every fused word records the `engine` that supplied it.
+ */
+class OCRFusion {
+  constructor({ isWord, dictionaryBonus = 25, agreementBonus = 10 }) {
+    this.isWord = isWord;
+    this.dictionaryBonus = dictionaryBonus;
+    this.agreementBonus = agreementBonus;
+  }
+
+  /**
+   * results: OCRService results (text, originalText, structure,
+   * wordConfidences, confidence, source) for the same image
+   * → the primary result with fused words, plus `fusion` statistics
+   */
+  fuse(results) {
+    const ranked = [...results].sort((a, b) => b.confidence - a.confidence);
+    const [primary, ...others] = ranked;
+    const primaryWords = primary.wordConfidences || [];
+    const alignments = others.map((result) =>
+      this.align(primaryWords, result.wordConfidences || [])
+    );
+
+    const replacements = [];
+    const tokensByEngine = {};
+
+    const words = primaryWords.map((word, index) => {
+      const candidates = [
+        {
+          engine: primary.source,
+          text: word.text,
+          confidence: word.confidence || 0,
+        },
+      ];
+      others.forEach((result, n) => {
+        const match = alignments[n][index];
+        if (match) {
+          candidates.push({
+            engine: result.source,
+            text: match.text,
+            confidence: match.confidence || 0,
+          });
+        }
+      });
+
+      const winner = this.pick(candidates);
+      const from = core(word.text);
+      const to = core(winner.text);
+
+      let text = word.text;
+      if (from && to && from !== to) {
+        text = word.text.replace(from, to);
+        replacements.push({ from, to });
+      }
+
+      tokensByEngine[winner.engine] = (tokensByEngine[winner.engine] || 0) + 1;
+
+      const disagreed = candidates.some(
+        (candidate) => core(candidate.text) !== from
+      );
+      return {
+        text,
+        confidence: winner.confidence,
+        engine: winner.engine,
+        ...(disagreed && { alternatives: candidates }),
+      };
+    });
+
+    const confidence = words.length
+      ? words.reduce((sum, word) => sum + word.confidence, 0) / words.length
+      : primary.confidence;
+
+    return {
+      ...primary,
+      text: this.applyReplacements(primary.text || "", replacements),
+      originalText: this.applyReplacements(
+        primary.originalText || "",
+        replacements
+      ),
+      structure: this.applyToStructure(primary.structure, replacements),
+      confidence,
+      source: "fusion",
+      wordConfidences: words,
+      fusion: {
+        primary: primary.source,
+        engines: ranked.map((result) => ({
+          engine: result.source,
+          confidence: result.confidence,
+          wordCount: (result.wordConfidences || []).length,
+        })),
+        replacedWords: replacements.length,
+        tokensByEngine,
+      },
+    };
+  }
+
+  /**
+   * Best reading among aligned candidates; readings that agree are scored
+   * together. When the primary (first) candidate is among the winners its
+   * spelling and engine are kept.
+   */
+  pick(candidates) {
+    const groups = new Map();
+    candidates.forEach((candidate) => {
+      const key = core(candidate.text).toLowerCase();
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(candidate);
+    });
+
+    let best = null;
+    let bestScore = -Infinity;
+
+    for (const [key, group] of groups) {
+      const confidence = Math.max(...group.map((c) => c.confidence));
+      const score =
+        confidence +
+        (key && this.isWord(key) ? this.dictionaryBonus : 0) +
+        this.agreementBonus * (group.length - 1);
+
+      if (score > bestScore) {
+        bestScore = score;
+        const winner = group.includes(candidates[0])
+          ? candidates[0]
+          : group.reduce((a, b) => (b.confidence > a.confidence ? b : a));
+        best = { ...winner, confidence };
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Align two word sequences (edit distance over words, where similar words
+   * may substitute) → for each word of `a`, its counterpart in `b` or null
+   */
+  align(a, b) {
+    const n = a.length;
+    const m = b.length;
+    const keysA = a.map((word) => core(word.text).toLowerCase());
+    const keysB = b.map((word) => core(word.text).toLowerCase());
+
+    // 0 = diagonal, 1 = skip a word of a, 2 = skip a word of b
+    const moves = new Uint8Array((n + 1) * (m + 1));
+    let previous = new Float64Array(m + 1);
+    let current = new Float64Array(m + 1);
+
+    for (let j = 1; j <= m; j++) {
+      previous[j] = j * GAP_COST;
+      moves[j] = 2;
+    }
+
+    for (let i = 1; i <= n; i++) {
+      current[0] = i * GAP_COST;
+      moves[i * (m + 1)] = 1;
+
+      for (let j = 1; j <= m; j++) {
+        const diagonal =
+          previous[j - 1] + this.substitutionCost(keysA[i - 1], keysB[j - 1]);
+        const skipA = previous[j] + GAP_COST;
+        const skipB = current[j - 1] + GAP_COST;
+
+        let cost = diagonal;
+        let move = 0;
+        if (skipA < cost) {
+          cost = skipA;
+          move = 1;
+        }
+        if (skipB < cost) {
+          cost = skipB;
+          move = 2;
+        }
+
+        current[j] = cost;
+        moves[i * (m + 1) + j] = move;
+      }
+
+      [previous, current] = [current, previous];
+    }
+
+    const aligned = new Array(n).fill(null);
+    let i = n;
+    let j = m;
+    while (i > 0 && j > 0) {
+      const move = moves[i * (m + 1) + j];
+      if (move === 0) {
+        if (this.substitutionCost(keysA[i - 1], keysB[j - 1]) < MISMATCH_COST) {
+          aligned[i - 1] = b[j - 1];
+        }
+        i--;
+        j--;
+      } else if (move === 1) {
+        i--;
+      } else {
+        j--;
+      }
+    }
+
+    return aligned;
+  }
+
+  substitutionCost(a, b) {
+    if (a === b) return 0;
+    if (!a || !b) return MISMATCH_COST;
+
+    const similarity =
+      1 - natural.LevenshteinDistance(a, b) / Math.max(a.length, b.length);
+    return similarity >= MIN_WORD_SIMILARITY ? 1 - similarity : MISMATCH_COST;
+  }
+
+  /**
+   * Replace each word at its next occurrence, in order; a word not found
+   * near the previous one (text the structure dropped) is skipped
+   */
+  applyReplacements(text, replacements) {
+    let result = text;
+    let cursor = 0;
+
+    for (const { from, to } of replacements) {
+      const regex = new RegExp(
+        `(?<![\\p{L}\\p{N}])${escapeRegex(from)}(?![\\p{L}\\p{N}])`,
+        "gu"
+      );
+      regex.lastIndex = cursor;
+      const match = regex.exec(result);
+      if (!match || match.index - cursor > SEARCH_WINDOW) continue;
+
+      result =
+        result.slice(0, match.index) +
+        to +
+        result.slice(match.index + from.length);
+      cursor = match.index + to.length;
+    }
+
+    return result;
+  }
+
+  /**
+   * Same replacements in the title and paragraphs, treated as one text
+   */
+  applyToStructure(structure, replacements) {
+    if (!structure || replacements.length === 0) return structure;
+
+    const paragraphs = structure.paragraphs || [];
+    const segments = this.applyReplacements(
+      [
+        structure.title || "",
+        ...paragraphs.map((paragraph) => paragraph.text || ""),
+      ].join("\u0000"),
+      replacements
+    ).split("\u0000");
+
+    return {
+      ...structure,
+      title: structure.title ? segments[0] : structure.title,
+      paragraphs: paragraphs.map((paragraph, index) => ({
+        ...paragraph,
+        text: segments[index + 1],
+      })),
+    };
+  }
+}
+
+module.exports = OCRFusion;
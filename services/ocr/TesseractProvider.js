@@ -0,0 +1,126 @@
+const fs = require("fs").promises;
+const Tesseract = require("tesseract.js");
+
+// Below this confidence the image is retried with stronger preprocessing
+const RETRY_CONFIDENCE = 40;
+
+/**
+ * Tesseract.js, run locally; always available
+ *
+ * Image preprocessing belongs to the caller (OCRService): `preprocess` and
+ * `retryPreprocess` take an image path and return the path to recognize.
+ */
+class TesseractProvider {
+  constructor({ preprocess, retryPreprocess }) {
+    this.name = "tesseract";
+    this.preprocess = preprocess;
+    this.retryPreprocess = retryPreprocess;
+    this.worker = null;
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  async getWorker() {
+    if (!this.worker) {
+      console.log("   Creating Tesseract worker...");
+      this.worker = await Tesseract.createWorker("eng", 1, {
+        logger: (m) => {
+          if (m.status === "recognizing text") {
+            const progress = Math.round(m.progress * 100);
+            if (progress % 10 === 0) {
+              console.log(`      Progress: ${progress}%`);
+            }
+          }
+        },
+      });
+
+      await this.worker.setParameters({
+        tessedit_pageseg_mode: Tesseract.PSM.SINGLE_BLOCK,
+        preserve_interword_spaces: "1",
+      });
+
+      console.log("Tesseract worker configured");
+    }
+
+    return this.worker;
+  }
+
+  /**
+   * → { text, confidence, words: [{ text, confidence }] }
+   */
+  async recognize(imagePath) {
+    let preprocessedPath = null;
+    let retryPath = null;
+
+    try {
+      console.log("   Preprocessing image...");
+      preprocessedPath = await this.preprocess(imagePath);
+
+      const worker = await this.getWorker();
+      let data = await this.read(worker, preprocessedPath);
+      console.log(
+        ` OCR complete (confidence: ${data.confidence.toFixed(1)}%)`
+      );
+
+      if (data.confidence < RETRY_CONFIDENCE) {
+        console.warn(
+          "  Low confidence, retrying with enhanced preprocessing..."
+        );
+        retryPath = await this.retryPreprocess(imagePath);
+        const retryData = await this.read(worker, retryPath);
+
+        if (retryData.confidence > data.confidence) {
+          console.log(
+            `   Retry improved: ${retryData.confidence.toFixed(1)}%`
+          );
+          data = retryData;
+        }
+      }
+
+      return {
+        text: data.text,
+        confidence: data.confidence,
+        words: this.extractWords(data),
+      };
+    } finally {
+      for (const tempPath of [preprocessedPath, retryPath]) {
+        if (tempPath && tempPath !== imagePath) {
+          await fs.unlink(tempPath).catch(() => {});
+        }
+      }
+    }
+  }
+
+  async read(worker, imagePath) {
+    // Word confidences only come back with the block tree
+    const { data } = await worker.recognize(imagePath, {}, { blocks: true });
+    return data;
+  }
+
+  extractWords(data) {
+    const words = [];
+
+    (data.blocks || []).forEach((block) => {
+      block.paragraphs.forEach((paragraph) => {
+        paragraph.lines.forEach((line) => {
+          line.words.forEach((word) => {
+            words.push({ text: word.text, confidence: word.confidence });
+          });
+        });
+      });
+    });
+
+    return words;
+  }
+
+  async cleanup() {
+    if (this.worker) {
+      await this.worker.terminate();
+      this.worker = null;
+    }
+  }
+}
+
+module.exports = TesseractProvider;
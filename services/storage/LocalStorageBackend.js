@@ -0,0 +1,49 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Stores objects as files under one directory (key → relative path)
+ */
+class LocalStorageBackend {
+  constructor({ dir }) {
+    this.name = "local";
+    this.dir = path.resolve(dir);
+  }
+
+  resolve(key) {
+    const file = path.resolve(this.dir, key);
+    if (!file.startsWith(this.dir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return file;
+  }
+
+  async put(key, filePath) {
+    const target = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    await fs.promises.copyFile(filePath, target);
+  }
+
+  /**
+   * Readable stream of the object, or null when it does not exist
+   */
+  async get(key) {
+    const file = this.resolve(key);
+    try {
+      await fs.promises.access(file);
+    } catch {
+      return null;
+    }
+    return fs.createReadStream(file);
+  }
+
+  async delete(key) {
+    try {
+      await fs.promises.unlink(this.resolve(key));
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+  }
+}
+
+module.exports = LocalStorageBackend;
@@ -0,0 +1,113 @@
+const fs = require("fs");
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  HeadBucketCommand,
+  CreateBucketCommand,
+} = require("@aws-sdk/client-s3");
+
+/**
+ * Stores objects in an S3 bucket - AWS, or an S3-compatible server such as
+ * MinIO when an endpoint is configured. Credentials fall back to the AWS SDK
+ * defaults (environment, shared config, instance role).
+ */
+class S3StorageBackend {
+  constructor({
+    bucket,
+    region,
+    endpoint,
+    forcePathStyle,
+    accessKeyId,
+    secretAccessKey,
+    prefix = "",
+    createBucket = false,
+  }) {
+    this.name = "s3";
+    this.bucket = bucket;
+    this.prefix = prefix;
+    this.createBucket = createBucket;
+    this.bucketReady = null;
+
+    this.client = new S3Client({
+      region,
+      endpoint,
+      forcePathStyle,
+      ...(accessKeyId && {
+        credentials: { accessKeyId, secretAccessKey },
+      }),
+    });
+  }
+
+  objectKey(key) {
+    return `${this.prefix}${key}`;
+  }
+
+  /**
+   * Create the bucket once if it is missing (S3_CREATE_BUCKET=true)
+   */
+  ensureBucket() {
+    if (!this.createBucket) return null;
+
+    if (!this.bucketReady) {
+      this.bucketReady = this.client
+        .send(new HeadBucketCommand({ Bucket: this.bucket }))
+        .catch(async (error) => {
+          if (error.$metadata?.httpStatusCode !== 404) throw error;
+          await this.client.send(
+            new CreateBucketCommand({ Bucket: this.bucket })
+          );
+          console.log(`🪣 Created storage bucket ${this.bucket}`);
+        })
+        .catch((error) => {
+          this.bucketReady = null;
+          throw error;
+        });
+    }
+    return this.bucketReady;
+  }
+
+  async put(key, filePath, { contentType, size, sha256 } = {}) {
+    await this.ensureBucket();
+    await this.client.send(
+      new PutObjectCommand({
+        Bucket: this.bucket,
+        Key: this.objectKey(key),
+        Body: fs.createReadStream(filePath),
+        ContentLength: size,
+        ContentType: contentType,
+        ...(sha256 && { Metadata: { sha256 } }),
+      })
+    );
+  }
+
+  /**
+   * Readable stream of the object, or null when it does not exist
+   */
+  async get(key) {
+    try {
+      const { Body } = await this.client.send(
+        new GetObjectCommand({ Bucket: this.bucket, Key: this.objectKey(key) })
+      );
+      return Body;
+    } catch (error) {
+      if (
+        error.name === "NoSuchKey" ||
+        error.$metadata?.httpStatusCode === 404
+      ) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Deleting a missing object succeeds on S3
+  async delete(key) {
+    await this.client.send(
+      new DeleteObjectCommand({ Bucket: this.bucket, Key: this.objectKey(key) })
+    );
+  }
+}
+
+module.exports = S3StorageBackend;
@@ -0,0 +1,45 @@
+const loadConfig = (env) => {
+  const saved = { ...process.env };
+  Object.assign(process.env, env);
+  try {
+    let config;
+    jest.isolateModules(() => {
+      config = require("../../config/llm");
+    });
+    return config;
+  } finally {
+    process.env = saved;
+  }
+};
+
+describe("LLM_PRICING", () => {
+  // dotenv announces itself on every fresh require
+  beforeEach(() => jest.spyOn(console, "log").mockImplementation(() => {}));
+  afterEach(() => jest.restoreAllMocks());
+
+  test("adds to and overrides the built-in prices", () => {
+    const { pricing } = loadConfig({
+      LLM_PRICING: JSON.stringify({
+        "gpt-4o": { prompt: 1, completion: 2 },
+        "local-model": { prompt: 0, completion: 0 },
+      }),
+    });
+
+    expect(pricing["gpt-4o"]).toEqual({ prompt: 1, completion: 2 });
+    expect(pricing["local-model"]).toEqual({ prompt: 0, completion: 0 });
+    expect(pricing["gpt-4"]).toEqual({ prompt: 30, completion: 60 });
+  });
+
+  test.each(["{not json", "[1, 2]", "null"])(
+    "%s is logged and the built-in prices apply",
+    (value) => {
+      const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+      const { pricing } = loadConfig({ LLM_PRICING: value });
+
+      expect(warn).toHaveBeenCalledWith(
+        expect.stringContaining("Ignoring LLM_PRICING")
+      );
+      expect(pricing).toEqual(loadConfig({ LLM_PRICING: "" }).pricing);
+    }
+  );
+});
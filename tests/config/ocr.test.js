@@ -0,0 +1,43 @@
+const loadConfig = (env) => {
+  const saved = { ...process.env };
+  Object.assign(process.env, env);
+  try {
+    let config;
+    jest.isolateModules(() => {
+      config = require("../../config/ocr");
+    });
+    return config;
+  } finally {
+    process.env = saved;
+  }
+};
+
+describe("OCR fixture gating", () => {
+  // dotenv announces itself on every fresh require
+  beforeEach(() => jest.spyOn(console, "log").mockImplementation(() => {}));
+  afterEach(() => jest.restoreAllMocks());
+
+  test.each(["test", "demo"])("OCR_FIXTURES=on is honoured in %s", (env) => {
+    const { fixtures } = loadConfig({ NODE_ENV: env, OCR_FIXTURES: "on" });
+
+    expect(fixtures.requested).toBe(true);
+    expect(fixtures.enabled).toBe(true);
+  });
+
+  test.each(["production", "development", "staging"])(
+    "OCR_FIXTURES=on is ignored in %s",
+    (env) => {
+      const { fixtures } = loadConfig({ NODE_ENV: env, OCR_FIXTURES: "on" });
+
+      expect(fixtures.requested).toBe(true);
+      expect(fixtures.enabled).toBe(false);
+      expect(fixtures.environment).toBe(env);
+    }
+  );
+
+  test("fixtures stay off unless requested", () => {
+    const { fixtures } = loadConfig({ NODE_ENV: "test", OCR_FIXTURES: "" });
+
+    expect(fixtures.enabled).toBe(false);
+  });
+});
@@ -0,0 +1,191 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const FallbackScoringModel = require("../../services/FallbackScoringModel");
+const FeatureExtractor = require("../../services/FeatureExtractor");
+const { FEATURE_SCHEMA } = require("../../services/FeatureExtractor");
+const { RUBRIC_CRITERIA } = require("../../models/Rubric");
+const shippedModel = require("../../config/fallback_scoring_model.json");
+
+const FEATURE = Object.fromEntries(
+  FEATURE_SCHEMA.names.map((name, index) => [name, index])
+);
+
+// Every term at its center: each head scores its intercept
+const centeredFeatures = () => {
+  const features = new Array(FEATURE_SCHEMA.count).fill(0);
+  Object.values(shippedModel.outputs).forEach((head) =>
+    head.terms.forEach((term) => {
+      features[term.feature] = term.center || 0;
+    })
+  );
+  return features;
+};
+
+describe("FallbackScoringModel", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  describe("shipped model", () => {
+    test("matches the extractor's feature schema", () => {
+      expect(FEATURE_SCHEMA.version).toBe("1.0.0");
+      expect(FEATURE_SCHEMA.count).toBe(150);
+      expect(shippedModel.featureSchemaVersion).toBe(FEATURE_SCHEMA.version);
+      expect(
+        new FeatureExtractor().extractFeatures(
+          "The essay has words. It has two sentences."
+        )
+      ).toHaveLength(FEATURE_SCHEMA.count);
+    });
+
+    test("every term names the feature at its index", () => {
+      expect(Object.keys(shippedModel.outputs).sort()).toEqual(
+        [...RUBRIC_CRITERIA].sort()
+      );
+
+      Object.values(shippedModel.outputs).forEach((head) =>
+        head.terms.forEach((term) => {
+          expect(Number.isInteger(term.feature)).toBe(true);
+          expect(FEATURE_SCHEMA.names[term.feature]).toBe(term.name);
+        })
+      );
+    });
+
+    test("a typical essay scores each head's intercept", () => {
+      const result = new FallbackScoringModel().predict(centeredFeatures());
+
+      expect(result.qualityScores).toEqual({
+        grammar: 0.74,
+        content: 0.7,
+        organization: 0.68,
+        style: 0.7,
+        mechanics: 0.74,
+      });
+      expect(result.normalizedScore).toBeCloseTo(75.44, 10);
+      expect(result.score).toBeCloseTo(3.5 + 0.7544 * 8.5, 10);
+      expect(result.model).toMatchObject({
+        source: "local_fallback",
+        type: "linear",
+        featureSchemaVersion: "1.0.0",
+      });
+    });
+
+    test("grammar indicators lower grammar and mechanics, within bounds", () => {
+      const model = new FallbackScoringModel();
+      const features = centeredFeatures();
+      features[FEATURE.grammar_indicator_density] = 0.02;
+
+      const { qualityScores } = model.predict(features);
+      expect(qualityScores.grammar).toBeCloseTo(0.58, 10);
+      expect(qualityScores.mechanics).toBeCloseTo(0.64, 10);
+
+      features[FEATURE.grammar_indicator_density] = 1;
+      expect(model.predict(features).qualityScores.grammar).toBe(0.35);
+    });
+
+    test("missing or non-numeric features count as 0", () => {
+      const model = new FallbackScoringModel();
+      const features = centeredFeatures();
+      features[FEATURE.grammar_indicator_density] = NaN;
+
+      expect(model.predict(features).qualityScores.grammar).toBe(0.74);
+    });
+  });
+
+  describe("custom models", () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "fallback-model-"));
+    });
+    afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const load = (model) => {
+      const file = path.join(dir, `${Math.random()}.json`);
+      fs.writeFileSync(file, JSON.stringify(model));
+      return new FallbackScoringModel(file);
+    };
+
+    const gbm = (head) => ({
+      name: "test-gbm",
+      version: "0.0.1",
+      type: "gbm",
+      featureSchemaVersion: FEATURE_SCHEMA.version,
+      outputs: Object.fromEntries(RUBRIC_CRITERIA.map((key) => [key, head])),
+      score: { intercept: 0, weights: { grammar: 100 } },
+    });
+
+    test("evaluates gbm trees with the learning rate", () => {
+      const model = load(
+        gbm({
+          baseScore: 0.5,
+          learningRate: 0.5,
+          trees: [
+            {
+              feature: FEATURE.grammar_indicator_density,
+              threshold: 0.01,
+              left: { leaf: 0.4 },
+              right: { leaf: -0.4 },
+            },
+            { leaf: 0.1 },
+          ],
+        })
+      );
+      const clean = new Array(FEATURE_SCHEMA.count).fill(0);
+      const errors = [...clean];
+      errors[FEATURE.grammar_indicator_density] = 0.05;
+
+      expect(model.describe().type).toBe("gbm");
+      expect(model.predict(clean).qualityScores.grammar).toBeCloseTo(0.75, 10);
+      expect(model.predict(errors).qualityScores.grammar).toBeCloseTo(0.35, 10);
+      expect(model.predict(clean).normalizedScore).toBeCloseTo(75, 10);
+    });
+
+    test("a model for another schema version falls back to the shipped one", () => {
+      const model = load({
+        ...gbm({ baseScore: 0.5, trees: [] }),
+        featureSchemaVersion: "2.0.0",
+      });
+
+      expect(model.describe().name).toBe(shippedModel.name);
+      expect(console.warn).toHaveBeenCalled();
+    });
+
+    test("a term pointing at the wrong feature is rejected", () => {
+      const broken = JSON.parse(JSON.stringify(shippedModel));
+      broken.outputs.grammar.terms[0].feature += 1;
+
+      const model = load(broken);
+
+      expect(model.model).not.toBe(broken);
+      expect(model.model.outputs.grammar.terms[0].feature).toBe(
+        shippedModel.outputs.grammar.terms[0].feature
+      );
+      expect(console.warn.mock.calls[0].join(" ")).toMatch(/points at feature/);
+    });
+
+    test("a tree splitting on a feature past the vector is rejected", () => {
+      const model = load(
+        gbm({
+          baseScore: 0.5,
+          trees: [
+            {
+              feature: FEATURE_SCHEMA.count,
+              threshold: 0,
+              left: { leaf: 0 },
+              right: { leaf: 0 },
+            },
+          ],
+        })
+      );
+
+      expect(model.describe().name).toBe(shippedModel.name);
+      expect(console.warn.mock.calls[0].join(" ")).toMatch(
+        /uses feature 150, extractor has 150/
+      );
+    });
+  });
+});
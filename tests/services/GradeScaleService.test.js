@@ -0,0 +1,71 @@
+jest.mock("../../models/Assignment", () => ({ findById: jest.fn() }));
+jest.mock("../../models/Classroom", () => ({ findOne: jest.fn() }));
+
+const Assignment = require("../../models/Assignment");
+const Classroom = require("../../models/Classroom");
+const GradeScaleService = require("../../services/GradeScaleService");
+
+const query = (result) => {
+  const chain = {
+    sort: jest.fn(() => chain),
+    select: () => chain,
+    lean: async () => result,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  return chain;
+};
+
+describe("GradeScaleService.resolveScale", () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  test("the assignment's own scale wins", async () => {
+    Assignment.findById.mockReturnValue(
+      query({ gradeScale: "percentage", classroomId: "c1" })
+    );
+
+    await expect(
+      GradeScaleService.resolveScale({ assignmentId: "a1", studentId: "s1" })
+    ).resolves.toBe("percentage");
+    expect(Classroom.findOne).not.toHaveBeenCalled();
+  });
+
+  test("an assignment without a scale uses its classroom's", async () => {
+    Assignment.findById.mockReturnValue(
+      query({ gradeScale: null, classroomId: "c1" })
+    );
+    Classroom.findOne.mockReturnValue(query({ gradeScale: "gpa" }));
+
+    await expect(
+      GradeScaleService.resolveScale({ assignmentId: "a1", studentId: "s1" })
+    ).resolves.toBe("gpa");
+    expect(Classroom.findOne).toHaveBeenCalledWith({
+      _id: "c1",
+      gradeScale: { $ne: null },
+    });
+  });
+
+  test("an essay without an assignment uses the student's oldest classroom", async () => {
+    const classrooms = query({ gradeScale: "gpa" });
+    Classroom.findOne.mockReturnValue(classrooms);
+
+    await expect(
+      GradeScaleService.resolveScale({ studentId: "s1" })
+    ).resolves.toBe("gpa");
+    expect(Assignment.findById).not.toHaveBeenCalled();
+    expect(Classroom.findOne).toHaveBeenCalledWith({
+      students: "s1",
+      archived: false,
+      gradeScale: { $ne: null },
+    });
+    expect(classrooms.sort).toHaveBeenCalledWith({ createdAt: 1 });
+  });
+
+  test("falls back to the default scale", async () => {
+    Classroom.findOne.mockReturnValue(query(null));
+
+    await expect(
+      GradeScaleService.resolveScale({ studentId: "s1" })
+    ).resolves.toBe("letter");
+    await expect(GradeScaleService.resolveScale({})).resolves.toBe("letter");
+  });
+});
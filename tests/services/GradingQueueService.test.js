@@ -0,0 +1,208 @@
+jest.mock("../../models/GradingJob", () => ({
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
+}));
+jest.mock("../../models/Essay", () => ({ updateOne: jest.fn() }));
+jest.mock("../../models/Assignment", () => ({ findById: jest.fn() }));
+jest.mock("../../services/EssayGradingService", () => ({
+  gradeEssay: jest.fn(),
+}));
+jest.mock("../../services/TextExtractionService", () => ({
+  buildTextExtractionSummary: jest.fn(() => null),
+}));
+jest.mock("../../services/AssignmentService", () => ({}));
+jest.mock("../../services/StorageService", () => ({}));
+
+const GradingJob = require("../../models/GradingJob");
+const Essay = require("../../models/Essay");
+const EssayGradingService = require("../../services/EssayGradingService");
+const GradingEventBus = require("../../services/GradingEventBus");
+const GradingQueueService = require("../../services/GradingQueueService");
+const { createError } = require("../../utils/errorResponse");
+
+const job = (overrides = {}) => ({
+  _id: "job1",
+  essayId: "essay1",
+  studentId: "student1",
+  attempts: 1,
+  maxAttempts: 3,
+  stages: [],
+  input: { title: null },
+  extraction: {
+    extractedText: "An essay long enough to grade.",
+    essayStructure: null,
+  },
+  ...overrides,
+});
+
+const lockFilter = {
+  _id: "job1",
+  workerId: GradingQueueService.workerId,
+  status: "processing",
+};
+
+// Updates carrying this worker's lock match only while it still holds it
+const holdLock = (held) =>
+  GradingJob.updateOne.mockImplementation(async (filter) => ({
+    matchedCount: filter.workerId && !held() ? 0 : 1,
+  }));
+
+describe("GradingQueueService", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(GradingEventBus, "publish").mockImplementation(() => {});
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    Essay.updateOne.mockResolvedValue({ matchedCount: 1 });
+    holdLock(() => true);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  describe("claimNextJob", () => {
+    test("locks a due pending job or one whose lock expired", async () => {
+      GradingJob.findOneAndUpdate.mockResolvedValue(job());
+      const before = Date.now();
+
+      await GradingQueueService.claimNextJob();
+
+      const [filter, update, options] =
+        GradingJob.findOneAndUpdate.mock.calls[0];
+      const [pending, stale] = filter.$or;
+      expect(pending.status).toBe("pending");
+      expect(pending.runAt.$lte.getTime()).toBeGreaterThanOrEqual(before);
+      expect(stale.status).toBe("processing");
+      expect(
+        before - GradingQueueService.lockTimeout - stale.lockedAt.$lt.getTime()
+      ).toBeLessThanOrEqual(0);
+      expect(update.$set).toMatchObject({
+        status: "processing",
+        workerId: GradingQueueService.workerId,
+      });
+      expect(update.$inc).toEqual({ attempts: 1 });
+      expect(options).toMatchObject({ sort: { runAt: 1 }, new: true });
+    });
+  });
+
+  describe("handleFailure", () => {
+    test.each([
+      [1, 30],
+      [2, 60],
+    ])("attempt %i retries after %is", async (attempts, seconds) => {
+      const before = Date.now();
+
+      await GradingQueueService.handleFailure(
+        job({ attempts }),
+        new Error("model timed out"),
+        "inference"
+      );
+
+      const [filter, update] = GradingJob.updateOne.mock.calls[0];
+      expect(filter).toEqual(lockFilter);
+      expect(update.status).toBe("pending");
+      expect(update.runAt.getTime() - before).toBeGreaterThanOrEqual(
+        seconds * 1000
+      );
+      expect(update.runAt.getTime() - before).toBeLessThan(
+        seconds * 1000 + 1000
+      );
+      expect(Essay.updateOne).toHaveBeenCalledWith(
+        { _id: "essay1" },
+        { status: "pending" }
+      );
+    });
+
+    test("fails for good once the attempts are used up", async () => {
+      await GradingQueueService.handleFailure(
+        job({ attempts: 3 }),
+        new Error("model timed out"),
+        "inference"
+      );
+
+      expect(GradingJob.updateOne.mock.calls[0][1].status).toBe("failed");
+      expect(Essay.updateOne).toHaveBeenCalledWith(
+        { _id: "essay1" },
+        { status: "error" }
+      );
+    });
+
+    test("client errors are not retried", async () => {
+      await GradingQueueService.handleFailure(
+        job({ attempts: 1 }),
+        createError("BAD_REQUEST", "Essay text is too short"),
+        "inference"
+      );
+
+      expect(GradingJob.updateOne.mock.calls[0][1].status).toBe("failed");
+    });
+
+    test("leaves a reclaimed job to its new worker", async () => {
+      holdLock(() => false);
+
+      await GradingQueueService.handleFailure(
+        job(),
+        new Error("model timed out"),
+        "inference"
+      );
+
+      expect(Essay.updateOne).not.toHaveBeenCalled();
+      expect(GradingEventBus.publish).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("runJob", () => {
+    const gradeThroughStages = (onLockLost) =>
+      EssayGradingService.gradeEssay.mockImplementation(async ({ onStage }) => {
+        await onStage("grammar", "running");
+        onLockLost();
+        // EssayGradingService.reportStage lets a lost lock through
+        await onStage("grammar", "completed");
+        return { essay: { grading: {} } };
+      });
+
+    test("refreshes the lock between stages and completes under it", async () => {
+      gradeThroughStages(() => {});
+
+      await GradingQueueService.runJob(job());
+
+      const heartbeats = GradingJob.updateOne.mock.calls.filter(
+        ([filter, update]) => filter.workerId && update.lockedAt instanceof Date
+      );
+      expect(heartbeats).toHaveLength(2);
+      expect(GradingJob.updateOne).toHaveBeenCalledWith(
+        lockFilter,
+        expect.objectContaining({ status: "completed" })
+      );
+      expect(GradingEventBus.publish).toHaveBeenCalledWith(
+        "essay1",
+        "grading.completed",
+        expect.any(Object)
+      );
+    });
+
+    test("stops a run whose job another worker reclaimed", async () => {
+      let held = true;
+      holdLock(() => held);
+      gradeThroughStages(() => {
+        held = false;
+      });
+
+      await expect(GradingQueueService.runJob(job())).resolves.toBeUndefined();
+
+      const statuses = GradingJob.updateOne.mock.calls
+        .map(([, update]) => update.status)
+        .filter(Boolean);
+      expect(statuses).toEqual(["failed"]);
+      expect(Essay.updateOne).not.toHaveBeenCalledWith(
+        { _id: "essay1" },
+        { status: "error" }
+      );
+      expect(GradingEventBus.publish).not.toHaveBeenCalledWith(
+        "essay1",
+        "grading.completed",
+        expect.any(Object)
+      );
+    });
+  });
+});
@@ -0,0 +1,65 @@
+const GrammarRuleEngine = require("../../services/GrammarRuleEngine");
+
+const engine = new GrammarRuleEngine();
+
+const hits = (text) =>
+  engine
+    .check(text)
+    .map(({ rule_id, original, correction }) => [
+      rule_id,
+      original,
+      correction,
+    ]);
+
+describe("GrammarRuleEngine", () => {
+  test("double negatives come back with a correct contraction", () => {
+    expect(hits("I dont have no money.")).toEqual([
+      ["DOUBLE_NEGATIVE", "dont have no", "don't have any"],
+    ]);
+    expect(hits("I cant do nothing.")).toEqual([
+      ["DOUBLE_NEGATIVE", "cant do nothing", "can't do anything"],
+    ]);
+  });
+
+  test("reports every possessive it's in a text", () => {
+    expect(
+      hits("The cat licked it's paw. The dog licked it's paw too.")
+    ).toEqual([
+      ["ITS_VS_IT_IS", "it's", "its"],
+      ["ITS_VS_IT_IS", "it's", "its"],
+    ]);
+  });
+
+  test("leaves it's alone where it means it is", () => {
+    expect(hits("I think it's time to go.")).toEqual([]);
+    expect(hits("It's raining.")).toEqual([]);
+    expect(hits("It's hard to say.")).toEqual([]);
+  });
+
+  test("flags their used as a place at the end of a clause", () => {
+    expect(
+      hits("Their is a house over their. They left their bags over their.")
+    ).toEqual([
+      ["THEIR_THERE_THEYRE", "Their", "There"],
+      ["THEIR_THERE_THEYRE", "their", "there"],
+      ["THEIR_THERE_THEYRE", "their", "there"],
+    ]);
+  });
+
+  test("plural noun subjects take the plain verb", () => {
+    expect(hits("The dogs runs fast.")).toEqual([
+      ["SVA_NOUN_SUBJECT", "dogs runs", "dogs run"],
+    ]);
+  });
+
+  test("reports every agreement error in one sentence", () => {
+    expect(hits("The dogs runs fast and the cats jumps high.")).toEqual([
+      ["SVA_NOUN_SUBJECT", "dogs runs", "dogs run"],
+      ["SVA_NOUN_SUBJECT", "cats jumps", "cats jump"],
+    ]);
+    expect(hits("He go home and she have a cat.")).toEqual([
+      ["SVA_SINGULAR_SUBJECT", "He go", "He goes"],
+      ["SVA_SINGULAR_SUBJECT", "she have", "she has"],
+    ]);
+  });
+});
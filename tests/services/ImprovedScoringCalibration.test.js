@@ -0,0 +1,234 @@
+const ImprovedScoringCalibration = require("../../services/ImprovedScoringCalibration");
+const { DEFAULT_RUBRIC } = require("../../models/Rubric");
+
+/**
+ * The fixed rules the default rubric replaced, kept verbatim as a reference
+ */
+const baselineScore = (qualityScores, feedback, wordCount, essayStructure) => {
+  const grammarErrorCount = feedback.grammarErrors?.length || 0;
+  const spellingErrorCount = feedback.spellingErrors?.length || 0;
+
+  const adjustedScores = { ...qualityScores };
+  const grammarDensity = grammarErrorCount / (wordCount / 100);
+  const spellingDensity = spellingErrorCount / (wordCount / 100);
+
+  if (grammarDensity > 5) {
+    adjustedScores.grammar = Math.max(0.4, adjustedScores.grammar - 0.2);
+  } else if (grammarDensity > 3) {
+    adjustedScores.grammar = Math.max(0.5, adjustedScores.grammar - 0.1);
+  } else if (grammarDensity > 1) {
+    adjustedScores.grammar = Math.max(0.6, adjustedScores.grammar - 0.05);
+  }
+
+  if (spellingDensity > 5) {
+    adjustedScores.mechanics = Math.max(0.5, adjustedScores.mechanics - 0.1);
+  } else if (spellingDensity > 3) {
+    adjustedScores.mechanics = Math.max(0.6, adjustedScores.mechanics - 0.05);
+  }
+
+  const avgQuality =
+    (adjustedScores.grammar +
+      adjustedScores.content +
+      adjustedScores.organization +
+      adjustedScores.style +
+      adjustedScores.mechanics) /
+    5;
+
+  let finalScore = 45;
+  [
+    [0.85, 90],
+    [0.8, 85],
+    [0.75, 80],
+    [0.7, 75],
+    [0.65, 70],
+    [0.6, 65],
+    [0.55, 60],
+    [0.5, 55],
+    [0.45, 50],
+  ].some(([min, score]) => avgQuality >= min && (finalScore = score));
+
+  let penalty = 0;
+  if (grammarErrorCount > 10) penalty += 15;
+  else if (grammarErrorCount > 5) penalty += 8;
+  else if (grammarErrorCount > 2) penalty += 3;
+
+  if (spellingErrorCount > 8) penalty += 6;
+  else if (spellingErrorCount > 5) penalty += 4;
+  else if (spellingErrorCount > 2) penalty += 2;
+
+  if (essayStructure?.sections?.length >= 2) penalty -= 3;
+  if (wordCount > 250) penalty -= 2;
+
+  return {
+    score: Math.round(Math.max(45, finalScore - penalty)),
+    adjustedQualityScores: adjustedScores,
+  };
+};
+
+const QUALITY_PROFILES = [
+  {
+    grammar: 0.9,
+    content: 0.9,
+    organization: 0.85,
+    style: 0.9,
+    mechanics: 0.95,
+  },
+  {
+    grammar: 0.75,
+    content: 0.7,
+    organization: 0.72,
+    style: 0.68,
+    mechanics: 0.8,
+  },
+  {
+    grammar: 0.62,
+    content: 0.55,
+    organization: 0.6,
+    style: 0.58,
+    mechanics: 0.64,
+  },
+  {
+    grammar: 0.45,
+    content: 0.4,
+    organization: 0.5,
+    style: 0.42,
+    mechanics: 0.48,
+  },
+];
+const ERROR_COUNTS = [0, 1, 3, 6, 9, 11, 16];
+const WORD_COUNTS = [80, 180, 251, 400];
+const STRUCTURES = [null, { sections: [{}, {}] }];
+
+const errors = (count) => Array.from({ length: count }, () => ({}));
+
+describe("ImprovedScoringCalibration.calculateFinalScore", () => {
+  const calibration = new ImprovedScoringCalibration();
+
+  beforeEach(() => jest.spyOn(console, "log").mockImplementation(() => {}));
+  afterEach(() => jest.restoreAllMocks());
+
+  const score = (qualityScores, feedback, wordCount, structure, rubric) =>
+    calibration.calculateFinalScore(
+      qualityScores,
+      90,
+      null,
+      feedback,
+      wordCount,
+      structure,
+      "intermediate",
+      rubric
+    );
+
+  test("the default rubric reproduces the fixed rules it replaced", () => {
+    const cases = [];
+    QUALITY_PROFILES.forEach((quality) =>
+      ERROR_COUNTS.forEach((grammar) =>
+        ERROR_COUNTS.forEach((spelling) =>
+          WORD_COUNTS.forEach((wordCount) =>
+            STRUCTURES.forEach((structure) =>
+              cases.push([quality, grammar, spelling, wordCount, structure])
+            )
+          )
+        )
+      )
+    );
+
+    cases.forEach(([quality, grammar, spelling, wordCount, structure]) => {
+      const feedback = {
+        grammarErrors: errors(grammar),
+        spellingErrors: errors(spelling),
+      };
+      const expected = baselineScore(quality, feedback, wordCount, structure);
+      const result = score(quality, feedback, wordCount, structure);
+
+      expect({ grammar, spelling, wordCount, score: result.score }).toEqual({
+        grammar,
+        spelling,
+        wordCount,
+        score: expected.score,
+      });
+      expect(result.adjustedQualityScores).toEqual(
+        expected.adjustedQualityScores
+      );
+    });
+    expect(cases).toHaveLength(1568);
+  });
+
+  test("known inputs keep their scores", () => {
+    const [strong, average] = QUALITY_PROFILES;
+
+    expect(
+      score(strong, { grammarErrors: [], spellingErrors: [] }, 300).score
+    ).toBe(92);
+    expect(
+      score(
+        average,
+        { grammarErrors: errors(6), spellingErrors: errors(3) },
+        180,
+        { sections: [{}, {}] }
+      ).score
+    ).toBe(68);
+  });
+
+  test("custom criterion weights change the result", () => {
+    const quality = {
+      grammar: 0.5,
+      content: 0.9,
+      organization: 0.9,
+      style: 0.9,
+      mechanics: 0.9,
+    };
+    const feedback = { grammarErrors: [], spellingErrors: [] };
+    const grammarHeavy = {
+      ...DEFAULT_RUBRIC,
+      criteria: DEFAULT_RUBRIC.criteria.map((criterion) => ({
+        ...criterion,
+        weight: criterion.key === "grammar" ? 6 : 1,
+      })),
+    };
+
+    const balanced = score(quality, feedback, 200, null);
+    const weighted = score(quality, feedback, 200, null, grammarHeavy);
+
+    expect(balanced.breakdown.averageQuality).toBe(0.82);
+    expect(balanced.score).toBe(85);
+    expect(weighted.breakdown.averageQuality).toBe(0.66);
+    expect(weighted.score).toBe(70);
+  });
+
+  test("custom penalty tiers change the result", () => {
+    const quality = QUALITY_PROFILES[0];
+    const feedback = { grammarErrors: errors(3), spellingErrors: [] };
+    const strict = {
+      ...DEFAULT_RUBRIC,
+      penalties: DEFAULT_RUBRIC.penalties.map((rule) =>
+        rule.errorType === "grammar" && rule.appliesTo === "score"
+          ? { ...rule, tiers: [{ above: 0, deduction: 10 }] }
+          : rule
+      ),
+    };
+
+    const lenient = score(quality, feedback, 400, null);
+    const result = score(quality, feedback, 400, null, strict);
+
+    expect(lenient.score).toBe(89);
+    expect(result.score).toBe(82);
+    expect(result.breakdown.penalties).toContainEqual(
+      expect.objectContaining({ errorType: "grammar", deduction: 10 })
+    );
+  });
+
+  test("level bands scale penalties and shift the score", () => {
+    const quality = QUALITY_PROFILES[1];
+    const feedback = { grammarErrors: errors(6), spellingErrors: [] };
+    const forgiving = {
+      ...DEFAULT_RUBRIC,
+      levelBands: [
+        { level: "intermediate", penaltyMultiplier: 0.5, scoreOffset: 2 },
+      ],
+    };
+
+    expect(score(quality, feedback, 400, null).score).toBe(69);
+    expect(score(quality, feedback, 400, null, forgiving).score).toBe(75);
+  });
+});
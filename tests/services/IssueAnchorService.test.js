@@ -0,0 +1,103 @@
+const IssueAnchorService = require("../../services/IssueAnchorService");
+const OffsetMap = require("../../services/OffsetMap");
+
+describe("OffsetMap", () => {
+  const source = "The  dog   ran home.  It wsa late.";
+  const target = "The dog ran home. It was late.";
+  const map = new OffsetMap(source, target);
+  const range = (text) => {
+    const start = source.indexOf(text);
+    return map.mapRange(start, start + text.length);
+  };
+
+  test("maps unchanged words across whitespace cleanup", () => {
+    expect(range("dog")).toEqual({ start: 4, end: 7, exact: true });
+    expect(range("ran home")).toEqual({ start: 8, end: 16, exact: true });
+  });
+
+  test("keeps offsets inside an unchanged word", () => {
+    expect(range("og")).toEqual({ start: 5, end: 7, exact: true });
+  });
+
+  test("maps a replaced word onto its replacement, inexactly", () => {
+    const mapped = range("wsa");
+
+    expect(target.slice(mapped.start, mapped.end)).toBe("was");
+    expect(mapped.exact).toBe(false);
+  });
+
+  test("a range without tokens maps to null", () => {
+    expect(map.mapRange(3, 5)).toBeNull();
+  });
+
+  test("a deleted word maps to an empty span", () => {
+    const deleted = new OffsetMap(
+      "It was very very late.",
+      "It was very late."
+    );
+
+    expect(deleted.mapRange(12, 16)).toEqual({
+      start: 11,
+      end: 11,
+      exact: false,
+    });
+  });
+});
+
+describe("IssueAnchorService.anchorIssues", () => {
+  test("anchors issues in the original text and their paragraph", () => {
+    const grammarErrors = [{ original: "has a" }, { original: "has a" }];
+    const spellingErrors = [{ word: "dgo" }];
+
+    const result = IssueAnchorService.anchorIssues({
+      text: "I has a dgo. I has a cat.",
+      originalText: "I  has a  dgo.\nI has a cat.",
+      essayStructure: {
+        paragraphs: [{ text: "I has a dgo." }, { text: "I has a cat." }],
+      },
+      grammarErrors,
+      spellingErrors,
+    });
+
+    expect(result).toEqual({ anchored: 3, total: 3 });
+    // Repeated phrases map to successive occurrences
+    expect(grammarErrors.map((error) => error.anchor)).toEqual([
+      {
+        start: 3,
+        end: 8,
+        text: "has a",
+        paragraphIndex: 0,
+        paragraphStart: 2,
+        paragraphEnd: 7,
+        exact: true,
+      },
+      {
+        start: 17,
+        end: 22,
+        text: "has a",
+        paragraphIndex: 1,
+        paragraphStart: 2,
+        paragraphEnd: 7,
+        exact: true,
+      },
+    ]);
+    expect(spellingErrors[0].anchor).toMatchObject({
+      start: 10,
+      end: 13,
+      text: "dgo",
+      paragraphIndex: 0,
+    });
+  });
+
+  test("issues that cannot be found get a null anchor", () => {
+    const grammarErrors = [{ original: "not in the essay" }];
+
+    const result = IssueAnchorService.anchorIssues({
+      text: "A short essay.",
+      grammarErrors,
+    });
+
+    expect(result).toEqual({ anchored: 0, total: 1 });
+    expect(grammarErrors[0].anchor).toBeNull();
+  });
+});
@@ -0,0 +1,171 @@
+jest.mock("../../services/LLMUsageService", () => ({
+  record: jest.fn(async () => {}),
+}));
+
+const LLMService = require("../../services/LLMService");
+
+const reply = (content) => ({
+  content,
+  model: "test-model",
+  usage: { promptTokens: 1, completionTokens: 1, totalTokens: 2 },
+});
+
+const VALID = JSON.stringify({
+  hasIntroduction: true,
+  hasBody: true,
+  hasConclusion: true,
+});
+
+describe("LLMService.json", () => {
+  let service;
+  let provider;
+
+  beforeEach(() => {
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    service = new LLMService.constructor({
+      provider: "stub",
+      models: {},
+      maxReasks: 2,
+      cache: { enabled: false, bypassTasks: [] },
+    });
+    provider = { name: "openai", chat: jest.fn() };
+    service.provider = provider;
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const ask = () =>
+    service.json({
+      schema: "completenessCheck",
+      task: "completeness_check",
+      messages: [{ role: "user", content: "Check this essay" }],
+    });
+
+  test("a valid reply is returned on the first attempt", async () => {
+    provider.chat.mockResolvedValueOnce(reply("```json\n" + VALID + "\n```"));
+
+    const result = await ask();
+
+    expect(result.attempts).toBe(1);
+    expect(result.data).toEqual({
+      hasIntroduction: true,
+      hasBody: true,
+      hasConclusion: true,
+    });
+    expect(provider.chat).toHaveBeenCalledTimes(1);
+    expect(service.getValidationStats().completenessCheck).toMatchObject({
+      validFirstTry: 1,
+      repaired: 0,
+      failed: 0,
+    });
+  });
+
+  test("an invalid reply is re-asked with its problems listed", async () => {
+    provider.chat
+      .mockResolvedValueOnce(reply('{"hasIntroduction": "yes"}'))
+      .mockResolvedValueOnce(reply(VALID));
+
+    const result = await ask();
+
+    expect(result.attempts).toBe(2);
+    expect(result.data.hasConclusion).toBe(true);
+
+    const { messages } = provider.chat.mock.calls[1][0];
+    expect(messages).toHaveLength(3);
+    expect(messages[1]).toEqual({
+      role: "assistant",
+      content: '{"hasIntroduction": "yes"}',
+    });
+    expect(messages[2].content).toContain(
+      "$.hasIntroduction expected boolean, got string"
+    );
+    expect(messages[2].content).toContain("$.hasBody is required");
+    expect(service.getValidationStats().completenessCheck).toMatchObject({
+      schemaErrors: 1,
+      repaired: 1,
+    });
+  });
+
+  test("LLM_OUTPUT_INVALID is thrown once the re-asks are used up", async () => {
+    provider.chat.mockResolvedValue(reply("not json"));
+
+    await expect(ask()).rejects.toMatchObject({
+      errorCode: "LLM_OUTPUT_INVALID",
+      details: {
+        schema: "completenessCheck",
+        attempts: 3,
+        problems: [expect.stringContaining("response is not valid JSON")],
+      },
+    });
+    expect(provider.chat).toHaveBeenCalledTimes(3);
+    expect(service.getValidationStats().completenessCheck).toMatchObject({
+      parseErrors: 3,
+      failed: 1,
+    });
+  });
+
+  test("the offline stub is never re-asked", async () => {
+    service.provider = service.offlineProvider;
+
+    await expect(
+      service.json({
+        schema: "completenessCheck",
+        task: "completeness_check",
+        messages: [{ role: "user", content: "Check this essay" }],
+        offline: { hasIntroduction: true },
+      })
+    ).rejects.toMatchObject({
+      errorCode: "LLM_OUTPUT_INVALID",
+      details: { attempts: 1 },
+    });
+  });
+});
+
+describe("LLMService.chat caching", () => {
+  let service;
+  let provider;
+
+  beforeEach(() => {
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    service = new LLMService.constructor({
+      provider: "stub",
+      models: {},
+      maxReasks: 2,
+      cache: {
+        enabled: true,
+        store: "memory",
+        memoryEntries: 10,
+        ttlSeconds: 60,
+        taskTtlSeconds: {},
+        bypassTasks: [],
+      },
+    });
+    provider = { name: "openai", chat: jest.fn() };
+    service.provider = provider;
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const ask = (cache) =>
+    service.chat({
+      task: "feedback",
+      messages: [{ role: "user", content: "Hello" }],
+      cache,
+    });
+
+  test("refresh calls the model and replaces the cached reply", async () => {
+    provider.chat
+      .mockResolvedValueOnce(reply("first"))
+      .mockResolvedValueOnce(reply("second"));
+
+    expect((await ask(true)).content).toBe("first");
+    expect(await ask(true)).toMatchObject({ content: "first", cached: true });
+
+    expect(await ask("refresh")).toMatchObject({
+      content: "second",
+      cached: false,
+    });
+    expect(await ask(true)).toMatchObject({ content: "second", cached: true });
+    expect(provider.chat).toHaveBeenCalledTimes(2);
+  });
+});
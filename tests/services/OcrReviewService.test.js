@@ -0,0 +1,106 @@
+const OcrReviewService = require("../../services/OcrReviewService");
+
+const extraction = () => {
+  const text = "The dgo ran home";
+  return {
+    extractedText: text,
+    originalText: text,
+    ocrWords: OcrReviewService.locateWords(text, [
+      { text: "The", confidence: 99 },
+      { text: "dgo", confidence: 40 },
+      { text: "ran", confidence: 95 },
+      { text: "home", confidence: 97 },
+    ]),
+  };
+};
+
+const validationDetails = (input) => {
+  try {
+    OcrReviewService.applyCorrections(extraction(), input);
+  } catch (error) {
+    expect(error.errorCode).toBe("VALIDATION_ERROR");
+    return error.details;
+  }
+  throw new Error("Expected a validation error");
+};
+
+describe("OcrReviewService.applyCorrections", () => {
+  test("replaces a corrected word", () => {
+    const { extraction: fixed, corrections } =
+      OcrReviewService.applyCorrections(extraction(), [
+        { index: 1, text: "dog" },
+      ]);
+
+    expect(corrections).toEqual([{ index: 1, from: "dgo", to: "dog" }]);
+    expect(fixed.extractedText).toBe("The dog ran home");
+  });
+
+  test("fixes punctuated words in the display text and paragraphs", () => {
+    const text = "Teh dgo, ran\n\nhoem fast.";
+    const { extraction: fixed } = OcrReviewService.applyCorrections(
+      {
+        extractedText: text,
+        originalText: text,
+        essayStructure: {
+          paragraphs: [{ text: "Teh dgo, ran" }, { text: "hoem fast." }],
+        },
+        ocrWords: OcrReviewService.locateWords(text, [
+          { text: "Teh", confidence: 50 },
+          { text: "dgo,", confidence: 40 },
+          { text: "ran", confidence: 95 },
+          { text: "hoem", confidence: 45 },
+          { text: "fast.", confidence: 90 },
+        ]),
+      },
+      [
+        { index: 1, text: "dog," },
+        { index: 3, text: "home" },
+      ]
+    );
+
+    expect(fixed.originalText).toBe("Teh dog, ran\n\nhome fast.");
+    expect(fixed.essayStructure.paragraphs).toEqual([
+      { text: "Teh dog, ran" },
+      { text: "home fast." },
+    ]);
+  });
+
+  test("a word missing from the display text doesn't stop later fixes", () => {
+    const { extraction: fixed } = OcrReviewService.applyCorrections(
+      {
+        ...extraction(),
+        originalText: "The dog ran hom",
+        essayStructure: {
+          paragraphs: [{ text: "The dog" }, { text: "ran hom" }],
+        },
+      },
+      [
+        { index: 1, text: "dog" },
+        { index: 2, text: "run" },
+        { index: 3, text: "house" },
+      ]
+    );
+
+    expect(fixed.extractedText).toBe("The dog run house");
+    expect(fixed.originalText).toBe("The dog run hom");
+    expect(fixed.essayStructure.paragraphs).toEqual([
+      { text: "The dog" },
+      { text: "run hom" },
+    ]);
+  });
+
+  test.each([["constructor"], ["1"], [1.5], [null], [undefined]])(
+    "rejects the index %p",
+    (index) => {
+      expect(validationDetails([{ index, text: "dog" }])).toEqual({
+        invalid: [{ index, reason: "Index must be an integer" }],
+      });
+    }
+  );
+
+  test("rejects an index past the last word", () => {
+    expect(validationDetails([{ index: 9, text: "dog" }])).toEqual({
+      invalid: [{ index: 9, reason: "Unknown word" }],
+    });
+  });
+});
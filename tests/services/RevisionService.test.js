@@ -0,0 +1,205 @@
+jest.mock("../../models/Essay", () => ({}));
+
+const RevisionService = require("../../services/RevisionService");
+
+const INTRO = "My summer holiday was spent at the beach with my family.";
+const MIDDLE = "We swam in the sea every morning and built sandcastles.";
+const END = "In the end it was the best holiday I have ever had.";
+
+const essay = (paragraphs, extra = {}) => ({
+  _id: extra._id || "essay",
+  essayStructure: { paragraphs: paragraphs.map((text) => ({ text })) },
+  feedback: extra.feedback || {},
+  grading: extra.grading || {},
+});
+
+const statuses = (comparison) =>
+  comparison.paragraphs.map(({ status, originalIndex, revisedIndex }) => [
+    status,
+    originalIndex,
+    revisedIndex,
+  ]);
+
+describe("RevisionService.compareEssays", () => {
+  test("an inserted paragraph is added and the rest line up", () => {
+    const extra =
+      "Every evening we ate ice cream on the pier near the harbour.";
+    const comparison = RevisionService.compareEssays(
+      essay([INTRO, MIDDLE, END]),
+      essay([INTRO, extra, MIDDLE, END])
+    );
+
+    expect(statuses(comparison)).toEqual([
+      ["unchanged", 0, 0],
+      ["added", null, 1],
+      ["unchanged", 1, 2],
+      ["unchanged", 2, 3],
+    ]);
+    expect(comparison.summary.paragraphsChanged).toBe(1);
+  });
+
+  test("a deleted paragraph is removed", () => {
+    const comparison = RevisionService.compareEssays(
+      essay([INTRO, MIDDLE, END]),
+      essay([INTRO, END])
+    );
+
+    expect(statuses(comparison)).toEqual([
+      ["unchanged", 0, 0],
+      ["removed", 1, null],
+      ["unchanged", 2, 1],
+    ]);
+  });
+
+  test("an edited paragraph is modified, with a word diff", () => {
+    const comparison = RevisionService.compareEssays(
+      essay([INTRO, MIDDLE]),
+      essay([INTRO, MIDDLE.replace("every morning", "each morning")])
+    );
+
+    expect(comparison.paragraphs[1]).toMatchObject({
+      status: "modified",
+      originalIndex: 1,
+      revisedIndex: 1,
+      changes: [
+        { type: "equal", text: "We swam in the sea" },
+        { type: "delete", text: "every" },
+        { type: "insert", text: "each" },
+        { type: "equal", text: "morning and built sandcastles." },
+      ],
+    });
+  });
+
+  test("alignment keeps order: a moved paragraph is removed and re-added", () => {
+    const comparison = RevisionService.compareEssays(
+      essay([INTRO, MIDDLE, END]),
+      essay([END, INTRO, MIDDLE])
+    );
+
+    expect(statuses(comparison)).toEqual([
+      ["added", null, 0],
+      ["unchanged", 0, 1],
+      ["unchanged", 1, 2],
+      ["removed", 2, null],
+    ]);
+  });
+
+  test("a rewrite below the overlap threshold is not paired", () => {
+    const comparison = RevisionService.compareEssays(
+      essay([INTRO]),
+      essay(["Last winter I learned to ski in the mountains."])
+    );
+
+    expect(statuses(comparison)).toEqual([
+      ["added", null, 0],
+      ["removed", 0, null],
+    ]);
+  });
+});
+
+describe("RevisionService.diffWords", () => {
+  test("text past the token cap is reported as one replacement", () => {
+    const before = Array.from({ length: 1501 }, (_, i) => `w${i}`).join(" ");
+    const after = `${before} extra`;
+
+    expect(RevisionService.diffWords(before, after)).toEqual([
+      { type: "delete", text: before },
+      { type: "insert", text: after },
+    ]);
+  });
+
+  test("text at the cap is still diffed word by word", () => {
+    const before = Array.from({ length: 1500 }, (_, i) => `w${i}`).join(" ");
+    const after = before.replace("w0 ", "");
+
+    expect(RevisionService.diffWords(before, after)).toEqual([
+      { type: "delete", text: "w0" },
+      { type: "equal", text: after },
+    ]);
+  });
+});
+
+describe("RevisionService.trackErrors", () => {
+  test("sorts errors into fixed, persisting and introduced", () => {
+    const parent = essay(["I has a dog. He are nice.", "We goes home."], {
+      feedback: {
+        grammarErrors: [
+          { original: "I has", correction: "I have" },
+          { original: "He are", correction: "He is" },
+          { original: "We goes", correction: "We go" },
+          { original: "dog", correction: "dogs", dismissedByTeacher: true },
+        ],
+      },
+    });
+    const revision = essay(["I have a dog. He are nice.", "They was home."], {
+      feedback: {
+        grammarErrors: [
+          { original: "He are", correction: "He is" },
+          { original: "They was", correction: "They were" },
+        ],
+      },
+    });
+
+    const { errors, summary } = RevisionService.compareEssays(parent, revision);
+
+    expect(errors.grammar.fixed.map((e) => e.text)).toEqual([
+      "I has",
+      "We goes",
+    ]);
+    expect(errors.grammar.persisting).toEqual([
+      {
+        text: "He are",
+        correction: "He is",
+        type: "grammar",
+        originalParagraph: 0,
+        revisedParagraph: 0,
+      },
+    ]);
+    expect(errors.grammar.introduced).toEqual([
+      {
+        text: "They was",
+        correction: "They were",
+        type: "grammar",
+        revisedParagraph: 1,
+      },
+    ]);
+    expect(summary).toMatchObject({
+      errorsFixed: 2,
+      errorsPersisting: 1,
+      errorsIntroduced: 1,
+    });
+  });
+
+  test("a spelling error left in a moved paragraph persists", () => {
+    const parent = essay([INTRO, "The wether was grate."], {
+      feedback: { spellingErrors: [{ word: "wether", correction: "weather" }] },
+    });
+    const revision = essay(["The wether was grate.", INTRO], {
+      feedback: { spellingErrors: [] },
+    });
+
+    const { errors } = RevisionService.compareEssays(parent, revision);
+
+    expect(errors.spelling.fixed).toEqual([]);
+    expect(errors.spelling.persisting.map((e) => e.text)).toEqual(["wether"]);
+  });
+
+  test("an error in a deleted paragraph is fixed", () => {
+    const parent = essay([INTRO, "The wether was grate."], {
+      feedback: { spellingErrors: [{ word: "wether", correction: "weather" }] },
+    });
+    const revision = essay([INTRO], { feedback: { spellingErrors: [] } });
+
+    const { errors } = RevisionService.compareEssays(parent, revision);
+
+    expect(errors.spelling.fixed).toEqual([
+      {
+        text: "wether",
+        correction: "weather",
+        type: "spelling",
+        originalParagraph: 1,
+        revisedParagraph: null,
+      },
+    ]);
+  });
+});
@@ -0,0 +1,234 @@
+jest.mock("../../models/Essay", () => ({
+  find: jest.fn(),
+  exists: jest.fn(),
+  updateOne: jest.fn(),
+}));
+jest.mock("../../models/GradingJob", () => ({ find: jest.fn() }));
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const Essay = require("../../models/Essay");
+const GradingJob = require("../../models/GradingJob");
+const storageConfig = require("../../config/storage");
+const StorageService = require("../../services/StorageService");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * In-memory essays behind the Essay queries sweepOriginals makes
+ */
+const useEssays = (essays) => {
+  const live = (original, now) =>
+    !original.deletedAt && (!original.expiresAt || original.expiresAt > now);
+
+  Essay.find.mockImplementation(() => {
+    const now = new Date();
+    const matches = essays.filter((essay) =>
+      essay.originals.some(
+        (original) =>
+          !original.deletedAt && original.expiresAt && original.expiresAt <= now
+      )
+    );
+    const query = {
+      select: () => query,
+      limit: async (n) => matches.slice(0, n),
+    };
+    return query;
+  });
+
+  Essay.exists.mockImplementation(async ({ _id, originals }) => {
+    const { key, $or } = originals.$elemMatch;
+    const now = new Date();
+    const recent = $or.find((clause) => clause.storedAt).storedAt.$gt;
+    return essays.some(
+      (essay) =>
+        essay._id !== _id.$ne &&
+        essay.originals.some(
+          (original) =>
+            original.key === key &&
+            (live(original, now) ||
+              (!original.deletedAt && original.storedAt > recent))
+        )
+    )
+      ? { _id: "kept" }
+      : null;
+  });
+
+  Essay.updateOne.mockImplementation(async ({ _id }, update) => {
+    const deletedAt = update.$set["originals.$[expired].deletedAt"];
+    essays
+      .find((essay) => essay._id === _id)
+      .originals.filter((original) => live(original, deletedAt) === false)
+      .forEach((original) => {
+        if (!original.deletedAt) original.deletedAt = deletedAt;
+      });
+  });
+};
+
+const original = (
+  key,
+  expiresInDays,
+  storedAt = Date.now() - 400 * DAY_MS
+) => ({
+  key,
+  storedAt: new Date(storedAt),
+  expiresAt:
+    expiresInDays === null
+      ? null
+      : new Date(Date.now() + expiresInDays * DAY_MS),
+  deletedAt: null,
+});
+
+describe("StorageService.sweepOriginals", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(StorageService.backend, "delete").mockResolvedValue();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test("deletes an expired object no other essay keeps", async () => {
+    const essays = [{ _id: "a", originals: [original("ab/ab.jpg", -1)] }];
+    useEssays(essays);
+
+    const removed = await StorageService.sweepOriginals();
+
+    expect(removed).toBe(1);
+    expect(StorageService.backend.delete).toHaveBeenCalledWith("ab/ab.jpg");
+    expect(essays[0].originals[0].deletedAt).toBeInstanceOf(Date);
+  });
+
+  test("keeps an object shared with an essay still in retention", async () => {
+    const essays = [
+      { _id: "a", originals: [original("ab/ab.jpg", -1)] },
+      { _id: "b", originals: [original("ab/ab.jpg", 30)] },
+    ];
+    useEssays(essays);
+
+    const removed = await StorageService.sweepOriginals();
+
+    expect(removed).toBe(0);
+    expect(StorageService.backend.delete).not.toHaveBeenCalled();
+    // The expired essay's link is retired; the other essay keeps its own
+    expect(essays[0].originals[0].deletedAt).toBeInstanceOf(Date);
+    expect(essays[1].originals[0].deletedAt).toBeNull();
+  });
+
+  test("keeps an object shared with an essay kept forever", async () => {
+    useEssays([
+      { _id: "a", originals: [original("ab/ab.jpg", -1)] },
+      { _id: "b", originals: [original("ab/ab.jpg", null)] },
+    ]);
+
+    expect(await StorageService.sweepOriginals()).toBe(0);
+    expect(StorageService.backend.delete).not.toHaveBeenCalled();
+  });
+
+  test("deletes a shared object once every link has expired", async () => {
+    useEssays([
+      { _id: "a", originals: [original("ab/ab.jpg", -2)] },
+      { _id: "b", originals: [original("ab/ab.jpg", -1)] },
+    ]);
+
+    await StorageService.sweepOriginals();
+
+    expect(StorageService.backend.delete).toHaveBeenCalledWith("ab/ab.jpg");
+  });
+
+  test("an object another essay stored within the last interval is in use", async () => {
+    // Only possible when the retention period is shorter than the interval
+    useEssays([
+      { _id: "a", originals: [original("ab/ab.jpg", -1)] },
+      { _id: "b", originals: [original("ab/ab.jpg", -1, Date.now())] },
+    ]);
+
+    const now = new Date();
+    expect(await StorageService.isKeyInUse("ab/ab.jpg", now, "a")).toBe(true);
+    expect(await StorageService.isKeyInUse("ab/ab.jpg", now, "b")).toBe(false);
+  });
+
+  test("keeps an object an upload is writing but has not linked yet", async () => {
+    useEssays([{ _id: "a", originals: [original("ab/ab.jpg", -1)] }]);
+    StorageService.claimKey("ab/ab.jpg");
+
+    try {
+      expect(await StorageService.sweepOriginals()).toBe(0);
+    } finally {
+      StorageService.releaseKey("ab/ab.jpg");
+    }
+    expect(StorageService.backend.delete).not.toHaveBeenCalled();
+    expect(StorageService.storing.size).toBe(0);
+  });
+
+  test("keeps an object claimed while the in-use query runs", async () => {
+    useEssays([{ _id: "a", originals: [original("ab/ab.jpg", -1)] }]);
+    const exists = Essay.exists.getMockImplementation();
+    Essay.exists.mockImplementation(async (query) => {
+      StorageService.claimKey("ab/ab.jpg");
+      return exists(query);
+    });
+
+    try {
+      expect(await StorageService.sweepOriginals()).toBe(0);
+    } finally {
+      StorageService.releaseKey("ab/ab.jpg");
+    }
+    expect(StorageService.backend.delete).not.toHaveBeenCalled();
+  });
+});
+
+describe("StorageService.sweepUploads", () => {
+  const HOUR_MS = 60 * 60 * 1000;
+  let root;
+  let uploadDir;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), "uploads-"));
+    uploadDir = path.join(root, "tmp");
+    fs.mkdirSync(uploadDir);
+    StorageService.uploadDir = uploadDir;
+    GradingJob.find.mockReturnValue({ select: async () => [] });
+  });
+
+  afterEach(() => {
+    StorageService.uploadDir = storageConfig.uploadDir;
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  const write = (dir, name, ageHours) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, "bytes");
+    const time = new Date(Date.now() - ageHours * HOUR_MS);
+    fs.utimesSync(file, time, time);
+    return file;
+  };
+
+  test("multer writes to its own directory under uploads/", () => {
+    expect(path.basename(storageConfig.uploadDir)).toBe("tmp");
+    expect(path.basename(path.dirname(storageConfig.uploadDir))).toBe(
+      "uploads"
+    );
+  });
+
+  test("removes old temporary uploads only", async () => {
+    const old = write(uploadDir, "1-1.jpg", 48);
+    const fresh = write(uploadDir, "2-2.jpg", 1);
+    const shared = write(root, "1762086748827-196219466.jpg", 48);
+
+    expect(await StorageService.sweepUploads()).toBe(1);
+    expect(fs.existsSync(old)).toBe(false);
+    expect(fs.existsSync(fresh)).toBe(true);
+    expect(fs.existsSync(shared)).toBe(true);
+  });
+
+  test("keeps an old upload a queued job has yet to extract", async () => {
+    const queued = write(uploadDir, "1-1.jpg", 48);
+    GradingJob.find.mockReturnValue({
+      select: async () => [{ input: { filePath: queued } }],
+    });
+
+    expect(await StorageService.sweepUploads()).toBe(0);
+    expect(fs.existsSync(queued)).toBe(true);
+  });
+});
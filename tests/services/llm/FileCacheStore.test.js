@@ -0,0 +1,101 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const FileCacheStore = require("../../../services/llm/FileCacheStore");
+
+describe("FileCacheStore", () => {
+  let dir;
+  let filePath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "llm-cache-"));
+    filePath = path.join(dir, "nested", "cache.json");
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const entry = (key, expiresAt = new Date(Date.now() + 60000)) => ({
+    key,
+    task: "t",
+    kind: "chat",
+    model: "m",
+    response: { content: key },
+    expiresAt,
+  });
+
+  test("batches writes into one asynchronous flush", async () => {
+    jest.useFakeTimers();
+    const writeFile = jest.spyOn(fs.promises, "writeFile");
+    const writeFileSync = jest.spyOn(fs, "writeFileSync");
+    const store = new FileCacheStore(filePath);
+
+    await store.set(entry("a"));
+    await store.set(entry("b"));
+    await store.delete("a");
+    expect(writeFile).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(2000);
+    await store.writing;
+
+    expect(writeFile).toHaveBeenCalledTimes(1);
+    expect(writeFileSync).not.toHaveBeenCalled();
+    expect(Object.keys(JSON.parse(fs.readFileSync(filePath, "utf8")))).toEqual([
+      "b",
+    ]);
+  });
+
+  test("changes made during a write are flushed after it", async () => {
+    const store = new FileCacheStore(filePath);
+
+    await store.set(entry("a"));
+    const first = store.flush();
+    await store.set(entry("b"));
+    store.flush();
+    await first;
+
+    expect(store.flushTimer).not.toBeNull();
+    clearTimeout(store.flushTimer);
+    store.flushTimer = null;
+    await store.flush();
+
+    const reloaded = new FileCacheStore(filePath);
+    expect((await reloaded.get("a")).response).toEqual({ content: "a" });
+    expect((await reloaded.get("b")).response).toEqual({ content: "b" });
+  });
+
+  test("expired entries are dropped on load", async () => {
+    fs.mkdirSync(path.dirname(filePath));
+    fs.writeFileSync(
+      filePath,
+      JSON.stringify({
+        old: entry("old", new Date(Date.now() - 1000)),
+        fresh: entry("fresh"),
+      })
+    );
+
+    const store = new FileCacheStore(filePath);
+
+    expect(await store.get("old")).toBeNull();
+    expect((await store.get("fresh")).response).toEqual({ content: "fresh" });
+  });
+
+  test("a failed write is logged, not thrown", async () => {
+    const error = jest.spyOn(console, "error").mockImplementation(() => {});
+    jest
+      .spyOn(fs.promises, "writeFile")
+      .mockRejectedValueOnce(new Error("disk full"));
+    const store = new FileCacheStore(filePath);
+
+    await store.set(entry("a"));
+    await expect(store.flush()).resolves.toBeUndefined();
+    expect(error).toHaveBeenCalledWith(
+      "❌ Failed to write LLM cache file:",
+      "disk full"
+    );
+    clearTimeout(store.flushTimer);
+  });
+});
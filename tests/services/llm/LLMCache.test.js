@@ -0,0 +1,107 @@
+const LLMCache = require("../../../services/llm/LLMCache");
+
+const createCache = (config = {}) =>
+  new LLMCache({
+    enabled: true,
+    store: "memory",
+    memoryEntries: 2,
+    ttlSeconds: 60,
+    taskTtlSeconds: { long_task: 600 },
+    bypassTasks: ["live_task"],
+    ...config,
+  });
+
+const response = (content) => ({
+  content,
+  usage: { totalTokens: 10 },
+});
+
+describe("LLMCache", () => {
+  beforeEach(() => jest.spyOn(console, "error").mockImplementation(() => {}));
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test("evicts the least recently used entry past memoryEntries", async () => {
+    const cache = createCache();
+
+    await cache.set("a", { task: "t", response: response("A") });
+    await cache.set("b", { task: "t", response: response("B") });
+    // Reading "a" makes "b" the oldest
+    await cache.get("a", "t");
+    await cache.set("c", { task: "t", response: response("C") });
+
+    expect(await cache.get("a", "t")).toEqual(response("A"));
+    expect(await cache.get("b", "t")).toBeNull();
+    expect(await cache.get("c", "t")).toEqual(response("C"));
+    expect(cache.getStats()).toMatchObject({
+      memoryEntries: 2,
+      hits: 3,
+      misses: 1,
+      tokensSaved: 30,
+    });
+  });
+
+  test("entries expire after their task's TTL", async () => {
+    jest.useFakeTimers({ now: 0 });
+    const cache = createCache({ memoryEntries: 10 });
+
+    await cache.set("short", { task: "t", response: response("S") });
+    await cache.set("long", { task: "long_task", response: response("L") });
+
+    jest.setSystemTime(59 * 1000);
+    expect(await cache.get("short", "t")).toEqual(response("S"));
+
+    jest.setSystemTime(60 * 1000);
+    expect(await cache.get("short", "t")).toBeNull();
+    expect(await cache.get("long", "long_task")).toEqual(response("L"));
+    expect(cache.getStats().memoryEntries).toBe(1);
+  });
+
+  test("refresh skips the read but still writes", () => {
+    const cache = createCache();
+
+    expect(cache.canRead("t", "refresh")).toBe(false);
+    expect(cache.canWrite("t", "refresh")).toBe(true);
+    expect(cache.canRead("t", true)).toBe(true);
+    expect(cache.canWrite("t", false)).toBe(false);
+    expect(cache.canWrite("live_task", true)).toBe(false);
+  });
+
+  test("a failing store is counted and treated as a miss", async () => {
+    const cache = createCache();
+    cache.store = {
+      name: "broken",
+      get: jest.fn().mockRejectedValue(new Error("store down")),
+      set: jest.fn().mockRejectedValue(new Error("store down")),
+      delete: jest.fn().mockRejectedValue(new Error("store down")),
+    };
+
+    await expect(
+      cache.set("a", { task: "t", response: response("A") })
+    ).resolves.toBeUndefined();
+    // Still served from memory
+    expect(await cache.get("a", "t")).toEqual(response("A"));
+
+    await cache.invalidate("a");
+    expect(await cache.get("a", "t")).toBeNull();
+    expect(cache.getStats()).toMatchObject({ errors: 3, misses: 1 });
+  });
+
+  test("a store hit fills the memory tier", async () => {
+    const cache = createCache();
+    cache.store = {
+      name: "fake",
+      get: jest.fn().mockResolvedValue({
+        response: response("S"),
+        expiresAt: new Date(Date.now() + 60000),
+      }),
+    };
+
+    expect(await cache.get("a", "t")).toEqual(response("S"));
+    expect(await cache.get("a", "t")).toEqual(response("S"));
+    expect(cache.store.get).toHaveBeenCalledTimes(1);
+    expect(cache.getStats()).toMatchObject({ storeHits: 1, memoryHits: 1 });
+  });
+});
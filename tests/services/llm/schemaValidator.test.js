@@ -0,0 +1,84 @@
+const { validate } = require("../../../services/llm/schemaValidator");
+const SCHEMAS = require("../../../services/llm/schemas");
+
+describe("schemaValidator.validate", () => {
+  const schema = {
+    type: "object",
+    properties: {
+      score: { type: "number", minimum: 0, maximum: 1 },
+      level: { type: "string", enum: ["high", "low"] },
+      count: { type: "integer" },
+      tags: { type: "array", items: { type: "string" }, default: [] },
+      note: { type: "string", nullable: true },
+    },
+    required: ["score", "tags"],
+  };
+
+  test("a valid value passes and missing defaults are filled in", () => {
+    const { value, errors, stripped } = validate(schema, {
+      score: 0.5,
+      level: "high",
+      count: 3,
+      note: null,
+    });
+
+    expect(errors).toEqual([]);
+    expect(stripped).toEqual([]);
+    expect(value).toEqual({
+      score: 0.5,
+      level: "high",
+      count: 3,
+      tags: [],
+      note: null,
+    });
+  });
+
+  test("undeclared properties are dropped and reported", () => {
+    const { value, errors, stripped } = validate(schema, {
+      score: 1,
+      tags: ["a"],
+      extra: "x",
+    });
+
+    expect(errors).toEqual([]);
+    expect(value).toEqual({ score: 1, tags: ["a"] });
+    expect(stripped).toEqual(["$.extra"]);
+  });
+
+  test("type, range, enum and required problems are reported by path", () => {
+    const { errors } = validate(schema, {
+      score: 2,
+      level: "medium",
+      count: 1.5,
+      tags: ["a", 3],
+    });
+
+    expect(errors).toEqual([
+      { path: "$.score", message: "must be <= 1" },
+      { path: "$.level", message: "must be one of high, low" },
+      { path: "$.count", message: "expected integer, got number" },
+      { path: "$.tags[1]", message: "expected string, got integer" },
+    ]);
+    expect(validate(schema, {}).errors).toEqual([
+      { path: "$.score", message: "is required" },
+    ]);
+  });
+
+  test("a non-object reply fails at the root", () => {
+    expect(validate(schema, []).errors).toEqual([
+      { path: "$", message: "expected object, got array" },
+    ]);
+  });
+
+  test("declared app schemas accept a well-formed reply", () => {
+    const { value, errors } = validate(SCHEMAS.completenessCheck, {
+      hasIntroduction: true,
+      hasBody: true,
+      hasConclusion: false,
+      structureScore: 70,
+    });
+
+    expect(errors).toEqual([]);
+    expect(value.hasConclusion).toBe(false);
+  });
+});
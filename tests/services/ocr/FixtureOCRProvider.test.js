@@ -0,0 +1,70 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const FixtureOCRProvider = require("../../../services/ocr/FixtureOCRProvider");
+
+const sha256 = (buffer) =>
+  crypto.createHash("sha256").update(buffer).digest("hex");
+
+describe("FixtureOCRProvider", () => {
+  let dir;
+  let provider;
+  const image = Buffer.from("fake image bytes");
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "ocr-fixtures-"));
+    provider = new FixtureOCRProvider({ dir });
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  const writeImage = (name, bytes) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, bytes);
+    return file;
+  };
+
+  test("answers only the image whose bytes match a fixture", async () => {
+    fs.writeFileSync(
+      path.join(dir, "essay.json"),
+      JSON.stringify({ sha256: sha256(image), text: "My essay" })
+    );
+
+    const match = await provider.recognize(writeImage("a.jpg", image));
+    const other = await provider.recognize(
+      writeImage("b.jpg", Buffer.from("other bytes"))
+    );
+
+    expect(match.text).toBe("My essay");
+    expect(other).toBeNull();
+  });
+
+  test("takes the digest from the file name when the key is missing", async () => {
+    fs.writeFileSync(
+      path.join(dir, `${sha256(image)}.json`),
+      JSON.stringify({ text: "Named by digest" })
+    );
+
+    const fixture = await provider.recognize(writeImage("a.jpg", image));
+
+    expect(fixture.text).toBe("Named by digest");
+  });
+
+  test("skips fixtures without a valid digest or text", async () => {
+    fs.writeFileSync(
+      path.join(dir, "bad.json"),
+      JSON.stringify({ sha256: "not-a-digest", text: "x" })
+    );
+
+    const fixtures = await provider.load();
+
+    expect(fixtures.size).toBe(0);
+    expect(console.warn).toHaveBeenCalled();
+  });
+});
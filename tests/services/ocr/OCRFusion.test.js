@@ -0,0 +1,80 @@
+const OCRFusion = require("../../../services/ocr/OCRFusion");
+
+const DICTIONARY = new Set(["the", "quick", "brown", "fox", "jumps"]);
+
+const result = (source, confidence, text) => ({
+  source,
+  confidence,
+  text,
+  originalText: text,
+  structure: { title: null, paragraphs: [{ text }] },
+  wordConfidences: text.split(" ").map((word) => ({ text: word, confidence })),
+});
+
+describe("OCRFusion.fuse", () => {
+  const fusion = new OCRFusion({ isWord: (word) => DICTIONARY.has(word) });
+
+  test("dictionary words from a weaker engine replace misreadings", () => {
+    const fused = fusion.fuse([
+      result("tesseract", 70, "The quick brown fox jumps."),
+      result("google_vision", 85, "The qu1ck brown f0x jumps."),
+    ]);
+
+    expect(fused.source).toBe("fusion");
+    expect(fused.text).toBe("The quick brown fox jumps.");
+    expect(fused.originalText).toBe("The quick brown fox jumps.");
+    expect(fused.structure.paragraphs[0].text).toBe(
+      "The quick brown fox jumps."
+    );
+    expect(fused.wordConfidences.map((word) => word.engine)).toEqual([
+      "google_vision",
+      "tesseract",
+      "google_vision",
+      "tesseract",
+      "google_vision",
+    ]);
+    expect(fused.fusion).toMatchObject({
+      primary: "google_vision",
+      replacedWords: 2,
+      tokensByEngine: { google_vision: 3, tesseract: 2 },
+    });
+  });
+
+  test("disagreements keep every engine's reading", () => {
+    const fused = fusion.fuse([
+      result("tesseract", 70, "The quick brown fox jumps."),
+      result("google_vision", 85, "The qu1ck brown fox jumps."),
+    ]);
+
+    expect(fused.wordConfidences[1].alternatives).toEqual([
+      { engine: "google_vision", text: "qu1ck", confidence: 85 },
+      { engine: "tesseract", text: "quick", confidence: 70 },
+    ]);
+    expect(fused.wordConfidences[0].alternatives).toBeUndefined();
+  });
+
+  test("the primary reading stays when the engines agree", () => {
+    const fused = fusion.fuse([
+      result("tesseract", 60, "The brown fox"),
+      result("google_vision", 90, "The brown fox"),
+    ]);
+
+    expect(fused.text).toBe("The brown fox");
+    expect(fused.fusion.replacedWords).toBe(0);
+    expect(fused.fusion.tokensByEngine).toEqual({ google_vision: 3 });
+  });
+
+  test("words one engine missed are left as the primary read them", () => {
+    const fused = fusion.fuse([
+      result("tesseract", 70, "The fox jumps."),
+      result("google_vision", 85, "The brown f0x jumps."),
+    ]);
+
+    expect(fused.text).toBe("The brown fox jumps.");
+    expect(fused.wordConfidences[1]).toEqual({
+      text: "brown",
+      confidence: 85,
+      engine: "google_vision",
+    });
+  });
+});
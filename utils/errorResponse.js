@@ -114,7 +114,10 @@ const ERROR_TYPES = {
   TOKEN_EXPIRED: { code: 'TOKEN_EXPIRED', statusCode: 403 },
   INVALID_TOKEN: { code: 'INVALID_TOKEN', statusCode: 401 },
   SERVICE_UNAVAILABLE: { code: 'SERVICE_UNAVAILABLE', statusCode: 503 },
-  TIMEOUT: { code: 'TIMEOUT', statusCode: 408 }
+  TIMEOUT: { code: 'TIMEOUT', statusCode: 408 },
+  LLM_OUTPUT_INVALID: { code: 'LLM_OUTPUT_INVALID', statusCode: 502 },
+  IMAGE_QUALITY: { code: 'IMAGE_QUALITY_TOO_LOW', statusCode: 422 },
+  JOB_LOCK_LOST: { code: 'JOB_LOCK_LOST', statusCode: 409 }
 };
 
 // Helper functions to create common errors
@@ -14,7 +14,37 @@ exports.generateToken = (userId, studentId, duration = "24h") => {
     const token = jwt.sign(
       { 
         userId: userId,
-        studentId: studentId 
+        studentId: studentId,
+        role: "student"
+      },
+      process.env.JWT_SECRET,
+      {
+        expiresIn: duration,
+        algorithm: "HS256",
+      }
+    );
+    return token;
+  } catch (error) {
+    console.error("Error generating token:", error);
+    throw new Error("Failed to generate token");
+  }
+};
+
+exports.generateTeacherToken = (userId, teacherId, duration = "24h") => {
+  try {
+    if (!userId || !teacherId) {
+      throw new Error('User ID and Teacher ID are required for token generation');
+    }
+
+    if (!process.env.JWT_SECRET) {
+      throw new Error('JWT_SECRET is not configured');
+    }
+
+    const token = jwt.sign(
+      {
+        userId: userId,
+        teacherId: teacherId,
+        role: "teacher"
       },
       process.env.JWT_SECRET,
       {
@@ -49,7 +79,7 @@ exports.validateToken = (token) => {
   }
   
   const decoded = this.verifyToken(token);
-  if (!decoded || (!decoded.userId && !decoded.studentId)) {
+  if (!decoded || (!decoded.userId && !decoded.studentId && !decoded.teacherId)) {
     throw new Error("Invalid token payload");
   }
   